@@ -0,0 +1,272 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import toast from 'react-hot-toast';
+import { apiService } from '../../services/api';
+import './DocumentHistoryModal.css';
+
+// Version history of a scheme's documents: compare extracted text and roll back
+const DocumentHistoryModal = ({ scheme, onClose }) => {
+  const [documents, setDocuments] = useState([]);
+  const [selectedDocumentId, setSelectedDocumentId] = useState('');
+  const [versions, setVersions] = useState([]);
+  const [diff, setDiff] = useState(null);
+  const [chunking, setChunking] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+
+  const loadVersions = useCallback(async (documentId) => {
+    if (!documentId) return;
+    try {
+      const response = await apiService.upload.getVersions(documentId);
+      setVersions(response.data.versions || []);
+    } catch (error) {
+      console.error('Error fetching document versions:', error);
+      toast.error(error.response?.data?.message || 'Failed to load version history');
+    }
+  }, []);
+
+  useEffect(() => {
+    const loadDocuments = async () => {
+      try {
+        const response = await apiService.upload.getDocuments({ schemeId: scheme._id, limit: 50 });
+        const schemeDocuments = (response.data.documents || [])
+          .sort((a, b) => Number(b.isPrimary) - Number(a.isPrimary));
+        setDocuments(schemeDocuments);
+        setSelectedDocumentId(schemeDocuments.length > 0 ? schemeDocuments[0]._id : '');
+      } catch (error) {
+        console.error('Error fetching scheme documents:', error);
+        toast.error('Failed to load scheme documents');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadDocuments();
+  }, [scheme._id]);
+
+  useEffect(() => {
+    setDiff(null);
+    setChunking(null);
+    loadVersions(selectedDocumentId);
+  }, [selectedDocumentId, loadVersions]);
+
+  const handleCompare = async (version) => {
+    try {
+      const response = await apiService.upload.diffVersions(selectedDocumentId, {
+        from: version.versionNumber - 1,
+        to: version.versionNumber
+      });
+      setDiff(response.data.diff);
+      setChunking(null);
+    } catch (error) {
+      console.error('Error comparing versions:', error);
+      toast.error(error.response?.data?.message || 'Failed to compare versions');
+    }
+  };
+
+  const handleCompareChunking = async (version) => {
+    try {
+      const response = await apiService.upload.compareChunking(selectedDocumentId, { version: version.versionNumber });
+      setChunking({ ...response.data.comparison, currentStrategy: response.data.currentStrategy });
+      setDiff(null);
+    } catch (error) {
+      console.error('Error comparing chunking strategies:', error);
+      toast.error(error.response?.data?.message || 'Failed to compare chunking strategies');
+    }
+  };
+
+  const handleRestore = async (version) => {
+    if (!window.confirm(`Restore version ${version.versionNumber} (${version.file.filename})? The current version stays in the history.`)) {
+      return;
+    }
+
+    setBusy(true);
+    try {
+      const response = await apiService.upload.restoreVersion(selectedDocumentId, version.versionNumber);
+      toast.success(response.data.message);
+      setDiff(null);
+      await loadVersions(selectedDocumentId);
+    } catch (error) {
+      console.error('Error restoring version:', error);
+      toast.error(error.response?.data?.message || 'Failed to restore version');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const renderHunkLines = (hunk, hunkIndex) => hunk.lines.map((line, lineIndex) => (
+    <React.Fragment key={`${hunkIndex}-${lineIndex}`}>
+      {hunk.skipped && lineIndex === hunk.skippedAt && (
+        <div className="diff-line diff-skipped">… {hunk.skipped} unchanged lines …</div>
+      )}
+      <div className={`diff-line diff-${hunk.type}`}>
+        {hunk.type === 'added' ? '+ ' : hunk.type === 'removed' ? '- ' : '  '}{line}
+      </div>
+    </React.Fragment>
+  ));
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal-content document-history-modal">
+        <div className="modal-header">
+          <h2>Document History</h2>
+          <button className="modal-close" onClick={onClose}>×</button>
+        </div>
+
+        <div className="document-history-body">
+          <p className="document-history-scheme preserve-original-text notranslate">{scheme.title}</p>
+
+          {loading ? (
+            <p className="document-history-empty">Loading documents...</p>
+          ) : documents.length === 0 ? (
+            <p className="document-history-empty">This scheme has no uploaded documents.</p>
+          ) : (
+            <>
+              {documents.length > 1 && (
+                <select
+                  className="document-history-select"
+                  value={selectedDocumentId}
+                  onChange={(e) => setSelectedDocumentId(e.target.value)}
+                >
+                  {documents.map(document => (
+                    <option key={document._id} value={document._id}>
+                      {document.title}{document.isPrimary ? ' (main PDF)' : ''}{document.linkedDocumentId ? ' — linked to a duplicate' : ''}
+                    </option>
+                  ))}
+                </select>
+              )}
+
+              <table className="document-history-table">
+                <thead>
+                  <tr>
+                    <th>Version</th>
+                    <th>File</th>
+                    <th>Uploaded</th>
+                    <th>Checksum</th>
+                    <th>Chunks</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {versions.map(version => (
+                    <tr key={version._id} className={version.isCurrent ? 'current-version' : ''}>
+                      <td>
+                        v{version.versionNumber}
+                        {version.isCurrent && <span className="version-current-badge">Current</span>}
+                      </td>
+                      <td className="preserve-original-text notranslate">
+                        <a href={version.file.url} target="_blank" rel="noopener noreferrer">{version.file.filename}</a>
+                      </td>
+                      <td>
+                        {new Date(version.createdAt).toLocaleString()}
+                        {version.uploadedBy && <div className="version-meta">{version.uploadedBy.name}</div>}
+                      </td>
+                      <td className="version-checksum" title={version.checksum || 'Not recorded'}>
+                        {version.checksum ? version.checksum.substring(0, 12) : '—'}
+                      </td>
+                      <td>
+                        {version.chunks.active > 0 ? `${version.chunks.active} live` : `${version.chunks.archived} archived`}
+                      </td>
+                      <td>
+                        <div className="version-actions">
+                          {version.versionNumber > 1 && version.hasText && (
+                            <button className="btn-secondary" onClick={() => handleCompare(version)}>
+                              Compare with v{version.versionNumber - 1}
+                            </button>
+                          )}
+                          {version.hasText && (
+                            <button className="btn-secondary" onClick={() => handleCompareChunking(version)}>
+                              Chunking
+                            </button>
+                          )}
+                          {!version.isCurrent && (
+                            <button className="btn-primary" disabled={busy} onClick={() => handleRestore(version)}>
+                              Restore
+                            </button>
+                          )}
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+
+              {chunking && (
+                <div className="document-diff">
+                  <div className="document-diff-header">
+                    <h3>Chunking of v{chunking.versionNumber}</h3>
+                    <span className="diff-stats">{chunking.clauses} numbered clauses found</span>
+                    <button className="modal-close" onClick={() => setChunking(null)}>×</button>
+                  </div>
+                  <table className="document-history-table chunking-table">
+                    <thead>
+                      <tr>
+                        <th>Strategy</th>
+                        <th>Chunks</th>
+                        <th>Words per chunk</th>
+                        <th>With headings</th>
+                        <th>Split clauses</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {Object.entries(chunking.strategies).map(([strategy, stats]) => (
+                        <tr key={strategy} className={strategy === chunking.currentStrategy ? 'current-version' : ''}>
+                          <td>
+                            {strategy}
+                            {strategy === chunking.currentStrategy && <span className="version-current-badge">In use</span>}
+                          </td>
+                          <td>{stats.chunks}</td>
+                          <td>{stats.avgWords} avg ({stats.minWords}–{stats.maxWords})</td>
+                          <td>{stats.chunksWithHeadings}</td>
+                          <td>{stats.splitClauses}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                  {Object.entries(chunking.strategies).map(([strategy, stats]) => (
+                    <div key={strategy} className="chunking-samples">
+                      <h4>First chunks ({strategy})</h4>
+                      {stats.samples.map((sample, index) => (
+                        <div key={index} className="chunking-sample preserve-original-text notranslate">
+                          {sample.headingPath.length > 0 && (
+                            <div className="version-meta">{sample.headingPath.join(' › ')}</div>
+                          )}
+                          <div>{sample.preview}{sample.preview.length >= 200 ? '…' : ''}</div>
+                        </div>
+                      ))}
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              {diff && (
+                <div className="document-diff">
+                  <div className="document-diff-header">
+                    <h3>v{diff.from.versionNumber} → v{diff.to.versionNumber}</h3>
+                    <span className="diff-stats">
+                      <span className="diff-stat-added">+{diff.stats.added}</span>
+                      <span className="diff-stat-removed">-{diff.stats.removed}</span>
+                      <span>{diff.stats.unchanged} unchanged lines</span>
+                    </span>
+                    <button className="modal-close" onClick={() => setDiff(null)}>×</button>
+                  </div>
+                  {(diff.from.textTruncated || diff.to.textTruncated) && (
+                    <p className="version-meta">The text of a long version was truncated; the end of the document is not compared.</p>
+                  )}
+                  {diff.stats.added === 0 && diff.stats.removed === 0 ? (
+                    <p className="document-history-empty">The extracted text of both versions is identical.</p>
+                  ) : (
+                    <div className="diff-lines preserve-original-text notranslate">
+                      {diff.hunks.map(renderHunkLines)}
+                    </div>
+                  )}
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DocumentHistoryModal;
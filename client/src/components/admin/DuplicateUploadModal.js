@@ -0,0 +1,67 @@
+import React, { useState } from 'react';
+import './DuplicateUploadModal.css';
+
+// Shown when an uploaded PDF matches documents already stored for a scheme
+const DuplicateUploadModal = ({ warning, onChoose, onCancel }) => {
+  const [selectedDocumentId, setSelectedDocumentId] = useState(warning.duplicates[0].documentId);
+
+  const describeMatch = (duplicate) => (duplicate.match === 'exact'
+    ? 'Identical file'
+    : `${Math.round(duplicate.similarity * 100)}% similar text`);
+
+  return (
+    <div className="modal-overlay duplicate-upload-overlay">
+      <div className="modal-content duplicate-upload-modal">
+        <div className="modal-header">
+          <h2>Possible Duplicate PDF</h2>
+          <button className="modal-close" onClick={onCancel}>×</button>
+        </div>
+
+        <div className="duplicate-upload-body">
+          <p>{warning.message}</p>
+
+          <ul className="duplicate-list">
+            {warning.duplicates.map(duplicate => (
+              <li key={duplicate.documentId}>
+                <label>
+                  <input
+                    type="radio"
+                    name="duplicateOf"
+                    value={duplicate.documentId}
+                    checked={selectedDocumentId === duplicate.documentId}
+                    onChange={() => setSelectedDocumentId(duplicate.documentId)}
+                  />
+                  <span className="duplicate-details preserve-original-text notranslate">
+                    <strong>{duplicate.documentTitle}</strong>
+                    {' — '}{duplicate.schemeTitle}
+                    {!duplicate.schemeIsActive && ' (deleted scheme)'}
+                  </span>
+                  <span className={`duplicate-match ${duplicate.match}`}>{describeMatch(duplicate)}</span>
+                </label>
+              </li>
+            ))}
+          </ul>
+
+          <div className="duplicate-options">
+            <button type="button" className="btn-primary" onClick={() => onChoose('link', selectedDocumentId)}>
+              Link to existing
+            </button>
+            <p>Don't store another copy. This scheme uses the selected document and its search index.</p>
+
+            <button type="button" className="btn-primary" onClick={() => onChoose('replace', selectedDocumentId)}>
+              Replace existing
+            </button>
+            <p>Store this upload. Once it is processed, the selected document uses it instead of its own copy.</p>
+
+            <button type="button" className="btn-secondary" onClick={() => onChoose('proceed')}>
+              Upload anyway
+            </button>
+            <p>Keep both as separate documents.</p>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DuplicateUploadModal;
@@ -0,0 +1,303 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import toast from 'react-hot-toast';
+import { apiService } from '../../services/api';
+import './DocumentHistoryModal.css';
+import './SchemeFieldsModal.css';
+
+const FIELD_LABELS = {
+  eligibility: 'Eligibility',
+  benefits: 'Benefits',
+  documents: 'Required documents',
+  applicationMode: 'How to apply',
+  deadlines: 'Deadlines',
+  contacts: 'Contact details'
+};
+
+const describeSource = (source) => [
+  source.documentTitle,
+  source.pageNumber ? `page ${source.pageNumber}` : null
+].filter(Boolean).join(', ') || 'Document chunk';
+
+// Editable copy of every extracted item, all accepted by default
+const buildSelection = (extraction) => Object.fromEntries(Object.keys(FIELD_LABELS).map(field => [
+  field,
+  (extraction.fields[field] || []).map(item => ({
+    accepted: true,
+    text: item.text,
+    amount: item.amount ?? '',
+    date: item.date ? item.date.substring(0, 10) : '',
+    mode: item.mode || ''
+  }))
+]));
+
+// Review structured fields extracted from a scheme's documents and save the accepted ones
+const SchemeFieldsModal = ({ scheme, onClose }) => {
+  const [data, setData] = useState(null);
+  const [selection, setSelection] = useState({});
+  const [comment, setComment] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+
+  const loadExtraction = useCallback(async () => {
+    try {
+      const response = await apiService.schemes.getFieldExtraction(scheme._id);
+      setData(response.data);
+      if (response.data.extraction && response.data.extraction.status === 'pending_review') {
+        setSelection(buildSelection(response.data.extraction));
+      }
+    } catch (error) {
+      console.error('Error fetching field extraction:', error);
+      toast.error(error.response?.data?.message || 'Failed to load extracted fields');
+    } finally {
+      setLoading(false);
+    }
+  }, [scheme._id]);
+
+  useEffect(() => {
+    loadExtraction();
+  }, [loadExtraction]);
+
+  const pending = data && data.extraction && data.extraction.status === 'pending_review' ? data.extraction : null;
+
+  const updateItem = (field, index, changes) => {
+    setSelection(prev => ({
+      ...prev,
+      [field]: prev[field].map((item, i) => (i === index ? { ...item, ...changes } : item))
+    }));
+  };
+
+  const handleExtract = async () => {
+    setBusy(true);
+    try {
+      const response = await apiService.schemes.extractFields(scheme._id);
+      toast.success(response.data.message);
+      await loadExtraction();
+    } catch (error) {
+      console.error('Error extracting scheme fields:', error);
+      toast.error(error.response?.data?.message || 'Failed to extract fields');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleAccept = async () => {
+    // Items are sent by their index in the extraction so the server keeps their sources
+    const fields = Object.fromEntries(Object.entries(selection).map(([field, items]) => [
+      field,
+      items
+        .map((item, index) => ({ ...item, index }))
+        .filter(item => item.accepted && item.text.trim())
+        .map(({ index, text, amount, date, mode }) => ({
+          index,
+          text,
+          ...(field === 'benefits' && { amount: amount === '' ? null : amount }),
+          ...(field === 'deadlines' && { date: date || null }),
+          ...(field === 'applicationMode' && { mode: mode || null })
+        }))
+    ]));
+
+    setBusy(true);
+    try {
+      const response = await apiService.schemes.acceptFieldExtraction(scheme._id, pending._id, { fields, comment });
+      toast.success(response.data.message);
+      setComment('');
+      await loadExtraction();
+    } catch (error) {
+      console.error('Error accepting scheme fields:', error);
+      toast.error(error.response?.data?.message || 'Failed to save fields');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleReject = async () => {
+    if (!window.confirm('Reject these extracted fields? The scheme keeps its current details.')) {
+      return;
+    }
+
+    setBusy(true);
+    try {
+      const response = await apiService.schemes.rejectFieldExtraction(scheme._id, pending._id, { comment });
+      toast.success(response.data.message);
+      setComment('');
+      await loadExtraction();
+    } catch (error) {
+      console.error('Error rejecting scheme fields:', error);
+      toast.error(error.response?.data?.message || 'Failed to reject fields');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const renderSource = (source) => source && (
+    <div className="version-meta scheme-field-source" title={source.excerpt}>
+      Source: {describeSource(source)}
+      {source.excerpt && <span className="preserve-original-text notranslate"> — “{source.excerpt}…”</span>}
+    </div>
+  );
+
+  const renderReviewItem = (field, item, index) => {
+    const extracted = pending.fields[field][index];
+
+    return (
+      <li key={index} className={item.accepted ? '' : 'scheme-field-skipped'}>
+        <input
+          type="checkbox"
+          checked={item.accepted}
+          onChange={(e) => updateItem(field, index, { accepted: e.target.checked })}
+          title="Save this item"
+        />
+        <div className="scheme-field-edit">
+          <textarea
+            className="preserve-original-text notranslate"
+            rows={2}
+            maxLength={500}
+            value={item.text}
+            disabled={!item.accepted}
+            onChange={(e) => updateItem(field, index, { text: e.target.value })}
+          />
+          {field === 'benefits' && (
+            <label>
+              Amount (₹)
+              <input
+                type="number"
+                min="0"
+                value={item.amount}
+                disabled={!item.accepted}
+                onChange={(e) => updateItem(field, index, { amount: e.target.value })}
+              />
+            </label>
+          )}
+          {field === 'deadlines' && (
+            <label>
+              Date
+              <input
+                type="date"
+                value={item.date}
+                disabled={!item.accepted}
+                onChange={(e) => updateItem(field, index, { date: e.target.value })}
+              />
+            </label>
+          )}
+          {field === 'applicationMode' && (
+            <label>
+              Mode
+              <select
+                value={item.mode}
+                disabled={!item.accepted}
+                onChange={(e) => updateItem(field, index, { mode: e.target.value })}
+              >
+                <option value="">Not specified</option>
+                <option value="online">Online</option>
+                <option value="offline">Offline</option>
+                <option value="both">Online and offline</option>
+              </select>
+            </label>
+          )}
+          {renderSource(extracted.source)}
+        </div>
+      </li>
+    );
+  };
+
+  const renderSavedItem = (field, item, index) => (
+    <li key={index}>
+      <div className="scheme-field-edit">
+        <div className="preserve-original-text notranslate">
+          {item.text}
+          {field === 'benefits' && item.amount != null && <strong> (₹{item.amount.toLocaleString('en-IN')})</strong>}
+          {field === 'deadlines' && item.date && <strong> ({new Date(item.date).toLocaleDateString()})</strong>}
+          {field === 'applicationMode' && item.mode && <strong> ({item.mode})</strong>}
+        </div>
+        {renderSource(item.source)}
+      </div>
+    </li>
+  );
+
+  const renderFields = (fields, renderItem) => Object.entries(FIELD_LABELS).map(([field, label]) => (
+    <div key={field} className="scheme-field-group">
+      <h4>{label}</h4>
+      {(fields[field] || []).length === 0 ? (
+        <p className="version-meta">Nothing found in the documents.</p>
+      ) : (
+        <ul className="scheme-field-list">
+          {fields[field].map((item, index) => renderItem(field, item, index))}
+        </ul>
+      )}
+    </div>
+  ));
+
+  const lastReview = data && data.extraction && !pending ? data.extraction : null;
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal-content document-history-modal">
+        <div className="modal-header">
+          <h2>Scheme Details</h2>
+          <button className="modal-close" onClick={onClose}>×</button>
+        </div>
+
+        <div className="document-history-body">
+          <p className="document-history-scheme preserve-original-text notranslate">{scheme.title}</p>
+
+          {loading ? (
+            <p className="document-history-empty">Loading extracted fields...</p>
+          ) : pending ? (
+            <>
+              <p className="version-meta">
+                Extracted {new Date(pending.createdAt).toLocaleString()} by {pending.model || pending.provider} from {pending.chunksUsed} document chunks
+                {pending.droppedItems > 0 && ` (${pending.droppedItems} items without a source were left out)`}.
+                Check each item against its source, correct it if needed and untick what should not be saved.
+              </p>
+
+              {renderFields(selection, renderReviewItem)}
+
+              <textarea
+                className="scheme-field-comment"
+                rows={2}
+                maxLength={500}
+                placeholder="Review comment (optional)"
+                value={comment}
+                onChange={(e) => setComment(e.target.value)}
+              />
+              <div className="version-actions">
+                <button className="btn-primary" disabled={busy} onClick={handleAccept}>Save accepted fields</button>
+                <button className="btn-secondary" disabled={busy} onClick={handleReject}>Reject</button>
+                <button className="btn-secondary" disabled={busy} onClick={handleExtract}>Extract again</button>
+              </div>
+            </>
+          ) : (
+            <>
+              {data && data.details ? (
+                <>
+                  <p className="version-meta">
+                    Reviewed {data.details.reviewedAt ? new Date(data.details.reviewedAt).toLocaleString() : ''}
+                  </p>
+                  {renderFields(data.details, renderSavedItem)}
+                </>
+              ) : (
+                <p className="document-history-empty">
+                  No reviewed details yet. Fields are extracted automatically after the scheme's PDFs are processed.
+                </p>
+              )}
+              {lastReview && (
+                <p className="version-meta">
+                  Last extraction {lastReview.status}
+                  {lastReview.reviewedBy && ` by ${lastReview.reviewedBy.name}`}
+                  {lastReview.reviewComment && `: ${lastReview.reviewComment}`}
+                </p>
+              )}
+              <div className="version-actions">
+                <button className="btn-primary" disabled={busy} onClick={handleExtract}>
+                  {busy ? 'Extracting...' : 'Extract fields from documents'}
+                </button>
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SchemeFieldsModal;
@@ -23,6 +23,40 @@ const UserIcon = () => (
   </svg>
 );
 
+// Convert the answer text to HTML; [n] markers with a known citation become clickable
+const formatMessageHtml = (message) => {
+  let html = message.content
+    .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')
+    .replace(/\n/g, '<br>')
+    .replace(/^- /gm, '<br/>- ')
+    .replace(/^<br\/>- /gm, '- ');
+
+  if (message.citations && message.citations.length > 0) {
+    const markers = new Set(message.citations.map(citation => String(citation.marker)));
+    html = html.replace(/\[(\d+)\]/g, (match, marker) => (
+      markers.has(marker)
+        ? `<sup class="citation-marker" data-citation="${marker}" title="View source ${marker}">[${marker}]</sup>`
+        : match
+    ));
+  }
+
+  return html;
+};
+
+// Page label for a citation: "p. 7" or "pp. 7–8"
+const describePages = ({ pageNumber, endPage }) => {
+  if (!pageNumber) return null;
+  return endPage && endPage > pageNumber ? `pp. ${pageNumber}–${endPage}` : `p. ${pageNumber}`;
+};
+
+// Short label for a citation: scheme, document, section and page
+const describeCitation = (citation) => [
+  citation.schemeTitle || 'Government Scheme',
+  citation.documentTitle,
+  citation.section,
+  describePages(citation)
+].filter(Boolean).join(' · ');
+
 const ChatMessages = ({ messages, isLoading, onScroll, messagesContainerRef }) => {
   const navigate = useNavigate();
 
@@ -32,29 +66,53 @@ const ChatMessages = ({ messages, isLoading, onScroll, messagesContainerRef }) =
     }
   };
 
+  // Open a scheme PDF, optionally at a specific page
+  const openSchemePdf = (metadata, pageNumber) => {
+    const pageFragment = pageNumber ? `#page=${pageNumber}` : '';
+
+    // Method 1: Try direct Cloudinary URL if available
+    if (metadata?.url) {
+      console.log('Opening PDF from direct URL:', metadata.url);
+      window.open(`${metadata.url}${pageFragment}`, '_blank');
+    } 
+    // Method 2: Fallback to server download endpoint if we have schemeId
+    else if (metadata?.schemeId) {
+      const baseUrl = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+      const pageQuery = pageNumber ? `?page=${pageNumber}` : '';
+      const downloadUrl = `${baseUrl}/schemes/${metadata.schemeId}/download-pdf${pageQuery}`;
+      console.log('Opening PDF from server endpoint:', downloadUrl);
+      window.open(downloadUrl, '_blank');
+    }
+    // Method 3: Show helpful message if no URL available
+    else {
+      console.warn('No PDF URL or scheme ID available:', metadata);
+      alert('PDF file not available for this source.');
+    }
+  };
+
   const handleSourceClick = (source) => {
     console.log('Source clicked:', source);
     
     if (source.type === 'pdf_chunk') {
-      // Method 1: Try direct Cloudinary URL if available
-      if (source.metadata?.url) {
-        console.log('Opening PDF from direct URL:', source.metadata.url);
-        window.open(source.metadata.url, '_blank');
-      } 
-      // Method 2: Fallback to server download endpoint if we have schemeId
-      else if (source.metadata?.schemeId) {
-        const baseUrl = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
-        const downloadUrl = `${baseUrl}/schemes/${source.metadata.schemeId}/download-pdf`;
-        console.log('Opening PDF from server endpoint:', downloadUrl);
-        window.open(downloadUrl, '_blank');
-      }
-      // Method 3: Show helpful message if no URL available
-      else {
-        console.warn('No PDF URL or scheme ID available for source:', source);
-        alert('PDF file not available for this source.');
-      }
+      openSchemePdf(source.metadata, source.metadata?.pageNumber);
     }
   };
+
+  const handleCitationClick = (citation) => {
+    if (citation) {
+      openSchemePdf(citation, citation.pageNumber);
+    }
+  };
+
+  // Citation markers are rendered inside the HTML string, so clicks are delegated
+  const handleMessageTextClick = (event, message) => {
+    const markerElement = event.target.closest('[data-citation]');
+    if (!markerElement || !message.citations) return;
+
+    const marker = parseInt(markerElement.dataset.citation, 10);
+    handleCitationClick(message.citations.find(citation => citation.marker === marker));
+  };
+
   return (
     <div 
       className="messages-container" 
@@ -67,13 +125,28 @@ const ChatMessages = ({ messages, isLoading, onScroll, messagesContainerRef }) =
             {message.type === 'bot' ? <BotIcon /> : <UserIcon />}
           </div>
           <div className="message-content">
-            <div className="message-text" dangerouslySetInnerHTML={{ 
-              __html: message.content
-                .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')
-                .replace(/\n/g, '<br>')
-                .replace(/^- /gm, '<br/>- ')
-                .replace(/^<br\/>- /gm, '- ')
-            }}></div>
+            <div
+              className={`message-text${message.streaming ? ' streaming' : ''}`}
+              onClick={(event) => handleMessageTextClick(event, message)}
+              dangerouslySetInnerHTML={{ __html: formatMessageHtml(message) }}
+            ></div>
+            {message.citations && message.citations.length > 0 && (
+              <div className="message-citations">
+                <p>Citations:</p>
+                {message.citations.map((citation) => (
+                  <button
+                    key={citation.marker}
+                    type="button"
+                    className="citation-item"
+                    onClick={() => handleCitationClick(citation)}
+                    title={citation.snippet}
+                  >
+                    <span className="citation-number">[{citation.marker}]</span>
+                    <span className="citation-info">{describeCitation(citation)}</span>
+                  </button>
+                ))}
+              </div>
+            )}
             {message.references && message.references.length > 0 && (
               <div className="message-references">
                 <p>References:</p>
@@ -96,7 +169,9 @@ const ChatMessages = ({ messages, isLoading, onScroll, messagesContainerRef }) =
                   >
                     <span className="source-type">{source.type === 'pdf_chunk' ? '📄' : '📋'}</span>
                     <span className="source-info">
-                      {source.metadata?.schemeTitle || 'Government Scheme'} 
+                      {source.metadata?.schemeTitle || 'Government Scheme'}
+                      {source.metadata?.documentTitle && ` · ${source.metadata.documentTitle}`}
+                      {source.metadata?.pageNumber && ` · ${describePages(source.metadata)} `}
                       {source.relevanceScore && (
                         <span className="relevance-score">
                           ({Math.round(source.relevanceScore * 100)}% relevant)
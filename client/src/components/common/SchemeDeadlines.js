@@ -0,0 +1,75 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { formatDate } from '../../utils/helpers';
+import './SchemeDeadlines.css';
+
+// Whole days from today until a date (0 on the day itself)
+const daysUntil = (date) => {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return Math.round((day - today) / 86400000);
+};
+
+const describeDays = (days) => {
+  if (days <= 0) return 'today';
+  if (days === 1) return 'tomorrow';
+  return `in ${days} days`;
+};
+
+const DeadlineList = ({ title, schemes, emptyText, getDate, verb }) => (
+  <div className="deadline-column">
+    <h3>{title}</h3>
+    {schemes.length === 0 ? (
+      <p className="deadline-empty">{emptyText}</p>
+    ) : (
+      <ul className="deadline-list">
+        {schemes.map(scheme => {
+          const date = getDate(scheme);
+          return (
+            <li key={scheme._id}>
+              <Link to={`/scheme/${scheme._id}`} className="deadline-title preserve-original-text notranslate">
+                {scheme.title}
+              </Link>
+              <div className="deadline-meta">
+                <span className="deadline-category">{scheme.category}</span>
+                <span className="deadline-date">
+                  {verb} {formatDate(date)} ({describeDays(daysUntil(date))})
+                </span>
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+    )}
+  </div>
+);
+
+// Published schemes whose applications open later or close soon
+const SchemeDeadlines = ({ upcoming, closingSoon, days }) => {
+  if (upcoming.length === 0 && closingSoon.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="scheme-deadlines">
+      <DeadlineList
+        title="Closing Soon"
+        schemes={closingSoon}
+        emptyText={`No applications close in the next ${days} days.`}
+        getDate={scheme => scheme.applicationWindow.closesAt}
+        verb="Closes"
+      />
+      <DeadlineList
+        title="Upcoming"
+        schemes={upcoming}
+        emptyText="No schemes are about to open for applications."
+        getDate={scheme => scheme.applicationWindow.opensAt}
+        verb="Opens"
+      />
+    </div>
+  );
+};
+
+export default SchemeDeadlines;
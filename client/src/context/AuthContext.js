@@ -233,9 +233,14 @@ export const AuthProvider = ({ children }) => {
     return state.user?.role === role;
   };
 
-  // Check if user is admin or super admin
+  // Check if user can use the admin dashboard (admin, reviewer or super admin)
   const isAdmin = () => {
-    return state.user?.role === 'admin' || state.user?.role === 'super_admin';
+    return ['admin', 'reviewer', 'super_admin'].includes(state.user?.role);
+  };
+
+  // Check if user can approve schemes for publishing
+  const isReviewer = () => {
+    return state.user?.role === 'reviewer' || state.user?.role === 'super_admin';
   };
 
   // Check if user is super admin
@@ -253,6 +258,7 @@ export const AuthProvider = ({ children }) => {
     clearError,
     hasRole,
     isAdmin,
+    isReviewer,
     isSuperAdmin,
   };
 
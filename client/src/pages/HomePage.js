@@ -3,6 +3,7 @@ import { apiService } from '../services/api';
 import SearchBox from '../components/common/SearchBox';
 import CategoryFilter from '../components/common/CategoryFilter';
 import SchemesGrid from '../components/common/SchemesGrid';
+import SchemeDeadlines from '../components/common/SchemeDeadlines';
 import './HomePage.css';
 
 const HomePage = () => {
@@ -13,6 +14,7 @@ const HomePage = () => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [searchSuggestions, setSearchSuggestions] = useState([]);
+  const [deadlines, setDeadlines] = useState({ upcoming: [], closingSoon: [], days: 14 });
 
   const categories = [
     { id: 'all', name: 'All Schemes' },
@@ -41,6 +43,20 @@ const HomePage = () => {
     }
   };
 
+  // Application windows opening later or closing soon; the section is left out if this fails
+  const fetchDeadlines = async () => {
+    try {
+      const response = await apiService.schemes.getDeadlines();
+      setDeadlines({
+        upcoming: response.data.upcoming || [],
+        closingSoon: response.data.closingSoon || [],
+        days: response.data.days
+      });
+    } catch (err) {
+      console.error('Error fetching scheme deadlines:', err);
+    }
+  };
+
   const filterSchemes = useCallback(() => {
     let filtered = schemes;
 
@@ -65,6 +81,7 @@ const HomePage = () => {
 
   useEffect(() => {
     fetchSchemes();
+    fetchDeadlines();
   }, []);
 
   useEffect(() => {
@@ -161,6 +178,20 @@ const HomePage = () => {
         </div>
       </section>
 
+      {/* Upcoming and Closing Soon */}
+      {(deadlines.upcoming.length > 0 || deadlines.closingSoon.length > 0) && (
+        <section className="deadlines-section">
+          <div className="container">
+            <h2 className="section-title">Upcoming &amp; Closing Soon</h2>
+            <SchemeDeadlines
+              upcoming={deadlines.upcoming}
+              closingSoon={deadlines.closingSoon}
+              days={deadlines.days}
+            />
+          </div>
+        </section>
+      )}
+
       {/* Schemes Grid */}
       <section className="schemes-section">
         <div className="container">
@@ -1,5 +1,6 @@
-import React from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
+import { apiService } from '../../services/api';
 import AIServiceCard from '../../components/admin/AIServiceCard';
 import './AIServices.css';
 
@@ -55,8 +56,33 @@ const BackIcon = () => (
   </svg>
 );
 
+const formatOperation = (operation) => operation.replace(/_/g, ' ');
+
 const AIServices = () => {
   const navigate = useNavigate();
+  const [providerStatus, setProviderStatus] = useState(null);
+  const [providerError, setProviderError] = useState('');
+
+  // Which provider (Gemini, Azure OpenAI, local) served each recent AI request
+  const fetchProviderStatus = useCallback(async () => {
+    try {
+      const response = await apiService.analytics.getAIProviders({ limit: 25 });
+      setProviderStatus(response.data.data);
+      setProviderError('');
+    } catch (error) {
+      console.error('Error fetching AI provider status:', error);
+      setProviderError('Could not load AI provider activity');
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchProviderStatus();
+  }, [fetchProviderStatus]);
+
+  const providerLabels = (providerStatus?.providers || []).reduce((labels, provider) => {
+    labels[provider.name] = provider.label;
+    return labels;
+  }, {});
 
   const aiServices = [
     {
@@ -151,6 +177,80 @@ const AIServices = () => {
           ))}
         </div>
 
+        {/* Provider Activity */}
+        <div className="provider-activity">
+          <div className="provider-activity-header">
+            <h3 className="overview-title">Provider Activity</h3>
+            <button className="provider-refresh-button" onClick={fetchProviderStatus}>
+              Refresh
+            </button>
+          </div>
+
+          {providerError && <p className="provider-error">{providerError}</p>}
+
+          {providerStatus && (
+            <>
+              <div className="provider-order">
+                <p>
+                  <strong>Answer failover order:</strong>{' '}
+                  {providerStatus.chatOrder.map(name => providerLabels[name] || name).join(' → ')}
+                </p>
+                <p>
+                  <strong>Embedding failover order:</strong>{' '}
+                  {providerStatus.embeddingOrder.map(name => providerLabels[name] || name).join(' → ')}
+                </p>
+              </div>
+
+              <div className="provider-summary">
+                {providerStatus.providers.map(provider => (
+                  <div key={provider.name} className="provider-summary-item">
+                    <h4>{provider.label}</h4>
+                    <p>Chat: {provider.chat ? provider.chatModel : 'not configured'}</p>
+                    <p>Embeddings: {provider.embedding ? provider.embeddingModel : 'not configured'}</p>
+                    <p>
+                      Served {provider.recent.served} · Failed {provider.recent.failures}
+                      {provider.recent.averageLatencyMs !== null && ` · ${provider.recent.averageLatencyMs}ms avg`}
+                    </p>
+                  </div>
+                ))}
+              </div>
+
+              {providerStatus.recentRequests.length === 0 ? (
+                <p className="provider-empty">No AI requests since the server started.</p>
+              ) : (
+                <div className="provider-table-wrapper">
+                  <table className="provider-table">
+                    <thead>
+                      <tr>
+                        <th>Time</th>
+                        <th>Request</th>
+                        <th>Provider</th>
+                        <th>Model</th>
+                        <th>Latency</th>
+                        <th>Failovers</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {providerStatus.recentRequests.map(request => (
+                        <tr key={request.id} className={request.success ? '' : 'failed'}>
+                          <td>{new Date(request.timestamp).toLocaleTimeString()}</td>
+                          <td>{formatOperation(request.operation)}</td>
+                          <td>{request.success ? providerLabels[request.provider] || request.provider : 'All providers failed'}</td>
+                          <td>{request.model || '—'}</td>
+                          <td>{request.success ? `${request.latencyMs}ms` : '—'}</td>
+                          <td title={request.attempts.map(attempt => `${attempt.provider}: ${attempt.error}`).join('\n')}>
+                            {request.failovers}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+
         {/* Technology Overview */}
         <div className="technology-overview">
           <h3 className="overview-title">Technology Stack Overview</h3>
@@ -3,6 +3,10 @@ import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../../context/AuthContext';
 import { apiService } from '../../services/api';
 import SearchBox from '../../components/common/SearchBox';
+import DocumentHistoryModal from '../../components/admin/DocumentHistoryModal';
+import DuplicateUploadModal from '../../components/admin/DuplicateUploadModal';
+import SchemeFieldsModal from '../../components/admin/SchemeFieldsModal';
+import { TARGET_AUDIENCE_NAMES, BENEFIT_TYPE_NAMES } from '../../utils/helpers';
 import './AdminDashboard.css';
 
 // Simple icons with proper sizing
@@ -36,6 +40,30 @@ const RestoreIcon = () => (
   </svg>
 );
 
+const HistoryIcon = () => (
+  <svg style={{ width: '16px', height: '16px' }} fill="none" stroke="currentColor" viewBox="0 0 24 24">
+    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+  </svg>
+);
+
+const DetailsIcon = () => (
+  <svg style={{ width: '16px', height: '16px' }} fill="none" stroke="currentColor" viewBox="0 0 24 24">
+    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2m-6 9l2 2 4-4" />
+  </svg>
+);
+
+const SubmitIcon = () => (
+  <svg style={{ width: '16px', height: '16px' }} fill="none" stroke="currentColor" viewBox="0 0 24 24">
+    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 19l9 2-9-18-9 18 9-2zm0 0v-8" />
+  </svg>
+);
+
+const ArchiveIcon = () => (
+  <svg style={{ width: '16px', height: '16px' }} fill="none" stroke="currentColor" viewBox="0 0 24 24">
+    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 8h14M5 8a2 2 0 110-4h14a2 2 0 110 4M5 8v10a2 2 0 002 2h10a2 2 0 002-2V8m-9 4h4" />
+  </svg>
+);
+
 const UserIcon = () => (
   <svg style={{ width: '20px', height: '20px' }} fill="none" stroke="currentColor" viewBox="0 0 24 24">
     <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M16 7a4 4 0 11-8 0 4 4 0 018 0zM12 14a7 7 0 00-7 7h14a7 7 0 00-7-7z" />
@@ -54,8 +82,59 @@ const AIIcon = () => (
   </svg>
 );
 
+const EMPTY_SCHEME_FORM = {
+  title: '',
+  description: '',
+  category: '',
+  chunkingStrategy: 'fixed',
+  implementingDepartment: '',
+  // States and districts are edited as comma-separated text
+  states: '',
+  districts: '',
+  targetAudience: [],
+  minAge: '',
+  maxAge: '',
+  minIncome: '',
+  maxIncome: '',
+  benefitType: '',
+  benefitAmount: '',
+  applicationUrl: '',
+  applicationOpensAt: '',
+  applicationClosesAt: '',
+  helpline: '',
+  sourceLinks: [],
+  publishAt: '',
+  expireAt: '',
+  pdfFile: null
+};
+
+// Structured form fields sent as plain values (an empty value clears the field when editing)
+const SCHEME_DETAIL_FIELDS = [
+  'implementingDepartment', 'states', 'districts', 'minAge', 'maxAge', 'minIncome', 'maxIncome',
+  'benefitType', 'benefitAmount', 'applicationUrl', 'applicationOpensAt', 'applicationClosesAt', 'helpline'
+];
+
+const toDateInput = (date) => (date ? date.substring(0, 10) : '');
+
+// datetime-local inputs work in local time; the server gets ISO timestamps
+const toDateTimeInput = (date) => {
+  if (!date) return '';
+  const value = new Date(date);
+  return new Date(value.getTime() - value.getTimezoneOffset() * 60000).toISOString().substring(0, 16);
+};
+const toTimestamp = (value) => (value ? new Date(value).toISOString() : '');
+
+// Publishing workflow states (only published schemes are shown to citizens)
+const STATUS_NAMES = {
+  draft: 'Draft',
+  in_review: 'In review',
+  scheduled: 'Scheduled',
+  published: 'Published',
+  archived: 'Archived'
+};
+
 const AdminDashboard = () => {
-  const { isSuperAdmin } = useAuth();
+  const { isSuperAdmin, isReviewer } = useAuth();
   const navigate = useNavigate();
   const [schemes, setSchemes] = useState([]);
   const [filteredSchemes, setFilteredSchemes] = useState([]);
@@ -64,16 +143,17 @@ const AdminDashboard = () => {
   const [loading, setLoading] = useState(true);
   const [searchTerm, setSearchTerm] = useState('');
   const [selectedCategory, setSelectedCategory] = useState('');
+  const [selectedStatus, setSelectedStatus] = useState('');
   const [showDeleted, setShowDeleted] = useState(false);
   const [searchSuggestions, setSearchSuggestions] = useState([]);
+  const [historyScheme, setHistoryScheme] = useState(null);
+  const [fieldsScheme, setFieldsScheme] = useState(null);
+  const [duplicateWarning, setDuplicateWarning] = useState(null);
+  const [reviewQueue, setReviewQueue] = useState({ schemes: [], counts: {} });
+  const [reviewComments, setReviewComments] = useState({});
 
   // Scheme form state
-  const [schemeForm, setSchemeForm] = useState({
-    title: '',
-    description: '',
-    category: '',
-    pdfFile: null
-  });
+  const [schemeForm, setSchemeForm] = useState(EMPTY_SCHEME_FORM);
 
   const categories = [
     'Education', 'Healthcare', 'Agriculture', 'Employment', 
@@ -92,6 +172,15 @@ const AdminDashboard = () => {
     }
   };
 
+  const fetchReviewQueue = async () => {
+    try {
+      const response = await apiService.schemes.getReviewQueue();
+      setReviewQueue({ schemes: response.data.schemes || [], counts: response.data.counts || {} });
+    } catch (error) {
+      console.error('Error fetching review queue:', error);
+    }
+  };
+
   const filterSchemes = useCallback(() => {
     let filtered = schemes;
 
@@ -116,11 +205,17 @@ const AdminDashboard = () => {
       );
     }
 
+    // Filter by publishing status
+    if (selectedStatus) {
+      filtered = filtered.filter(scheme => scheme.status === selectedStatus);
+    }
+
     setFilteredSchemes(filtered);
-  }, [schemes, searchTerm, selectedCategory, showDeleted]);
+  }, [schemes, searchTerm, selectedCategory, selectedStatus, showDeleted]);
 
   useEffect(() => {
     fetchSchemes();
+    fetchReviewQueue();
   }, []);
 
   useEffect(() => {
@@ -128,16 +223,41 @@ const AdminDashboard = () => {
   }, [filterSchemes]);
 
 
-  const handleSchemeFormSubmit = async (e) => {
-    e.preventDefault();
+  // duplicateChoice answers a duplicate PDF warning: { action: 'link' | 'replace' | 'proceed', documentId }
+  const saveScheme = async (duplicateChoice = null) => {
     try {
       const formData = new FormData();
       formData.append('title', schemeForm.title);
       formData.append('description', schemeForm.description);
       formData.append('category', schemeForm.category);
+      formData.append('chunkingStrategy', schemeForm.chunkingStrategy);
+      SCHEME_DETAIL_FIELDS.forEach(field => formData.append(field, schemeForm[field]));
+      formData.append('publishAt', toTimestamp(schemeForm.publishAt));
+      formData.append('expireAt', toTimestamp(schemeForm.expireAt));
+      // Lists use "field[]" entries; an empty value clears the list
+      if (schemeForm.targetAudience.length > 0) {
+        schemeForm.targetAudience.forEach(audience => formData.append('targetAudience[]', audience));
+      } else {
+        formData.append('targetAudience', '');
+      }
+      const sourceLinks = schemeForm.sourceLinks.filter(link => link.url.trim());
+      if (sourceLinks.length > 0) {
+        sourceLinks.forEach((link, index) => {
+          formData.append(`sourceLinks[${index}][title]`, link.title);
+          formData.append(`sourceLinks[${index}][url]`, link.url);
+        });
+      } else {
+        formData.append('sourceLinks', '');
+      }
       if (schemeForm.pdfFile) {
         formData.append('pdfFile', schemeForm.pdfFile);
       }
+      if (duplicateChoice) {
+        formData.append('duplicateAction', duplicateChoice.action);
+        if (duplicateChoice.documentId) {
+          formData.append('duplicateOf', duplicateChoice.documentId);
+        }
+      }
 
       if (editingScheme) {
         const response = await apiService.schemes.update(editingScheme._id, formData);
@@ -151,34 +271,72 @@ const AdminDashboard = () => {
               : scheme
           )
         );
+        // Editing a published scheme sends it back to review
+        fetchReviewQueue();
         
-        alert('Scheme updated successfully!');
+        alert(response.data.message);
       } else {
         const response = await apiService.schemes.create(formData);
         console.log('Create response:', response);
         
         // Add the new scheme to the local state immediately
         setSchemes(prevSchemes => [response.data.scheme, ...prevSchemes]);
+        fetchReviewQueue();
         
-        alert('Scheme created successfully!');
+        alert(response.data.message);
       }
 
       resetForm();
     } catch (error) {
+      // The PDF matches an existing document: ask whether to link, replace or proceed
+      if (error.response?.status === 409 && error.response.data?.code === 'DUPLICATE_DOCUMENT') {
+        setDuplicateWarning(error.response.data);
+        return;
+      }
+
       console.error('Error saving scheme:', error);
       console.error('Error response:', error.response?.data);
+      const validationErrors = (error.response?.data?.errors || []).map(err => err.message || err);
       const errorMessage = error.response?.data?.message || 'Error saving scheme. Please try again.';
-      alert(errorMessage);
+      alert(validationErrors.length > 0 ? `${errorMessage}:\n${validationErrors.join('\n')}` : errorMessage);
     }
   };
 
+  const handleSchemeFormSubmit = (e) => {
+    e.preventDefault();
+    saveScheme();
+  };
+
+  const handleDuplicateChoice = (action, documentId) => {
+    setDuplicateWarning(null);
+    saveScheme({ action, documentId });
+  };
+
   const handleEdit = (scheme) => {
     setEditingScheme(scheme);
     setSchemeForm({
+      ...EMPTY_SCHEME_FORM,
       title: scheme.title,
       description: scheme.description,
       category: scheme.category,
-      pdfFile: null
+      chunkingStrategy: scheme.chunkingStrategy || 'fixed',
+      implementingDepartment: scheme.implementingDepartment || '',
+      states: (scheme.states || []).join(', '),
+      districts: (scheme.districts || []).join(', '),
+      targetAudience: scheme.targetAudience || [],
+      minAge: scheme.minAge ?? '',
+      maxAge: scheme.maxAge ?? '',
+      minIncome: scheme.minIncome ?? '',
+      maxIncome: scheme.maxIncome ?? '',
+      benefitType: scheme.benefitType || '',
+      benefitAmount: scheme.benefitAmount ?? '',
+      applicationUrl: scheme.applicationUrl || '',
+      applicationOpensAt: toDateInput(scheme.applicationOpensAt),
+      applicationClosesAt: toDateInput(scheme.applicationClosesAt),
+      helpline: scheme.helpline || '',
+      sourceLinks: (scheme.sourceLinks || []).map(link => ({ title: link.title || '', url: link.url })),
+      publishAt: toDateTimeInput(scheme.publishAt),
+      expireAt: toDateTimeInput(scheme.expireAt)
     });
     setShowSchemeForm(true);
   };
@@ -252,13 +410,45 @@ const AdminDashboard = () => {
     }
   };
 
+  // action is submitForReview, approve, reject, archive or reopen (see apiService.schemes)
+  const handleStatusChange = async (scheme, action, data) => {
+    try {
+      const response = await apiService.schemes[action](scheme._id, data);
+
+      setSchemes(prevSchemes =>
+        prevSchemes.map(item =>
+          item._id === scheme._id
+            ? { ...item, ...response.data.scheme }
+            : item
+        )
+      );
+      setReviewComments(prev => ({ ...prev, [scheme._id]: '' }));
+      fetchReviewQueue();
+
+      alert(response.data.message);
+    } catch (error) {
+      console.error(`Error (${action}) changing scheme status:`, error);
+      alert(error.response?.data?.message || 'Error updating scheme status. Please try again.');
+    }
+  };
+
+  const handleArchive = (scheme) => {
+    if (window.confirm('Archive this scheme? It will no longer be shown to citizens or used in chat.')) {
+      handleStatusChange(scheme, 'archive');
+    }
+  };
+
+  const handleReject = (scheme) => {
+    const comment = (reviewComments[scheme._id] || '').trim();
+    if (!comment) {
+      alert('Please add a comment explaining what needs to change.');
+      return;
+    }
+    handleStatusChange(scheme, 'reject', { comment });
+  };
+
   const resetForm = () => {
-    setSchemeForm({
-      title: '',
-      description: '',
-      category: '',
-      pdfFile: null
-    });
+    setSchemeForm(EMPTY_SCHEME_FORM);
     setEditingScheme(null);
     setShowSchemeForm(false);
   };
@@ -271,6 +461,30 @@ const AdminDashboard = () => {
     }));
   };
 
+  const handleAudienceToggle = (audience) => {
+    setSchemeForm(prev => ({
+      ...prev,
+      targetAudience: prev.targetAudience.includes(audience)
+        ? prev.targetAudience.filter(item => item !== audience)
+        : [...prev.targetAudience, audience]
+    }));
+  };
+
+  const handleSourceLinkChange = (index, field, value) => {
+    setSchemeForm(prev => ({
+      ...prev,
+      sourceLinks: prev.sourceLinks.map((link, i) => (i === index ? { ...link, [field]: value } : link))
+    }));
+  };
+
+  const addSourceLink = () => {
+    setSchemeForm(prev => ({ ...prev, sourceLinks: [...prev.sourceLinks, { title: '', url: '' }] }));
+  };
+
+  const removeSourceLink = (index) => {
+    setSchemeForm(prev => ({ ...prev, sourceLinks: prev.sourceLinks.filter((link, i) => i !== index) }));
+  };
+
   const handleSearchChange = (e) => {
     const value = e.target.value;
     setSearchTerm(value);
@@ -303,6 +517,18 @@ const AdminDashboard = () => {
     setSelectedCategory(e.target.value);
   };
 
+  const renderStatusBadge = (scheme) => (
+    <>
+      <span className={`status-badge ${scheme.status}`}>{STATUS_NAMES[scheme.status] || scheme.status}</span>
+      {scheme.status === 'scheduled' && scheme.publishAt && (
+        <div className="status-schedule">Publishes {new Date(scheme.publishAt).toLocaleString()}</div>
+      )}
+      {['scheduled', 'published'].includes(scheme.status) && scheme.expireAt && (
+        <div className="status-schedule">Expires {new Date(scheme.expireAt).toLocaleString()}</div>
+      )}
+    </>
+  );
+
   return (
     <div className="admin-dashboard">
       <div className="container">
@@ -370,6 +596,16 @@ const AdminDashboard = () => {
               <option key={category} value={category}>{category}</option>
             ))}
           </select>
+          <select
+            className="category-filter"
+            value={selectedStatus}
+            onChange={(e) => setSelectedStatus(e.target.value)}
+          >
+            <option value="">All Statuses</option>
+            {Object.entries(STATUS_NAMES).map(([status, name]) => (
+              <option key={status} value={status}>{name}</option>
+            ))}
+          </select>
           <label className="show-deleted-toggle">
             <input
               type="checkbox"
@@ -380,6 +616,64 @@ const AdminDashboard = () => {
           </label>
         </div>
 
+        {/* Review Queue */}
+        <div className="schemes-table-container review-queue">
+          <div className="table-header">
+            <h2>Review Queue</h2>
+            <p>
+              {Object.entries(STATUS_NAMES)
+                .map(([status, name]) => `${name}: ${reviewQueue.counts[status] || 0}`)
+                .join(' · ')}
+            </p>
+          </div>
+
+          {reviewQueue.schemes.length === 0 ? (
+            <p className="review-queue-empty">No schemes are waiting for review.</p>
+          ) : (
+            <ul className="review-queue-list">
+              {reviewQueue.schemes.map(scheme => (
+                <li key={scheme._id}>
+                  <div className="scheme-title">
+                    <h4 className="preserve-original-text notranslate">{scheme.title}</h4>
+                    <p>
+                      {scheme.category} · submitted
+                      {scheme.submittedBy && ` by ${scheme.submittedBy.name}`}
+                      {scheme.submittedAt && ` on ${new Date(scheme.submittedAt).toLocaleDateString()}`}
+                    </p>
+                    <button className="review-queue-open" onClick={() => handleEdit(scheme)}>
+                      Open scheme
+                    </button>
+                  </div>
+                  {isReviewer() ? (
+                    <div className="review-queue-actions">
+                      <textarea
+                        rows={2}
+                        maxLength={500}
+                        placeholder="Comment (required to reject)"
+                        value={reviewComments[scheme._id] || ''}
+                        onChange={(e) => setReviewComments(prev => ({ ...prev, [scheme._id]: e.target.value }))}
+                      />
+                      <div className="review-queue-buttons">
+                        <button
+                          className="btn-primary"
+                          onClick={() => handleStatusChange(scheme, 'approve', { comment: reviewComments[scheme._id] || '' })}
+                        >
+                          Approve &amp; publish
+                        </button>
+                        <button className="btn-secondary" onClick={() => handleReject(scheme)}>
+                          Reject
+                        </button>
+                      </div>
+                    </div>
+                  ) : (
+                    <span className="review-queue-waiting">Waiting for a reviewer</span>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
         {/* Schemes Table */}
         <div className="schemes-table-container">
           <div className="table-header">
@@ -396,6 +690,7 @@ const AdminDashboard = () => {
                   <tr>
                     <th>Title</th>
                     <th>Category</th>
+                    <th>Status</th>
                     <th>Created</th>
                     <th>Actions</th>
                   </tr>
@@ -410,11 +705,17 @@ const AdminDashboard = () => {
                             {!scheme.isActive && <span className="inactive-badge"> (Deleted)</span>}
                           </h4>
                           <p className="preserve-original-text notranslate">{scheme.description.substring(0, 60)}...</p>
+                          {scheme.status === 'draft' && scheme.reviewComment && (
+                            <p className="review-comment">Changes requested: {scheme.reviewComment}</p>
+                          )}
                         </div>
                       </td>
                       <td>
                         <span className="category-badge">{scheme.category}</span>
                       </td>
+                      <td>
+                        {renderStatusBadge(scheme)}
+                      </td>
                       <td>
                         {new Date(scheme.createdAt).toLocaleDateString()}
                       </td>
@@ -430,6 +731,46 @@ const AdminDashboard = () => {
                               >
                                 <EditIcon />
                               </button>
+                              <button 
+                                className="btn-history"
+                                onClick={() => setHistoryScheme(scheme)}
+                                title="Document versions (compare and restore)"
+                              >
+                                <HistoryIcon />
+                              </button>
+                              <button 
+                                className="btn-details"
+                                onClick={() => setFieldsScheme(scheme)}
+                                title="Review details extracted from the PDFs"
+                              >
+                                <DetailsIcon />
+                              </button>
+                              {scheme.status === 'draft' && (
+                                <button 
+                                  className="btn-workflow"
+                                  onClick={() => handleStatusChange(scheme, 'submitForReview')}
+                                  title="Submit for review"
+                                >
+                                  <SubmitIcon />
+                                </button>
+                              )}
+                              {scheme.status === 'archived' ? (
+                                <button 
+                                  className="btn-workflow"
+                                  onClick={() => handleStatusChange(scheme, 'reopen')}
+                                  title="Reopen as a draft"
+                                >
+                                  <RestoreIcon />
+                                </button>
+                              ) : (
+                                <button 
+                                  className="btn-workflow"
+                                  onClick={() => handleArchive(scheme)}
+                                  title="Archive scheme (hide from citizens)"
+                                >
+                                  <ArchiveIcon />
+                                </button>
+                              )}
                               <button 
                                 className="btn-delete"
                                 onClick={() => handleDelete(scheme._id)}
@@ -524,6 +865,183 @@ const AdminDashboard = () => {
                   />
                 </div>
 
+                <fieldset className="scheme-form-section">
+                  <legend>Scheme Details</legend>
+
+                  <div className="form-row">
+                    <div className="form-group">
+                      <label>Implementing Department</label>
+                      <input
+                        type="text"
+                        name="implementingDepartment"
+                        value={schemeForm.implementingDepartment}
+                        onChange={handleInputChange}
+                        maxLength={200}
+                        placeholder="e.g. Agriculture Department"
+                      />
+                    </div>
+                    <div className="form-group">
+                      <label>Helpline</label>
+                      <input
+                        type="text"
+                        name="helpline"
+                        value={schemeForm.helpline}
+                        onChange={handleInputChange}
+                        maxLength={200}
+                        placeholder="Phone numbers or email"
+                      />
+                    </div>
+                  </div>
+
+                  <div className="form-row">
+                    <div className="form-group">
+                      <label>States</label>
+                      <input
+                        type="text"
+                        name="states"
+                        value={schemeForm.states}
+                        onChange={handleInputChange}
+                        placeholder="Comma-separated, empty for all"
+                      />
+                    </div>
+                    <div className="form-group">
+                      <label>Districts</label>
+                      <input
+                        type="text"
+                        name="districts"
+                        value={schemeForm.districts}
+                        onChange={handleInputChange}
+                        placeholder="Comma-separated, empty for all"
+                      />
+                    </div>
+                  </div>
+
+                  <div className="form-group">
+                    <label>Target Audience</label>
+                    <div className="audience-options">
+                      {Object.entries(TARGET_AUDIENCE_NAMES).map(([audience, name]) => (
+                        <label key={audience} className="audience-option">
+                          <input
+                            type="checkbox"
+                            checked={schemeForm.targetAudience.includes(audience)}
+                            onChange={() => handleAudienceToggle(audience)}
+                          />
+                          {name}
+                        </label>
+                      ))}
+                    </div>
+                  </div>
+
+                  <div className="form-row">
+                    <div className="form-group">
+                      <label>Age Limits (years)</label>
+                      <div className="range-inputs">
+                        <input type="number" name="minAge" min="0" max="120" value={schemeForm.minAge} onChange={handleInputChange} placeholder="Min" />
+                        <input type="number" name="maxAge" min="0" max="120" value={schemeForm.maxAge} onChange={handleInputChange} placeholder="Max" />
+                      </div>
+                    </div>
+                    <div className="form-group">
+                      <label>Annual Family Income (₹)</label>
+                      <div className="range-inputs">
+                        <input type="number" name="minIncome" min="0" value={schemeForm.minIncome} onChange={handleInputChange} placeholder="Min" />
+                        <input type="number" name="maxIncome" min="0" value={schemeForm.maxIncome} onChange={handleInputChange} placeholder="Max" />
+                      </div>
+                    </div>
+                  </div>
+
+                  <div className="form-row">
+                    <div className="form-group">
+                      <label>Benefit Type</label>
+                      <select name="benefitType" value={schemeForm.benefitType} onChange={handleInputChange}>
+                        <option value="">Not specified</option>
+                        {Object.entries(BENEFIT_TYPE_NAMES).map(([benefitType, name]) => (
+                          <option key={benefitType} value={benefitType}>{name}</option>
+                        ))}
+                      </select>
+                    </div>
+                    <div className="form-group">
+                      <label>Benefit Amount (₹)</label>
+                      <input
+                        type="number"
+                        name="benefitAmount"
+                        min="0"
+                        value={schemeForm.benefitAmount}
+                        onChange={handleInputChange}
+                        placeholder="Per beneficiary"
+                      />
+                    </div>
+                  </div>
+
+                  <div className="form-group">
+                    <label>Application URL</label>
+                    <input
+                      type="url"
+                      name="applicationUrl"
+                      value={schemeForm.applicationUrl}
+                      onChange={handleInputChange}
+                      placeholder="https://"
+                    />
+                  </div>
+
+                  <div className="form-row">
+                    <div className="form-group">
+                      <label>Applications Open</label>
+                      <input type="date" name="applicationOpensAt" value={schemeForm.applicationOpensAt} onChange={handleInputChange} />
+                    </div>
+                    <div className="form-group">
+                      <label>Applications Close</label>
+                      <input type="date" name="applicationClosesAt" value={schemeForm.applicationClosesAt} onChange={handleInputChange} />
+                    </div>
+                  </div>
+
+                  <div className="form-group">
+                    <label>Official Source Links</label>
+                    {schemeForm.sourceLinks.map((link, index) => (
+                      <div key={index} className="source-link-row">
+                        <input
+                          type="text"
+                          value={link.title}
+                          onChange={(e) => handleSourceLinkChange(index, 'title', e.target.value)}
+                          maxLength={200}
+                          placeholder="Title (e.g. GR dated 12/03/2024)"
+                        />
+                        <input
+                          type="url"
+                          value={link.url}
+                          onChange={(e) => handleSourceLinkChange(index, 'url', e.target.value)}
+                          placeholder="https://"
+                        />
+                        <button type="button" className="btn-secondary" onClick={() => removeSourceLink(index)}>
+                          Remove
+                        </button>
+                      </div>
+                    ))}
+                    {schemeForm.sourceLinks.length < 10 && (
+                      <button type="button" className="btn-secondary" onClick={addSourceLink}>
+                        Add link
+                      </button>
+                    )}
+                  </div>
+                </fieldset>
+
+                <fieldset className="scheme-form-section">
+                  <legend>Publishing Schedule</legend>
+
+                  <div className="form-row">
+                    <div className="form-group">
+                      <label>Publish At</label>
+                      <input type="datetime-local" name="publishAt" value={schemeForm.publishAt} onChange={handleInputChange} />
+                    </div>
+                    <div className="form-group">
+                      <label>Expire At</label>
+                      <input type="datetime-local" name="expireAt" value={schemeForm.expireAt} onChange={handleInputChange} />
+                    </div>
+                  </div>
+                  <p className="file-help">
+                    Once approved, the scheme goes live at the publish time (immediately if empty) and is archived automatically at the expiry time.
+                  </p>
+                </fieldset>
+
                 <div className="form-group">
                   <label>PDF Document</label>
                   <input
@@ -536,6 +1054,21 @@ const AdminDashboard = () => {
                   <p className="file-help">Upload scheme PDF document (optional)</p>
                 </div>
 
+                <div className="form-group">
+                  <label>PDF Chunking</label>
+                  <select
+                    name="chunkingStrategy"
+                    value={schemeForm.chunkingStrategy}
+                    onChange={handleInputChange}
+                  >
+                    <option value="fixed">Fixed size (500 words)</option>
+                    <option value="structured">Structured (clauses and headings)</option>
+                  </select>
+                  <p className="file-help">
+                    Structured chunking keeps numbered clauses whole. Changing it re-processes the scheme's documents.
+                  </p>
+                </div>
+
                 <div className="form-actions">
                   <button type="button" className="btn-secondary" onClick={resetForm}>
                     Cancel
@@ -548,6 +1081,33 @@ const AdminDashboard = () => {
             </div>
           </div>
         )}
+
+        {/* Duplicate PDF Warning */}
+        {duplicateWarning && (
+          <DuplicateUploadModal
+            warning={duplicateWarning}
+            onChoose={handleDuplicateChoice}
+            onCancel={() => setDuplicateWarning(null)}
+          />
+        )}
+
+        {/* Document Version History Modal */}
+        {historyScheme && (
+          <DocumentHistoryModal scheme={historyScheme} onClose={() => setHistoryScheme(null)} />
+        )}
+
+        {/* Extracted Scheme Details Review Modal */}
+        {fieldsScheme && (
+          <SchemeFieldsModal
+            scheme={fieldsScheme}
+            onClose={() => {
+              setFieldsScheme(null);
+              // Saved fields send a published scheme back to review
+              fetchSchemes();
+              fetchReviewQueue();
+            }}
+          />
+        )}
       </div>
     </div>
   );
@@ -62,6 +62,12 @@ const UserIcon = () => (
   </svg>
 );
 
+const ROLE_NAMES = {
+  admin: 'Admin',
+  reviewer: 'Reviewer',
+  super_admin: 'Super Admin'
+};
+
 const UserManagement = () => {
   const { user, isSuperAdmin } = useAuth();
   const navigate = useNavigate();
@@ -264,6 +270,7 @@ const UserManagement = () => {
           >
             <option value="">All Roles</option>
             <option value="admin">Admin</option>
+            <option value="reviewer">Reviewer</option>
             <option value="super_admin">Super Admin</option>
           </select>
         </div>
@@ -309,7 +316,7 @@ const UserManagement = () => {
                       <td>{userItem.email}</td>
                       <td>
                         <span className={`role-badge ${userItem.role}`}>
-                          {userItem.role === 'super_admin' ? 'Super Admin' : 'Admin'}
+                          {ROLE_NAMES[userItem.role] || userItem.role}
                         </span>
                       </td>
                       <td>{userItem.department || '-'}</td>
@@ -442,10 +449,11 @@ const UserManagement = () => {
                     required
                   >
                     <option value="admin">Admin</option>
+                    <option value="reviewer">Reviewer</option>
                     <option value="super_admin">Super Admin</option>
                   </select>
                   <p className="form-help">
-                    Super Admin can create and manage other users. Regular Admin can only manage schemes.
+                    Super Admin can create and manage other users. Reviewers manage schemes and approve them for publishing. Regular Admin can only manage schemes and submit them for review.
                   </p>
                 </div>
 
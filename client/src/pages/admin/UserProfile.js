@@ -65,6 +65,8 @@ const UserProfile = () => {
     switch (role) {
       case 'super_admin':
         return 'Super Administrator';
+      case 'reviewer':
+        return 'Reviewer';
       case 'admin':
         return 'Administrator';
       default:
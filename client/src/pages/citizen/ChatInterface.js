@@ -8,6 +8,9 @@ import FAQSidebar from '../../components/chat/FAQSidebar';
 import Footer from '../../components/common/Footer';
 import './ChatInterface.css';
 
+// localStorage key for the anonymous chat session issued by the server
+const CHAT_SESSION_KEY = 'chatSessionId';
+
 const ChatInterface = () => {
   const { schemeId } = useParams();
   const [scheme, setScheme] = useState(null);
@@ -17,6 +20,8 @@ const ChatInterface = () => {
   const messagesEndRef = useRef(null);
   const messagesContainerRef = useRef(null);
   const [shouldAutoScroll, setShouldAutoScroll] = useState(true);
+  // Server-side conversation this page is continuing (a new one starts per chat page)
+  const [conversationId, setConversationId] = useState(null);
 
   // FAQs for scheme-specific chat
   const [faqs, setFaqs] = useState([]);
@@ -55,6 +60,7 @@ const ChatInterface = () => {
       timestamp: new Date()
     };
     setMessages([welcomeMessage]);
+    setConversationId(null);
   }, [schemeId]);
 
   useEffect(() => {
@@ -74,6 +80,15 @@ const ChatInterface = () => {
     }
   }, [messages.length, shouldAutoScroll]);
 
+  // Keep a streaming answer in view while it grows
+  const lastMessage = messages[messages.length - 1];
+  const streamingContent = lastMessage?.streaming ? lastMessage.content : null;
+  useEffect(() => {
+    if (streamingContent && shouldAutoScroll) {
+      scrollToBottom();
+    }
+  }, [streamingContent, shouldAutoScroll]);
+
   // Check if user has scrolled up manually
   const handleScroll = () => {
     const container = messagesContainerRef.current;
@@ -297,22 +312,63 @@ All information comes from official government sources and is regularly updated
       }
     }
 
+    // The answer is streamed into a placeholder message that is replaced by the final answer
+    const botMessageId = Date.now() + 1;
+    let streamStarted = false;
+
     try {
-      const response = await apiService.chat.askQuestion({
-        message: text,
-        schemeId: schemeId
-      });
+      const result = await apiService.chat.askQuestionStream(
+        {
+          message: text,
+          schemeId: schemeId,
+          sessionId: localStorage.getItem(CHAT_SESSION_KEY),
+          conversationId: conversationId
+        },
+        {
+          onToken: (token) => {
+            if (!streamStarted) {
+              streamStarted = true;
+              setIsLoading(false);
+              setMessages(prev => [...prev, {
+                id: botMessageId,
+                type: 'bot',
+                content: token,
+                timestamp: new Date(),
+                streaming: true
+              }]);
+              return;
+            }
+
+            setMessages(prev => prev.map(message =>
+              message.id === botMessageId
+                ? { ...message, content: message.content + token }
+                : message
+            ));
+          }
+        }
+      );
+
+      // Keep the anonymous session and thread so follow-up questions have context
+      if (result.sessionId) {
+        localStorage.setItem(CHAT_SESSION_KEY, result.sessionId);
+      }
+      if (result.conversationId) {
+        setConversationId(result.conversationId);
+      }
 
       const botMessage = {
-        id: Date.now() + 1,
+        id: botMessageId,
         type: 'bot',
-        content: response.data.response,
-        references: response.data.references || [],
-        sources: response.data.sources || [],
+        content: result.response,
+        references: result.references || [],
+        sources: result.sources || [],
+        citations: result.citations || [],
         timestamp: new Date()
       };
 
-      setMessages(prev => [...prev, botMessage]);
+      setMessages(prev => streamStarted
+        ? prev.map(message => (message.id === botMessageId ? botMessage : message))
+        : [...prev, botMessage]);
     } catch (error) {
       const errorMessage = {
         id: Date.now() + 1,
@@ -320,7 +376,7 @@ All information comes from official government sources and is regularly updated
         content: 'Sorry, I could not understand your question. Please try again.',
         timestamp: new Date()
       };
-      setMessages(prev => [...prev, errorMessage]);
+      setMessages(prev => [...prev.filter(message => message.id !== botMessageId), errorMessage]);
     } finally {
       setIsLoading(false);
     }
@@ -2,6 +2,7 @@ import React, { useState, useEffect } from 'react';
 import { useParams, Link, useNavigate } from 'react-router-dom';
 import { apiService } from '../../services/api';
 import LoadingSpinner from '../../components/common/LoadingSpinner';
+import { getTargetAudienceName, getBenefitTypeName, formatRupees } from '../../utils/helpers';
 import './SchemeDetail.css';
 
 const DownloadIcon = () => (
@@ -30,6 +31,13 @@ const CalendarIcon = () => (
   </svg>
 );
 
+// "18 – 60 years", "18 years and above" or "Up to 60 years"
+const describeRange = (min, max, format) => {
+  if (min != null && max != null) return `${format(min)} – ${format(max)}`;
+  if (min != null) return `${format(min)} and above`;
+  return max != null ? `Up to ${format(max)}` : null;
+};
+
 const SchemeDetail = () => {
   const { schemeId } = useParams();
   const navigate = useNavigate();
@@ -126,6 +134,24 @@ const SchemeDetail = () => {
     );
   }
 
+  // Structured fields entered by the admin; only the ones that are set are shown
+  const keyDetails = [
+    ['Implementing Department', scheme.implementingDepartment],
+    ['Who Can Apply', (scheme.targetAudience || []).map(getTargetAudienceName).join(', ')],
+    ['States', (scheme.states || []).join(', ')],
+    ['Districts', (scheme.districts || []).join(', ')],
+    ['Age', describeRange(scheme.minAge, scheme.maxAge, age => `${age} years`)],
+    ['Annual Family Income', describeRange(scheme.minIncome, scheme.maxIncome, formatRupees)],
+    ['Benefit', [
+      scheme.benefitType && getBenefitTypeName(scheme.benefitType),
+      scheme.benefitAmount != null && formatRupees(scheme.benefitAmount)
+    ].filter(Boolean).join(' – ')],
+    ['Applications Open', scheme.applicationOpensAt && formatDate(scheme.applicationOpensAt)],
+    ['Applications Close', scheme.applicationClosesAt && formatDate(scheme.applicationClosesAt)],
+    ['Helpline', scheme.helpline]
+  ].filter(([, value]) => value);
+  const sourceLinks = scheme.sourceLinks || [];
+
   return (
     <div className="scheme-detail-page">
       <div className="container">
@@ -164,6 +190,42 @@ const SchemeDetail = () => {
             </div>
           </div>
 
+          {/* Key Details Section */}
+          {(keyDetails.length > 0 || scheme.applicationUrl || sourceLinks.length > 0) && (
+            <div className="scheme-description-section scheme-key-details">
+              <h2>Key Details</h2>
+              {keyDetails.length > 0 && (
+                <dl className="key-details-list">
+                  {keyDetails.map(([label, value]) => (
+                    <React.Fragment key={label}>
+                      <dt>{label}</dt>
+                      <dd className="preserve-original-text notranslate">{value}</dd>
+                    </React.Fragment>
+                  ))}
+                </dl>
+              )}
+              {scheme.applicationUrl && (
+                <a href={scheme.applicationUrl} target="_blank" rel="noopener noreferrer" className="btn btn-primary apply-link">
+                  Apply Online
+                </a>
+              )}
+              {sourceLinks.length > 0 && (
+                <div className="source-links">
+                  <h3>Official Sources</h3>
+                  <ul>
+                    {sourceLinks.map(link => (
+                      <li key={link.url}>
+                        <a href={link.url} target="_blank" rel="noopener noreferrer" className="preserve-original-text notranslate">
+                          {link.title || link.url}
+                        </a>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+            </div>
+          )}
+
           {/* Actions Section */}
           <div className="scheme-actions-section">
             <h2>Available Actions</h2>
@@ -32,6 +32,72 @@ api.interceptors.request.use(
   }
 );
 
+// POST to an endpoint that answers with Server-Sent Events.
+// Calls handlers.onContext / handlers.onToken as events arrive and
+// resolves with the payload of the final "done" event.
+const streamRequest = async (path, data, handlers = {}) => {
+  const token = localStorage.getItem('token');
+  const response = await fetch(`${api.defaults.baseURL}${path}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token && { Authorization: `Bearer ${token}` }),
+    },
+    body: JSON.stringify(data),
+    signal: handlers.signal,
+  });
+
+  if (!response.ok || !response.body) {
+    throw new Error(`Stream request failed with status ${response.status}`);
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let result = null;
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const rawEvents = buffer.split('\n\n');
+    buffer = rawEvents.pop();
+
+    for (const rawEvent of rawEvents) {
+      let event = 'message';
+      let payload = '';
+
+      for (const line of rawEvent.split('\n')) {
+        if (line.startsWith('event:')) {
+          event = line.slice(6).trim();
+        } else if (line.startsWith('data:')) {
+          payload += line.slice(5).trim();
+        }
+      }
+
+      if (!payload) continue;
+      const parsed = JSON.parse(payload);
+
+      if (event === 'context') {
+        handlers.onContext?.(parsed);
+      } else if (event === 'token') {
+        handlers.onToken?.(parsed.text);
+      } else if (event === 'done') {
+        result = parsed;
+      } else if (event === 'error') {
+        throw new Error(parsed.error || parsed.message);
+      }
+    }
+  }
+
+  if (!result) {
+    throw new Error('Stream ended without a final answer');
+  }
+
+  return result;
+};
+
 // Response interceptor for error handling
 api.interceptors.response.use(
   (response) => {
@@ -78,6 +144,8 @@ export const apiService = {
   // Schemes
   schemes: {
     getAll: (params) => api.get('/schemes', { params }),
+    // Published schemes whose applications open later or close within `days`
+    getDeadlines: (params) => api.get('/schemes/deadlines', { params }),
     getAdminAll: (params) => api.get('/schemes/admin/all', { params }),
     getById: (id) => api.get(`/schemes/${id}`),
     create: (data) => {
@@ -106,15 +174,31 @@ export const apiService = {
     permanentDelete: (id) => api.delete(`/schemes/${id}/permanent`),
     restore: (id) => api.post(`/schemes/${id}/restore`),
     search: (query) => api.get('/schemes/search', { params: { q: query } }),
+    // Structured fields extracted from the scheme's documents, reviewed before they are saved
+    getFieldExtraction: (id) => api.get(`/schemes/${id}/field-extraction`),
+    extractFields: (id) => api.post(`/schemes/${id}/field-extraction`),
+    acceptFieldExtraction: (id, extractionId, data) => api.post(`/schemes/${id}/field-extraction/${extractionId}/accept`, data),
+    rejectFieldExtraction: (id, extractionId, data) => api.post(`/schemes/${id}/field-extraction/${extractionId}/reject`, data),
+    // Publishing workflow: draft → in review → published (reviewers approve or reject), archived
+    getReviewQueue: () => api.get('/schemes/admin/review-queue'),
+    submitForReview: (id, data) => api.post(`/schemes/${id}/submit`, data),
+    approve: (id, data) => api.post(`/schemes/${id}/approve`, data),
+    reject: (id, data) => api.post(`/schemes/${id}/reject`, data),
+    archive: (id) => api.post(`/schemes/${id}/archive`),
+    reopen: (id) => api.post(`/schemes/${id}/reopen`),
   },
 
   // Chat
   chat: {
     askQuestion: (data) => api.post('/chat/ask', data),
+    askQuestionStream: (data, handlers) => streamRequest('/chat/ask/stream', data, handlers),
     getPopularQuestions: () => api.get('/chat/popular/questions'),
     searchAllSchemes: (data) => api.post('/chat/search/all-schemes', data),
     getSearchSuggestions: (params) => api.get('/chat/search/suggestions', { params }),
-    // Chat history and storage features removed - not needed for temporary users
+    // Conversations are tied to the anonymous session id returned by /chat/ask
+    getHistory: (params) => api.get('/chat/history', { params }),
+    getChat: (id, params) => api.get(`/chat/${id}`, { params }),
+    searchChats: (params) => api.get('/chat/search/query', { params }),
   },
 
   // User Management (Super Admin only)
@@ -138,6 +222,10 @@ export const apiService = {
     getDocuments: (params) => api.get('/upload/documents', { params }),
     getDocument: (id) => api.get(`/upload/documents/${id}`),
     deleteDocument: (id) => api.delete(`/upload/documents/${id}`),
+    getVersions: (id) => api.get(`/upload/documents/${id}/versions`),
+    diffVersions: (id, params) => api.get(`/upload/documents/${id}/versions/diff`, { params }),
+    restoreVersion: (id, versionNumber) => api.post(`/upload/documents/${id}/versions/${versionNumber}/restore`),
+    compareChunking: (id, params) => api.get(`/upload/documents/${id}/chunking`, { params }),
   },
 
   // Analytics (lightweight, 4 documents only)
@@ -145,6 +233,7 @@ export const apiService = {
     getOverview: () => api.get('/analytics/overview'),
     resetAnalytics: () => api.post('/analytics/reset'),
     getSummary: () => api.get('/analytics/summary'),
+    getAIProviders: (params) => api.get('/analytics/ai-providers', { params }),
   },
 
   // Health check
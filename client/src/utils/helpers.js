@@ -137,23 +137,48 @@ export const getSchemeCategoryName = (category) => {
   return categoryNames[category] || capitalize(category);
 };
 
+// Target audiences of a scheme (same values as TARGET_AUDIENCES in the server's Scheme model)
+export const TARGET_AUDIENCE_NAMES = {
+  farmers: 'Farmers',
+  students: 'Students',
+  women: 'Women',
+  senior_citizens: 'Senior Citizens',
+  youth: 'Youth',
+  rural_population: 'Rural Population',
+  urban_population: 'Urban Population',
+  below_poverty_line: 'Below Poverty Line',
+  scheduled_caste: 'Scheduled Caste',
+  scheduled_tribe: 'Scheduled Tribe',
+  other_backward_class: 'Other Backward Class',
+  general: 'General'
+};
+
 // Get target audience display name
 export const getTargetAudienceName = (audience) => {
-  const audienceNames = {
-    farmers: 'Farmers',
-    students: 'Students',
-    women: 'Women',
-    senior_citizens: 'Senior Citizens',
-    youth: 'Youth',
-    rural_population: 'Rural Population',
-    urban_population: 'Urban Population',
-    below_poverty_line: 'Below Poverty Line',
-    scheduled_caste: 'Scheduled Caste',
-    scheduled_tribe: 'Scheduled Tribe',
-    other_backward_class: 'Other Backward Class',
-    general: 'General'
-  };
-  return audienceNames[audience] || slugToTitle(audience);
+  return TARGET_AUDIENCE_NAMES[audience] || slugToTitle(audience);
+};
+
+// Benefit types of a scheme (same values as BENEFIT_TYPES in the server's Scheme model)
+export const BENEFIT_TYPE_NAMES = {
+  cash: 'Cash Assistance',
+  subsidy: 'Subsidy',
+  scholarship: 'Scholarship',
+  loan: 'Loan',
+  insurance: 'Insurance',
+  pension: 'Pension',
+  in_kind: 'In Kind',
+  service: 'Service',
+  other: 'Other'
+};
+
+// Get benefit type display name
+export const getBenefitTypeName = (benefitType) => {
+  return BENEFIT_TYPE_NAMES[benefitType] || slugToTitle(benefitType);
+};
+
+// Format an amount in rupees with Indian digit grouping (₹1,50,000)
+export const formatRupees = (amount) => {
+  return `₹${Number(amount).toLocaleString('en-IN')}`;
 };
 
 // Copy text to clipboard
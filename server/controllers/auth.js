@@ -153,7 +153,7 @@ const register = async (req, res) => {
       password, // Will be hashed by the model
       name: sanitizedName,
       department: sanitizedDepartment,
-      role: role === 'super_admin' ? 'super_admin' : 'admin'
+      role: ['reviewer', 'super_admin'].includes(role) ? role : 'admin'
     });
 
     await newUser.save();
@@ -369,10 +369,10 @@ const updateUser = async (req, res) => {
     }
     if (department) updateData.department = sanitizeInput(department.trim());
     if (role) {
-      if (!['admin', 'super_admin'].includes(role)) {
+      if (!['admin', 'reviewer', 'super_admin'].includes(role)) {
         return res.status(400).json({
           success: false,
-          message: 'Role must be either admin or super_admin'
+          message: 'Role must be admin, reviewer or super_admin'
         });
       }
       updateData.role = role;
@@ -1,144 +1,415 @@
 const Scheme = require('../models/Scheme');
 const aiService = require('../services/aiService');
 const semanticSearchService = require('../services/semanticSearchService');
+const conversationService = require('../services/conversationService');
+
+// Maximum number of schemes used to answer a question asked without a selected scheme
+const GENERAL_CHAT_MAX_SCHEMES = parseInt(process.env.GENERAL_CHAT_MAX_SCHEMES) || 3;
+
+// "18 to 60 years", "at least 18 years" or "up to 60 years"
+const describeRange = (min, max, format) => {
+  if (min != null && max != null) return `${format(min)} to ${format(max)}`;
+  return min != null ? `at least ${format(min)}` : `up to ${format(max)}`;
+};
+
+const formatRupees = amount => `Rs. ${amount.toLocaleString('en-IN')}`;
+const formatDay = date => new Date(date).toLocaleDateString('en-IN', { day: 'numeric', month: 'long', year: 'numeric' });
+
+// Whether applications are accepted today, so answers can warn about closed or upcoming windows
+const describeApplicationWindow = (scheme) => {
+  const applicationWindow = Scheme.getApplicationWindow(scheme);
+  if (!applicationWindow) return null;
+
+  if (applicationWindow.state === 'closed') {
+    return `Closed, applications are no longer accepted (the last day was ${formatDay(applicationWindow.closesAt)})`;
+  }
+  if (applicationWindow.state === 'upcoming') {
+    return `Not open yet, applications open on ${formatDay(applicationWindow.opensAt)}`;
+  }
+  return applicationWindow.closesAt ? `Open until ${formatDay(applicationWindow.closesAt)}` : 'Open';
+};
+
+// Scheme summary given to the model, with the structured fields the admin filled in
+const describeScheme = (scheme) => {
+  const lines = [
+    `Scheme Title: ${scheme.title}`,
+    `Category: ${scheme.category}`,
+    `Description: ${scheme.description}`
+  ];
+
+  if (scheme.implementingDepartment) lines.push(`Implementing Department: ${scheme.implementingDepartment}`);
+  if (scheme.states?.length) lines.push(`Applicable States: ${scheme.states.join(', ')}`);
+  if (scheme.districts?.length) lines.push(`Applicable Districts: ${scheme.districts.join(', ')}`);
+  if (scheme.targetAudience?.length) {
+    lines.push(`Target Audience: ${scheme.targetAudience.map(audience => audience.replace(/_/g, ' ')).join(', ')}`);
+  }
+  if (scheme.minAge != null || scheme.maxAge != null) {
+    lines.push(`Applicant Age: ${describeRange(scheme.minAge, scheme.maxAge, age => `${age} years`)}`);
+  }
+  if (scheme.minIncome != null || scheme.maxIncome != null) {
+    lines.push(`Annual Family Income: ${describeRange(scheme.minIncome, scheme.maxIncome, formatRupees)}`);
+  }
+  if (scheme.benefitType || scheme.benefitAmount != null) {
+    const amount = scheme.benefitAmount != null ? formatRupees(scheme.benefitAmount) : null;
+    lines.push(`Benefit: ${[scheme.benefitType?.replace(/_/g, ' '), amount].filter(Boolean).join(' of ')}`);
+  }
+  if (scheme.applicationOpensAt) lines.push(`Applications Open: ${formatDay(scheme.applicationOpensAt)}`);
+  if (scheme.applicationClosesAt) lines.push(`Applications Close: ${formatDay(scheme.applicationClosesAt)}`);
+  const applicationStatus = describeApplicationWindow(scheme);
+  if (applicationStatus) lines.push(`Application Status: ${applicationStatus}`);
+  if (scheme.applicationUrl) lines.push(`Apply At: ${scheme.applicationUrl}`);
+  if (scheme.helpline) lines.push(`Helpline: ${scheme.helpline}`);
+  if (scheme.sourceLinks?.length) {
+    lines.push(`Official Sources: ${scheme.sourceLinks.map(link => `${link.title} (${link.url})`).join('; ')}`);
+  }
+
+  return lines.join('\n');
+};
+
+// Retrieve context for a general question from the schemes most likely to answer it
+// (all chunk languages are searched: the query is translated and the answer translated back)
+const retrieveGeneralContext = async (message, searchMode) => {
+  const schemes = await Scheme.find(Scheme.PUBLIC_FILTER)
+    .select('_id title category description pdfFile implementingDepartment states districts targetAudience minAge maxAge minIncome maxIncome benefitType benefitAmount applicationUrl applicationOpensAt applicationClosesAt expireAt helpline sourceLinks')
+    .lean();
+
+  if (schemes.length === 0) {
+    return { context: [], schemes: [] };
+  }
+
+  const searchResults = await semanticSearchService.searchAcrossSchemes(
+    message,
+    schemes.map(scheme => scheme._id),
+    {
+      perSchemeTopK: 3,
+      globalTopK: GENERAL_CHAT_MAX_SCHEMES * 3,
+      minSimilarityScore: 0.3,
+      searchMode: searchMode,
+      startTime: Date.now()
+    }
+  );
+
+  if (!searchResults.success) {
+    throw new Error(searchResults.error);
+  }
+
+  // Rank schemes by their best matching chunk
+  const rankScore = chunk => chunk.fusionScore ?? chunk.similarityScore;
+  const selected = Object.entries(searchResults.results)
+    .map(([schemeId, schemeResults]) => ({
+      scheme: schemes.find(s => s._id.toString() === schemeId),
+      chunks: schemeResults.results,
+      bestScore: Math.max(...schemeResults.results.map(rankScore))
+    }))
+    .filter(entry => entry.scheme)
+    .sort((a, b) => b.bestScore - a.bestScore)
+    .slice(0, GENERAL_CHAT_MAX_SCHEMES);
+
+  const context = [];
+  selected.forEach(({ scheme, chunks }) => {
+    const schemeMetadata = {
+      schemeId: scheme._id,
+      schemeTitle: scheme.title,
+      filename: scheme.pdfFile?.filename || null,
+      url: scheme.pdfFile?.url || null
+    };
+
+    context.push({
+      text: describeScheme(scheme),
+      score: 1.0,
+      source: 'scheme_basic_info',
+      metadata: schemeMetadata
+    });
+
+    chunks.forEach((chunk, index) => {
+      context.push({
+        text: `PDF Content from "${scheme.title}" (Chunk ${index + 1}): ${chunk.content}`,
+        score: chunk.similarityScore,
+        source: 'pdf_chunk',
+        // The chunk's own document URL wins over the scheme's main PDF
+        metadata: { ...schemeMetadata, ...chunk.metadata, schemeId: scheme._id, schemeTitle: scheme.title, chunkId: chunk.chunkId }
+      });
+    });
+  });
+
+  console.log(`📚 General chat using ${selected.length} schemes: ${selected.map(entry => entry.scheme.title).join(', ')}`);
+
+  return {
+    context,
+    schemes: selected.map(({ scheme }) => ({
+      id: scheme._id,
+      title: scheme.title,
+      category: scheme.category
+    }))
+  };
+};
+
+// Validate the body shared by the ask endpoints; returns an error message or null
+const validateAskRequest = ({ message, searchMode }) => {
+  if (!message || !message.trim()) {
+    return 'Question is required';
+  }
+
+  if (searchMode && !semanticSearchService.searchModes.includes(searchMode)) {
+    return `Invalid search mode. Use one of: ${semanticSearchService.searchModes.join(', ')}`;
+  }
+
+  return null;
+};
+
+// Load the scheme (if any) and retrieve the RAG context for a question
+const buildChatContext = async ({ message, schemeId, searchMode }) => {
+  // Get scheme details if schemeId is provided
+  let scheme = null;
+  if (schemeId) {
+    try {
+      // Drafts and archived schemes are not answered from
+      scheme = await Scheme.findOne({ _id: schemeId, ...Scheme.PUBLIC_FILTER }).lean();
+    } catch (error) {
+      console.error('Error fetching scheme:', error);
+    }
+  }
+
+  // Prepare context for AI using RAG
+  const context = [];
+
+  // Add basic scheme information
+  if (scheme) {
+    context.push({
+      text: describeScheme(scheme),
+      score: 1.0,
+      source: 'scheme_basic_info'
+    });
+  }
+
+  // Perform semantic search to find relevant PDF chunks
+  if (scheme) {
+    try {
+      console.log(`🔍 Performing semantic search for scheme: ${schemeId}`);
+
+      const searchResults = await semanticSearchService.searchRelevantChunks(
+        message,
+        schemeId,
+        {
+          topK: 5,
+          minSimilarityScore: 0.3,
+          searchMode: searchMode,
+          startTime: Date.now()
+        }
+      );
+
+      if (searchResults.success && searchResults.results.length > 0) {
+        console.log(`📚 Found ${searchResults.results.length} relevant chunks from PDF`);
+
+        // Add PDF chunks to context
+        searchResults.results.forEach((chunk, index) => {
+          context.push({
+            text: `PDF Content (Chunk ${index + 1}): ${chunk.content}`,
+            score: chunk.similarityScore,
+            source: 'pdf_chunk',
+            metadata: { ...chunk.metadata, chunkId: chunk.chunkId }
+          });
+        });
+      } else {
+        console.log('📭 No relevant PDF chunks found for the query');
+      }
+    } catch (searchError) {
+      console.warn('⚠️ Semantic search failed, continuing with basic context:', searchError.message);
+    }
+  }
+
+  // General chat: retrieve from the most relevant schemes instead of answering without context
+  let relatedSchemes = [];
+  if (!scheme) {
+    try {
+      console.log('🔍 No scheme selected, performing cross-scheme retrieval');
+      const generalContext = await retrieveGeneralContext(message, searchMode);
+      context.push(...generalContext.context);
+      relatedSchemes = generalContext.schemes;
+    } catch (searchError) {
+      console.warn('⚠️ Cross-scheme retrieval failed, continuing without context:', searchError.message);
+    }
+  }
+
+  return { scheme, context, relatedSchemes };
+};
+
+// Anonymous session id sent by the client (header, body or query string)
+const getSessionId = (req) => req.headers['x-session-id'] || req.body?.sessionId || req.query.sessionId || null;
+
+// Owner of the conversations a history request reads: the anonymous session and/or the logged-in user.
+// A session id must be one the server issued; ?sessionId[$ne]=x arrives as an object and is refused.
+// Sends a 400 and returns null when the request names no valid owner.
+const getConversationOwner = (req, res) => {
+  const sessionId = getSessionId(req);
+  const userId = req.user?._id;
+
+  if (sessionId && !conversationService.isValidSessionId(sessionId)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid session ID'
+    });
+    return null;
+  }
+
+  if (!sessionId && !userId) {
+    res.status(400).json({
+      success: false,
+      message: 'Session ID is required'
+    });
+    return null;
+  }
+
+  return { sessionId, userId };
+};
+
+// Resolve the conversation for an ask request and turn a follow-up into a standalone query
+const prepareConversation = async (req) => {
+  const { message, schemeId, conversationId, language = 'en' } = req.body;
+
+  const { sessionId, conversation } = await conversationService.resolveConversation({
+    sessionId: getSessionId(req),
+    conversationId,
+    schemeId,
+    userId: req.user?._id,
+    language
+  });
+
+  const retrievalQuery = await conversationService.buildStandaloneQuery(message, conversation);
+
+  return { sessionId, conversation, retrievalQuery };
+};
+
+// Persist the turn and add the conversation identifiers to the response payload
+const finishConversationTurn = async ({ payload, sessionId, conversation, message, retrievalQuery }) => {
+  const saved = await conversationService.recordTurn(conversation, {
+    question: message,
+    rewrittenQuery: retrievalQuery,
+    answer: payload.response,
+    sources: payload.sources,
+    confidence: payload.confidence
+  });
+
+  return {
+    ...payload,
+    sessionId,
+    conversationId: saved ? conversation._id : null,
+    rewrittenQuery: retrievalQuery !== message ? retrievalQuery : null
+  };
+};
+
+// Fallback answer used when the AI service throws
+const buildFallbackResponse = (error) => {
+  const isGoogleServerError = error.message && (error.message.includes('503') || error.message.includes('Service Unavailable'));
+  let fallbackMessage = 'I apologize, but I am currently unable to process your question. Please try again later or contact the relevant government office directly.';
+
+  if (isGoogleServerError) {
+    fallbackMessage += '\n\n⚠️ Note: This issue is due to temporary problems with Google Gemini servers (503 Service Unavailable). Our system is working fine - the issue is from Google\'s side. Please try again in a few minutes.';
+  }
+
+  return {
+    answer: fallbackMessage,
+    confidence: 0,
+    sources: [],
+    googleServerError: isGoogleServerError
+  };
+};
+
+// Build the response body shared by the JSON and streaming ask endpoints
+const buildChatPayload = ({ aiResponse, scheme, relatedSchemes, context }) => {
+  // Prepare sources information
+  const sources = context
+    .filter(ctx => ctx.source === 'pdf_chunk')
+    .map(ctx => ({
+      type: 'pdf_chunk',
+      relevanceScore: ctx.score,
+      metadata: {
+        ...ctx.metadata,
+        schemeTitle: scheme ? scheme.title : ctx.metadata?.schemeTitle || 'Government Scheme',
+        schemeId: scheme ? scheme._id : ctx.metadata?.schemeId || null,
+        filename: ctx.metadata?.filename || scheme?.pdfFile?.filename || null,
+        url: ctx.metadata?.url || scheme?.pdfFile?.url || null,
+        documentId: ctx.metadata?.documentId || null,
+        documentTitle: ctx.metadata?.documentTitle || null,
+        documentType: ctx.metadata?.documentType || null
+      }
+    }));
+
+  // Citation markers in the answer ([n]) resolve to these chunks and pages
+  const citations = (aiResponse.citations || []).map(citation => ({
+    ...citation,
+    schemeId: scheme ? scheme._id : citation.schemeId,
+    schemeTitle: scheme ? scheme.title : citation.schemeTitle,
+    url: citation.url || scheme?.pdfFile?.url || null
+  }));
+
+  return {
+    success: true,
+    response: aiResponse.answer,
+    confidence: aiResponse.confidence || 0,
+    citations: citations,
+    grounding: aiResponse.grounding || null,
+    provider: aiResponse.provider || null,
+    scheme: scheme ? {
+      id: scheme._id,
+      title: scheme.title,
+      category: scheme.category
+    } : null,
+    schemes: relatedSchemes,
+    sources: sources,
+    contextUsed: {
+      hasBasicInfo: context.some(ctx => ctx.source === 'scheme_basic_info'),
+      hasPDFContent: sources.length > 0,
+      totalSources: sources.length
+    },
+    timestamp: new Date()
+  };
+};
 
 class ChatController {
   // Ask a question about government schemes
   async askQuestion(req, res) {
     try {
-      const { message, schemeId, language = 'en' } = req.body;
-      const userId = req.user?.id || 'anonymous';
+      const { message, schemeId, language = 'en', searchMode } = req.body;
 
       console.log(`🤔 User asked: "${message}" about scheme: ${schemeId}`);
 
-      if (!message || !message.trim()) {
+      const validationError = validateAskRequest(req.body);
+      if (validationError) {
         return res.status(400).json({
           success: false,
-          message: 'Question is required'
+          message: validationError
         });
       }
 
-      // Get scheme details if schemeId is provided
-      let scheme = null;
-      if (schemeId) {
-        try {
-          scheme = await Scheme.findById(schemeId).lean();
-        } catch (error) {
-          console.error('Error fetching scheme:', error);
-        }
-      }
+      // Follow-ups are rewritten into standalone questions using earlier turns
+      const { sessionId, conversation, retrievalQuery } = await prepareConversation(req);
 
-      // Prepare context for AI using RAG
-      let context = [];
-      
-      // Add basic scheme information
-      if (scheme) {
-        context.push({
-          text: `Scheme Title: ${scheme.title}\nCategory: ${scheme.category}\nDescription: ${scheme.description}`,
-          score: 1.0,
-          source: 'scheme_basic_info'
-        });
-      }
-
-      // Perform semantic search to find relevant PDF chunks
-      if (scheme) {
-        try {
-          console.log(`🔍 Performing semantic search for scheme: ${schemeId}`);
-          
-          const searchResults = await semanticSearchService.searchRelevantChunks(
-            message,
-            schemeId,
-            {
-              topK: 5,
-              minSimilarityScore: 0.3,
-              language: language,
-              startTime: Date.now()
-            }
-          );
-
-          if (searchResults.success && searchResults.results.length > 0) {
-            console.log(`📚 Found ${searchResults.results.length} relevant chunks from PDF`);
-            
-            // Add PDF chunks to context
-            searchResults.results.forEach((chunk, index) => {
-              context.push({
-                text: `PDF Content (Chunk ${index + 1}): ${chunk.content}`,
-                score: chunk.similarityScore,
-                source: 'pdf_chunk',
-                metadata: chunk.metadata
-              });
-            });
-          } else {
-            console.log('📭 No relevant PDF chunks found for the query');
-          }
-        } catch (searchError) {
-          console.warn('⚠️ Semantic search failed, continuing with basic context:', searchError.message);
-        }
-      }
+      const { scheme, context, relatedSchemes } = await buildChatContext({ message: retrievalQuery, schemeId, searchMode });
 
       // Generate AI response
       let aiResponse;
       try {
         aiResponse = await aiService.generateResponse(
-          message,
+          retrievalQuery,
           context,
           language
         );
       } catch (error) {
         console.error('AI Service error:', error);
-        
-        const isGoogleServerError = error.message && (error.message.includes('503') || error.message.includes('Service Unavailable'));
-        let fallbackMessage = 'I apologize, but I am currently unable to process your question. Please try again later or contact the relevant government office directly.';
-        
-        if (isGoogleServerError) {
-          fallbackMessage += '\n\n⚠️ Note: This issue is due to temporary problems with Google Gemini servers (503 Service Unavailable). Our system is working fine - the issue is from Google\'s side. Please try again in a few minutes.';
-        }
-        
-        // Fallback response
-        aiResponse = {
-          answer: fallbackMessage,
-          confidence: 0,
-          sources: [],
-          googleServerError: isGoogleServerError
-        };
+        aiResponse = buildFallbackResponse(error);
       }
 
-      // Chat storage removed - not needed for temporary users
-      // System focuses on providing accurate responses using RAG
-
-      // Prepare sources information
-      const sources = context
-        .filter(ctx => ctx.source === 'pdf_chunk')
-        .map(ctx => ({
-          type: 'pdf_chunk',
-          relevanceScore: ctx.score,
-          metadata: {
-            ...ctx.metadata,
-            schemeTitle: scheme ? scheme.title : 'Government Scheme',
-            schemeId: scheme ? scheme._id : null,
-            filename: scheme?.pdfFile?.filename || null,
-            url: scheme?.pdfFile?.url || null
-          }
-        }));
+      const payload = await finishConversationTurn({
+        payload: buildChatPayload({ aiResponse, scheme, relatedSchemes, context }),
+        sessionId,
+        conversation,
+        message,
+        retrievalQuery
+      });
 
       // Return response
-      res.status(200).json({
-        success: true,
-        response: aiResponse.answer,
-        confidence: aiResponse.confidence || 0,
-        scheme: scheme ? {
-          id: scheme._id,
-          title: scheme.title,
-          category: scheme.category
-        } : null,
-        sources: sources,
-        contextUsed: {
-          hasBasicInfo: context.some(ctx => ctx.source === 'scheme_basic_info'),
-          hasPDFContent: sources.length > 0,
-          totalSources: sources.length
-        },
-        timestamp: new Date()
-      });
+      res.status(200).json(payload);
 
     } catch (error) {
       console.error('❌ Error in askQuestion:', error.message);
@@ -150,43 +421,178 @@ class ChatController {
     }
   }
 
-  // Chat history removed - not needed for temporary users
-  async getChatHistory(req, res) {
-    res.status(200).json({
-      success: true,
-      message: 'Chat history feature is disabled for public users',
-      chats: [],
-      pagination: {
-        currentPage: 1,
-        totalPages: 0,
-        totalChats: 0,
-        hasMore: false
-      }
+  // Ask a question and stream the answer over Server-Sent Events.
+  // Events: "context" once retrieval is done, "token" for each piece of text,
+  // "done" with the final answer, sources and confidence, or "error".
+  async askQuestionStream(req, res) {
+    const { message, schemeId, language = 'en', searchMode } = req.body;
+
+    console.log(`🤔 User asked (stream): "${message}" about scheme: ${schemeId}`);
+
+    const validationError = validateAskRequest(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    // The request emits "close" as soon as its body has been read, so watch the
+    // response: it closes before being ended only when the client went away
+    let clientClosed = false;
+    res.on('close', () => {
+      if (!res.writableEnded) clientClosed = true;
     });
+
+    const sendEvent = (event, data) => {
+      if (clientClosed) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    try {
+      const { sessionId, conversation, retrievalQuery } = await prepareConversation(req);
+
+      const { scheme, context, relatedSchemes } = await buildChatContext({ message: retrievalQuery, schemeId, searchMode });
+
+      sendEvent('context', {
+        scheme: scheme ? { id: scheme._id, title: scheme.title, category: scheme.category } : null,
+        schemes: relatedSchemes,
+        totalSources: context.filter(ctx => ctx.source === 'pdf_chunk').length
+      });
+
+      let aiResponse;
+      try {
+        aiResponse = await aiService.generateResponseStream(
+          retrievalQuery,
+          context,
+          language,
+          text => sendEvent('token', { text })
+        );
+      } catch (error) {
+        console.error('AI Service error:', error);
+        aiResponse = buildFallbackResponse(error);
+      }
+
+      const payload = await finishConversationTurn({
+        payload: buildChatPayload({ aiResponse, scheme, relatedSchemes, context }),
+        sessionId,
+        conversation,
+        message,
+        retrievalQuery
+      });
+
+      sendEvent('done', payload);
+    } catch (error) {
+      console.error('❌ Error in askQuestionStream:', error.message);
+      sendEvent('error', {
+        success: false,
+        message: 'Failed to process question',
+        error: error.message
+      });
+    } finally {
+      res.end();
+    }
   }
 
-  // Chat details removed - not needed for temporary users
+  // Get conversations for the current session (or logged-in user)
+  async getChatHistory(req, res) {
+    try {
+      const owner = getConversationOwner(req, res);
+      if (!owner) return;
+
+      const page = Math.max(parseInt(req.query.page) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+
+      const { chats, pagination } = await conversationService.listConversations({ ...owner, page, limit });
+
+      res.status(200).json({
+        success: true,
+        chats,
+        pagination
+      });
+
+    } catch (error) {
+      console.error('❌ Error getting chat history:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve chat history',
+        error: error.message
+      });
+    }
+  }
+
+  // Get all messages of one conversation
   async getChatDetails(req, res) {
-    res.status(404).json({
-      success: false,
-      message: 'Chat details feature is disabled for public users'
-    });
+    try {
+      const owner = getConversationOwner(req, res);
+      if (!owner) return;
+
+      const chat = await conversationService.getConversation(req.params.chatId, owner);
+
+      if (!chat) {
+        return res.status(404).json({
+          success: false,
+          message: 'Chat not found'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        chat
+      });
+
+    } catch (error) {
+      console.error('❌ Error getting chat details:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve chat details',
+        error: error.message
+      });
+    }
   }
 
-  // Chat search removed - not needed for temporary users
+  // Search through the session's conversations
   async searchChats(req, res) {
-    res.status(200).json({
-      success: true,
-      message: 'Chat search feature is disabled for public users',
-      query: req.query.query || '',
-      results: [],
-      pagination: {
-        currentPage: 1,
-        totalPages: 0,
-        totalResults: 0,
-        hasMore: false
+    try {
+      const owner = getConversationOwner(req, res);
+      if (!owner) return;
+
+      const query = (req.query.query || '').trim();
+      const page = Math.max(parseInt(req.query.page) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+
+      if (!query) {
+        return res.status(400).json({
+          success: false,
+          message: 'Search query is required'
+        });
       }
-    });
+
+      const { results, pagination } = await conversationService.searchConversations(query, { ...owner, page, limit });
+
+      res.status(200).json({
+        success: true,
+        query,
+        results,
+        pagination
+      });
+
+    } catch (error) {
+      console.error('❌ Error searching chats:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to search chats',
+        error: error.message
+      });
+    }
   }
 
   // Get popular questions/topics
@@ -227,7 +633,8 @@ class ChatController {
   // Search across all schemes using RAG
   async searchAllSchemes(req, res) {
     try {
-      const { query, language = 'en', limit = 5 } = req.body;
+      // language optionally limits results to chunks written in that language (mixed chunks always match)
+      const { query, language = null, limit = 5, globalLimit = limit, searchMode } = req.body;
 
       if (!query || !query.trim()) {
         return res.status(400).json({
@@ -236,10 +643,17 @@ class ChatController {
         });
       }
 
+      if (searchMode && !semanticSearchService.searchModes.includes(searchMode)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid search mode. Use one of: ${semanticSearchService.searchModes.join(', ')}`
+        });
+      }
+
       console.log(`🔍 Performing cross-scheme search for: "${query}"`);
 
-      // Get all active schemes
-      const schemes = await Scheme.find({ isActive: true })
+      // Get all published schemes
+      const schemes = await Scheme.find(Scheme.PUBLIC_FILTER)
         .select('_id title category')
         .lean();
 
@@ -249,20 +663,22 @@ class ChatController {
           query: query,
           results: [],
           totalSchemes: 0,
-          message: 'No active schemes found'
+          message: 'No published schemes found'
         });
       }
 
       const schemeIds = schemes.map(scheme => scheme._id);
 
-      // Perform semantic search across all schemes
+      // Search every scheme for its own top results and rank them together (the query is embedded once)
       const searchResults = await semanticSearchService.searchAcrossSchemes(
         query,
         schemeIds,
         {
-          topK: limit,
+          perSchemeTopK: parseInt(limit) || 5,
+          globalTopK: parseInt(globalLimit) || 5,
           minSimilarityScore: 0.3,
           language: language,
+          searchMode: searchMode,
           startTime: Date.now()
         }
       );
@@ -288,12 +704,27 @@ class ChatController {
         }
       });
 
+      // Best chunks overall, labelled with the scheme they came from
+      const topResults = (searchResults.globalResults || []).map(chunk => {
+        const scheme = schemes.find(s => s._id.toString() === chunk.metadata?.schemeId?.toString());
+        return {
+          ...chunk,
+          scheme: scheme ? {
+            id: scheme._id,
+            title: scheme.title,
+            category: scheme.category
+          } : null
+        };
+      });
+
       res.status(200).json({
         success: true,
         query: query,
         results: formattedResults,
+        topResults: topResults,
         totalSchemes: schemes.length,
         schemesWithResults: Object.keys(formattedResults).length,
+        searchMode: semanticSearchService.resolveSearchMode(searchMode),
         searchTime: searchResults.searchTime || 0
       });
 
@@ -1,24 +1,73 @@
-const { Scheme } = require('../models');
+const { Scheme, SchemeDocument, SchemeFieldExtraction } = require('../models');
 const { validateObjectId, sanitizeInput } = require('../middleware/validation');
 const embeddingService = require('../services/embeddingService');
-const { deleteFile, getFileUrl } = require('../services/cloudStorage');
-const cloudinary = require('cloudinary').v2;
+const embeddingMigrationService = require('../services/embeddingMigrationService');
+const processingQueueService = require('../services/processingQueueService');
+const schemeDocumentService = require('../services/schemeDocumentService');
+const duplicateDetectionService = require('../services/duplicateDetectionService');
+const fieldExtractionService = require('../services/fieldExtractionService');
+const schemePublishingService = require('../services/schemePublishingService');
+const { getFileUrl, uploadPDF } = require('../services/cloudStorage');
 const path = require('path');
 
+// Structured fields set on create and update (validated by schemeDetailsValidation in routes/scheme.js)
+const SCHEME_DETAIL_FIELDS = [
+  'implementingDepartment', 'states', 'districts', 'targetAudience', 'minAge', 'maxAge', 'minIncome', 'maxIncome',
+  'benefitType', 'benefitAmount', 'applicationUrl', 'applicationOpensAt', 'applicationClosesAt', 'helpline', 'sourceLinks',
+  'publishAt', 'expireAt'
+];
+
+// Structured fields present in the request body; empty values become null so an update clears them
+const getSchemeDetailFields = (body) => {
+  const fields = {};
+
+  SCHEME_DETAIL_FIELDS.forEach(field => {
+    const value = body[field];
+    if (value === undefined) return;
+
+    if (field === 'sourceLinks') {
+      fields[field] = value.map(link => ({ title: sanitizeInput(link.title || '') || link.url, url: link.url }));
+    } else if (Array.isArray(value)) {
+      fields[field] = value.map(sanitizeInput);
+    } else {
+      fields[field] = value === '' || value === null ? null : sanitizeInput(value);
+    }
+  });
+
+  return fields;
+};
+
+// Field value in a comparable form, so a form resending unchanged values (dates as text, numbers as strings) is not an edit
+const comparableValue = (field, value) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (field === 'sourceLinks') return JSON.stringify(value.map(link => [link.title, link.url]));
+  if (field.endsWith('At')) return new Date(value).getTime();
+  return Array.isArray(value) ? JSON.stringify([...value]) : String(value);
+};
+
+// Content fields an update changes (a new PDF always counts; the chunking strategy only affects processing)
+const getChangedFields = (scheme, updateData) => Object.keys(updateData)
+  .filter(field => field !== 'chunkingStrategy')
+  .filter(field => field === 'pdfFile' || comparableValue(field, scheme[field]) !== comparableValue(field, updateData[field]));
+
 // @desc    Get all schemes for citizens (public)
 // @route   GET /api/schemes
 // @access  Public
 const getAllSchemes = async (req, res) => {
   try {
-    const { category, search, page = 1, limit = 10 } = req.query;
+    const { category, targetAudience, search, page = 1, limit = 10 } = req.query;
 
-    // Build filter object
-    const filter = { isActive: true };
+    // Build filter object (citizens only see published schemes)
+    const filter = { ...Scheme.PUBLIC_FILTER };
 
     if (category && category !== 'all') {
       filter.category = category;
     }
 
+    if (targetAudience && Scheme.TARGET_AUDIENCES.includes(targetAudience)) {
+      filter.targetAudience = targetAudience;
+    }
+
     // Text search if search query provided
     if (search) {
       const searchRegex = new RegExp(sanitizeInput(search), 'i');
@@ -35,7 +84,7 @@ const getAllSchemes = async (req, res) => {
 
     // Get schemes with pagination
     const schemes = await Scheme.find(filter)
-      .select('title description category createdAt pdfFile')
+      .select('title description category createdAt pdfFile implementingDepartment targetAudience benefitType benefitAmount applicationOpensAt applicationClosesAt expireAt')
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(limitNum)
@@ -67,6 +116,57 @@ const getAllSchemes = async (req, res) => {
   }
 };
 
+// @desc    Get published schemes whose application window opens later or closes soon
+// @route   GET /api/schemes/deadlines
+// @access  Public
+const getSchemeDeadlines = async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days) || 14, 1), 90);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 6, 1), 20);
+    const now = new Date();
+    const horizon = new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
+    const fields = 'title category applicationOpensAt applicationClosesAt expireAt applicationUrl';
+
+    const upcoming = await Scheme.find({ ...Scheme.PUBLIC_FILTER, applicationOpensAt: { $gt: now } })
+      .select(fields)
+      .sort({ applicationOpensAt: 1 })
+      .limit(limit)
+      .lean();
+
+    // The closing day counts as open, so schemes closing since yesterday are candidates
+    const closing = await Scheme.find({
+      ...Scheme.PUBLIC_FILTER,
+      $or: [
+        { applicationClosesAt: { $gte: new Date(now.getTime() - 24 * 60 * 60 * 1000), $lte: horizon } },
+        { expireAt: { $gt: now, $lte: horizon } }
+      ]
+    })
+      .select(fields)
+      .lean();
+
+    const withWindow = scheme => ({ ...scheme, applicationWindow: Scheme.getApplicationWindow(scheme, now) });
+    const closingSoon = closing
+      .map(withWindow)
+      .filter(scheme => scheme.applicationWindow.state === 'open' && scheme.applicationWindow.closesAt <= horizon)
+      .sort((a, b) => a.applicationWindow.closesAt - b.applicationWindow.closesAt)
+      .slice(0, limit);
+
+    res.json({
+      success: true,
+      days,
+      upcoming: upcoming.map(withWindow),
+      closingSoon
+    });
+
+  } catch (error) {
+    console.error('Get scheme deadlines error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching scheme deadlines'
+    });
+  }
+};
+
 // @desc    Get single scheme details
 // @route   GET /api/schemes/:id
 // @access  Public
@@ -93,14 +193,19 @@ const getScheme = async (req, res) => {
       });
     }
 
-    // Only show active schemes to public
-    if (!scheme.isActive) {
+    // Only show published schemes to public
+    if (!scheme.isActive || scheme.status !== 'published') {
       return res.status(404).json({
         success: false,
         message: 'Scheme not available'
       });
     }
 
+    // Documents attached to the scheme (guidelines, forms, GR amendments, FAQs)
+    scheme.documents = await SchemeDocument.getForScheme(id)
+      .select('title documentType language isPrimary file.url file.filename processingStatus createdAt')
+      .lean();
+
     res.json({
       success: true,
       scheme
@@ -115,6 +220,37 @@ const getScheme = async (req, res) => {
   }
 };
 
+// 409 response asking the admin whether to link, replace or proceed with a duplicate upload
+const sendDuplicateConflict = (res, duplicateCheck) => res.status(409).json({
+  success: false,
+  code: 'DUPLICATE_DOCUMENT',
+  message: duplicateDetectionService.describeDuplicates(duplicateCheck.duplicates),
+  duplicates: duplicateCheck.duplicates,
+  actions: duplicateDetectionService.actions
+});
+
+// Scheme.pdfFile pointing at an existing document's file
+const getLinkedPdfFile = (document) => ({
+  url: document.file.url,
+  publicId: document.file.publicId,
+  filename: document.file.filename,
+  path: document.file.url
+});
+
+// Link the scheme's document to its duplicate, or process it (retiring the duplicate it replaces)
+const applyDuplicateAction = async (document, duplicateCheck, context) => {
+  if (duplicateCheck.action === 'link') {
+    await schemeDocumentService.linkDocument(document, duplicateCheck.target);
+    return null;
+  }
+
+  const job = await schemeDocumentService.queueProcessing(document, context);
+  if (duplicateCheck.action === 'replace') {
+    await schemeDocumentService.linkDocument(duplicateCheck.target, document);
+  }
+  return job;
+};
+
 // @desc    Create new scheme (Admin only)
 // @route   POST /api/schemes
 // @access  Private (Admin)
@@ -131,7 +267,8 @@ const createScheme = async (req, res) => {
     const {
       title,
       description,
-      category
+      category,
+      chunkingStrategy
     } = req.body;
 
     // Validate required fields
@@ -149,33 +286,32 @@ const createScheme = async (req, res) => {
       category: category.trim(),
       createdBy: req.user._id
     };
+    if (chunkingStrategy) schemeData.chunkingStrategy = chunkingStrategy;
+    Object.entries(getSchemeDetailFields(req.body))
+      .filter(([, value]) => value !== null)
+      .forEach(([field, value]) => { schemeData[field] = value; });
+
+    // Check the upload against existing documents before storing it
+    const duplicateCheck = req.file ? await duplicateDetectionService.checkUpload(req.file.buffer, req.body) : null;
+    if (duplicateCheck && !duplicateCheck.action) {
+      return sendDuplicateConflict(res, duplicateCheck);
+    }
+    const linkTarget = duplicateCheck && duplicateCheck.action === 'link' ? duplicateCheck.target : null;
 
     // Handle PDF file upload to Cloudinary (simplified approach)
     let cloudinaryUrl = null;
-    if (req.file) {
+    if (linkTarget) {
+      // Linking reuses the existing document's file instead of storing another copy
+      schemeData.pdfFile = getLinkedPdfFile(linkTarget);
+      cloudinaryUrl = linkTarget.file.url;
+    } else if (req.file) {
       console.log('=== CLOUDINARY FILE DEBUG ===');
       console.log('File received:', req.file.originalname, 'Size:', req.file.size);
       console.log('================================');
       
       try {
-        // Upload to Cloudinary using memory buffer
-        const uploadResult = await new Promise((resolve, reject) => {
-          const stream = cloudinary.uploader.upload_stream(
-            { 
-              folder: 'govt-schemes',
-              resource_type: 'raw',
-              access_mode: 'public',
-              use_filename: true,
-              unique_filename: true,
-              format: 'pdf'
-            },
-            (error, result) => {
-              if (error) reject(error);
-              else resolve(result);
-            }
-          );
-          stream.end(req.file.buffer);
-        });
+        // Upload to Cloudinary (or local storage) using memory buffer
+        const uploadResult = await uploadPDF(req.file.buffer);
 
         cloudinaryUrl = uploadResult.secure_url;
         
@@ -266,34 +402,28 @@ const createScheme = async (req, res) => {
     // Populate created by info
     await newScheme.populate('createdBy', 'name email');
 
-    // Process PDF if uploaded (async, don't wait for completion)
+    // Queue PDF processing if uploaded (runs in the background processing queue)
+    let processingJob = null;
     if (req.file && cloudinaryUrl) {
-      console.log(`🔄 Starting PDF processing for scheme: ${newScheme._id}`);
+      console.log(`🔄 Queueing PDF processing for scheme: ${newScheme._id}`);
       console.log(`📄 Using PDF URL: ${cloudinaryUrl}`);
       
-      // Process PDF in background using Cloudinary URL
-      embeddingService.processPDFForScheme(newScheme._id, cloudinaryUrl, {
-        startTime: Date.now(),
-        chunkSize: 500,
-        overlap: 50
-      }).then(result => {
-        if (result.success) {
-          console.log(`✅ PDF processing completed for scheme ${newScheme._id}: ${result.chunksCreated} chunks created`);
-        } else {
-          console.error(`❌ PDF processing failed for scheme ${newScheme._id}: ${result.error}`);
-        }
-      }).catch(error => {
-        console.error(`❌ PDF processing error for scheme ${newScheme._id}:`, error.message);
+      const document = await schemeDocumentService.syncPrimaryDocument(newScheme, req.user._id, {
+        ...duplicateCheck.fingerprint,
+        size: req.file.size
       });
+      processingJob = await applyDuplicateAction(document, duplicateCheck, { reason: 'create', requestedBy: req.user._id });
     } else {
       console.log('⚠️ PDF processing skipped - no file or URL available');
     }
 
     res.status(201).json({
       success: true,
-      message: 'Scheme created successfully',
+      message: 'Scheme created as a draft. Submit it for review to publish it.',
       scheme: newScheme,
-      pdfProcessing: req.file ? 'started' : 'none'
+      pdfProcessing: linkTarget ? 'linked' : processingJob ? 'queued' : 'none',
+      processingJobId: processingJob ? processingJob._id : null,
+      duplicates: duplicateCheck ? duplicateCheck.duplicates : []
     });
 
   } catch (error) {
@@ -354,7 +484,7 @@ const updateScheme = async (req, res) => {
   try {
     console.log('Update scheme request:', req.params, req.body, req.file);
     const { id } = req.params;
-    const { title, description, category } = req.body;
+    const { title, description, category, chunkingStrategy } = req.body;
 
     // Validate ObjectId
     if (!validateObjectId(id)) {
@@ -380,38 +510,33 @@ const updateScheme = async (req, res) => {
     if (title) updateData.title = sanitizeInput(title.trim());
     if (description) updateData.description = sanitizeInput(description.trim());
     if (category) updateData.category = category.trim();
+    if (chunkingStrategy) updateData.chunkingStrategy = chunkingStrategy;
+    Object.assign(updateData, getSchemeDetailFields(req.body));
+    const chunkingChanged = Boolean(chunkingStrategy) && chunkingStrategy !== scheme.chunkingStrategy;
+
+    // The old PDF is kept as an earlier version of the scheme's primary document
+    const primaryDocument = req.file ? await schemeDocumentService.syncPrimaryDocument(scheme) : null;
+
+    // Check the upload against existing documents before storing it (a revision of the
+    // scheme's own PDF replaces the primary document, so it is not its duplicate)
+    const duplicateCheck = req.file
+      ? await duplicateDetectionService.checkUpload(req.file.buffer, req.body, {
+        excludeDocumentIds: primaryDocument ? [primaryDocument._id] : []
+      })
+      : null;
+    if (duplicateCheck && !duplicateCheck.action) {
+      return sendDuplicateConflict(res, duplicateCheck);
+    }
+    const linkTarget = duplicateCheck && duplicateCheck.action === 'link' ? duplicateCheck.target : null;
 
     // Handle file update if uploaded (simplified Cloudinary approach)
-    if (req.file) {
-      // Delete old PDF file from Cloudinary if it exists
-      if (scheme.pdfFile && scheme.pdfFile.publicId) {
-        try {
-          await deleteFile(scheme.pdfFile.publicId);
-          console.log(`🗑️ Deleted old PDF file from Cloudinary: ${scheme.pdfFile.publicId}`);
-        } catch (fileError) {
-          console.warn(`⚠️ Failed to delete old PDF file from Cloudinary ${scheme.pdfFile.publicId}:`, fileError.message);
-        }
-      }
-      
+    if (linkTarget) {
+      // Linking reuses the existing document's file instead of storing another copy
+      updateData.pdfFile = getLinkedPdfFile(linkTarget);
+    } else if (req.file) {
       try {
-        // Upload new file to Cloudinary using memory buffer
-        const uploadResult = await new Promise((resolve, reject) => {
-          const stream = cloudinary.uploader.upload_stream(
-            { 
-              folder: 'govt-schemes',
-              resource_type: 'raw',
-              access_mode: 'public',
-              use_filename: true,
-              unique_filename: true,
-              format: 'pdf'
-            },
-            (error, result) => {
-              if (error) reject(error);
-              else resolve(result);
-            }
-          );
-          stream.end(req.file.buffer);
-        });
+        // Upload new file to Cloudinary (or local storage) using memory buffer
+        const uploadResult = await uploadPDF(req.file.buffer);
 
         // Fix filename encoding issue
         let cleanFilename = req.file.originalname;
@@ -471,47 +596,60 @@ const updateScheme = async (req, res) => {
       }
     }
 
-    // Update scheme
+    // Content edits are recorded, and a published or scheduled scheme goes back to review
+    const editUpdate = schemePublishingService.getEditUpdate(scheme, req.user._id, getChangedFields(scheme, updateData));
+    const sentToReview = Boolean(editUpdate && editUpdate.status) && editUpdate.status !== scheme.status;
+
+    // Update scheme (matching the status so a concurrent approval or publish is not overwritten)
     console.log('Updating scheme with data:', updateData);
-    const updatedScheme = await Scheme.findByIdAndUpdate(
-      id,
-      updateData,
+    const updatedScheme = await Scheme.findOneAndUpdate(
+      { _id: id, status: scheme.status },
+      { ...updateData, ...editUpdate },
       { new: true, runValidators: true }
     ).populate('createdBy', 'name email');
 
-    // Process new PDF if uploaded (async, don't wait for completion)
+    if (!updatedScheme) {
+      return res.status(409).json({
+        success: false,
+        message: 'The scheme was changed by someone else, reload it and try again'
+      });
+    }
+
+    // Queue processing of the new PDF if uploaded (existing chunks are replaced when the job runs)
+    let processingJob = null;
     if (req.file && updateData.pdfFile && updateData.pdfFile.url) {
       const cloudinaryUrl = updateData.pdfFile.url;
-      console.log(`🔄 Starting PDF processing for updated scheme: ${id}`);
+      console.log(`🔄 Queueing PDF processing for updated scheme: ${id}`);
       console.log(`📄 Using PDF URL: ${cloudinaryUrl}`);
       
-      // Delete existing chunks for this scheme
-      await embeddingService.deleteChunksForScheme(id);
-      
-      // Process new PDF in background using Cloudinary URL
-      embeddingService.processPDFForScheme(id, cloudinaryUrl, {
-        startTime: Date.now(),
-        chunkSize: 500,
-        overlap: 50
-      }).then(result => {
-        if (result.success) {
-          console.log(`✅ PDF processing completed for updated scheme ${id}: ${result.chunksCreated} chunks created`);
-        } else {
-          console.error(`❌ PDF processing failed for updated scheme ${id}: ${result.error}`);
-        }
-      }).catch(error => {
-        console.error(`❌ PDF processing error for updated scheme ${id}:`, error.message);
+      const document = await schemeDocumentService.syncPrimaryDocument(updatedScheme, req.user._id, {
+        ...duplicateCheck.fingerprint,
+        size: req.file.size
       });
+      processingJob = await applyDuplicateAction(document, duplicateCheck, { reason: 'update', requestedBy: req.user._id });
     } else {
       console.log('⚠️ PDF processing skipped - no file or URL available');
     }
 
+    // A new chunking strategy re-chunks the scheme's other documents too
+    let rechunkJobs = [];
+    if (chunkingChanged) {
+      const queuedDocumentIds = processingJob ? [processingJob.documentId] : [];
+      rechunkJobs = await schemeDocumentService.queueSchemeDocuments(id, { reason: 'chunking', requestedBy: req.user._id }, queuedDocumentIds);
+      console.log(`🔄 Chunking strategy changed to ${chunkingStrategy}, queued ${rechunkJobs.length} documents`);
+    }
+
     console.log('Scheme updated successfully:', updatedScheme);
     res.json({
       success: true,
-      message: 'Scheme updated successfully',
+      message: sentToReview
+        ? 'Scheme updated and sent back for review; citizens will not see it until it is approved'
+        : 'Scheme updated successfully',
       scheme: updatedScheme,
-      pdfProcessing: req.file ? 'started' : 'none'
+      pdfProcessing: linkTarget ? 'linked' : processingJob ? 'queued' : 'none',
+      processingJobId: processingJob ? processingJob._id : null,
+      rechunkJobIds: rechunkJobs.map(job => job._id),
+      duplicates: duplicateCheck ? duplicateCheck.duplicates : []
     });
 
   } catch (error) {
@@ -591,6 +729,7 @@ const getAdminSchemes = async (req, res) => {
     if (status) {
       if (status === 'active') filter.isActive = true;
       if (status === 'inactive') filter.isActive = false;
+      if (Scheme.STATUSES.includes(status)) filter.status = status;
     }
     if (category && category !== 'all') filter.category = category;
 
@@ -654,14 +793,21 @@ const getProcessingStatus = async (req, res) => {
       });
     }
 
-    // Get processing status
-    const status = await embeddingService.getSchemeProcessingStatus(id);
+    // Live state of the latest processing job, plus the chunks currently indexed
+    const job = await processingQueueService.getLatestJob(id);
+    const chunkStatus = await embeddingService.getSchemeProcessingStatus(id);
+    const documents = await SchemeDocument.getForScheme(id)
+      .select('title documentType isPrimary processingStatus processingError chunkCount lastProcessedAt')
+      .lean();
 
     res.json({
       success: true,
       schemeId: id,
       schemeTitle: scheme.title,
-      ...status
+      status: job ? job.status : 'not_started',
+      job,
+      documents,
+      chunks: chunkStatus.status || null
     });
 
   } catch (error) {
@@ -673,12 +819,13 @@ const getProcessingStatus = async (req, res) => {
   }
 };
 
-// @desc    Reprocess PDF for a scheme
+// @desc    Reprocess PDF for a scheme (the main PDF, or the document given as documentId)
 // @route   POST /api/schemes/:id/reprocess-pdf
 // @access  Private (Admin)
 const reprocessPDF = async (req, res) => {
   try {
     const { id } = req.params;
+    const { documentId } = req.body || {};
 
     // Validate ObjectId
     if (!validateObjectId(id)) {
@@ -697,41 +844,44 @@ const reprocessPDF = async (req, res) => {
       });
     }
 
-    if (!scheme.pdfFile || !scheme.pdfFile.url) {
+    if (documentId && !validateObjectId(documentId)) {
       return res.status(400).json({
         success: false,
-        message: 'No PDF file found for this scheme'
+        message: 'Invalid document ID'
       });
     }
 
-    // Delete existing chunks
-    await embeddingService.deleteChunksForScheme(id);
-
-    // Reprocess PDF using the URL
-    const result = await embeddingService.processPDFForScheme(id, scheme.pdfFile.url, {
-      startTime: Date.now(),
-      chunkSize: 500,
-      overlap: 50
-    });
+    const document = documentId
+      ? await SchemeDocument.findOne({ _id: documentId, schemeId: id })
+      : await schemeDocumentService.syncPrimaryDocument(scheme, req.user._id);
 
-    if (result.success) {
-      res.json({
-        success: true,
-        message: 'PDF reprocessed successfully',
-        schemeId: id,
-        chunksCreated: result.chunksCreated,
-        totalWords: result.totalWords,
-        totalChars: result.totalChars,
-        languageDistribution: result.languageDistribution
+    if (!document) {
+      return res.status(documentId ? 404 : 400).json({
+        success: false,
+        message: documentId ? 'Document not found for this scheme' : 'No PDF file found for this scheme'
       });
-    } else {
-      res.status(500).json({
+    }
+
+    // New chunks change what chat answers from, so a published scheme goes back to review first
+    const change = await schemePublishingService.recordDocumentChange(id, req.user._id, `documents ("${document.title}" reprocessed)`);
+    if (!change.success) {
+      return res.status(change.reason === 'not_found' ? 404 : 409).json({
         success: false,
-        message: 'Failed to reprocess PDF',
-        error: result.error
+        message: change.error
       });
     }
 
+    // Queue the reprocessing; progress is reported by the processing-status endpoint
+    const job = await schemeDocumentService.queueProcessing(document, { reason: 'reprocess', requestedBy: req.user._id });
+
+    res.status(202).json({
+      success: true,
+      message: change.sentToReview ? 'PDF reprocessing queued; the scheme was sent back for review' : 'PDF reprocessing queued',
+      schemeId: id,
+      sentToReview: change.sentToReview,
+      job: processingQueueService.formatJob(job.toObject())
+    });
+
   } catch (error) {
     console.error('Reprocess PDF error:', error);
     res.status(500).json({
@@ -741,6 +891,84 @@ const reprocessPDF = async (req, res) => {
   }
 };
 
+// @desc    Get embedding model usage and re-embedding migration progress
+// @route   GET /api/schemes/admin/embedding-migration
+// @access  Private (Admin)
+const getEmbeddingMigrationStatus = async (req, res) => {
+  try {
+    const status = await embeddingMigrationService.getStatus();
+
+    res.json({
+      success: true,
+      ...status
+    });
+
+  } catch (error) {
+    console.error('Get embedding migration status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching embedding migration status'
+    });
+  }
+};
+
+// @desc    Start re-embedding chunks created with an older embedding model
+// @route   POST /api/schemes/admin/embedding-migration
+// @access  Private (Admin)
+const startEmbeddingMigration = async (req, res) => {
+  try {
+    const result = embeddingMigrationService.start({ batchSize: req.body?.batchSize });
+
+    res.status(result.started ? 202 : 409).json({
+      success: result.started,
+      message: result.started ? 'Embedding migration started' : result.message,
+      progress: result.progress
+    });
+
+  } catch (error) {
+    console.error('Start embedding migration error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while starting embedding migration'
+    });
+  }
+};
+
+// @desc    Stop the running embedding migration after its current batch
+// @route   POST /api/schemes/admin/embedding-migration/stop
+// @access  Private (Admin)
+const stopEmbeddingMigration = async (req, res) => {
+  const stopping = embeddingMigrationService.stop();
+
+  res.status(stopping ? 200 : 409).json({
+    success: stopping,
+    message: stopping ? 'Embedding migration will stop after the current batch' : 'No embedding migration is running'
+  });
+};
+
+// @desc    List recent PDF processing jobs
+// @route   GET /api/schemes/admin/processing-jobs
+// @access  Private (Admin)
+const getProcessingJobs = async (req, res) => {
+  try {
+    const { status, limit } = req.query;
+    const jobs = await processingQueueService.listJobs({ status, limit });
+
+    res.json({
+      success: true,
+      count: jobs.length,
+      jobs
+    });
+
+  } catch (error) {
+    console.error('Get processing jobs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching processing jobs'
+    });
+  }
+};
+
 // @desc    Download PDF for a scheme
 // @route   GET /api/schemes/:id/download-pdf
 // @access  Public
@@ -758,10 +986,10 @@ const downloadSchemePDF = async (req, res) => {
 
     // Find scheme
     const scheme = await Scheme.findById(id);
-    if (!scheme || !scheme.isActive) {
+    if (!scheme || !scheme.isActive || scheme.status !== 'published') {
       return res.status(404).json({
         success: false,
-        message: 'Scheme not found or not active'
+        message: 'Scheme not found or not published'
       });
     }
 
@@ -818,8 +1046,9 @@ const downloadSchemePDF = async (req, res) => {
       console.error('Error setting up Cloudinary test:', testError.message);
     }
 
-    // Redirect to Cloudinary URL with proper headers
-    res.redirect(scheme.pdfFile.url);
+    // Redirect to Cloudinary URL with proper headers; ?page=N opens the viewer at that page
+    const page = parseInt(req.query.page);
+    res.redirect(page > 0 ? `${scheme.pdfFile.url}#page=${page}` : scheme.pdfFile.url);
 
   } catch (error) {
     console.error('Download PDF error:', error);
@@ -997,8 +1226,330 @@ const restoreScheme = async (req, res) => {
   }
 };
 
+// Pending extraction of a scheme given by :id and :extractionId, or an error response
+const findPendingExtraction = async (req, res) => {
+  const { id, extractionId } = req.params;
+
+  if (!validateObjectId(id) || !validateObjectId(extractionId)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid scheme or extraction ID'
+    });
+    return null;
+  }
+
+  const extraction = await SchemeFieldExtraction.findOne({ _id: extractionId, schemeId: id });
+  if (!extraction) {
+    res.status(404).json({
+      success: false,
+      message: 'Field extraction not found for this scheme'
+    });
+    return null;
+  }
+
+  if (extraction.status !== 'pending_review') {
+    res.status(409).json({
+      success: false,
+      message: `This extraction was already ${extraction.status.replace('_', ' ')}`
+    });
+    return null;
+  }
+
+  return extraction;
+};
+
+// @desc    Get the latest structured field extraction of a scheme and its saved details
+// @route   GET /api/schemes/:id/field-extraction
+// @access  Private (Admin)
+const getFieldExtraction = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!validateObjectId(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid scheme ID'
+      });
+    }
+
+    const scheme = await Scheme.findById(id).select('title details');
+    if (!scheme) {
+      return res.status(404).json({
+        success: false,
+        message: 'Scheme not found'
+      });
+    }
+
+    // The extraction waiting for review, otherwise the last one reviewed
+    const extraction = await SchemeFieldExtraction.findOne({ schemeId: id, status: 'pending_review' })
+      .sort({ createdAt: -1 })
+      .lean() ||
+      await SchemeFieldExtraction.findOne({ schemeId: id, status: { $ne: 'superseded' } })
+        .sort({ createdAt: -1 })
+        .populate('reviewedBy', 'name')
+        .lean();
+
+    res.json({
+      success: true,
+      schemeId: id,
+      schemeTitle: scheme.title,
+      fieldNames: SchemeFieldExtraction.FIELD_NAMES,
+      extraction,
+      details: scheme.details || null
+    });
+
+  } catch (error) {
+    console.error('Get field extraction error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching field extraction'
+    });
+  }
+};
+
+// @desc    Extract structured fields from the scheme's processed chunks now
+// @route   POST /api/schemes/:id/field-extraction
+// @access  Private (Admin)
+const extractSchemeFields = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!validateObjectId(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid scheme ID'
+      });
+    }
+
+    const result = await fieldExtractionService.extractForScheme(id, { trigger: 'manual', requestedBy: req.user._id });
+
+    if (!result.success) {
+      const status = { not_found: 404, no_chunks: 400 }[result.reason] || 500;
+      return res.status(status).json({
+        success: false,
+        message: status === 500 ? 'Field extraction failed' : result.error,
+        error: result.error
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Extracted ${result.extraction.countItems()} fields for review`,
+      extraction: result.extraction
+    });
+
+  } catch (error) {
+    console.error('Extract scheme fields error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while extracting scheme fields'
+    });
+  }
+};
+
+// @desc    Accept reviewed fields of an extraction and save them onto the scheme
+// @route   POST /api/schemes/:id/field-extraction/:extractionId/accept
+// @access  Private (Admin)
+const acceptFieldExtraction = async (req, res) => {
+  try {
+    const extraction = await findPendingExtraction(req, res);
+    if (!extraction) return;
+
+    const { fields, comment } = req.body || {};
+    if (!fields || typeof fields !== 'object') {
+      return res.status(400).json({
+        success: false,
+        message: 'fields must list the accepted items of each field'
+      });
+    }
+
+    const { scheme, accepted, sentToReview } = await fieldExtractionService.acceptExtraction(extraction, fields, {
+      reviewedBy: req.user._id,
+      comment: comment ? sanitizeInput(String(comment)).substring(0, 500) : undefined
+    });
+
+    if (!scheme) {
+      return res.status(409).json({
+        success: false,
+        message: 'The scheme was changed or deleted by someone else, reload it and try again'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: sentToReview
+        ? `${accepted} fields saved to the scheme; it was sent back for review`
+        : `${accepted} fields saved to the scheme`,
+      details: scheme ? scheme.details : null
+    });
+
+  } catch (error) {
+    console.error('Accept field extraction error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while saving scheme fields'
+    });
+  }
+};
+
+// @desc    Reject an extraction without changing the scheme
+// @route   POST /api/schemes/:id/field-extraction/:extractionId/reject
+// @access  Private (Admin)
+const rejectFieldExtraction = async (req, res) => {
+  try {
+    const extraction = await findPendingExtraction(req, res);
+    if (!extraction) return;
+
+    const { comment } = req.body || {};
+    await fieldExtractionService.rejectExtraction(extraction, {
+      reviewedBy: req.user._id,
+      comment: comment ? sanitizeInput(String(comment)).substring(0, 500) : undefined
+    });
+
+    res.json({
+      success: true,
+      message: 'Field extraction rejected'
+    });
+
+  } catch (error) {
+    console.error('Reject field extraction error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while rejecting field extraction'
+    });
+  }
+};
+
+// Messages for the publishing workflow actions (see schemePublishingService.transitions)
+const STATUS_ACTION_MESSAGES = {
+  submit: 'Scheme submitted for review',
+  approve: 'Scheme approved and published',
+  reject: 'Scheme sent back to draft with your comments',
+  archive: 'Scheme archived',
+  reopen: 'Scheme reopened as a draft'
+};
+
+// Handler applying a publishing workflow action to the scheme given by :id
+const changeSchemeStatus = action => async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!validateObjectId(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid scheme ID'
+      });
+    }
+
+    const scheme = await Scheme.findById(id);
+    if (!scheme || !scheme.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Scheme not found'
+      });
+    }
+
+    const { comment } = req.body || {};
+    const result = await schemePublishingService.transition(scheme, action, {
+      user: req.user,
+      comment: comment ? sanitizeInput(String(comment).trim()).substring(0, 500) : ''
+    });
+
+    if (!result.success) {
+      const status = { not_allowed: 403, comment_required: 400 }[result.reason] || 409;
+      return res.status(status).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    await result.scheme.populate([
+      { path: 'createdBy', select: 'name email' },
+      { path: 'submittedBy', select: 'name email' },
+      { path: 'reviewedBy', select: 'name email' }
+    ]);
+
+    res.json({
+      success: true,
+      message: result.scheme.status === 'scheduled'
+        ? `Scheme approved; it will be published on ${result.scheme.publishAt.toLocaleString('en-IN')}`
+        : STATUS_ACTION_MESSAGES[action],
+      scheme: result.scheme
+    });
+
+  } catch (error) {
+    console.error(`Scheme ${action} error:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating scheme status'
+    });
+  }
+};
+
+// @desc    Submit a draft scheme for review
+// @route   POST /api/schemes/:id/submit
+// @access  Private (Admin)
+const submitScheme = changeSchemeStatus('submit');
+
+// @desc    Approve a scheme in review and publish it (or schedule it until its publishAt)
+// @route   POST /api/schemes/:id/approve
+// @access  Private (Reviewer, Super Admin)
+const approveScheme = changeSchemeStatus('approve');
+
+// @desc    Reject a scheme in review back to draft (comment required)
+// @route   POST /api/schemes/:id/reject
+// @access  Private (Reviewer, Super Admin)
+const rejectScheme = changeSchemeStatus('reject');
+
+// @desc    Archive a scheme (hidden from citizens, documents kept)
+// @route   POST /api/schemes/:id/archive
+// @access  Private (Admin)
+const archiveScheme = changeSchemeStatus('archive');
+
+// @desc    Reopen an archived scheme as a draft
+// @route   POST /api/schemes/:id/reopen
+// @access  Private (Admin)
+const reopenScheme = changeSchemeStatus('reopen');
+
+// @desc    Get schemes waiting for review and the number of schemes in each status
+// @route   GET /api/schemes/admin/review-queue
+// @access  Private (Admin)
+const getReviewQueue = async (req, res) => {
+  try {
+    // Full schemes, so reviewers can open them in the scheme form
+    const schemes = await Scheme.find({ isActive: true, status: 'in_review' })
+      .populate('createdBy', 'name email')
+      .populate('submittedBy', 'name email')
+      .populate('reviewHistory.by', 'name')
+      .sort({ submittedAt: 1 })
+      .lean();
+
+    const counts = await Scheme.aggregate([
+      { $match: { isActive: true } },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+
+    res.json({
+      success: true,
+      schemes,
+      counts: Object.fromEntries(Scheme.STATUSES.map(status => [
+        status,
+        (counts.find(count => count._id === status) || { count: 0 }).count
+      ]))
+    });
+
+  } catch (error) {
+    console.error('Get review queue error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching review queue'
+    });
+  }
+};
+
 module.exports = {
   getAllSchemes,
+  getSchemeDeadlines,
   getScheme,
   createScheme,
   updateScheme,
@@ -1009,5 +1560,19 @@ module.exports = {
   getProcessingStatus,
   reprocessPDF,
   downloadSchemePDF,
-  getSchemeChunks
+  getSchemeChunks,
+  getEmbeddingMigrationStatus,
+  startEmbeddingMigration,
+  stopEmbeddingMigration,
+  getProcessingJobs,
+  getFieldExtraction,
+  extractSchemeFields,
+  acceptFieldExtraction,
+  rejectFieldExtraction,
+  submitScheme,
+  approveScheme,
+  rejectScheme,
+  archiveScheme,
+  reopenScheme,
+  getReviewQueue
 };
\ No newline at end of file
@@ -1,4 +1,5 @@
 const AnalyticsSummary = require('../models/AnalyticsSummary');
+const aiProviderService = require('../services/aiProviderService');
 
 // Get simple analytics overview
 const getSimpleOverview = async (req, res) => {
@@ -83,9 +84,29 @@ const updatePreviousCounts = async (req, res) => {
   }
 };
 
+// Get AI provider configuration and which provider served recent requests
+const getAIProviderStatus = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+
+    res.json({
+      success: true,
+      data: aiProviderService.getStatus(limit)
+    });
+  } catch (error) {
+    console.error('Error getting AI provider status:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching AI provider status',
+      error: error.message
+    });
+  }
+};
+
 module.exports = {
   getSimpleOverview,
   resetAnalytics,
   getAnalyticsSummary,
-  updatePreviousCounts
+  updatePreviousCounts,
+  getAIProviderStatus
 };
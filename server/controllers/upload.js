@@ -1,13 +1,32 @@
-const { Scheme } = require('../models');
-const { processDocument } = require('../services/document');
-const { validateObjectId } = require('../middleware/validation');
+const { Scheme, SchemeDocument, DocumentVersion } = require('../models');
+const { validateObjectId, sanitizeInput } = require('../middleware/validation');
+const { uploadPDF, cleanFilename } = require('../services/cloudStorage');
+const schemeDocumentService = require('../services/schemeDocumentService');
+const duplicateDetectionService = require('../services/duplicateDetectionService');
+const schemePublishingService = require('../services/schemePublishingService');
 
-// @desc    Upload document for a scheme
-// @route   POST /api/upload/document
+// Record a document change on its scheme before the new chunks can reach chat (a published
+// scheme goes back to review). Sends a 404 or 409 and returns null when it cannot be recorded.
+const recordDocumentChange = async (req, res, schemeId, change) => {
+  const result = await schemePublishingService.recordDocumentChange(schemeId, req.user._id, change);
+  if (!result.success) {
+    res.status(result.reason === 'not_found' ? 404 : 409).json({
+      success: false,
+      message: result.error
+    });
+    return null;
+  }
+  return result;
+};
+
+const withReviewNote = (message, change) => (change.sentToReview ? `${message}; the scheme was sent back for review` : message);
+
+// @desc    Upload a document (guidelines, form, GR amendment, FAQ) for a scheme
+// @route   POST /api/upload/documents
 // @access  Private (Admin)
 const uploadDocument = async (req, res) => {
   try {
-    const { schemeId } = req.body;
+    const { schemeId, title, documentType = 'other', language = 'en' } = req.body;
 
     // Validate scheme ID
     if (!schemeId || !validateObjectId(schemeId)) {
@@ -17,6 +36,20 @@ const uploadDocument = async (req, res) => {
       });
     }
 
+    if (!SchemeDocument.DOCUMENT_TYPES.includes(documentType)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid document type. Use one of: ${SchemeDocument.DOCUMENT_TYPES.join(', ')}`
+      });
+    }
+
+    if (!['en', 'mr', 'mixed'].includes(language)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid language. Use one of: en, mr, mixed'
+      });
+    }
+
     // Check if scheme exists
     const scheme = await Scheme.findById(schemeId);
     if (!scheme) {
@@ -26,7 +59,7 @@ const uploadDocument = async (req, res) => {
       });
     }
 
-    // Check if file was uploaded (Cloudinary uses req.file with buffer)
+    // Check if file was uploaded (memory storage keeps it in req.file.buffer)
     if (!req.file) {
       return res.status(400).json({
         success: false,
@@ -34,53 +67,57 @@ const uploadDocument = async (req, res) => {
       });
     }
 
-    // Create file info object compatible with existing code
-    const fileInfo = {
-      originalName: req.file.originalname,
-      filename: req.file.originalname, // Keep original name for now
-      buffer: req.file.buffer, // Cloudinary uses buffer instead of path
-      size: req.file.size,
-      mimetype: req.file.mimetype
-    };
-
-    console.log(`Processing file upload: ${fileInfo.originalName} for scheme: ${scheme.title}`);
-
-    // Process document asynchronously
-    processDocument(schemeId, fileInfo, req.user._id)
-      .then(async (document) => {
-        // Update scheme processing status
-        // Document processing completed
-        
-        // Mark scheme as completed if it was pending
-        if (scheme.processingStatus === 'pending') {
-          scheme.processingStatus = 'completed';
-        }
-        
-        await scheme.save();
-        console.log(`Document processing completed for scheme: ${scheme.title}`);
-      })
-      .catch((error) => {
-        console.error(`Document processing failed for scheme: ${scheme.title}`, error);
-      });
-
-    // Return immediate response while processing continues in background
-    res.status(202).json({
-      success: true,
-      message: 'Document uploaded successfully and is being processed',
+    const filename = cleanFilename(req.file.originalname);
+    console.log(`Uploading document: ${filename} (${documentType}) for scheme: ${scheme.title}`);
+
+    // Fingerprint the file so later uploads of the same PDF are detected; matches are reported, not blocked
+    const fingerprint = await duplicateDetectionService.fingerprint(req.file.buffer);
+    const duplicates = await duplicateDetectionService.findDuplicates(fingerprint);
+
+    const documentTitle = sanitizeInput((title || filename).trim()).substring(0, 200);
+    const change = await recordDocumentChange(req, res, schemeId, `documents ("${documentTitle}" uploaded)`);
+    if (!change) return;
+
+    const uploadResult = await uploadPDF(req.file.buffer);
+
+    const document = await schemeDocumentService.createDocument(schemeId, {
+      title: documentTitle,
+      documentType,
+      language,
       file: {
-        originalName: fileInfo.originalName,
-        size: fileInfo.size,
-        type: fileInfo.mimetype
+        url: uploadResult.secure_url,
+        publicId: uploadResult.public_id,
+        filename,
+        size: req.file.size,
+        mimetype: req.file.mimetype
       },
-      schemeId: schemeId,
-      status: 'processing'
+      ...fingerprint,
+      uploadedBy: req.user._id
+    });
+
+    // Process the document in the background processing queue
+    const job = await schemeDocumentService.queueProcessing(document, { reason: 'upload', requestedBy: req.user._id });
+
+    res.status(202).json({
+      success: true,
+      message: withReviewNote('Document uploaded successfully and queued for processing', change),
+      document,
+      sentToReview: change.sentToReview,
+      processingJobId: job._id,
+      duplicates
     });
 
   } catch (error) {
     console.error('Upload document error:', error);
-    
-    // Note: With Cloudinary memory storage, no local cleanup needed
-    // Files are processed directly from memory buffer
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
 
     res.status(500).json({
       success: false,
@@ -89,7 +126,7 @@ const uploadDocument = async (req, res) => {
   }
 };
 
-// @desc    Get document processing status
+// @desc    Get processing status of a scheme's documents
 // @route   GET /api/upload/status/:schemeId
 // @access  Private (Admin)
 const getProcessingStatus = async (req, res) => {
@@ -103,12 +140,22 @@ const getProcessingStatus = async (req, res) => {
       });
     }
 
-    const scheme = await Scheme.findById(schemeId)
-      .select('title processingStatus');
+    const scheme = await Scheme.findById(schemeId).select('title');
+    if (!scheme) {
+      return res.status(404).json({
+        success: false,
+        message: 'Scheme not found'
+      });
+    }
+
+    const documents = await SchemeDocument.getForScheme(schemeId)
+      .select('title documentType isPrimary processingStatus processingError chunkCount lastProcessedAt')
+      .lean();
 
     res.json({
       success: true,
       scheme,
+      documents,
       message: 'Document processing status retrieved'
     });
 
@@ -121,8 +168,92 @@ const getProcessingStatus = async (req, res) => {
   }
 };
 
+// @desc    Get a single document
+// @route   GET /api/upload/documents/:documentId
+// @access  Private (Admin)
+const getDocument = async (req, res) => {
+  try {
+    const { documentId } = req.params;
+
+    if (!validateObjectId(documentId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid document ID'
+      });
+    }
+
+    const document = await SchemeDocument.findById(documentId)
+      .populate('schemeId', 'title')
+      .populate('uploadedBy', 'name email')
+      .lean();
+
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      document
+    });
+
+  } catch (error) {
+    console.error('Get document error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching document'
+    });
+  }
+};
+
+// @desc    Reprocess a document
+// @route   POST /api/upload/documents/:documentId/reprocess
+// @access  Private (Admin)
+const reprocessDocument = async (req, res) => {
+  try {
+    const { documentId } = req.params;
+
+    if (!validateObjectId(documentId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid document ID'
+      });
+    }
+
+    const document = await SchemeDocument.findById(documentId);
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    const change = await recordDocumentChange(req, res, document.schemeId, `documents ("${document.title}" reprocessed)`);
+    if (!change) return;
+
+    const job = await schemeDocumentService.queueProcessing(document, { reason: 'reprocess', requestedBy: req.user._id });
+
+    res.status(202).json({
+      success: true,
+      message: withReviewNote('Document reprocessing queued', change),
+      documentId,
+      sentToReview: change.sentToReview,
+      processingJobId: job._id
+    });
+
+  } catch (error) {
+    console.error('Reprocess document error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while reprocessing document'
+    });
+  }
+};
+
 // @desc    Delete document
-// @route   DELETE /api/upload/document/:documentId
+// @route   DELETE /api/upload/documents/:documentId
 // @access  Private (Admin)
 const deleteDocument = async (req, res) => {
   try {
@@ -135,12 +266,32 @@ const deleteDocument = async (req, res) => {
       });
     }
 
-    // Document deletion is not supported in this simplified version
-    // Documents are processed directly into document chunks
+    const document = await SchemeDocument.findById(documentId);
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    // The main PDF belongs to the scheme record; it is replaced by updating the scheme
+    if (document.isPrimary) {
+      return res.status(400).json({
+        success: false,
+        message: 'The main scheme PDF cannot be deleted here. Upload a replacement through the scheme instead.'
+      });
+    }
+
+    const change = await recordDocumentChange(req, res, document.schemeId, `documents ("${document.title}" deleted)`);
+    if (!change) return;
+
+    const result = await schemeDocumentService.deleteDocument(document);
 
     res.json({
       success: true,
-      message: 'Document deleted successfully'
+      message: withReviewNote('Document deleted successfully', change),
+      sentToReview: change.sentToReview,
+      ...result
     });
 
   } catch (error) {
@@ -152,33 +303,277 @@ const deleteDocument = async (req, res) => {
   }
 };
 
+// @desc    Get a document's version history
+// @route   GET /api/upload/documents/:documentId/versions
+// @access  Private (Admin)
+const getDocumentVersions = async (req, res) => {
+  try {
+    const { documentId } = req.params;
+
+    if (!validateObjectId(documentId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid document ID'
+      });
+    }
+
+    const document = await SchemeDocument.findById(documentId);
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    const versions = await schemeDocumentService.listVersions(document);
+
+    res.json({
+      success: true,
+      document: {
+        _id: document._id,
+        title: document.title,
+        documentType: document.documentType,
+        isPrimary: document.isPrimary,
+        currentVersion: document.currentVersion,
+        processingStatus: document.processingStatus
+      },
+      versions
+    });
+
+  } catch (error) {
+    console.error('Get document versions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching document versions'
+    });
+  }
+};
+
+// @desc    Diff the extracted text of two document versions
+// @route   GET /api/upload/documents/:documentId/versions/diff?from=1&to=2
+// @access  Private (Admin)
+const diffDocumentVersions = async (req, res) => {
+  try {
+    const { documentId } = req.params;
+
+    if (!validateObjectId(documentId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid document ID'
+      });
+    }
+
+    const document = await SchemeDocument.findById(documentId).select('currentVersion');
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    // Defaults to comparing the current version with the one before it
+    const to = parseInt(req.query.to) || document.currentVersion;
+    const from = parseInt(req.query.from) || to - 1;
+
+    if (!from || !to || from < 1 || from === to) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two different version numbers (from, to) are required'
+      });
+    }
+
+    const versions = await DocumentVersion.find({ documentId, versionNumber: { $in: [from, to] } })
+      .select('+extractedText');
+    const fromVersion = versions.find(version => version.versionNumber === from);
+    const toVersion = versions.find(version => version.versionNumber === to);
+
+    if (!fromVersion || !toVersion) {
+      return res.status(404).json({
+        success: false,
+        message: `Version ${!fromVersion ? from : to} not found`
+      });
+    }
+
+    const unprocessed = [fromVersion, toVersion].find(version => !version.processedAt);
+    if (unprocessed) {
+      return res.status(400).json({
+        success: false,
+        message: `Version ${unprocessed.versionNumber} has not been processed yet, so there is no text to compare`
+      });
+    }
+
+    res.json({
+      success: true,
+      documentId,
+      diff: schemeDocumentService.diffVersions(fromVersion, toVersion)
+    });
+
+  } catch (error) {
+    console.error('Diff document versions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while comparing document versions'
+    });
+  }
+};
+
+// @desc    Compare the chunking strategies on a version's extracted text
+// @route   GET /api/upload/documents/:documentId/chunking
+// @access  Private (Admin)
+const compareDocumentChunking = async (req, res) => {
+  try {
+    const { documentId } = req.params;
+
+    if (!validateObjectId(documentId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid document ID'
+      });
+    }
+
+    const document = await SchemeDocument.findById(documentId).select('schemeId currentVersion');
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    // Defaults to the current version
+    const versionNumber = parseInt(req.query.version) || document.currentVersion;
+    const version = await DocumentVersion.findOne({ documentId, versionNumber }).select('+extractedText');
+    if (!version) {
+      return res.status(404).json({
+        success: false,
+        message: `Version ${versionNumber} not found`
+      });
+    }
+
+    if (!version.processedAt) {
+      return res.status(400).json({
+        success: false,
+        message: `Version ${versionNumber} has not been processed yet, so there is no text to chunk`
+      });
+    }
+
+    const scheme = await Scheme.findById(document.schemeId).select('chunkingStrategy');
+
+    res.json({
+      success: true,
+      documentId,
+      currentStrategy: scheme ? scheme.chunkingStrategy : null,
+      comparison: schemeDocumentService.compareChunking(version)
+    });
+
+  } catch (error) {
+    console.error('Compare document chunking error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while comparing chunking strategies'
+    });
+  }
+};
+
+// @desc    Restore an earlier version of a document
+// @route   POST /api/upload/documents/:documentId/versions/:versionNumber/restore
+// @access  Private (Admin)
+const restoreDocumentVersion = async (req, res) => {
+  try {
+    const { documentId } = req.params;
+    const versionNumber = parseInt(req.params.versionNumber);
+
+    if (!validateObjectId(documentId) || !versionNumber) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid document ID or version number'
+      });
+    }
+
+    const document = await SchemeDocument.findById(documentId);
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    const version = await DocumentVersion.findOne({ documentId, versionNumber });
+    if (!version) {
+      return res.status(404).json({
+        success: false,
+        message: 'Version not found'
+      });
+    }
+
+    if (String(version._id) === String(document.currentVersionId)) {
+      return res.status(400).json({
+        success: false,
+        message: `Version ${versionNumber} is already the current version`
+      });
+    }
+
+    // Re-activated chunks are live at once, so the scheme goes back to review first
+    const change = await recordDocumentChange(req, res, document.schemeId, `documents ("${document.title}" restored to version ${versionNumber})`);
+    if (!change) return;
+
+    const result = await schemeDocumentService.restoreVersion(document, version, req.user._id);
+
+    res.status(result.job ? 202 : 200).json({
+      success: true,
+      message: withReviewNote(result.job
+        ? `Version ${versionNumber} restored and queued for reprocessing`
+        : `Version ${versionNumber} restored (${result.chunkCount} chunks re-activated)`, change),
+      documentId,
+      sentToReview: change.sentToReview,
+      currentVersion: versionNumber,
+      mode: result.mode,
+      chunkCount: result.chunkCount,
+      processingJobId: result.job ? result.job._id : null
+    });
+
+  } catch (error) {
+    console.error('Restore document version error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while restoring document version'
+    });
+  }
+};
+
 // @desc    Get all documents for admin
 // @route   GET /api/upload/documents
 // @access  Private (Admin)
 const getAllDocuments = async (req, res) => {
   try {
-    const { status, schemeId, page = 1, limit = 10 } = req.query;
+    const { status, schemeId, documentType, page = 1, limit = 10 } = req.query;
 
     const filter = {};
     if (status) filter.processingStatus = status;
     if (schemeId && validateObjectId(schemeId)) filter.schemeId = schemeId;
+    if (documentType) filter.documentType = documentType;
 
     const pageNum = parseInt(page);
     const limitNum = parseInt(limit);
     const skip = (pageNum - 1) * limitNum;
 
-    // Document listing is not supported in this simplified version
-    // Documents are processed directly into document chunks
+    const [documents, total] = await Promise.all([
+      SchemeDocument.find(filter)
+        .populate('schemeId', 'title')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limitNum)
+        .lean(),
+      SchemeDocument.countDocuments(filter)
+    ]);
 
     res.json({
       success: true,
-      documents: [],
-      message: 'Document listing not available in simplified version',
+      documents,
       pagination: {
         page: pageNum,
         limit: limitNum,
-        total: 0,
-        totalPages: 0
+        total,
+        totalPages: Math.ceil(total / limitNum)
       }
     });
 
@@ -195,5 +590,11 @@ module.exports = {
   uploadDocument,
   getProcessingStatus,
   deleteDocument,
-  getAllDocuments
-};
\ No newline at end of file
+  getAllDocuments,
+  getDocument,
+  reprocessDocument,
+  getDocumentVersions,
+  diffDocumentVersions,
+  compareDocumentChunking,
+  restoreDocumentVersion
+};
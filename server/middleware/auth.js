@@ -69,7 +69,7 @@ const requireAdmin = (req, res, next) => {
     });
   }
 
-  if (req.user.role !== 'admin' && req.user.role !== 'super_admin') {
+  if (!['admin', 'reviewer', 'super_admin'].includes(req.user.role)) {
     return res.status(403).json({
       success: false,
       message: 'Admin access required'
@@ -79,6 +79,25 @@ const requireAdmin = (req, res, next) => {
   next();
 };
 
+// Middleware to check if user can approve schemes for publishing (reviewer or super admin)
+const requireReviewer = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required'
+    });
+  }
+
+  if (req.user.role !== 'reviewer' && req.user.role !== 'super_admin') {
+    return res.status(403).json({
+      success: false,
+      message: 'Reviewer access required'
+    });
+  }
+
+  next();
+};
+
 // Middleware to check if user is super admin
 const requireSuperAdmin = (req, res, next) => {
   if (!req.user) {
@@ -101,5 +120,6 @@ const requireSuperAdmin = (req, res, next) => {
 module.exports = {
   authenticateToken,
   requireAdmin,
+  requireReviewer,
   requireSuperAdmin
 };
\ No newline at end of file
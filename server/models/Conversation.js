@@ -0,0 +1,158 @@
+const mongoose = require('mongoose');
+
+// How long a conversation is kept after its last message
+const getRetentionDays = () => parseInt(process.env.CHAT_RETENTION_DAYS) || 30;
+
+// Upper bound on stored messages per conversation
+const MAX_MESSAGES = 200;
+
+const conversationMessageSchema = new mongoose.Schema({
+  role: {
+    type: String,
+    enum: ['user', 'assistant'],
+    required: true
+  },
+
+  content: {
+    type: String,
+    required: true,
+    maxlength: [20000, 'Message cannot exceed 20000 characters']
+  },
+
+  // Standalone query used for retrieval when a follow-up was rewritten
+  rewrittenQuery: {
+    type: String
+  },
+
+  // Chunks cited by an assistant message
+  sources: [{
+    chunkId: String,
+    schemeId: mongoose.Schema.Types.ObjectId,
+    schemeTitle: String,
+    documentId: mongoose.Schema.Types.ObjectId,
+    documentTitle: String,
+    pageNumber: Number,
+    endPage: Number,
+    relevanceScore: Number
+  }],
+
+  confidence: {
+    type: Number,
+    min: 0,
+    max: 1
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: true });
+
+const conversationSchema = new mongoose.Schema({
+  // Anonymous session the conversation belongs to (generated by the server, kept by the client)
+  sessionId: {
+    type: String,
+    required: [true, 'Session ID is required'],
+    index: true
+  },
+
+  // Set when the question was asked by a logged-in user
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
+
+  // Scheme the conversation is about (null for general chat)
+  schemeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Scheme',
+    default: null
+  },
+
+  // Short title taken from the first question
+  title: {
+    type: String,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+
+  language: {
+    type: String,
+    default: 'en'
+  },
+
+  messages: [conversationMessageSchema],
+
+  lastMessageAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Removed by MongoDB once this date passes (see TTL index below)
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+conversationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+conversationSchema.index({ sessionId: 1, lastMessageAt: -1 });
+conversationSchema.index({ title: 'text', 'messages.content': 'text' });
+
+// Static method to compute the expiry date for a conversation touched now
+conversationSchema.statics.getExpiryDate = function(from = new Date()) {
+  return new Date(from.getTime() + getRetentionDays() * 24 * 60 * 60 * 1000);
+};
+
+// Static method to build the ownership filter for a session and/or user (null when there is no owner).
+// Only string session ids are used, so an operator object from a query string never reaches the filter.
+conversationSchema.statics.ownerFilter = function(sessionId, userId) {
+  const owners = [];
+  if (typeof sessionId === 'string' && sessionId) owners.push({ sessionId });
+  if (userId) owners.push({ userId });
+
+  if (owners.length === 0) return null;
+  return owners.length === 1 ? owners[0] : { $or: owners };
+};
+
+// Instance method to get the last few question/answer pairs
+conversationSchema.methods.getRecentTurns = function(turnCount = 3) {
+  return this.messages.slice(-turnCount * 2);
+};
+
+// Instance method to append a question and its answer, extending retention
+conversationSchema.methods.addTurn = function({ question, rewrittenQuery, answer, sources = [], confidence }) {
+  const now = new Date();
+
+  if (!this.title) {
+    this.title = question.substring(0, 200);
+  }
+
+  this.messages.push({
+    role: 'user',
+    content: question,
+    rewrittenQuery: rewrittenQuery && rewrittenQuery !== question ? rewrittenQuery : undefined,
+    createdAt: now
+  });
+
+  this.messages.push({
+    role: 'assistant',
+    content: answer,
+    sources,
+    confidence,
+    createdAt: now
+  });
+
+  if (this.messages.length > MAX_MESSAGES) {
+    this.messages = this.messages.slice(-MAX_MESSAGES);
+  }
+
+  this.lastMessageAt = now;
+  this.expiresAt = this.constructor.getExpiryDate(now);
+
+  return this.save();
+};
+
+module.exports = mongoose.model('Conversation', conversationSchema);
@@ -9,6 +9,20 @@ const documentChunkSchema = new mongoose.Schema({
     index: true
   },
   
+  // Document of the scheme this chunk was extracted from
+  documentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SchemeDocument',
+    index: true
+  },
+  
+  // Document version this chunk was extracted from
+  versionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DocumentVersion',
+    index: true
+  },
+  
   // Unique identifier for this chunk within the scheme
   chunkId: {
     type: String,
@@ -23,6 +37,11 @@ const documentChunkSchema = new mongoose.Schema({
     maxlength: [5000, 'Content cannot exceed 5000 characters']
   },
   
+  // SHA-256 of the content, used to reuse embeddings when a document is reprocessed
+  contentHash: {
+    type: String
+  },
+  
   // Metadata about this chunk
   metadata: {
     // Page number in the original PDF (if applicable)
@@ -31,12 +50,31 @@ const documentChunkSchema = new mongoose.Schema({
       min: 1
     },
     
+    // Last page this chunk's text runs onto (same as pageNumber for single-page chunks)
+    endPage: {
+      type: Number,
+      min: 1
+    },
+    
     // Section or heading this chunk belongs to
     section: {
       type: String,
       maxlength: [200, 'Section name cannot exceed 200 characters']
     },
     
+    // Headings above this chunk, outermost first (structured chunking)
+    headingPath: [{
+      type: String,
+      maxlength: [200, 'Heading cannot exceed 200 characters']
+    }],
+    
+    // Chunking strategy that produced this chunk
+    chunkingStrategy: {
+      type: String,
+      enum: ['fixed', 'structured'],
+      default: 'fixed'
+    },
+    
     // Index of this chunk within the document
     chunkIndex: {
       type: Number,
@@ -78,6 +116,24 @@ const documentChunkSchema = new mongoose.Schema({
       maxlength: [50, 'Keyword cannot exceed 50 characters']
     }],
     
+    // Provenance: the document this chunk comes from and where to open it
+    documentTitle: {
+      type: String,
+      maxlength: [200, 'Document title cannot exceed 200 characters']
+    },
+    
+    documentType: {
+      type: String
+    },
+    
+    url: {
+      type: String
+    },
+    
+    filename: {
+      type: String
+    },
+    
     // Confidence score for content quality (0-1)
     qualityScore: {
       type: Number,
@@ -99,10 +155,23 @@ const documentChunkSchema = new mongoose.Schema({
     }
   },
   
-  // Processing status
+  // Embedding model that produced the vector ("provider/model"). Query vectors are
+  // only compared with chunks from the same model.
+  embeddingModel: {
+    type: String,
+    index: true
+  },
+  
+  // Length of the embedding vector
+  embeddingDimensions: {
+    type: Number,
+    min: 1
+  },
+  
+  // Processing status ('archived' chunks belong to an older document version and are not searched)
   processingStatus: {
     type: String,
-    enum: ['pending', 'processing', 'completed', 'failed'],
+    enum: ['pending', 'processing', 'completed', 'failed', 'archived'],
     default: 'pending'
   },
   
@@ -198,6 +267,28 @@ documentChunkSchema.statics.getRelevantChunks = function(schemeId, queryEmbeddin
     .lean();
 };
 
+// Static method to count completed chunks per embedding model and dimension
+documentChunkSchema.statics.getEmbeddingModelStats = function() {
+  return this.aggregate([
+    { $match: { processingStatus: 'completed' } },
+    {
+      $group: {
+        _id: { embeddingModel: '$embeddingModel', dimensions: { $size: '$embedding' } },
+        chunks: { $sum: 1 }
+      }
+    },
+    { $sort: { chunks: -1 } },
+    {
+      $project: {
+        _id: 0,
+        embeddingModel: { $ifNull: ['$_id.embeddingModel', null] },
+        dimensions: '$_id.dimensions',
+        chunks: 1
+      }
+    }
+  ]);
+};
+
 // Instance method to update usage statistics
 documentChunkSchema.methods.updateUsageStats = function(relevanceScore) {
   this.usageStats.retrievalCount += 1;
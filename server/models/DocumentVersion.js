@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+
+// Extracted text kept per version for diffs (Marathi text is ~3 bytes per character)
+const MAX_TEXT_LENGTH = 2000000;
+
+const documentVersionSchema = new mongoose.Schema({
+  documentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SchemeDocument',
+    required: [true, 'Document ID is required'],
+    index: true
+  },
+
+  schemeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Scheme',
+    required: [true, 'Scheme ID is required'],
+    index: true
+  },
+
+  // 1 for the first upload, incremented for each replacement
+  versionNumber: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+
+  // Stored file of this version (old files are kept so the version can be restored)
+  file: {
+    url: {
+      type: String,
+      required: [true, 'File URL is required']
+    },
+    publicId: String,
+    filename: String,
+    size: Number,
+    mimetype: String
+  },
+
+  // SHA-256 of the uploaded file (unknown for files uploaded before versioning)
+  checksum: {
+    type: String,
+    default: null,
+    index: true
+  },
+
+  // MinHash signature of the text, used to find near-duplicate uploads (see utils/textFingerprint)
+  minhash: {
+    type: [Number],
+    select: false,
+    default: undefined
+  },
+
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // Text extracted when the version was processed, used to diff versions
+  extractedText: {
+    type: String,
+    select: false
+  },
+
+  textTruncated: {
+    type: Boolean,
+    default: false
+  },
+
+  pageCount: Number,
+  processedAt: Date,
+
+  // Set when an admin rolls the document back to this version
+  restoredAt: Date,
+  restoredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+documentVersionSchema.index({ documentId: 1, versionNumber: -1 }, { unique: true });
+
+documentVersionSchema.statics.MAX_TEXT_LENGTH = MAX_TEXT_LENGTH;
+
+// Static method to get a document's versions, newest first
+documentVersionSchema.statics.getForDocument = function(documentId) {
+  return this.find({ documentId }).sort({ versionNumber: -1 });
+};
+
+// Static method to get the next version number of a document
+documentVersionSchema.statics.getNextVersionNumber = async function(documentId) {
+  const latest = await this.findOne({ documentId }).sort({ versionNumber: -1 }).select('versionNumber').lean();
+  return latest ? latest.versionNumber + 1 : 1;
+};
+
+module.exports = mongoose.model('DocumentVersion', documentVersionSchema);
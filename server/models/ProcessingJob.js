@@ -0,0 +1,150 @@
+const mongoose = require('mongoose');
+
+// Pipeline steps of a PDF processing job, in order ('fields' extracts structured scheme fields for review)
+const PROCESSING_STEPS = ['download', 'extract', 'chunk', 'embed', 'save', 'fields'];
+
+const processingStepSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    enum: PROCESSING_STEPS,
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: ['pending', 'running', 'completed', 'failed', 'skipped'],
+    default: 'pending'
+  },
+
+  startedAt: Date,
+  finishedAt: Date,
+
+  // Step output shown on the status page (page count, chunks created, ...)
+  details: {
+    type: mongoose.Schema.Types.Mixed
+  }
+}, { _id: false });
+
+const processingJobSchema = new mongoose.Schema({
+  schemeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Scheme',
+    required: [true, 'Scheme ID is required'],
+    index: true
+  },
+
+  // Scheme document being processed (the scheme's primary PDF for older jobs)
+  documentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SchemeDocument',
+    default: null
+  },
+
+  // Document version being processed
+  versionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DocumentVersion',
+    default: null
+  },
+
+  // PDF to process (Cloudinary URL or local path)
+  pdfUrl: {
+    type: String,
+    required: [true, 'PDF URL is required']
+  },
+
+  // Why the job was created: create, update, reprocess
+  reason: {
+    type: String,
+    default: 'reprocess'
+  },
+
+  // Chunking options passed to embeddingService.processPDFForScheme
+  options: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed', 'cancelled'],
+    default: 'queued',
+    index: true
+  },
+
+  attempts: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  maxAttempts: {
+    type: Number,
+    default: 3,
+    min: 1
+  },
+
+  // Queued jobs are not picked up before this time (retry backoff)
+  nextRunAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Worker holding the job and its last heartbeat
+  lockedBy: String,
+  lockedAt: Date,
+
+  currentStep: {
+    type: String,
+    enum: [...PROCESSING_STEPS, null],
+    default: null
+  },
+
+  steps: [processingStepSchema],
+
+  // One entry per failed attempt
+  failures: [{
+    attempt: Number,
+    step: String,
+    message: String,
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  // Reason of the last failed attempt (or of the cancellation)
+  lastError: String,
+
+  // Summary returned by processPDFForScheme on success
+  result: {
+    type: mongoose.Schema.Types.Mixed
+  },
+
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  startedAt: Date,
+  finishedAt: Date
+}, {
+  timestamps: true
+});
+
+processingJobSchema.index({ status: 1, nextRunAt: 1 });
+processingJobSchema.index({ schemeId: 1, createdAt: -1 });
+
+processingJobSchema.statics.PROCESSING_STEPS = PROCESSING_STEPS;
+
+// Static method to build the step list of a new attempt
+processingJobSchema.statics.createSteps = function() {
+  return PROCESSING_STEPS.map(name => ({ name, status: 'pending' }));
+};
+
+// Static method to get the most recent job of a scheme
+processingJobSchema.statics.getLatestForScheme = function(schemeId) {
+  return this.findOne({ schemeId }).sort({ createdAt: -1 }).lean();
+};
+
+module.exports = mongoose.model('ProcessingJob', processingJobSchema);
@@ -1,4 +1,71 @@
 const mongoose = require('mongoose');
+const { FIELD_NAMES, fieldItemSchema } = require('./SchemeFieldExtraction');
+
+// Groups a scheme is meant for (display names live in the client's getTargetAudienceName)
+const TARGET_AUDIENCES = [
+  'farmers', 'students', 'women', 'senior_citizens', 'youth', 'rural_population', 'urban_population',
+  'below_poverty_line', 'scheduled_caste', 'scheduled_tribe', 'other_backward_class', 'general'
+];
+const BENEFIT_TYPES = ['cash', 'subsidy', 'scholarship', 'loan', 'insurance', 'pension', 'in_kind', 'service', 'other'];
+
+// Publishing lifecycle: only published schemes are shown to citizens and used in chat;
+// approved schemes with a future publishAt wait as scheduled
+const STATUSES = ['draft', 'in_review', 'scheduled', 'published', 'archived'];
+// "published" and "expired" are recorded by the scheduler, "edited" when content changes
+const REVIEW_ACTIONS = ['submitted', 'approved', 'rejected', 'archived', 'reopened', 'published', 'expired', 'edited'];
+
+// Filter for schemes visible to citizens
+const PUBLIC_FILTER = { isActive: true, status: 'published' };
+
+// Official page the scheme is published on (GR, department notice, portal)
+const sourceLinkSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Link title cannot exceed 200 characters']
+  },
+  url: {
+    type: String,
+    required: [true, 'Link URL is required'],
+    trim: true,
+    maxlength: [500, 'Link URL cannot exceed 500 characters']
+  }
+}, { _id: false });
+
+// Reviewed structured details: the extracted fields an admin accepted, with their sources
+const schemeDetailsSchema = new mongoose.Schema({
+  ...FIELD_NAMES.reduce((fields, name) => ({ ...fields, [name]: [fieldItemSchema] }), {}),
+  extractionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SchemeFieldExtraction'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date
+}, { _id: false });
+
+// One step of the publishing workflow, newest last
+const reviewEventSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: REVIEW_ACTIONS,
+    required: true
+  },
+  by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  },
+  comment: {
+    type: String,
+    maxlength: [500, 'Review comment cannot exceed 500 characters']
+  }
+}, { _id: false });
 
 const schemeSchema = new mongoose.Schema({
   title: {
@@ -29,6 +96,75 @@ const schemeSchema = new mongoose.Schema({
     ],
     default: 'Other'
   },
+  // Department that implements the scheme
+  implementingDepartment: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Implementing department cannot exceed 200 characters']
+  },
+  // States and districts the scheme applies to (empty: not restricted)
+  states: [{
+    type: String,
+    trim: true,
+    maxlength: [100, 'State name cannot exceed 100 characters']
+  }],
+  districts: [{
+    type: String,
+    trim: true,
+    maxlength: [100, 'District name cannot exceed 100 characters']
+  }],
+  targetAudience: [{
+    type: String,
+    enum: TARGET_AUDIENCES
+  }],
+  // Applicant age limits in years
+  minAge: {
+    type: Number,
+    min: [0, 'Minimum age cannot be negative'],
+    max: [120, 'Minimum age cannot exceed 120']
+  },
+  maxAge: {
+    type: Number,
+    min: [0, 'Maximum age cannot be negative'],
+    max: [120, 'Maximum age cannot exceed 120']
+  },
+  // Annual family income limits in rupees
+  minIncome: {
+    type: Number,
+    min: [0, 'Minimum income cannot be negative']
+  },
+  maxIncome: {
+    type: Number,
+    min: [0, 'Maximum income cannot be negative']
+  },
+  benefitType: {
+    type: String,
+    enum: BENEFIT_TYPES
+  },
+  // Benefit per beneficiary in rupees
+  benefitAmount: {
+    type: Number,
+    min: [0, 'Benefit amount cannot be negative']
+  },
+  applicationUrl: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Application URL cannot exceed 500 characters']
+  },
+  // Period in which applications are accepted
+  applicationOpensAt: {
+    type: Date
+  },
+  applicationClosesAt: {
+    type: Date
+  },
+  // Helpline numbers or email addresses for applicants
+  helpline: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Helpline cannot exceed 200 characters']
+  },
+  sourceLinks: [sourceLinkSchema],
   // PDF file information (simplified for RAG compatibility)
   pdfFile: {
     url: {
@@ -44,6 +180,45 @@ const schemeSchema = new mongoose.Schema({
       type: String
     }
   },
+  // How the scheme's documents are split into chunks: fixed word windows or along numbered clauses and headings
+  chunkingStrategy: {
+    type: String,
+    enum: ['fixed', 'structured'],
+    default: 'fixed'
+  },
+  // Eligibility, benefits, required documents, application mode, deadlines and contacts
+  // extracted from the documents (see services/fieldExtractionService)
+  details: {
+    type: schemeDetailsSchema,
+    default: undefined
+  },
+  // draft → in_review → published (or back to draft when rejected); any state can be archived
+  // (see services/schemePublishingService)
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'draft'
+  },
+  submittedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  submittedAt: Date,
+  // Last approval or rejection
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  reviewComment: {
+    type: String,
+    maxlength: [500, 'Review comment cannot exceed 500 characters']
+  },
+  publishedAt: Date,
+  // Optional visibility window: an approved scheme goes live at publishAt and is archived at expireAt
+  publishAt: Date,
+  expireAt: Date,
+  reviewHistory: [reviewEventSchema],
   isActive: {
     type: Boolean,
     default: true
@@ -73,8 +248,43 @@ const schemeSchema = new mongoose.Schema({
 schemeSchema.index({ title: 'text', description: 'text' });
 schemeSchema.index({ category: 1 });
 schemeSchema.index({ isActive: 1 });
+schemeSchema.index({ status: 1, isActive: 1 });
+schemeSchema.index({ status: 1, publishAt: 1 });
+schemeSchema.index({ status: 1, expireAt: 1 });
 schemeSchema.index({ createdBy: 1 });
 schemeSchema.index({ createdAt: -1 });
+schemeSchema.index({ targetAudience: 1 });
+
+schemeSchema.statics.TARGET_AUDIENCES = TARGET_AUDIENCES;
+schemeSchema.statics.BENEFIT_TYPES = BENEFIT_TYPES;
+schemeSchema.statics.STATUSES = STATUSES;
+schemeSchema.statics.PUBLIC_FILTER = PUBLIC_FILTER;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Where a scheme's application window stands. Applications close at the end of the
+ * closing day, or when the scheme expires if that comes first.
+ * @param {Object} scheme - Scheme or plain object with applicationOpensAt, applicationClosesAt, expireAt
+ * @param {Date} now - Reference time
+ * @returns {Object|null} { state: 'upcoming' | 'open' | 'closed', opensAt, closesAt }, null without dates
+ */
+schemeSchema.statics.getApplicationWindow = function(scheme, now = new Date()) {
+  const opensAt = scheme.applicationOpensAt ? new Date(scheme.applicationOpensAt) : null;
+  // closesAt is the date shown (the closing day or the expiry time), endsAt the moment it takes effect
+  const closing = [
+    scheme.applicationClosesAt && { closesAt: new Date(scheme.applicationClosesAt), endsAt: new Date(new Date(scheme.applicationClosesAt).getTime() + DAY_MS) },
+    scheme.expireAt && { closesAt: new Date(scheme.expireAt), endsAt: new Date(scheme.expireAt) }
+  ].filter(Boolean).sort((a, b) => a.endsAt - b.endsAt)[0] || null;
+
+  if (!opensAt && !closing) return null;
+
+  let state = 'open';
+  if (closing && closing.endsAt <= now) state = 'closed';
+  else if (opensAt && opensAt > now) state = 'upcoming';
+
+  return { state, opensAt, closesAt: closing ? closing.closesAt : null };
+};
 
 // Middleware to handle cascade delete
 schemeSchema.pre('findOneAndUpdate', async function(next) {
@@ -87,6 +297,7 @@ schemeSchema.pre('findOneAndUpdate', async function(next) {
       try {
         const DocumentChunk = mongoose.model('DocumentChunk');
         await DocumentChunk.deleteMany({ schemeId: schemeId });
+        require('../services/vectorIndexService').removeScheme(schemeId);
         console.log(`🗑️ Deleted chunks for scheme: ${schemeId}`);
       } catch (error) {
         console.error('Error deleting chunks:', error);
@@ -134,11 +345,24 @@ schemeSchema.statics.permanentDelete = async function(schemeId) {
     // First delete all related document chunks
     const DocumentChunk = mongoose.model('DocumentChunk');
     const deletedChunks = await DocumentChunk.deleteMany({ schemeId: schemeId });
+    require('../services/vectorIndexService').removeScheme(schemeId);
     console.log(`🗑️ Deleted ${deletedChunks.deletedCount} chunks for scheme: ${schemeId}`);
     
+    // Files still used by other schemes' documents (linked duplicates) are kept
+    const schemeDocumentService = require('../services/schemeDocumentService');
+    const SchemeDocument = mongoose.model('SchemeDocument');
+    const DocumentVersion = mongoose.model('DocumentVersion');
+    const documents = await SchemeDocument.find({ schemeId: schemeId }).select('_id file');
+    const versions = await DocumentVersion.find({ schemeId: schemeId }).select('file');
+    const unsharedFiles = await schemeDocumentService.getUnsharedFiles(
+      [scheme.pdfFile, ...documents.map(document => document.file), ...versions.map(version => version.file)]
+        .map(file => file && file.publicId),
+      { schemeId: scheme._id }
+    );
+    
     // Delete PDF file from cloud storage if it exists
     let deletedFile = null;
-    if (scheme.pdfFile && scheme.pdfFile.publicId) {
+    if (scheme.pdfFile && scheme.pdfFile.publicId && unsharedFiles.includes(scheme.pdfFile.publicId)) {
       try {
         const { deleteFile } = require('../services/cloudStorage');
         await deleteFile(scheme.pdfFile.publicId);
@@ -149,6 +373,21 @@ schemeSchema.statics.permanentDelete = async function(schemeId) {
       }
     }
     
+    // Delete the scheme's other documents, all document versions and their files
+    for (const publicId of unsharedFiles.filter(publicId => publicId !== scheme.pdfFile?.publicId)) {
+      try {
+        const { deleteFile } = require('../services/cloudStorage');
+        await deleteFile(publicId);
+      } catch (fileError) {
+        console.warn(`⚠️ Failed to delete document file from cloud storage ${publicId}:`, fileError.message);
+      }
+    }
+    const deletedDocuments = await SchemeDocument.deleteMany({ schemeId: schemeId });
+    const deletedVersions = await DocumentVersion.deleteMany({ schemeId: schemeId });
+    
+    // Documents of other schemes that were linked to these ones get their own chunks again
+    await schemeDocumentService.releaseLinkedDocuments(documents.map(document => document._id));
+    
     // Then delete the scheme itself
     const deletedScheme = await this.findByIdAndDelete(schemeId);
     
@@ -158,6 +397,8 @@ schemeSchema.statics.permanentDelete = async function(schemeId) {
       success: true,
       deletedScheme,
       deletedChunks: deletedChunks.deletedCount,
+      deletedDocuments: deletedDocuments.deletedCount,
+      deletedVersions: deletedVersions.deletedCount,
       deletedFile
     };
   } catch (error) {
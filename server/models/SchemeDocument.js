@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+
+// Kinds of documents a scheme can have
+const DOCUMENT_TYPES = ['guidelines', 'application_form', 'gr_amendment', 'faq', 'circular', 'other'];
+
+const schemeDocumentSchema = new mongoose.Schema({
+  schemeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Scheme',
+    required: [true, 'Scheme ID is required'],
+    index: true
+  },
+
+  title: {
+    type: String,
+    required: [true, 'Document title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+
+  documentType: {
+    type: String,
+    enum: DOCUMENT_TYPES,
+    default: 'other'
+  },
+
+  // Main language of the document (en/mr)
+  language: {
+    type: String,
+    enum: ['en', 'mr', 'mixed'],
+    default: 'en'
+  },
+
+  // The scheme's main PDF (mirrored in Scheme.pdfFile)
+  isPrimary: {
+    type: Boolean,
+    default: false
+  },
+
+  // Stored file information
+  file: {
+    url: {
+      type: String,
+      required: [true, 'File URL is required']
+    },
+    publicId: String,
+    filename: String,
+    size: Number,
+    mimetype: String
+  },
+
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // Version whose file and chunks are live (see DocumentVersion)
+  currentVersionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DocumentVersion',
+    default: null
+  },
+
+  currentVersion: {
+    type: Number,
+    default: null
+  },
+
+  // Duplicate of another document: this document has no chunks of its own and
+  // searches of its scheme use the linked document's chunks instead
+  linkedDocumentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SchemeDocument',
+    default: null,
+    index: true
+  },
+
+  // Processing state of this document's chunks ('linked' once its own chunks are archived)
+  processingStatus: {
+    type: String,
+    enum: ['pending', 'queued', 'processing', 'completed', 'failed', 'linked'],
+    default: 'pending'
+  },
+
+  processingError: String,
+
+  chunkCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  lastProcessedAt: Date
+}, {
+  timestamps: true
+});
+
+schemeDocumentSchema.index({ schemeId: 1, isPrimary: 1 });
+
+schemeDocumentSchema.statics.DOCUMENT_TYPES = DOCUMENT_TYPES;
+
+// Static method to get a scheme's documents, primary first
+schemeDocumentSchema.statics.getForScheme = function(schemeId) {
+  return this.find({ schemeId }).sort({ isPrimary: -1, createdAt: 1 });
+};
+
+module.exports = mongoose.model('SchemeDocument', schemeDocumentSchema);
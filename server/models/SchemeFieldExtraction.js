@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+
+// Structured fields extracted from a scheme's documents; list fields hold several items
+const FIELD_NAMES = ['eligibility', 'benefits', 'documents', 'applicationMode', 'deadlines', 'contacts'];
+const APPLICATION_MODES = ['online', 'offline', 'both'];
+
+// One extracted value and the chunk it was read from
+const fieldItemSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: [true, 'Field text is required'],
+    trim: true,
+    maxlength: [500, 'Field text cannot exceed 500 characters']
+  },
+
+  // Benefit amount in rupees (benefits)
+  amount: {
+    type: Number,
+    min: 0
+  },
+
+  // Date of a deadline (deadlines)
+  date: Date,
+
+  // online/offline/both (applicationMode)
+  mode: {
+    type: String,
+    enum: APPLICATION_MODES
+  },
+
+  // Chunk the value was read from
+  source: {
+    chunkId: String,
+    documentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SchemeDocument'
+    },
+    documentTitle: String,
+    pageNumber: Number,
+    // Start of the chunk, shown to the reviewer next to the value
+    excerpt: String
+  }
+}, { _id: false });
+
+const fieldsDefinition = FIELD_NAMES.reduce((fields, name) => ({ ...fields, [name]: [fieldItemSchema] }), {});
+
+const schemeFieldExtractionSchema = new mongoose.Schema({
+  schemeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Scheme',
+    required: [true, 'Scheme ID is required'],
+    index: true
+  },
+
+  // pending_review until an admin accepts or rejects it; a newer extraction supersedes a pending one
+  status: {
+    type: String,
+    enum: ['pending_review', 'accepted', 'rejected', 'superseded'],
+    default: 'pending_review',
+    index: true
+  },
+
+  fields: fieldsDefinition,
+
+  // What started the extraction: a finished processing job or an admin
+  trigger: {
+    type: String,
+    enum: ['processing', 'manual'],
+    default: 'processing'
+  },
+
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ProcessingJob'
+  },
+
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // Model that produced the fields and the chunks it was shown
+  provider: String,
+  model: String,
+  chunksUsed: {
+    type: Number,
+    default: 0
+  },
+
+  // Items the model returned without a valid chunk citation (not kept)
+  droppedItems: {
+    type: Number,
+    default: 0
+  },
+
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  reviewComment: {
+    type: String,
+    maxlength: [500, 'Review comment cannot exceed 500 characters']
+  }
+}, {
+  timestamps: true
+});
+
+schemeFieldExtractionSchema.index({ schemeId: 1, createdAt: -1 });
+
+schemeFieldExtractionSchema.statics.FIELD_NAMES = FIELD_NAMES;
+schemeFieldExtractionSchema.statics.APPLICATION_MODES = APPLICATION_MODES;
+schemeFieldExtractionSchema.statics.fieldItemSchema = fieldItemSchema;
+
+// Count the items of every field
+schemeFieldExtractionSchema.methods.countItems = function() {
+  return FIELD_NAMES.reduce((total, name) => total + ((this.fields && this.fields[name]) || []).length, 0);
+};
+
+module.exports = mongoose.model('SchemeFieldExtraction', schemeFieldExtractionSchema);
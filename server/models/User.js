@@ -28,9 +28,10 @@ const userSchema = new mongoose.Schema({
     trim: true,
     maxlength: [50, 'Name cannot exceed 50 characters']
   },
+  // Reviewers manage schemes like admins and also approve schemes for publishing
   role: {
     type: String,
-    enum: ['admin', 'super_admin'],
+    enum: ['admin', 'reviewer', 'super_admin'],
     default: 'admin'
   },
   department: {
@@ -3,10 +3,20 @@ const User = require('./User');
 const Scheme = require('./Scheme');
 const DocumentChunk = require('./DocumentChunk');
 const AnalyticsSummary = require('./AnalyticsSummary');
+const Conversation = require('./Conversation');
+const ProcessingJob = require('./ProcessingJob');
+const SchemeDocument = require('./SchemeDocument');
+const DocumentVersion = require('./DocumentVersion');
+const SchemeFieldExtraction = require('./SchemeFieldExtraction');
 
 module.exports = {
   User,
   Scheme,
   DocumentChunk,
-  AnalyticsSummary
+  AnalyticsSummary,
+  Conversation,
+  ProcessingJob,
+  SchemeDocument,
+  DocumentVersion,
+  SchemeFieldExtraction
 };
\ No newline at end of file
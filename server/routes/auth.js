@@ -49,8 +49,8 @@ const registerValidation = [
     .withMessage('Department name cannot exceed 100 characters'),
   body('role')
     .optional()
-    .isIn(['admin', 'super_admin'])
-    .withMessage('Role must be either admin or super_admin'),
+    .isIn(['admin', 'reviewer', 'super_admin'])
+    .withMessage('Role must be admin, reviewer or super_admin'),
   handleValidationErrors
 ];
 
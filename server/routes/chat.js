@@ -13,33 +13,40 @@ router.use((req, res, next) => {
   next();
 });
 
-// @route   POST /api/chat/ask
-// @desc    Ask a question about government schemes
-// @access  Public
-router.post('/ask', trackChatInteraction, (req, res, next) => {
-  // Optional authentication - if token exists, decode it, otherwise continue as anonymous
+// Optional authentication - if token exists, decode it, otherwise continue as anonymous
+const optionalAuth = (req, res, next) => {
   if (req.headers.authorization) {
     authenticateToken(req, res, next);
   } else {
     req.user = null; // Anonymous user
     next();
   }
-}, chatController.askQuestion);
+};
+
+// @route   POST /api/chat/ask
+// @desc    Ask a question about government schemes
+// @access  Public
+router.post('/ask', trackChatInteraction, optionalAuth, chatController.askQuestion);
+
+// @route   POST /api/chat/ask/stream
+// @desc    Ask a question and stream the answer over Server-Sent Events
+// @access  Public
+router.post('/ask/stream', trackChatInteraction, optionalAuth, chatController.askQuestionStream);
 
 // @route   GET /api/chat/history
-// @desc    Get chat history for authenticated user
-// @access  Private
-router.get('/history', authenticateToken, chatController.getChatHistory);
+// @desc    Get chat history for the current session or logged-in user
+// @access  Public (session owner)
+router.get('/history', optionalAuth, chatController.getChatHistory);
 
 // @route   GET /api/chat/:chatId
 // @desc    Get details of a specific chat
-// @access  Private
-router.get('/:chatId', authenticateToken, chatController.getChatDetails);
+// @access  Public (session owner)
+router.get('/:chatId', optionalAuth, chatController.getChatDetails);
 
 // @route   GET /api/chat/search/query
 // @desc    Search through chat history
-// @access  Private
-router.get('/search/query', authenticateToken, chatController.searchChats);
+// @access  Public (session owner)
+router.get('/search/query', optionalAuth, chatController.searchChats);
 
 // @route   GET /api/chat/popular/questions
 // @desc    Get popular questions/topics
@@ -3,6 +3,7 @@ const router = express.Router();
 const { body } = require('express-validator');
 const {
   getAllSchemes,
+  getSchemeDeadlines,
   getScheme,
   createScheme,
   updateScheme,
@@ -13,15 +14,117 @@ const {
   getProcessingStatus,
   reprocessPDF,
   downloadSchemePDF,
-  getSchemeChunks
+  getSchemeChunks,
+  getEmbeddingMigrationStatus,
+  startEmbeddingMigration,
+  stopEmbeddingMigration,
+  getProcessingJobs,
+  getFieldExtraction,
+  extractSchemeFields,
+  acceptFieldExtraction,
+  rejectFieldExtraction,
+  submitScheme,
+  approveScheme,
+  rejectScheme,
+  archiveScheme,
+  reopenScheme,
+  getReviewQueue
 } = require('../controllers/scheme');
-const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { authenticateToken, requireAdmin, requireReviewer } = require('../middleware/auth');
 const { handleValidationErrors } = require('../middleware/validation');
 const { trackPageView, trackSchemeView } = require('../middleware/analyticsMiddleware');
+const { TARGET_AUDIENCES, BENEFIT_TYPES } = require('../models/Scheme');
 
 // Import cloud storage configuration
 const { upload, handleMulterError } = require('../services/cloudStorage');
 
+// Lists arrive as JSON arrays, repeated "field[]" form fields, or comma-separated text ('' clears the list)
+const toList = value => (Array.isArray(value) ? value : String(value ?? '').split(','))
+  .map(item => (typeof item === 'string' ? item.trim() : item))
+  .filter(Boolean);
+
+// Lower bound of a range given with its upper bound (both optional)
+const isRangeStart = (value, other) => value === undefined || value === '' || other === undefined || other === '';
+
+// Structured scheme fields, optional on create and update; an empty value clears the field
+const schemeDetailsValidation = [
+  body('implementingDepartment')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Implementing department cannot exceed 200 characters'),
+  body(['states', 'districts'])
+    .optional()
+    .customSanitizer(toList)
+    .custom(names => names.length <= 50 && names.every(name => typeof name === 'string' && name.length <= 100))
+    .withMessage('States and districts must be lists of at most 50 names of up to 100 characters'),
+  body('targetAudience')
+    .optional()
+    .customSanitizer(toList)
+    .custom(audiences => audiences.every(audience => TARGET_AUDIENCES.includes(audience)))
+    .withMessage(`Target audience must be among: ${TARGET_AUDIENCES.join(', ')}`),
+  body(['minAge', 'maxAge'])
+    .optional({ values: 'falsy' })
+    .isInt({ min: 0, max: 120 })
+    .withMessage('Age limits must be whole numbers between 0 and 120')
+    .toInt(),
+  body('maxAge')
+    .custom((maxAge, { req }) => isRangeStart(req.body.minAge, maxAge) || req.body.minAge <= maxAge)
+    .withMessage('Maximum age must not be below the minimum age'),
+  body(['minIncome', 'maxIncome', 'benefitAmount'])
+    .optional({ values: 'falsy' })
+    .isFloat({ min: 0 })
+    .withMessage('Income limits and benefit amount must be positive amounts in rupees')
+    .toFloat(),
+  body('maxIncome')
+    .custom((maxIncome, { req }) => isRangeStart(req.body.minIncome, maxIncome) || req.body.minIncome <= maxIncome)
+    .withMessage('Maximum income must not be below the minimum income'),
+  body('benefitType')
+    .optional({ values: 'falsy' })
+    .isIn(BENEFIT_TYPES)
+    .withMessage(`Benefit type must be one of: ${BENEFIT_TYPES.join(', ')}`),
+  body('applicationUrl')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isURL({ protocols: ['http', 'https'], require_protocol: true })
+    .withMessage('Application URL must be an http(s) URL'),
+  body(['applicationOpensAt', 'applicationClosesAt'])
+    .optional({ values: 'falsy' })
+    .isISO8601()
+    .withMessage('Application dates must be valid dates')
+    .toDate(),
+  body('applicationClosesAt')
+    .custom((closesAt, { req }) => isRangeStart(req.body.applicationOpensAt, closesAt) || req.body.applicationOpensAt <= closesAt)
+    .withMessage('Applications must close after they open'),
+  body(['publishAt', 'expireAt'])
+    .optional({ values: 'falsy' })
+    .isISO8601()
+    .withMessage('Publish and expiry times must be valid dates')
+    .toDate(),
+  body('expireAt')
+    .custom((expireAt, { req }) => isRangeStart(req.body.publishAt, expireAt) || req.body.publishAt < expireAt)
+    .withMessage('A scheme must expire after it is published'),
+  body('helpline')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Helpline cannot exceed 200 characters'),
+  body('sourceLinks')
+    .optional()
+    .customSanitizer(links => (Array.isArray(links) ? links : []).filter(link => link && link.url))
+    .isArray({ max: 10 })
+    .withMessage('At most 10 source links are allowed'),
+  body('sourceLinks.*.url')
+    .trim()
+    .isURL({ protocols: ['http', 'https'], require_protocol: true })
+    .withMessage('Source links must be http(s) URLs'),
+  body('sourceLinks.*.title')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Source link titles cannot exceed 200 characters')
+];
+
 // Validation rules
 const createSchemeValidation = [
   body('title')
@@ -35,6 +138,7 @@ const createSchemeValidation = [
   body('category')
     .isIn(['Education', 'Healthcare', 'Agriculture', 'Employment', 'Housing', 'Social Welfare', 'Business', 'Technology', 'Other'])
     .withMessage('Invalid category'),
+  ...schemeDetailsValidation,
   handleValidationErrors
 ];
 
@@ -53,21 +157,52 @@ const updateSchemeValidation = [
     .optional()
     .isIn(['Education', 'Healthcare', 'Agriculture', 'Employment', 'Housing', 'Social Welfare', 'Business', 'Technology', 'Other'])
     .withMessage('Invalid category'),
+  ...schemeDetailsValidation,
   handleValidationErrors
 ];
 
 // Public routes for citizens
 // @route   GET /api/schemes
-// @desc    Get all active schemes for citizens
+// @desc    Get all published schemes for citizens
 // @access  Public
 router.get('/', trackPageView, getAllSchemes);
 
+// @route   GET /api/schemes/deadlines
+// @desc    Get schemes whose applications open later or close soon (optional days, limit)
+// @access  Public
+router.get('/deadlines', getSchemeDeadlines);
+
 // Admin routes (these must come before /:id to avoid conflicts)
 // @route   GET /api/schemes/admin/all
 // @desc    Get all schemes for admin (including inactive)
 // @access  Private (Admin)
 router.get('/admin/all', authenticateToken, requireAdmin, getAdminSchemes);
 
+// @route   GET /api/schemes/admin/embedding-migration
+// @desc    Get embedding model usage and re-embedding progress
+// @access  Private (Admin)
+router.get('/admin/embedding-migration', authenticateToken, requireAdmin, getEmbeddingMigrationStatus);
+
+// @route   POST /api/schemes/admin/embedding-migration
+// @desc    Re-embed chunks created with an older embedding model
+// @access  Private (Admin)
+router.post('/admin/embedding-migration', authenticateToken, requireAdmin, startEmbeddingMigration);
+
+// @route   POST /api/schemes/admin/embedding-migration/stop
+// @desc    Stop the running embedding migration
+// @access  Private (Admin)
+router.post('/admin/embedding-migration/stop', authenticateToken, requireAdmin, stopEmbeddingMigration);
+
+// @route   GET /api/schemes/admin/processing-jobs
+// @desc    List recent PDF processing jobs (filter with ?status=)
+// @access  Private (Admin)
+router.get('/admin/processing-jobs', authenticateToken, requireAdmin, getProcessingJobs);
+
+// @route   GET /api/schemes/admin/review-queue
+// @desc    Get schemes waiting for review and counts per publishing status
+// @access  Private (Admin)
+router.get('/admin/review-queue', authenticateToken, requireAdmin, getReviewQueue);
+
 // @route   POST /api/schemes
 // @desc    Create new scheme (Admin only)
 // @access  Private (Admin)
@@ -93,6 +228,32 @@ router.delete('/:id/permanent', authenticateToken, requireAdmin, permanentDelete
 // @access  Private (Admin)
 router.post('/:id/restore', authenticateToken, requireAdmin, restoreScheme);
 
+// Publishing workflow: draft → in review → published, archived
+// @route   POST /api/schemes/:id/submit
+// @desc    Submit a draft scheme for review
+// @access  Private (Admin)
+router.post('/:id/submit', authenticateToken, requireAdmin, submitScheme);
+
+// @route   POST /api/schemes/:id/approve
+// @desc    Approve a scheme in review and publish it
+// @access  Private (Reviewer, Super Admin)
+router.post('/:id/approve', authenticateToken, requireReviewer, approveScheme);
+
+// @route   POST /api/schemes/:id/reject
+// @desc    Send a scheme in review back to draft with a comment
+// @access  Private (Reviewer, Super Admin)
+router.post('/:id/reject', authenticateToken, requireReviewer, rejectScheme);
+
+// @route   POST /api/schemes/:id/archive
+// @desc    Archive a scheme
+// @access  Private (Admin)
+router.post('/:id/archive', authenticateToken, requireAdmin, archiveScheme);
+
+// @route   POST /api/schemes/:id/reopen
+// @desc    Reopen an archived scheme as a draft
+// @access  Private (Admin)
+router.post('/:id/reopen', authenticateToken, requireAdmin, reopenScheme);
+
 // PDF Processing routes (Admin only)
 // @route   GET /api/schemes/:id/processing-status
 // @desc    Get PDF processing status for a scheme
@@ -109,6 +270,27 @@ router.post('/:id/reprocess-pdf', authenticateToken, requireAdmin, reprocessPDF)
 // @access  Private (Admin)
 router.get('/:id/chunks', authenticateToken, requireAdmin, getSchemeChunks);
 
+// Structured field extraction (Admin only)
+// @route   GET /api/schemes/:id/field-extraction
+// @desc    Get the latest field extraction and the scheme's saved details
+// @access  Private (Admin)
+router.get('/:id/field-extraction', authenticateToken, requireAdmin, getFieldExtraction);
+
+// @route   POST /api/schemes/:id/field-extraction
+// @desc    Extract structured fields from the scheme's processed chunks
+// @access  Private (Admin)
+router.post('/:id/field-extraction', authenticateToken, requireAdmin, extractSchemeFields);
+
+// @route   POST /api/schemes/:id/field-extraction/:extractionId/accept
+// @desc    Save the reviewed fields of an extraction onto the scheme
+// @access  Private (Admin)
+router.post('/:id/field-extraction/:extractionId/accept', authenticateToken, requireAdmin, acceptFieldExtraction);
+
+// @route   POST /api/schemes/:id/field-extraction/:extractionId/reject
+// @desc    Reject a field extraction
+// @access  Private (Admin)
+router.post('/:id/field-extraction/:extractionId/reject', authenticateToken, requireAdmin, rejectFieldExtraction);
+
 // @route   GET /api/schemes/:id/download-pdf
 // @desc    Download PDF for a scheme
 // @access  Public
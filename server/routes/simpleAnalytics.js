@@ -4,7 +4,8 @@ const {
   getSimpleOverview,
   resetAnalytics,
   getAnalyticsSummary,
-  updatePreviousCounts
+  updatePreviousCounts,
+  getAIProviderStatus
 } = require('../controllers/simpleAnalytics');
 const { authenticateToken, requireAdmin } = require('../middleware/auth');
 
@@ -24,4 +25,7 @@ router.get('/summary', getAnalyticsSummary);
 // Update previous counts for trend calculation
 router.post('/update-previous-counts', updatePreviousCounts);
 
+// Get AI provider failover order and which provider answered recent requests
+router.get('/ai-providers', getAIProviderStatus);
+
 module.exports = router;
@@ -4,13 +4,19 @@ const {
   uploadDocument,
   getProcessingStatus,
   deleteDocument,
-  getAllDocuments
+  getAllDocuments,
+  getDocument,
+  reprocessDocument,
+  getDocumentVersions,
+  diffDocumentVersions,
+  compareDocumentChunking,
+  restoreDocumentVersion
 } = require('../controllers/upload');
 const { authenticateToken, requireAdmin } = require('../middleware/auth');
 const { upload, handleMulterError } = require('../services/cloudStorage');
 
 // @route   POST /api/upload/documents
-// @desc    Upload scheme document
+// @desc    Attach a document (schemeId, documentType, language, title) to a scheme
 // @access  Private (Admin)
 router.post('/documents', authenticateToken, requireAdmin, upload.single('document'), handleMulterError, uploadDocument);
 
@@ -32,12 +38,31 @@ router.get('/documents', authenticateToken, requireAdmin, getAllDocuments);
 // @route   GET /api/upload/documents/:documentId
 // @desc    Get single document details
 // @access  Private (Admin)
-router.get('/documents/:documentId', authenticateToken, requireAdmin, (req, res) => {
-  // For now, redirect to the processing status endpoint or implement if needed
-  res.status(501).json({
-    success: false,
-    message: 'Single document endpoint not implemented yet'
-  });
-});
+router.get('/documents/:documentId', authenticateToken, requireAdmin, getDocument);
+
+// @route   POST /api/upload/documents/:documentId/reprocess
+// @desc    Queue a document for processing again
+// @access  Private (Admin)
+router.post('/documents/:documentId/reprocess', authenticateToken, requireAdmin, reprocessDocument);
+
+// @route   GET /api/upload/documents/:documentId/versions
+// @desc    Get a document's version history
+// @access  Private (Admin)
+router.get('/documents/:documentId/versions', authenticateToken, requireAdmin, getDocumentVersions);
+
+// @route   GET /api/upload/documents/:documentId/versions/diff
+// @desc    Diff the extracted text of two versions (?from=&to=)
+// @access  Private (Admin)
+router.get('/documents/:documentId/versions/diff', authenticateToken, requireAdmin, diffDocumentVersions);
+
+// @route   GET /api/upload/documents/:documentId/chunking
+// @desc    Compare chunking strategies on a version's text (?version=)
+// @access  Private (Admin)
+router.get('/documents/:documentId/chunking', authenticateToken, requireAdmin, compareDocumentChunking);
+
+// @route   POST /api/upload/documents/:documentId/versions/:versionNumber/restore
+// @desc    Restore an earlier version of a document
+// @access  Private (Admin)
+router.post('/documents/:documentId/versions/:versionNumber/restore', authenticateToken, requireAdmin, restoreDocumentVersion);
 
 module.exports = router;
\ No newline at end of file
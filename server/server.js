@@ -14,6 +14,17 @@ connectDB();
 // Initialize Google APIs
 initializeGoogleAPIs();
 
+// Publish schemes created before the publishing workflow existed and start the
+// scheduler that publishes and expires schemes at their publishAt/expireAt
+require('./services/schemePublishingService').initialize();
+
+// Record the embedding model on legacy chunks, load or build the in-process vector
+// index used by semantic search (namespaces are keyed by embedding model), then
+// start the PDF processing queue, which adds new chunks to that index
+require('./services/embeddingMigrationService').initialize()
+  .then(() => require('./services/vectorIndexService').initialize())
+  .then(() => require('./services/processingQueueService').initialize());
+
 const app = express();
 
 // Set server timeout to 2 minutes for AI processing
@@ -35,7 +46,9 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 const { trackSimpleAnalytics } = require('./middleware/simpleAnalyticsMiddleware');
 app.use(trackSimpleAnalytics);
 
-// Note: Static file serving removed - using Cloudinary for file storage
+// Files are stored on Cloudinary; PDFs kept on the local disk (FILE_STORAGE=local) are served from here
+const { LOCAL_FILE_ROUTE, LOCAL_STORAGE_DIR } = require('./services/cloudStorage');
+app.use(LOCAL_FILE_ROUTE, express.static(LOCAL_STORAGE_DIR));
 
 // Routes
 app.use('/api/auth', require('./routes/auth'));
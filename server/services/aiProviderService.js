@@ -0,0 +1,253 @@
+const GeminiProvider = require('./providers/geminiProvider');
+const AzureOpenAIProvider = require('./providers/azureOpenAIProvider');
+const LocalOpenAIProvider = require('./providers/localOpenAIProvider');
+const MockProvider = require('./providers/mockProvider');
+
+/**
+ * AI Provider Service
+ * Routes chat completion and embedding calls through the configured providers in
+ * failover order, and keeps a short log of which provider served each request.
+ */
+class AIProviderService {
+  constructor() {
+    this.providers = {};
+    [new GeminiProvider(), new AzureOpenAIProvider(), new LocalOpenAIProvider(), new MockProvider()]
+      .forEach(provider => this.register(provider));
+
+    this.chatOrder = this.parseOrder(process.env.LLM_PROVIDER_ORDER, ['gemini', 'azureOpenAI', 'localOpenAI']);
+    this.embeddingOrder = this.parseOrder(process.env.EMBEDDING_PROVIDER_ORDER, ['azureOpenAI', 'gemini', 'localOpenAI']);
+
+    // Offline mode: answer and embed without any network calls
+    if (process.env.AI_MOCK_MODE === 'true') {
+      this.chatOrder = ['mock'];
+      this.embeddingOrder = ['mock'];
+      console.log('🧪 AI mock mode enabled: using offline mock providers for answers and embeddings');
+    }
+
+    this.recentRequests = [];
+    this.maxRecentRequests = parseInt(process.env.AI_PROVIDER_LOG_SIZE) || 100;
+    this.requestCounter = 0;
+  }
+
+  /**
+   * Add a provider, replacing any provider with the same name
+   * @param {Object} provider - Provider instance
+   */
+  register(provider) {
+    this.providers[provider.name] = provider;
+  }
+
+  parseOrder(value, defaultOrder) {
+    if (!value) return defaultOrder;
+
+    const order = value.split(',').map(name => name.trim()).filter(Boolean);
+    const unknown = order.filter(name => !this.providers[name]);
+    if (unknown.length > 0) {
+      console.warn(`⚠️ Unknown AI providers in failover order ignored: ${unknown.join(', ')}`);
+    }
+
+    const known = order.filter(name => this.providers[name]);
+    return known.length > 0 ? known : defaultOrder;
+  }
+
+  /**
+   * Providers able to serve a capability, in failover order
+   * @param {string} capability - 'chat' or 'embedding'
+   * @returns {Array<Object>} Providers
+   */
+  getCandidates(capability) {
+    const order = capability === 'embedding' ? this.embeddingOrder : this.chatOrder;
+    const candidates = order
+      .map(name => this.providers[name])
+      .filter(provider => provider && provider.supports(capability));
+
+    if (candidates.length === 0) {
+      throw new Error(`No AI provider is configured for ${capability} (order: ${order.join(', ')})`);
+    }
+
+    return candidates;
+  }
+
+  /**
+   * Generate a complete answer with the first provider that succeeds
+   * @param {string} prompt - Prompt text
+   * @param {Object} options - { operation, question, context, history } (the extra fields are used by the mock provider)
+   * @returns {Promise<Object>} { text, provider, model }
+   */
+  async generate(prompt, options = {}) {
+    return this.runWithFailover('chat', options.operation || 'generate', provider => provider.generate(prompt, options));
+  }
+
+  /**
+   * Start streaming an answer with the first provider that produces a token.
+   * Failover only happens before the first token; later errors surface to the caller.
+   * @param {string} prompt - Prompt text
+   * @param {Object} options - { operation, question, context }
+   * @returns {Promise<Object>} { stream, provider, model }
+   */
+  async generateStream(prompt, options = {}) {
+    return this.runWithFailover('chat', options.operation || 'stream', async provider => {
+      const iterator = provider.generateStream(prompt, options)[Symbol.asyncIterator]();
+      const first = await provider.withTimeout(iterator.next(), 'first token');
+
+      const stream = (async function* () {
+        if (first.done) return;
+        yield first.value;
+
+        let next = await iterator.next();
+        while (!next.done) {
+          yield next.value;
+          next = await iterator.next();
+        }
+      })();
+
+      return { stream, model: provider.getModel('chat') };
+    });
+  }
+
+  /**
+   * Embed texts with the first provider that succeeds
+   * @param {Array<string>} texts - Texts to embed
+   * @param {Object} options - { operation }
+   * @returns {Promise<Object>} { embeddings, provider, model, embeddingModel, dimensions }
+   */
+  async embed(texts, options = {}) {
+    return this.runEmbedding(texts, options.operation || 'embed', this.getCandidates('embedding'));
+  }
+
+  /**
+   * Embed texts with one specific embedding model, without failover.
+   * Used to query chunks that were embedded by a model other than the current one.
+   * @param {string} embeddingModel - Model key ("provider/model")
+   * @param {Array<string>} texts - Texts to embed
+   * @param {Object} options - { operation }
+   * @returns {Promise<Object>} { embeddings, provider, model, embeddingModel, dimensions }
+   */
+  async embedWithModel(embeddingModel, texts, options = {}) {
+    const { provider: providerName, model } = this.parseEmbeddingModel(embeddingModel);
+    const provider = this.providers[providerName];
+
+    if (!provider || !provider.supports('embedding')) {
+      throw new Error(`Embedding provider for ${embeddingModel} is not configured`);
+    }
+
+    return this.runEmbedding(texts, options.operation || 'embed', [provider], model);
+  }
+
+  async runEmbedding(texts, operation, candidates, model = null) {
+    const result = await this.runWithFailover('embedding', operation, async provider => {
+      const response = await provider.embed(texts, model ? { model } : {});
+      if (!response.embeddings || response.embeddings.length !== texts.length) {
+        throw new Error(`Expected ${texts.length} embeddings, got ${response.embeddings?.length || 0}`);
+      }
+      return response;
+    }, { items: texts.length }, candidates);
+
+    return {
+      ...result,
+      embeddingModel: this.getEmbeddingModelKey(result.provider, result.model),
+      dimensions: result.embeddings[0]?.length || 0
+    };
+  }
+
+  /**
+   * Model that new embeddings are created with (first configured embedding provider)
+   * @returns {string|null} Model key ("provider/model")
+   */
+  getCurrentEmbeddingModel() {
+    try {
+      const [provider] = this.getCandidates('embedding');
+      return this.getEmbeddingModelKey(provider.name, provider.getModel('embedding'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  getEmbeddingModelKey(providerName, model) {
+    return `${providerName}/${model}`;
+  }
+
+  parseEmbeddingModel(embeddingModel) {
+    const separator = embeddingModel.indexOf('/');
+    return {
+      provider: embeddingModel.substring(0, separator),
+      model: embeddingModel.substring(separator + 1)
+    };
+  }
+
+  async runWithFailover(capability, operation, call, details = {}, candidates = this.getCandidates(capability)) {
+    const attempts = [];
+
+    for (const provider of candidates) {
+      const startTime = Date.now();
+
+      try {
+        const result = await call(provider);
+        const latencyMs = Date.now() - startTime;
+
+        this.recordRequest({ capability, operation, provider: provider.name, model: result.model, success: true, latencyMs, attempts, ...details });
+        if (attempts.length > 0) {
+          console.log(`🔀 ${operation} served by ${provider.label} after ${attempts.length} failed provider(s)`);
+        }
+
+        return { ...result, provider: provider.name };
+      } catch (error) {
+        console.warn(`⚠️ ${provider.label} ${operation} failed: ${error.message}`);
+        attempts.push({ provider: provider.name, error: error.message, latencyMs: Date.now() - startTime });
+      }
+    }
+
+    this.recordRequest({ capability, operation, provider: null, model: null, success: false, latencyMs: 0, attempts, ...details });
+
+    const error = new Error(`All ${capability} providers failed: ${attempts.map(a => `${a.provider}: ${a.error}`).join('; ')}`);
+    error.attempts = attempts;
+    throw error;
+  }
+
+  recordRequest(entry) {
+    this.requestCounter += 1;
+    this.recentRequests.unshift({
+      id: this.requestCounter,
+      timestamp: new Date(),
+      ...entry,
+      failovers: entry.attempts.length
+    });
+
+    if (this.recentRequests.length > this.maxRecentRequests) {
+      this.recentRequests.length = this.maxRecentRequests;
+    }
+  }
+
+  /**
+   * Get provider configuration, per-provider counts and recent requests
+   * @param {number} limit - Number of recent requests to include
+   * @returns {Object} Status
+   */
+  getStatus(limit = 50) {
+    const providers = Object.values(this.providers).map(provider => {
+      const served = this.recentRequests.filter(request => request.provider === provider.name);
+      const failures = this.recentRequests.reduce((count, request) =>
+        count + request.attempts.filter(attempt => attempt.provider === provider.name).length, 0);
+
+      return {
+        ...provider.getStatus(),
+        recent: {
+          served: served.length,
+          failures,
+          averageLatencyMs: served.length > 0
+            ? Math.round(served.reduce((sum, request) => sum + request.latencyMs, 0) / served.length)
+            : null
+        }
+      };
+    });
+
+    return {
+      chatOrder: this.chatOrder,
+      embeddingOrder: this.embeddingOrder,
+      providers,
+      recentRequests: this.recentRequests.slice(0, limit)
+    };
+  }
+}
+
+module.exports = new AIProviderService();
@@ -1,157 +1,27 @@
-const { getGeminiModel } = require('../config/googleApis');
 const translationService = require('./translationService');
-const azureEmbeddingService = require('./azureEmbeddingService');
+const aiProviderService = require('./aiProviderService');
+const groundingService = require('./groundingService');
 
 class AIService {
-  constructor() {
-    this.model = null;
-  }
-
-  // Initialize Gemini model
-  async initializeModel() {
-    try {
-      this.model = getGeminiModel('gemini-2.5-flash');
-      console.log('✅ Gemini AI model initialized successfully');
-    } catch (error) {
-      console.error('❌ Failed to initialize Gemini model:', error.message);
-      throw error;
-    }
-  }
-
-  // Generate embeddings for text chunks with hybrid Azure/Google approach
-  async generateEmbeddings(textChunks, maxRetries = 3) {
-    const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
-    
-    // Strategy 1: Try Azure OpenAI first (more reliable)
-    try {
-      console.log('🔵 Attempting Azure OpenAI embeddings...');
-      const azureResult = await azureEmbeddingService.generateEmbeddings(textChunks, 2);
-      
-      if (azureResult && azureResult.length > 0) {
-        console.log('✅ Azure OpenAI embeddings generated successfully');
-        return azureResult;
-      }
-    } catch (azureError) {
-      console.warn('⚠️ Azure OpenAI embedding failed, falling back to Google Gemini:', azureError.message);
-    }
-    
-    // Strategy 2: Fallback to Google Gemini
-    console.log('🟡 Falling back to Google Gemini embeddings...');
-    
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-      try {
-        if (!this.model) {
-          await this.initializeModel();
-        }
-
-        console.log(`🧠 Attempting Google embeddings (attempt ${attempt}/${maxRetries})`);
-        console.log(`📊 Processing ${textChunks.length} text chunks`);
-        
-        const embeddings = [];
-        
-        // Try text-embedding-004 model first, with fallback to embedding-001
-        let embeddingModel;
-        let modelName = 'text-embedding-004';
-        
-        try {
-          embeddingModel = getGeminiModel('text-embedding-004');
-        } catch (modelError) {
-          console.warn(`⚠️ Failed to get text-embedding-004 model, trying alternatives: ${modelError.message}`);
-          
-          // Try alternative embedding models
-          try {
-            embeddingModel = getGeminiModel('embedding-001');
-            modelName = 'embedding-001';
-            console.log('🔄 Using embedding-001 as alternative model');
-          } catch (altError) {
-            throw new Error(`Failed to initialize any embedding model: ${altError.message}`);
-          }
-        }
-        
-        // Process chunks with rate limiting to avoid overwhelming the API
-        for (let i = 0; i < textChunks.length; i++) {
-          const chunk = textChunks[i];
-          
-          try {
-            const result = await embeddingModel.embedContent(chunk);
-            embeddings.push({
-              text: chunk,
-              embedding: result.embedding.values,
-              metadata: {
-                length: chunk.length,
-                timestamp: new Date(),
-                model: modelName,
-                provider: 'google'
-              }
-            });
-            
-            // Add small delay between requests to avoid rate limiting
-            if (i < textChunks.length - 1) {
-              await delay(200); // 200ms delay between requests
-            }
-            
-          } catch (chunkError) {
-            console.error(`❌ Error processing chunk ${i + 1}/${textChunks.length}:`, chunkError.message);
-            
-            // If individual chunk fails, try once more with longer delay
-            await delay(1000);
-            try {
-              const retryResult = await embeddingModel.embedContent(chunk);
-              embeddings.push({
-                text: chunk,
-                embedding: retryResult.embedding.values,
-                metadata: {
-                  length: chunk.length,
-                  timestamp: new Date(),
-                  model: modelName,
-                  provider: 'google',
-                  retried: true
-                }
-              });
-            } catch (retryError) {
-              console.error(`❌ Chunk ${i + 1} failed even after retry, skipping:`, retryError.message);
-              // Continue with other chunks instead of failing completely
-            }
-          }
-        }
-
-        if (embeddings.length > 0) {
-          console.log(`✅ Successfully generated ${embeddings.length} Google embeddings`);
-          return embeddings;
-        } else {
-          throw new Error('No embeddings were generated');
-        }
-        
-      } catch (error) {
-        console.error(`❌ Google embedding error (attempt ${attempt}/${maxRetries}):`, error.message);
-        
-        // Check if it's a 503 service unavailable error
-        if (error.message.includes('503') || error.message.includes('Service Unavailable')) {
-          if (attempt < maxRetries) {
-            const waitTime = Math.pow(2, attempt) * 1000; // Exponential backoff: 2s, 4s, 8s
-            console.log(`⏳ Waiting ${waitTime}ms before retry...`);
-            await delay(waitTime);
-            continue;
-          }
-        } else if (attempt < maxRetries) {
-          await delay(1000);
-          continue;
-        }
-      }
-    }
-    
-    // Strategy 3: Final fallback to simulated embeddings (development only)
-    console.warn('⚠️ Both Azure and Google embedding services failed. Using simulated embeddings for development...');
-    
-    return textChunks.map(chunk => ({
-      text: chunk,
-      embedding: Array.from({length: 1536}, () => Math.random() - 0.5), // Match Azure dimensions
+  // Generate embeddings for text chunks using the configured embedding providers in failover order.
+  // Pass options.embeddingModel ("provider/model") to embed with one specific model instead.
+  async generateEmbeddings(textChunks, options = {}) {
+    console.log(`🧠 Generating embeddings for ${textChunks.length} text chunks`);
+    const { embeddings, provider, model, embeddingModel, dimensions } = options.embeddingModel
+      ? await aiProviderService.embedWithModel(options.embeddingModel, textChunks, { operation: options.operation || 'embedding' })
+      : await aiProviderService.embed(textChunks, { operation: options.operation || 'embedding' });
+    console.log(`✅ Generated ${embeddings.length} embeddings with ${provider} (${model}, ${dimensions} dimensions)`);
+
+    return embeddings.map((embedding, index) => ({
+      text: textChunks[index],
+      embedding: embedding,
       metadata: {
-        length: chunk.length,
+        length: textChunks[index].length,
         timestamp: new Date(),
-        simulated: true,
-        provider: 'fallback',
-        note: 'Both Azure and Google services unavailable'
+        model: model,
+        embeddingModel: embeddingModel,
+        dimensions: embedding.length,
+        provider: provider
       }
     }));
   }
@@ -159,26 +29,34 @@ class AIService {
   // Generate AI response for user questions
   async generateResponse(question, relevantContext, language = 'en') {
     try {
-      if (!this.model) {
-        await this.initializeModel();
-      }
-
       // Always generate response in English for consistency
       const prompt = this.buildPrompt(question, relevantContext, 'en');
       
-      const result = await this.model.generateContent(prompt);
-      const response = result.response;
+      const { text, provider, model } = await aiProviderService.generate(prompt, {
+        operation: 'answer',
+        question: question,
+        context: relevantContext
+      });
       
       // Refine the response to improve formatting and focus
-      const refinedAnswer = this.refineResponse(response.text(), question, 'en');
+      const refinedAnswer = this.refineResponse(text, question, 'en');
+      
+      // Map citation markers to the chunks they refer to
+      const { answer: citedAnswer, citations } = this.resolveCitations(refinedAnswer, relevantContext);
+      
+      // Check each statement against the retrieved chunks before it reaches the citizen
+      const grounding = groundingService.verifyAnswer(citedAnswer, relevantContext);
       
       // Translate response to user's preferred language if needed
-      const finalAnswer = await this.translateResponseToLanguage(refinedAnswer, language);
+      const finalAnswer = await this.translateResponseToLanguage(grounding.answer, language);
       
       return {
         answer: finalAnswer,
-        confidence: this.calculateConfidence(relevantContext),
+        confidence: this.calculateConfidence(relevantContext, grounding),
         sources: this.extractSources(relevantContext),
+        citations: citations,
+        grounding: this.summarizeGrounding(grounding),
+        provider: { name: provider, model: model },
         language: language
       };
     } catch (error) {
@@ -199,12 +77,150 @@ class AIService {
         answer: translatedFallback,
         confidence: 0.3,
         sources: this.extractSources(relevantContext),
+        citations: [],
+        provider: null,
         language: language,
         googleServerError: isGoogleServerError
       };
     }
   }
 
+  // Rewrite a follow-up question into a standalone question using earlier conversation turns
+  async rewriteFollowUpQuery(question, history) {
+    const transcript = history
+      .map(message => `${message.role === 'user' ? 'Citizen' : 'Assistant'}: ${message.content.substring(0, 500)}`)
+      .join('\n');
+
+    const prompt = `
+Rewrite the citizen's follow-up question so it can be understood without the conversation.
+Replace words like "it", "that" or "this scheme" with what they refer to.
+Keep the same language as the follow-up question. Return only the rewritten question.
+
+Conversation:
+${transcript}
+
+Follow-up question: ${question}
+
+Standalone question:`;
+
+    const { text } = await aiProviderService.generate(prompt, { operation: 'rewrite', question, history });
+    const rewritten = text
+      .trim()
+      .split('\n')[0]
+      .replace(/^["']|["']$/g, '')
+      .trim();
+
+    return rewritten || question;
+  }
+
+  // Stream an AI response, calling onDelta with each piece of text as soon as it is ready.
+  // Text is sent a sentence at a time: each sentence is checked against the context first
+  // (unsupported statements are flagged or dropped as in the final answer), then translated
+  // when the citizen reads another language.
+  async generateResponseStream(question, relevantContext, language = 'en', onDelta = () => {}) {
+    try {
+      // Always generate response in English for consistency
+      const prompt = this.buildPrompt(question, relevantContext, 'en');
+      const { stream, provider, model } = await aiProviderService.generateStream(prompt, {
+        operation: 'answer_stream',
+        question: question,
+        context: relevantContext
+      });
+
+      const verifySegment = groundingService.createSegmentVerifier(relevantContext);
+      let englishAnswer = '';
+      let pending = '';
+
+      const emit = async (segment) => {
+        const verified = verifySegment(segment);
+        if (!verified) return;
+        onDelta(language === 'en' ? verified : await this.translateStreamSegment(verified, language));
+      };
+
+      for await (const text of stream) {
+        englishAnswer += text;
+        pending += text;
+
+        // English goes out per sentence; translations wait for enough text to translate well
+        const { complete, remainder } = this.splitCompleteSentences(pending, language === 'en' ? 0 : undefined);
+        pending = remainder;
+
+        if (complete) {
+          await emit(complete);
+        }
+      }
+
+      if (pending.trim()) {
+        await emit(pending);
+      }
+
+      // The final answer gets the same formatting, citation and grounding passes as the non-streaming
+      // path, and is translated from the verified text so its markers match the citations
+      const refinedAnswer = this.refineResponse(englishAnswer, question, 'en');
+      const { answer: citedAnswer, citations } = this.resolveCitations(refinedAnswer, relevantContext);
+      const grounding = groundingService.verifyAnswer(citedAnswer, relevantContext);
+      const finalAnswer = await this.translateResponseToLanguage(grounding.answer, language);
+
+      return {
+        answer: finalAnswer,
+        confidence: this.calculateConfidence(relevantContext, grounding),
+        sources: this.extractSources(relevantContext),
+        citations: citations,
+        grounding: this.summarizeGrounding(grounding),
+        provider: { name: provider, model: model },
+        language: language
+      };
+    } catch (error) {
+      console.error('❌ Error streaming AI response:', error.message);
+
+      const isGoogleServerError = error.message.includes('503') || error.message.includes('Service Unavailable');
+      const fallbackAnswer = this.generateFallbackResponse(question, relevantContext, 'en', isGoogleServerError);
+      const translatedFallback = await this.translateResponseToLanguage(fallbackAnswer, language);
+
+      return {
+        answer: translatedFallback,
+        confidence: 0.3,
+        sources: this.extractSources(relevantContext),
+        citations: [],
+        provider: null,
+        language: language,
+        googleServerError: isGoogleServerError,
+        streamFailed: true
+      };
+    }
+  }
+
+  // Split streamed text into the part that ends on a sentence boundary and the unfinished rest.
+  // Segments shorter than minLength are held back so the translator gets enough context.
+  // Abbreviation dots ("Rs. 5000") are masked so they do not end a sentence.
+  splitCompleteSentences(text, minLength = 60) {
+    const masked = text.replace(groundingService.abbreviationPattern, '$1\u0000');
+    const boundary = /([.!?।]\s+|\n+)/g;
+    let lastIndex = -1;
+    let match;
+
+    while ((match = boundary.exec(masked)) !== null) {
+      lastIndex = match.index + match[0].length;
+    }
+
+    if (lastIndex === -1 || (lastIndex < minLength && !text.slice(0, lastIndex).includes('\n'))) {
+      return { complete: '', remainder: text };
+    }
+
+    return {
+      complete: text.slice(0, lastIndex),
+      remainder: text.slice(lastIndex)
+    };
+  }
+
+  // Translate one streamed segment, keeping its surrounding whitespace so line breaks survive
+  async translateStreamSegment(segment, language) {
+    const leading = segment.match(/^\s*/)[0];
+    const trailing = segment.match(/\s*$/)[0];
+    const translated = await this.translateResponseToLanguage(segment.trim(), language);
+    return `${leading}${translated}${trailing}`;
+  }
+
   // Translate response to user's preferred language
   async translateResponseToLanguage(response, targetLanguage) {
     try {
@@ -345,11 +361,19 @@ class AIService {
     const questionType = this.analyzeQuestionType(question);
     const responseGuidelines = this.getResponseGuidelines(questionType, language);
 
+    // When context comes from several schemes, the answer must say which scheme each point is from
+    const schemeTitles = [...new Set(context
+      .map(ctx => ctx.metadata?.schemeTitle)
+      .filter(Boolean))];
+    const multiSchemeInstruction = schemeTitles.length > 1 ?
+      `\n13. The context covers several schemes (${schemeTitles.join(', ')}). Name the scheme each point applies to, and do not mix details between schemes` :
+      '';
+
     return `
 You are a helpful government scheme assistant for Indian citizens. Your role is to provide accurate, helpful, and easy-to-understand information about government schemes and programs.
 
 Context Information:
-${context.map((ctx, index) => `[Source ${index + 1}]: ${ctx.text}`).join('\n\n')}
+${context.map((ctx, index) => `[${index + 1}]${this.describeSource(ctx)}: ${ctx.text}`).join('\n\n')}
 
 User Question: ${question}
 Question Type: ${questionType}
@@ -372,10 +396,77 @@ Instructions:
 8. Keep responses concise and focused on what the user specifically asked
 9. If the question is about a specific aspect (like benefits, eligibility, etc.), focus only on that aspect
 10. Make sure bullet points are properly formatted with line breaks and indentation
+11. Cite the context you used: put the source number in square brackets right after the sentence or bullet it supports, e.g. [2] or [1][3]. Only use numbers listed in the context above
+12. If a scheme's Application Status says applications are closed or not open yet, say so at the start of the answer with the date${multiSchemeInstruction}
 
 Please provide a helpful and well-formatted answer:`;
   }
 
+  // Short label for a context entry so the model knows what each number points to
+  describeSource(ctx) {
+    const details = [];
+    if (ctx.metadata?.schemeTitle) details.push(ctx.metadata.schemeTitle);
+    const section = this.describeSection(ctx.metadata);
+    if (section) details.push(`section "${section}"`);
+    if (ctx.metadata?.contentType === 'table') details.push('table');
+    if (ctx.metadata?.pageNumber) details.push(this.describePages(ctx.metadata));
+    return details.length > 0 ? ` (${details.join(', ')})` : '';
+  }
+
+  // Full heading path of a chunk ("Eligibility > Income limits"), or its section
+  describeSection(metadata) {
+    if (metadata?.headingPath && metadata.headingPath.length > 0) return metadata.headingPath.join(' > ');
+    return metadata?.section || null;
+  }
+
+  // "page 7" or "pages 7-8" for a chunk that runs across pages
+  describePages({ pageNumber, endPage }) {
+    return endPage && endPage > pageNumber ? `pages ${pageNumber}-${endPage}` : `page ${pageNumber}`;
+  }
+
+  // Resolve [n] citation markers in an answer to the context entries they point at.
+  // Markers that do not match a context entry are removed from the text.
+  resolveCitations(answer, context) {
+    const cited = new Map();
+
+    const text = answer.replace(/(\s*)\[(?:Source\s*)?(\d+(?:\s*,\s*\d+)*)\]/gi, (match, spacing, group) => {
+      const markers = [...new Set(group.split(',').map(value => parseInt(value.trim(), 10)))]
+        .filter(marker => context[marker - 1]);
+
+      markers.forEach(marker => {
+        if (!cited.has(marker)) {
+          cited.set(marker, this.buildCitation(marker, context[marker - 1]));
+        }
+      });
+
+      return markers.length > 0 ? spacing + markers.map(marker => `[${marker}]`).join('') : '';
+    });
+
+    return {
+      answer: text,
+      citations: Array.from(cited.values()).sort((a, b) => a.marker - b.marker)
+    };
+  }
+
+  // Describe the chunk behind a citation marker
+  buildCitation(marker, ctx) {
+    return {
+      marker,
+      type: ctx.source,
+      chunkId: ctx.metadata?.chunkId || null,
+      section: this.describeSection(ctx.metadata),
+      pageNumber: ctx.metadata?.pageNumber || null,
+      endPage: ctx.metadata?.endPage || ctx.metadata?.pageNumber || null,
+      schemeId: ctx.metadata?.schemeId || null,
+      schemeTitle: ctx.metadata?.schemeTitle || null,
+      documentId: ctx.metadata?.documentId || null,
+      documentTitle: ctx.metadata?.documentTitle || null,
+      documentType: ctx.metadata?.documentType || null,
+      url: ctx.metadata?.url || null,
+      snippet: ctx.text.substring(0, 150) + (ctx.text.length > 150 ? '...' : '')
+    };
+  }
+
   // Analyze the type of question being asked
   analyzeQuestionType(question) {
     const questionLower = question.toLowerCase();
@@ -418,17 +509,39 @@ Please provide a helpful and well-formatted answer:`;
   }
 
   // Calculate confidence score based on context relevance
-  calculateConfidence(context) {
+  calculateConfidence(context, grounding = null) {
     if (!context || context.length === 0) return 0;
     
-    // Simple confidence calculation based on context length and sources
-    const avgLength = context.reduce((sum, ctx) => sum + ctx.text.length, 0) / context.length;
-    const sourceCount = context.length;
+    // Retrieval: average similarity of the best matching chunks
+    const chunkScores = context
+      .filter(ctx => ctx.source === 'pdf_chunk')
+      .map(ctx => ctx.score || 0)
+      .sort((a, b) => b - a)
+      .slice(0, 3);
+    const retrievalScore = chunkScores.length > 0
+      ? chunkScores.reduce((sum, score) => sum + score, 0) / chunkScores.length
+      : 0.3; // Only basic scheme info was available
+    
+    // Grounding: how much of the answer is supported by those chunks
+    const groundingScore = grounding ? grounding.groundingScore : 0.5;
     
-    let confidence = Math.min(0.9, (avgLength / 1000) * 0.3 + (sourceCount / 5) * 0.7);
+    const confidence = Math.min(0.95, groundingScore * 0.6 + retrievalScore * 0.4);
     return Math.round(confidence * 100) / 100;
   }
 
+  // Compact grounding report for API responses
+  summarizeGrounding(grounding) {
+    return {
+      mode: grounding.mode,
+      score: grounding.groundingScore,
+      supportedClaims: grounding.supportedClaims,
+      unsupportedClaims: grounding.unsupportedClaims,
+      unsupported: grounding.claims
+        .filter(claim => !claim.supported)
+        .map(claim => ({ text: claim.text, unsupportedNumbers: claim.unsupportedNumbers }))
+    };
+  }
+
   // Extract source information
   extractSources(context) {
     return context.map((ctx, index) => ({
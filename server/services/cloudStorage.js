@@ -1,3 +1,6 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
 const cloudinary = require('cloudinary').v2;
 const multer = require('multer');
 
@@ -8,6 +11,15 @@ cloudinary.config({
   api_secret: process.env.CLOUDINARY_API_SECRET,
 });
 
+// Files are stored on Cloudinary, or on the local disk (FILE_STORAGE=local, the default
+// in AI_MOCK_MODE) so uploads and processing work offline. Local files are served by
+// server.js under LOCAL_FILE_ROUTE and their public ids start with LOCAL_PUBLIC_ID_PREFIX.
+const useLocalStorage = (process.env.FILE_STORAGE || (process.env.AI_MOCK_MODE === 'true' ? 'local' : 'cloudinary')) === 'local';
+const LOCAL_STORAGE_DIR = path.resolve(__dirname, '..', process.env.LOCAL_STORAGE_PATH || 'uploads/files');
+const LOCAL_FILE_ROUTE = '/uploads/files';
+const LOCAL_PUBLIC_ID_PREFIX = 'local/';
+const getLocalBaseUrl = () => process.env.LOCAL_STORAGE_BASE_URL || `http://localhost:${process.env.PORT || 5000}`;
+
 // Configure multer for memory storage (simplified approach)
 const upload = multer({
   storage: multer.memoryStorage(),
@@ -45,8 +57,57 @@ const handleMulterError = (err, req, res, next) => {
   next();
 };
 
-// Function to delete file from Cloudinary
+// Path on disk of a locally stored file, from its public id or URL (null for Cloudinary files)
+const getLocalPath = (publicIdOrUrl) => {
+  if (!publicIdOrUrl) return null;
+
+  let relativePath = null;
+  if (publicIdOrUrl.startsWith(LOCAL_PUBLIC_ID_PREFIX)) {
+    relativePath = publicIdOrUrl.slice(LOCAL_PUBLIC_ID_PREFIX.length);
+  } else {
+    try {
+      const { pathname } = new URL(publicIdOrUrl);
+      if (pathname.startsWith(`${LOCAL_FILE_ROUTE}/`)) {
+        relativePath = decodeURIComponent(pathname.slice(LOCAL_FILE_ROUTE.length + 1));
+      }
+    } catch (error) {
+      return null;
+    }
+  }
+
+  if (!relativePath) return null;
+
+  // Never resolve outside the storage folder
+  const filePath = path.resolve(LOCAL_STORAGE_DIR, relativePath);
+  return filePath.startsWith(LOCAL_STORAGE_DIR + path.sep) ? filePath : null;
+};
+
+// Function to save a PDF buffer on the local disk (same result fields as a Cloudinary upload)
+const uploadLocalPDF = async (buffer, folder) => {
+  const relativePath = `${folder}/${crypto.randomUUID()}.pdf`;
+  const filePath = path.join(LOCAL_STORAGE_DIR, relativePath);
+
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, buffer);
+
+  return {
+    secure_url: `${getLocalBaseUrl()}${LOCAL_FILE_ROUTE}/${relativePath}`,
+    public_id: `${LOCAL_PUBLIC_ID_PREFIX}${relativePath}`,
+    resource_type: 'raw',
+    format: 'pdf',
+    bytes: buffer.length
+  };
+};
+
+// Function to delete file from Cloudinary (or the local disk)
 const deleteFile = async (publicId) => {
+  const localPath = getLocalPath(publicId);
+  if (localPath) {
+    await fs.rm(localPath, { force: true });
+    console.log('File deleted from local storage:', publicId);
+    return { result: 'ok' };
+  }
+
   try {
     const result = await cloudinary.uploader.destroy(publicId);
     console.log('File deleted from Cloudinary:', result);
@@ -57,16 +118,71 @@ const deleteFile = async (publicId) => {
   }
 };
 
-// Function to get file URL from Cloudinary
+// Function to upload a PDF buffer to Cloudinary (or the local disk)
+const uploadPDF = (buffer, folder = 'govt-schemes') => {
+  if (useLocalStorage) {
+    return uploadLocalPDF(buffer, folder);
+  }
+
+  return new Promise((resolve, reject) => {
+    const stream = cloudinary.uploader.upload_stream(
+      {
+        folder,
+        resource_type: 'raw',
+        access_mode: 'public',
+        use_filename: true,
+        unique_filename: true,
+        format: 'pdf'
+      },
+      (error, result) => {
+        if (error) reject(error);
+        else resolve(result);
+      }
+    );
+    stream.end(buffer);
+  });
+};
+
+// Function to repair upload filenames (multer reads UTF-8 names such as Marathi ones as latin1)
+const cleanFilename = (originalName) => {
+  let filename = originalName;
+  try {
+    if (filename.includes('%')) {
+      filename = decodeURIComponent(filename);
+    }
+    if (filename.includes('à¤') || filename.includes('à¥')) {
+      filename = Buffer.from(filename, 'latin1').toString('utf8');
+    }
+  } catch (error) {
+    console.log('Filename encoding fix failed, using original:', error.message);
+  }
+  return filename;
+};
+
+// Function to get file URL from Cloudinary (or the local file route)
 const getFileUrl = (publicId, options = {}) => {
+  if (publicId && publicId.startsWith(LOCAL_PUBLIC_ID_PREFIX)) {
+    return `${getLocalBaseUrl()}${LOCAL_FILE_ROUTE}/${publicId.slice(LOCAL_PUBLIC_ID_PREFIX.length)}`;
+  }
   return cloudinary.url(publicId, options);
 };
 
+// SHA-256 checksum of an uploaded file, stored with each document version
+const hashFile = (buffer) => {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+};
 
 module.exports = {
   upload,
   handleMulterError,
   deleteFile,
   getFileUrl,
-  cloudinary
+  cloudinary,
+  uploadPDF,
+  cleanFilename,
+  hashFile,
+  getLocalPath,
+  useLocalStorage,
+  LOCAL_STORAGE_DIR,
+  LOCAL_FILE_ROUTE
 };
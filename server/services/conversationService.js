@@ -0,0 +1,287 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Conversation = require('../models/Conversation');
+const aiService = require('./aiService');
+
+class ConversationService {
+  constructor() {
+    // Number of earlier question/answer pairs used to understand a follow-up
+    this.historyTurns = parseInt(process.env.CHAT_HISTORY_TURNS) || 3;
+
+    // Words that usually point back to something said earlier (English and Marathi).
+    // \b does not work with Devanagari, so Marathi words are delimited by spaces and
+    // punctuation; otherwise हे would match inside आहे and ते inside मिळते.
+    this.followUpPatterns = [
+      /\b(it|its|that|this|those|these|they|them|their|same|above|mentioned|previous|earlier|also)\b/i,
+      /(?:^|[\s,.?!।])(त्या|ते|हे|ही|हा|यासाठी|त्यासाठी|त्याचे|त्याची|याचे|याची|वरील|तसेच)(?=$|[\s,.?!।])/
+    ];
+    this.shortQuestionWordCount = 5;
+
+    // Anonymous session ids carry a signature, so clients cannot choose or guess one
+    this.sessionSecret = process.env.CHAT_SESSION_SECRET || process.env.JWT_SECRET || crypto.randomBytes(32).toString('hex');
+  }
+
+  /**
+   * Create a new anonymous session id ("<uuid>.<signature>")
+   * @returns {string} Session id
+   */
+  createSessionId() {
+    const id = crypto.randomUUID();
+    return `${id}.${this.signSessionId(id)}`;
+  }
+
+  signSessionId(id) {
+    return crypto.createHmac('sha256', this.sessionSecret).update(id).digest('base64url');
+  }
+
+  /**
+   * Check that a client-supplied session id is a string this server issued
+   * @param {*} sessionId - Session id from the request
+   * @returns {boolean} True if the id is usable
+   */
+  isValidSessionId(sessionId) {
+    if (typeof sessionId !== 'string' || !/^[0-9a-f-]{36}\.[A-Za-z0-9_-]{43}$/.test(sessionId)) {
+      return false;
+    }
+
+    const [id, signature] = sessionId.split('.');
+    return crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(this.signSessionId(id)));
+  }
+
+  /**
+   * Find the conversation to continue, or start a new (unsaved) one
+   * @param {Object} params - { sessionId, conversationId, schemeId, userId, language }
+   * @returns {Promise<Object>} { sessionId, conversation }
+   */
+  async resolveConversation({ sessionId, conversationId, schemeId, userId, language = 'en' }) {
+    const resolvedSessionId = this.isValidSessionId(sessionId) ? sessionId : this.createSessionId();
+    let conversation = null;
+
+    if (conversationId && mongoose.Types.ObjectId.isValid(conversationId)) {
+      try {
+        conversation = await Conversation.findOne({
+          _id: conversationId,
+          ...Conversation.ownerFilter(resolvedSessionId, userId)
+        });
+      } catch (error) {
+        console.warn('⚠️ Failed to load conversation, starting a new one:', error.message);
+      }
+    }
+
+    if (!conversation) {
+      conversation = new Conversation({
+        sessionId: resolvedSessionId,
+        userId: userId || undefined,
+        schemeId: schemeId || null,
+        language,
+        expiresAt: Conversation.getExpiryDate()
+      });
+    }
+
+    return { sessionId: resolvedSessionId, conversation };
+  }
+
+  /**
+   * Decide whether a question probably depends on earlier turns
+   * @param {string} question - Citizen's question
+   * @returns {boolean} True if the question looks like a follow-up
+   */
+  isLikelyFollowUp(question) {
+    const wordCount = question.trim().split(/\s+/).length;
+    return wordCount <= this.shortQuestionWordCount ||
+      this.followUpPatterns.some(pattern => pattern.test(question));
+  }
+
+  /**
+   * Rewrite a follow-up into a standalone retrieval query using earlier turns
+   * @param {string} question - Citizen's question
+   * @param {Object} conversation - Conversation document
+   * @returns {Promise<string>} Standalone query (the question itself when no rewrite is needed)
+   */
+  async buildStandaloneQuery(question, conversation) {
+    const history = conversation && !conversation.isNew
+      ? conversation.getRecentTurns(this.historyTurns)
+      : [];
+
+    if (history.length === 0 || !this.isLikelyFollowUp(question)) {
+      return question;
+    }
+
+    try {
+      const rewritten = await aiService.rewriteFollowUpQuery(question, history);
+      if (rewritten) {
+        console.log(`🔁 Follow-up rewritten: "${question}" → "${rewritten}"`);
+        return rewritten;
+      }
+    } catch (error) {
+      console.warn('⚠️ Follow-up rewrite failed, using heuristic:', error.message);
+    }
+
+    // Heuristic fallback: anchor the follow-up to the previous question
+    const previousQuestion = [...history].reverse().find(message => message.role === 'user');
+    if (!previousQuestion) {
+      return question;
+    }
+
+    return `${previousQuestion.rewrittenQuery || previousQuestion.content} ${question}`;
+  }
+
+  /**
+   * Store a question and its answer without failing the request on errors
+   * @param {Object} conversation - Conversation document
+   * @param {Object} turn - { question, rewrittenQuery, answer, sources, confidence }
+   * @returns {Promise<boolean>} True if the turn was saved
+   */
+  async recordTurn(conversation, turn) {
+    try {
+      await conversation.addTurn({
+        ...turn,
+        sources: (turn.sources || []).map(source => ({
+          chunkId: source.metadata?.chunkId,
+          schemeId: source.metadata?.schemeId,
+          schemeTitle: source.metadata?.schemeTitle,
+          documentId: source.metadata?.documentId,
+          documentTitle: source.metadata?.documentTitle,
+          pageNumber: source.metadata?.pageNumber,
+          endPage: source.metadata?.endPage,
+          relevanceScore: source.relevanceScore
+        }))
+      });
+      return true;
+    } catch (error) {
+      console.warn('⚠️ Failed to store conversation turn:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * List conversations for a session and/or user
+   * @param {Object} params - { sessionId, userId, page, limit }
+   * @returns {Promise<Object>} { chats, pagination }
+   */
+  async listConversations({ sessionId, userId, page = 1, limit = 20 }) {
+    const filter = Conversation.ownerFilter(sessionId, userId);
+    if (!filter) {
+      return { chats: [], pagination: this.buildPagination(page, limit, 0, 'totalChats') };
+    }
+    const skip = (page - 1) * limit;
+
+    const [conversations, total] = await Promise.all([
+      Conversation.find(filter)
+        .select('title schemeId language messages lastMessageAt createdAt')
+        .populate('schemeId', 'title category')
+        .sort({ lastMessageAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      Conversation.countDocuments(filter)
+    ]);
+
+    return {
+      chats: conversations.map(conversation => this.formatSummary(conversation)),
+      pagination: this.buildPagination(page, limit, total, 'totalChats')
+    };
+  }
+
+  /**
+   * Get a conversation with all of its messages
+   * @param {string} conversationId - Conversation id
+   * @param {Object} owner - { sessionId, userId }
+   * @returns {Promise<Object|null>} Conversation or null when not found
+   */
+  async getConversation(conversationId, { sessionId, userId }) {
+    const ownerFilter = Conversation.ownerFilter(sessionId, userId);
+    if (!ownerFilter || !mongoose.Types.ObjectId.isValid(conversationId)) {
+      return null;
+    }
+
+    const conversation = await Conversation.findOne({
+      _id: conversationId,
+      ...ownerFilter
+    })
+      .populate('schemeId', 'title category')
+      .lean();
+
+    if (!conversation) {
+      return null;
+    }
+
+    return {
+      ...this.formatSummary(conversation),
+      messages: conversation.messages,
+      expiresAt: conversation.expiresAt
+    };
+  }
+
+  /**
+   * Full-text search through a session's conversations
+   * @param {string} query - Search text
+   * @param {Object} params - { sessionId, userId, page, limit }
+   * @returns {Promise<Object>} { results, pagination }
+   */
+  async searchConversations(query, { sessionId, userId, page = 1, limit = 20 }) {
+    const ownerFilter = Conversation.ownerFilter(sessionId, userId);
+    if (!ownerFilter) {
+      return { results: [], pagination: this.buildPagination(page, limit, 0, 'totalResults') };
+    }
+
+    const filter = { ...ownerFilter, $text: { $search: query } };
+    const skip = (page - 1) * limit;
+
+    const [conversations, total] = await Promise.all([
+      Conversation.find(filter, { score: { $meta: 'textScore' } })
+        .select('title schemeId language messages lastMessageAt createdAt')
+        .populate('schemeId', 'title category')
+        .sort({ score: { $meta: 'textScore' } })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      Conversation.countDocuments(filter)
+    ]);
+
+    const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+
+    return {
+      results: conversations.map(conversation => ({
+        ...this.formatSummary(conversation),
+        matches: conversation.messages
+          .filter(message => terms.some(term => message.content.toLowerCase().includes(term)))
+          .slice(0, 3)
+          .map(message => ({
+            role: message.role,
+            snippet: message.content.substring(0, 200),
+            createdAt: message.createdAt
+          }))
+      })),
+      pagination: this.buildPagination(page, limit, total, 'totalResults')
+    };
+  }
+
+  formatSummary(conversation) {
+    const scheme = conversation.schemeId && conversation.schemeId.title
+      ? { id: conversation.schemeId._id, title: conversation.schemeId.title, category: conversation.schemeId.category }
+      : null;
+
+    return {
+      id: conversation._id,
+      title: conversation.title,
+      scheme,
+      language: conversation.language,
+      messageCount: conversation.messages ? conversation.messages.length : 0,
+      lastMessageAt: conversation.lastMessageAt,
+      createdAt: conversation.createdAt
+    };
+  }
+
+  buildPagination(page, limit, total, totalKey) {
+    const totalPages = Math.ceil(total / limit);
+    return {
+      currentPage: page,
+      totalPages,
+      [totalKey]: total,
+      hasMore: page < totalPages
+    };
+  }
+}
+
+module.exports = new ConversationService();
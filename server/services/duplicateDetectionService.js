@@ -0,0 +1,143 @@
+const DocumentVersion = require('../models/DocumentVersion');
+const Scheme = require('../models/Scheme');
+const SchemeDocument = require('../models/SchemeDocument');
+const pdfExtractionService = require('./pdfExtractionService');
+const { hashFile } = require('./cloudStorage');
+const { computeMinHash, estimateSimilarity } = require('../utils/textFingerprint');
+
+/**
+ * Duplicate Detection Service
+ * Fingerprints uploaded PDFs by file hash (exact copies) and by a MinHash
+ * signature of their text layer (the same GR re-saved or lightly edited), and
+ * finds the live documents an upload duplicates. Scanned PDFs have no text layer,
+ * so they only match exact copies of the same file; a fresh scan is not detected.
+ * Duplicates double the chunks in cross-scheme search, so uploads stop at a
+ * warning until the admin chooses to link to the existing document, replace it,
+ * or proceed.
+ */
+class DuplicateDetectionService {
+  constructor() {
+    this.similarityThreshold = parseFloat(process.env.DUPLICATE_SIMILARITY_THRESHOLD) || 0.8;
+    this.maxMatches = 5;
+    this.actions = ['link', 'replace', 'proceed'];
+  }
+
+  /**
+   * Fingerprint an uploaded PDF
+   * @param {Buffer} buffer - File contents
+   * @returns {Promise<Object>} { checksum, minhash } (minhash is null when the PDF has too little text)
+   */
+  async fingerprint(buffer) {
+    const checksum = hashFile(buffer);
+
+    let minhash = null;
+    try {
+      minhash = computeMinHash(await pdfExtractionService.extractTextLayer(buffer));
+    } catch (error) {
+      console.warn('⚠️ Could not read PDF text for duplicate detection:', error.message);
+    }
+
+    return { checksum, minhash };
+  }
+
+  /**
+   * Find live documents that an upload duplicates
+   * @param {Object} fingerprint - { checksum, minhash }
+   * @param {Object} options - { excludeDocumentIds: documents the upload replaces, which it may resemble }
+   * @returns {Promise<Array>} Matches, exact copies first, then by similarity
+   */
+  async findDuplicates({ checksum, minhash }, { excludeDocumentIds = [] } = {}) {
+    const documents = await SchemeDocument.find({ currentVersionId: { $ne: null }, _id: { $nin: excludeDocumentIds } })
+      .select('_id schemeId title documentType isPrimary currentVersionId currentVersion linkedDocumentId')
+      .lean();
+    if (documents.length === 0) return [];
+
+    const documentsByVersion = new Map(documents.map(document => [String(document.currentVersionId), document]));
+    const versions = await DocumentVersion.find({ _id: { $in: [...documentsByVersion.keys()] } })
+      .select('_id checksum' + (minhash ? ' +minhash' : ''))
+      .lean();
+
+    const matches = [];
+    for (const version of versions) {
+      const document = documentsByVersion.get(String(version._id));
+      if (checksum && version.checksum === checksum) {
+        matches.push({ document, match: 'exact', similarity: 1 });
+        continue;
+      }
+
+      const similarity = minhash ? estimateSimilarity(minhash, version.minhash) : 0;
+      if (similarity >= this.similarityThreshold) {
+        matches.push({ document, match: 'near', similarity: Math.round(similarity * 100) / 100 });
+      }
+    }
+
+    if (matches.length === 0) return [];
+
+    matches.sort((a, b) => (a.match === b.match ? b.similarity - a.similarity : a.match === 'exact' ? -1 : 1));
+    const topMatches = matches.slice(0, this.maxMatches);
+
+    const schemes = await Scheme.find({ _id: { $in: topMatches.map(({ document }) => document.schemeId) } })
+      .select('_id title isActive')
+      .lean();
+    const schemesById = new Map(schemes.map(scheme => [String(scheme._id), scheme]));
+
+    return topMatches.map(({ document, match, similarity }) => {
+      const scheme = schemesById.get(String(document.schemeId));
+      return {
+        match,
+        similarity,
+        schemeId: document.schemeId,
+        schemeTitle: scheme ? scheme.title : null,
+        schemeIsActive: scheme ? scheme.isActive : false,
+        documentId: document._id,
+        documentTitle: document.title,
+        documentType: document.documentType,
+        isPrimary: document.isPrimary,
+        versionNumber: document.currentVersion,
+        linkedDocumentId: document.linkedDocumentId || null
+      };
+    });
+  }
+
+  /**
+   * Fingerprint an upload and decide how to handle its duplicates
+   * @param {Buffer} buffer - File contents
+   * @param {Object} choice - { duplicateAction: 'link' | 'replace' | 'proceed', duplicateOf: documentId } from the request
+   * @param {Object} options - { excludeDocumentIds } passed to findDuplicates
+   * @returns {Promise<Object>} { fingerprint, duplicates, action, target }; action is null while the admin has not chosen
+   */
+  async checkUpload(buffer, { duplicateAction, duplicateOf } = {}, options = {}) {
+    const fingerprint = await this.fingerprint(buffer);
+    const duplicates = await this.findDuplicates(fingerprint, options);
+
+    if (duplicates.length === 0) {
+      return { fingerprint, duplicates, action: 'proceed', target: null };
+    }
+
+    const action = this.actions.includes(duplicateAction) ? duplicateAction : null;
+    if (!action || action === 'proceed') {
+      if (action) console.log(`⚠️ Proceeding with an upload that duplicates ${duplicates.length} documents`);
+      return { fingerprint, duplicates, action, target: null };
+    }
+
+    // Link/replace apply to one of the reported documents (the closest one by default)
+    const chosen = duplicates.find(duplicate => String(duplicate.documentId) === String(duplicateOf)) || duplicates[0];
+    const target = await SchemeDocument.findById(chosen.documentId);
+
+    return { fingerprint, duplicates, action: target ? action : null, target };
+  }
+
+  // Message naming the closest match, for the warning shown to the admin
+  describeDuplicates(duplicates) {
+    const [first] = duplicates;
+    const match = first.match === 'exact'
+      ? 'is identical to'
+      : `is ${Math.round(first.similarity * 100)}% similar to`;
+    const others = duplicates.length > 1 ? ` and ${duplicates.length - 1} other document(s)` : '';
+
+    return `This PDF ${match} "${first.documentTitle}" of scheme "${first.schemeTitle}"${others}. ` +
+      'Choose whether to link to the existing document, replace it, or upload anyway.';
+  }
+}
+
+module.exports = new DuplicateDetectionService();
@@ -0,0 +1,236 @@
+const DocumentChunk = require('../models/DocumentChunk');
+const aiService = require('./aiService');
+const aiProviderService = require('./aiProviderService');
+const vectorIndexService = require('./vectorIndexService');
+
+/**
+ * Embedding Migration Service
+ * Re-embeds chunks whose embedding model differs from the current one, in batches
+ * and in the background, so search never silently loses chunks after a provider
+ * or model change. Until a chunk is migrated, search keeps querying it with its
+ * own model (see semanticSearchService.scoreChunksByModel).
+ */
+class EmbeddingMigrationService {
+  constructor() {
+    this.batchSize = parseInt(process.env.EMBEDDING_MIGRATION_BATCH_SIZE) || 50;
+    this.batchDelayMs = parseInt(process.env.EMBEDDING_MIGRATION_BATCH_DELAY_MS) || 500;
+    this.autoStart = process.env.EMBEDDING_MIGRATION_AUTO_START === 'true';
+
+    // Models used before chunks recorded their embedding model, recognised by dimension
+    this.legacyModels = {
+      768: 'gemini/text-embedding-004',
+      1536: `azureOpenAI/${process.env.AZURE_OPENAI_EMBEDDING_DEPLOYMENT || 'text-embedding-ada-002'}`
+    };
+
+    this.progress = this.createProgress();
+    this.stopRequested = false;
+  }
+
+  createProgress(targetModel = null) {
+    return {
+      running: false,
+      targetModel,
+      total: 0,
+      processed: 0,
+      failed: 0,
+      batches: 0,
+      startedAt: null,
+      finishedAt: null,
+      stopped: false,
+      lastError: null
+    };
+  }
+
+  /**
+   * Label legacy chunks and start the migration when configured to
+   * @returns {Promise<Object>} Initialization result
+   */
+  async initialize() {
+    try {
+      const labelled = await this.labelLegacyChunks();
+
+      if (this.autoStart) {
+        const status = await this.getStatus();
+        if (status.staleChunks > 0) {
+          this.start();
+        }
+      }
+
+      return { success: true, labelled };
+    } catch (error) {
+      console.error('❌ Embedding migration initialization failed:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Record the embedding model on chunks created before it was stored, inferred from the vector length
+   * @returns {Promise<number>} Number of chunks labelled
+   */
+  async labelLegacyChunks() {
+    let labelled = 0;
+
+    for (const [dimensions, embeddingModel] of Object.entries(this.legacyModels)) {
+      const result = await DocumentChunk.updateMany(
+        { embeddingModel: { $exists: false }, embedding: { $size: parseInt(dimensions) } },
+        { $set: { embeddingModel, embeddingDimensions: parseInt(dimensions) } }
+      );
+      labelled += result.modifiedCount || 0;
+    }
+
+    if (labelled > 0) {
+      console.log(`🏷️ Labelled ${labelled} legacy chunks with their embedding model`);
+    }
+
+    return labelled;
+  }
+
+  /**
+   * Chunks that were not embedded with the target model
+   * @param {string} targetModel - Model key ("provider/model")
+   * @returns {Object} MongoDB filter
+   */
+  getStaleFilter(targetModel) {
+    return {
+      processingStatus: 'completed',
+      embeddingModel: { $ne: targetModel }
+    };
+  }
+
+  /**
+   * Get chunk counts per model and the progress of the current or last migration
+   * @returns {Promise<Object>} Migration status
+   */
+  async getStatus() {
+    const currentModel = aiProviderService.getCurrentEmbeddingModel();
+    const models = await DocumentChunk.getEmbeddingModelStats();
+    const staleChunks = models
+      .filter(entry => entry.embeddingModel !== currentModel)
+      .reduce((sum, entry) => sum + entry.chunks, 0);
+
+    const { total, processed, failed } = this.progress;
+
+    return {
+      currentModel,
+      models,
+      staleChunks,
+      progress: {
+        ...this.progress,
+        percent: total > 0 ? Math.round(((processed + failed) / total) * 100) : 0
+      }
+    };
+  }
+
+  /**
+   * Start re-embedding stale chunks in the background
+   * @param {Object} options - { batchSize }
+   * @returns {Object} { started, progress }
+   */
+  start(options = {}) {
+    if (this.progress.running) {
+      return { started: false, message: 'Migration is already running', progress: this.progress };
+    }
+
+    const targetModel = aiProviderService.getCurrentEmbeddingModel();
+    if (!targetModel) {
+      return { started: false, message: 'No embedding provider is configured', progress: this.progress };
+    }
+
+    const batchSize = parseInt(options.batchSize) || this.batchSize;
+    this.progress = this.createProgress(targetModel);
+    this.progress.running = true;
+    this.progress.startedAt = new Date();
+    this.stopRequested = false;
+
+    this.run(targetModel, batchSize).catch(error => {
+      console.error('❌ Embedding migration failed:', error.message);
+      this.progress.lastError = error.message;
+      this.progress.running = false;
+      this.progress.finishedAt = new Date();
+    });
+
+    return { started: true, progress: this.progress };
+  }
+
+  /**
+   * Ask the running migration to stop after the current batch
+   * @returns {boolean} True if a migration was running
+   */
+  stop() {
+    if (!this.progress.running) return false;
+    this.stopRequested = true;
+    return true;
+  }
+
+  async run(targetModel, batchSize) {
+    const filter = this.getStaleFilter(targetModel);
+    this.progress.total = await DocumentChunk.countDocuments(filter);
+    console.log(`🔁 Re-embedding ${this.progress.total} chunks with ${targetModel} (batches of ${batchSize})`);
+
+    let lastId = null;
+
+    while (!this.stopRequested) {
+      const batch = await DocumentChunk.find(lastId ? { ...filter, _id: { $gt: lastId } } : filter)
+        .sort({ _id: 1 })
+        .limit(batchSize)
+        .select('_id content')
+        .lean();
+
+      if (batch.length === 0) break;
+      lastId = batch[batch.length - 1]._id;
+
+      await this.migrateBatch(batch, targetModel);
+      this.progress.batches++;
+
+      console.log(`🔁 Embedding migration: ${this.progress.processed + this.progress.failed}/${this.progress.total} chunks (${this.progress.failed} failed)`);
+
+      if (this.batchDelayMs > 0) {
+        await new Promise(resolve => setTimeout(resolve, this.batchDelayMs));
+      }
+    }
+
+    this.progress.running = false;
+    this.progress.stopped = this.stopRequested;
+    this.progress.finishedAt = new Date();
+    console.log(`✅ Embedding migration ${this.stopRequested ? 'stopped' : 'finished'}: ${this.progress.processed} re-embedded, ${this.progress.failed} failed`);
+  }
+
+  async migrateBatch(batch, targetModel) {
+    try {
+      const embeddings = await aiService.generateEmbeddings(batch.map(chunk => chunk.content), {
+        embeddingModel: targetModel,
+        operation: 'embedding_migration'
+      });
+
+      await DocumentChunk.bulkWrite(batch.map((chunk, index) => ({
+        updateOne: {
+          filter: { _id: chunk._id },
+          update: {
+            $set: {
+              embedding: embeddings[index].embedding,
+              embeddingModel: targetModel,
+              embeddingDimensions: embeddings[index].embedding.length,
+              // Also marks the vector index snapshot as stale
+              processedAt: new Date()
+            }
+          }
+        }
+      })));
+
+      // Move the chunks to the target model's namespace in the ANN index
+      const ids = batch.map(chunk => chunk._id);
+      vectorIndexService.removeChunks(ids);
+      vectorIndexService.addChunks(await DocumentChunk.find({ _id: { $in: ids } })
+        .select('_id schemeId embedding embeddingModel processingStatus processedAt metadata.language metadata.contentType metadata.qualityScore')
+        .lean());
+
+      this.progress.processed += batch.length;
+    } catch (error) {
+      console.warn(`⚠️ Embedding migration batch failed (${batch.length} chunks):`, error.message);
+      this.progress.failed += batch.length;
+      this.progress.lastError = error.message;
+    }
+  }
+}
+
+module.exports = new EmbeddingMigrationService();
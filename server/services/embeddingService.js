@@ -1,12 +1,21 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
 const DocumentChunk = require('../models/DocumentChunk');
 const Scheme = require('../models/Scheme');
+const SchemeDocument = require('../models/SchemeDocument');
+const DocumentVersion = require('../models/DocumentVersion');
 const aiService = require('./aiService');
+const aiProviderService = require('./aiProviderService');
 const pdfExtractionService = require('./pdfExtractionService');
 const textPreprocessingService = require('./textPreprocessingService');
+const vectorIndexService = require('./vectorIndexService');
+const { computeMinHash } = require('../utils/textFingerprint');
 
 class EmbeddingService {
   constructor() {
     this.batchSize = 10; // Process documents in batches
+    // Set to false once MongoDB reports it cannot run transactions (standalone server)
+    this.transactionsSupported = true;
   }
 
   // Process all documents and generate embeddings (Legacy method - disabled for simplified setup)
@@ -55,125 +64,161 @@ class EmbeddingService {
   }
 
   // Process PDF file and create chunks with embeddings
+  // options.documentId limits the update to one of the scheme's documents (chunks of other documents are untouched)
+  // options.versionId tags the chunks with a document version; chunks of the previous version are archived, not overwritten
+  // options.onProgress(step, status, details) is called as the download, extract, chunk, embed and save steps run
   async processPDFForScheme(schemeId, pdfFilePath, options = {}) {
+    const { onProgress, documentId, versionId, ...processingOptions } = options;
+    const reportProgress = onProgress || (() => {});
+    
     try {
       console.log(`🔄 Processing PDF for scheme ${schemeId}: ${pdfFilePath}`);
-      console.log(`📊 Processing options:`, options);
+      console.log(`📊 Processing options:`, processingOptions);
       
-      // Get scheme information to include PDF URL in metadata
+      // Get scheme and document information to include PDF URL and provenance in metadata
       const scheme = await Scheme.findById(schemeId);
-      const pdfUrl = scheme?.pdfFile?.url || null;
-      const pdfFilename = scheme?.pdfFile?.filename || null;
+      const document = documentId ? await SchemeDocument.findById(documentId) : null;
+      const version = versionId ? await DocumentVersion.findById(versionId) : null;
+      const file = version ? version.file : document ? document.file : scheme?.pdfFile;
+      const pdfUrl = file?.url || null;
+      const pdfFilename = file?.filename || null;
       
-      console.log(`📋 Scheme info - Title: ${scheme?.title}, PDF URL: ${pdfUrl}`);
+      console.log(`📋 Scheme info - Title: ${scheme?.title}, Document: ${document?.title || 'main PDF'}, PDF URL: ${pdfUrl}`);
       
       // Step 1: Extract text from PDF
-      let extractionResult = await pdfExtractionService.extractTextFromPDF(pdfFilePath, options);
+      const extractionResult = await pdfExtractionService.extractTextFromPDF(pdfFilePath, {
+        ...processingOptions,
+        onProgress: reportProgress
+      });
       
       if (!extractionResult.success) {
-        console.warn(`⚠️ PDF extraction failed, trying fallback extraction: ${extractionResult.error}`);
-        
-        // Try fallback extraction for problematic PDFs
-        extractionResult = await pdfExtractionService.createFallbackExtraction(pdfFilePath, options);
-        
-        if (!extractionResult.success) {
-          throw new Error(`PDF extraction failed completely: ${extractionResult.error}`);
-        }
-        
-        console.log(`✅ Using fallback extraction for PDF`);
+        throw new Error(`PDF extraction failed: ${extractionResult.error}`);
       }
       
-      if (!extractionResult.text || extractionResult.text.trim().length === 0) {
-        console.warn(`⚠️ No text content extracted, using fallback`);
-        extractionResult = await pdfExtractionService.createFallbackExtraction(pdfFilePath, options);
-        
-        if (!extractionResult.success) {
-          throw new Error('No text content could be extracted from PDF and fallback failed');
-        }
+      // Never index placeholder text: a PDF with no readable text is a failed upload
+      const hasTables = extractionResult.tables && extractionResult.tables.length > 0;
+      if ((!extractionResult.text || extractionResult.text.trim().length === 0) && !hasTables) {
+        throw new Error(extractionResult.warning || 'No text content could be extracted from PDF');
       }
       
-      console.log(`📄 PDF text extracted. Length: ${extractionResult.text.length} characters`);
+      console.log(`📄 PDF text extracted (${extractionResult.metadata.extractionMethod}). Length: ${extractionResult.text.length} characters`);
+      reportProgress('extract', 'completed', {
+        pages: extractionResult.pages ? extractionResult.pages.length : null,
+        characters: extractionResult.text.length,
+        tables: hasTables ? extractionResult.tables.length : 0,
+        method: extractionResult.metadata.extractionMethod
+      });
       
       // Log extraction details for debugging
       if (extractionResult.warning) {
         console.warn(`⚠️ PDF extraction warning: ${extractionResult.warning}`);
       }
       
-      if (extractionResult.metadata.fallbackExtraction) {
-        console.log(`📋 Using fallback extraction for scheme ${schemeId}`);
-      }
-      
       // Step 2: Preprocess and chunk the text
-      const chunks = await textPreprocessingService.preprocessAndChunk(extractionResult.text, options);
+      reportProgress('chunk', 'running');
+      const chunks = await textPreprocessingService.preprocessAndChunk(extractionResult.text, {
+        ...processingOptions,
+        pages: extractionResult.pages,
+        tables: extractionResult.tables
+      });
       
       if (!chunks || chunks.length === 0) {
         throw new Error('No chunks created from PDF text');
       }
       
       console.log(`📝 Text chunked into ${chunks.length} pieces`);
+      reportProgress('chunk', 'completed', { chunks: chunks.length });
+      
+      // Step 3: Diff against the scheme's current chunks and embed only new or changed content
+      const newChunks = chunks.map((chunk, i) => ({
+        chunkId: `${document ? document._id : schemeId}_chunk_${i}`,
+        documentId: document ? document._id : null,
+        versionId: version ? version._id : null,
+        content: chunk.content,
+        contentHash: this.hashContent(chunk.content),
+        metadata: {
+          ...chunk.metadata,
+          chunkIndex: i,
+          // Add PDF URL and document information for frontend access and citations
+          url: pdfUrl,
+          filename: pdfFilename,
+          documentTitle: document ? document.title : null,
+          documentType: document ? document.documentType : null
+        }
+      }));
+      
+      const existingChunks = await DocumentChunk.find({
+        ...this.getDocumentChunkFilter(schemeId, document),
+        processingStatus: { $ne: 'archived' }
+      })
+        .select('_id content contentHash embedding embeddingModel versionId metadata.chunkIndex usageStats')
+        .sort({ 'metadata.chunkIndex': 1 })
+        .lean();
+      const plan = this.planChunkChanges(existingChunks, newChunks, aiProviderService.getCurrentEmbeddingModel());
+      
+      // A new version keeps the previous version's chunks (archived) so the document can be rolled back
+      const archivePrevious = Boolean(version) &&
+        existingChunks.some(chunk => String(chunk.versionId) !== String(version._id));
       
-      // Step 3: Generate embeddings for each chunk
-      const chunkTexts = chunks.map(chunk => chunk.content);
-      const embeddings = await aiService.generateEmbeddings(chunkTexts);
+      reportProgress('embed', 'running');
+      const embeddings = plan.toEmbed.length > 0
+        ? await aiService.generateEmbeddings(plan.toEmbed.map(chunk => chunk.content))
+        : [];
       
-      if (!embeddings || embeddings.length !== chunks.length) {
+      if (embeddings.length !== plan.toEmbed.length) {
         throw new Error('Embedding generation failed or count mismatch');
       }
       
-      console.log(`🧠 Generated ${embeddings.length} embeddings`);
+      plan.toEmbed.forEach((chunk, i) => {
+        chunk.embedding = embeddings[i].embedding;
+        chunk.embeddingModel = embeddings[i].metadata.embeddingModel;
+      });
       
-      // Step 4: Create DocumentChunk records
-      const documentChunks = [];
+      console.log(`🧠 Generated ${embeddings.length} embeddings, reused ${chunks.length - embeddings.length}`);
+      reportProgress('embed', 'completed', { generated: embeddings.length, reused: chunks.length - embeddings.length });
       
-      for (let i = 0; i < chunks.length; i++) {
-        const chunk = chunks[i];
-        const embedding = embeddings[i];
-        
-        const documentChunk = new DocumentChunk({
-          schemeId: schemeId,
-          chunkId: `${schemeId}_chunk_${i}`,
-          content: chunk.content,
-          metadata: {
-            ...chunk.metadata,
-            pageNumber: this.extractPageNumber(chunk.metadata.section, i),
-            chunkIndex: i,
-            // Add PDF URL information for frontend access
-            url: pdfUrl,
-            filename: pdfFilename,
-            schemeTitle: scheme?.title || 'Government Scheme'
-          },
-          embedding: embedding.embedding,
-          processingStatus: 'completed',
-          processedAt: new Date()
-        });
-        
-        documentChunks.push(documentChunk);
+      // Step 4: Apply inserts, updates and removals together
+      reportProgress('save', 'running');
+      await this.applyChunkChanges(schemeId, plan, { archivePrevious });
+      
+      if (version) {
+        await this.saveVersionText(version, extractionResult);
       }
       
-      // Step 5: Save chunks to database
-      await DocumentChunk.insertMany(documentChunks);
+      // Keep the ANN index in sync with the scheme's current chunks
+      await this.syncSchemeIndex(schemeId);
+      
+      const changes = {
+        added: plan.added.length,
+        updated: plan.updated.length,
+        removed: plan.removed.length,
+        unchanged: plan.kept.length,
+        embeddingsGenerated: embeddings.length,
+        embeddingsReused: chunks.length - embeddings.length
+      };
       
-      console.log(`✅ Successfully processed PDF. Created ${documentChunks.length} chunks`);
+      console.log(`✅ Successfully processed PDF. ${chunks.length} chunks (${changes.added} added, ${changes.updated} updated, ${changes.removed} removed, ${changes.unchanged} unchanged)`);
+      reportProgress('save', 'completed', { chunks: chunks.length, ...changes });
       
       return {
         success: true,
-        chunksCreated: documentChunks.length,
+        chunksCreated: chunks.length,
+        changes,
         totalWords: chunks.reduce((sum, chunk) => sum + chunk.metadata.wordCount, 0),
         totalChars: chunks.reduce((sum, chunk) => sum + chunk.metadata.charCount, 0),
         languageDistribution: this.getLanguageDistribution(chunks),
-        processingTime: Date.now() - (options.startTime || Date.now())
+        tableChunks: chunks.filter(chunk => chunk.metadata.contentType === 'table').length,
+        extractionMethod: extractionResult.metadata.extractionMethod,
+        ocr: extractionResult.metadata.ocr,
+        documentId: document ? document._id : null,
+        versionId: version ? version._id : null,
+        processingTime: Date.now() - (processingOptions.startTime || Date.now())
       };
       
     } catch (error) {
+      // Nothing is written until the final bulk write, so the scheme keeps its previous chunks
       console.error(`❌ Error processing PDF for scheme ${schemeId}:`, error.message);
       
-      // Clean up any partial chunks if they exist
-      try {
-        await DocumentChunk.deleteMany({ schemeId: schemeId });
-      } catch (cleanupError) {
-        console.warn('Failed to cleanup partial chunks:', cleanupError.message);
-      }
-      
       return {
         success: false,
         error: error.message,
@@ -182,6 +227,257 @@ class EmbeddingService {
     }
   }
 
+  // Chunks a document's processing replaces; the primary document also adopts chunks created before documents existed
+  getDocumentChunkFilter(schemeId, document) {
+    if (!document) {
+      return { schemeId: schemeId, documentId: null };
+    }
+    
+    return document.isPrimary
+      ? { schemeId: schemeId, documentId: { $in: [document._id, null] } }
+      : { schemeId: schemeId, documentId: document._id };
+  }
+
+  // SHA-256 of a chunk's text; equal hashes mean the stored embedding can be reused
+  hashContent(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+  }
+
+  /**
+   * Match new chunks to the scheme's existing chunks by content hash
+   * @param {Array} existingChunks - Stored chunks (_id, content, contentHash, embedding, embeddingModel)
+   * @param {Array} newChunks - Chunks built from the new text (chunkId, content, contentHash, metadata)
+   * @param {string|null} currentModel - Embedding model new vectors are created with
+   * @returns {Object} { kept, updated, added, removed, toEmbed }
+   */
+  planChunkChanges(existingChunks, newChunks, currentModel) {
+    const byHash = new Map();
+    for (const chunk of existingChunks) {
+      const hash = chunk.contentHash || this.hashContent(chunk.content);
+      if (!byHash.has(hash)) byHash.set(hash, []);
+      byHash.get(hash).push(chunk);
+    }
+
+    // Same text: keep the stored chunk (and its usage stats), only its position and metadata change
+    const kept = [];
+    const unmatched = [];
+    for (const chunk of newChunks) {
+      const candidates = byHash.get(chunk.contentHash);
+      const existing = candidates && candidates.shift();
+      if (existing) {
+        kept.push({ chunk, existing });
+      } else {
+        unmatched.push(chunk);
+      }
+    }
+
+    // Changed text reuses the slot of a stored chunk that no longer matches; the rest is added or removed
+    const leftover = [...byHash.values()].flat()
+      .sort((a, b) => (a.metadata?.chunkIndex ?? 0) - (b.metadata?.chunkIndex ?? 0));
+    const updated = unmatched.slice(0, leftover.length).map((chunk, i) => ({ chunk, existing: leftover[i] }));
+    const added = unmatched.slice(leftover.length);
+    const removed = leftover.slice(unmatched.length);
+
+    // Kept chunks embedded with another model are re-embedded, not reused
+    const toEmbed = [...unmatched];
+    kept.forEach(({ chunk, existing }) => {
+      if (currentModel && existing.embeddingModel === currentModel) {
+        chunk.embedding = existing.embedding;
+        chunk.embeddingModel = existing.embeddingModel;
+      } else {
+        toEmbed.push(chunk);
+      }
+    });
+
+    return { kept, updated, added, removed, toEmbed };
+  }
+
+  // Stored fields of a processed chunk
+  getChunkFields(chunk, processedAt) {
+    return {
+      chunkId: chunk.chunkId,
+      documentId: chunk.documentId,
+      versionId: chunk.versionId,
+      content: chunk.content,
+      contentHash: chunk.contentHash,
+      metadata: chunk.metadata,
+      embedding: chunk.embedding,
+      embeddingModel: chunk.embeddingModel,
+      embeddingDimensions: chunk.embedding.length,
+      processingStatus: 'completed',
+      // Also marks the vector index snapshot as stale
+      processedAt
+    };
+  }
+
+  buildChunkOperations(schemeId, { kept, updated, added, removed }, { archivePrevious = false } = {}) {
+    const processedAt = new Date();
+    const fields = chunk => this.getChunkFields(chunk, processedAt);
+
+    // Archive every previous chunk and insert the new version's chunks alongside them
+    if (archivePrevious) {
+      const previousIds = [...kept, ...updated].map(({ existing }) => existing._id)
+        .concat(removed.map(chunk => chunk._id));
+      const newChunks = [...kept, ...updated].map(({ chunk }) => chunk).concat(added);
+
+      return [
+        ...(previousIds.length > 0
+          ? [{ updateMany: { filter: { _id: { $in: previousIds } }, update: { $set: { processingStatus: 'archived', processedAt } } } }]
+          : []),
+        ...newChunks.map(chunk => ({
+          insertOne: { document: { schemeId, ...fields(chunk) } }
+        }))
+      ];
+    }
+
+    return [
+      ...[...kept, ...updated].map(({ chunk, existing }) => ({
+        updateOne: { filter: { _id: existing._id }, update: { $set: fields(chunk) } }
+      })),
+      ...added.map(chunk => ({
+        insertOne: { document: { schemeId, ...fields(chunk) } }
+      })),
+      ...(removed.length > 0
+        ? [{ deleteMany: { filter: { _id: { $in: removed.map(chunk => chunk._id) } } } }]
+        : [])
+    ];
+  }
+
+  /**
+   * Write a scheme's chunk changes in one transaction. MongoDB without a replica set
+   * (the usual development setup) has no transactions; the changes are then staged
+   * and switched live in a single update instead (see applyStagedChunkChanges).
+   * @param {string} schemeId - Scheme ID
+   * @param {Object} plan - Output of planChunkChanges()
+   * @param {Object} options - { archivePrevious }
+   */
+  async applyChunkChanges(schemeId, plan, options = {}) {
+    const operations = this.buildChunkOperations(schemeId, plan, options);
+    if (operations.length === 0) return;
+
+    if (this.transactionsSupported) {
+      const session = await mongoose.startSession();
+      try {
+        await session.withTransaction(() => DocumentChunk.bulkWrite(operations, { session, ordered: true }));
+        return;
+      } catch (error) {
+        const transactionsUnsupported = error.code === 20 || /replica set|Transaction numbers/i.test(error.message);
+        if (!transactionsUnsupported) throw error;
+        this.transactionsSupported = false;
+        console.warn('⚠️ MongoDB transactions are not available (standalone server), chunk changes are staged and switched in one update instead');
+      } finally {
+        await session.endSession();
+      }
+    }
+
+    await this.applyStagedChunkChanges(schemeId, plan, options);
+  }
+
+  /**
+   * Replace a scheme's chunks without a transaction: the new chunk set is inserted as
+   * pending (never searched), then one update makes it live and archives the previous
+   * chunks, so searches see either the old or the new chunks, not a mix. If staging
+   * fails the pending chunks are deleted and the previous chunks stay live.
+   * @param {string} schemeId - Scheme ID
+   * @param {Object} plan - Output of planChunkChanges()
+   * @param {Object} options - { archivePrevious }
+   */
+  async applyStagedChunkChanges(schemeId, { kept, updated, added, removed }, { archivePrevious = false } = {}) {
+    const processedAt = new Date();
+    const previousIds = [...kept, ...updated].map(({ existing }) => existing._id)
+      .concat(removed.map(chunk => chunk._id));
+
+    // Kept and updated chunks keep their usage stats unless the previous version is archived
+    const staged = [...kept, ...updated].map(({ chunk, existing }) => ({
+      ...this.getChunkFields(chunk, processedAt),
+      usageStats: archivePrevious ? undefined : existing.usageStats
+    }))
+      .concat(added.map(chunk => this.getChunkFields(chunk, processedAt)))
+      .map(fields => ({ _id: new mongoose.Types.ObjectId(), schemeId, ...fields, processingStatus: 'pending' }));
+    const stagedIds = staged.map(chunk => chunk._id);
+
+    try {
+      await DocumentChunk.insertMany(staged, { ordered: true });
+    } catch (error) {
+      await DocumentChunk.deleteMany({ _id: { $in: stagedIds } });
+      throw error;
+    }
+
+    await DocumentChunk.updateMany(
+      { _id: { $in: [...stagedIds, ...previousIds] } },
+      [{
+        $set: {
+          processingStatus: { $cond: [{ $in: ['$_id', stagedIds] }, 'completed', 'archived'] },
+          processedAt
+        }
+      }]
+    );
+
+    // The previous chunks are already archived (not searched), so failing to delete them is not fatal
+    if (!archivePrevious && previousIds.length > 0) {
+      try {
+        await DocumentChunk.deleteMany({ _id: { $in: previousIds } });
+      } catch (error) {
+        console.warn(`⚠️ Failed to delete ${previousIds.length} replaced chunks of scheme ${schemeId}:`, error.message);
+      }
+    }
+  }
+
+  // Replace a scheme's entries in the ANN index with its searchable chunks
+  async syncSchemeIndex(schemeId) {
+    const indexedChunks = await DocumentChunk.find({ schemeId: schemeId, processingStatus: 'completed' })
+      .select('_id schemeId embedding embeddingModel processingStatus processedAt metadata.language metadata.contentType metadata.qualityScore')
+      .lean();
+    vectorIndexService.removeScheme(schemeId);
+    vectorIndexService.addChunks(indexedChunks);
+  }
+
+  // Archive a document's live chunks (kept for its version history, no longer searched)
+  async archiveDocumentChunks(document) {
+    const result = await DocumentChunk.updateMany(
+      { ...this.getDocumentChunkFilter(document.schemeId, document), processingStatus: { $ne: 'archived' } },
+      { $set: { processingStatus: 'archived', processedAt: new Date() } }
+    );
+    await this.syncSchemeIndex(document.schemeId);
+    return result.modifiedCount;
+  }
+
+  // Once a document has chunks, documents linked to it as duplicates archive their own
+  async completeDocumentLinks(documentId) {
+    const linkedDocuments = await SchemeDocument.find({ linkedDocumentId: documentId, processingStatus: { $ne: 'linked' } });
+
+    for (const document of linkedDocuments) {
+      const archived = await this.archiveDocumentChunks(document);
+      await SchemeDocument.updateOne({ _id: document._id }, {
+        $set: { processingStatus: 'linked', processingError: null, chunkCount: 0 }
+      });
+      console.log(`🔗 Archived ${archived} chunks of "${document.title}", now served by its duplicate ${documentId}`);
+    }
+
+    return linkedDocuments.length;
+  }
+
+  // Keep the extracted (original language) text on the version so admins can diff versions,
+  // and its MinHash signature (now including OCR text) for duplicate detection
+  async saveVersionText(version, extractionResult) {
+    const text = extractionResult.originalText || extractionResult.text || '';
+    const maxLength = DocumentVersion.MAX_TEXT_LENGTH;
+
+    try {
+      await DocumentVersion.updateOne({ _id: version._id }, {
+        $set: {
+          extractedText: text.substring(0, maxLength),
+          textTruncated: text.length > maxLength,
+          pageCount: extractionResult.metadata?.numpages || null,
+          minhash: computeMinHash(text) || [],
+          processedAt: new Date()
+        }
+      });
+    } catch (error) {
+      console.warn(`⚠️ Failed to save extracted text of document version ${version._id}:`, error.message);
+    }
+  }
+
   // Get chunks for a scheme with optional filtering
   async getChunksForScheme(schemeId, options = {}) {
     try {
@@ -228,6 +524,7 @@ class EmbeddingService {
   async deleteChunksForScheme(schemeId) {
     try {
       const result = await DocumentChunk.deleteMany({ schemeId: schemeId });
+      vectorIndexService.removeScheme(schemeId);
       
       console.log(`🗑️ Deleted ${result.deletedCount} chunks for scheme ${schemeId}`);
       
@@ -249,7 +546,15 @@ class EmbeddingService {
   // Get processing status for a scheme
   async getSchemeProcessingStatus(schemeId) {
     try {
-      const totalChunks = await DocumentChunk.countDocuments({ schemeId: schemeId });
+      // Archived chunks of older document versions are reported apart from the live ones
+      const totalChunks = await DocumentChunk.countDocuments({
+        schemeId: schemeId,
+        processingStatus: { $ne: 'archived' }
+      });
+      const archivedChunks = await DocumentChunk.countDocuments({
+        schemeId: schemeId,
+        processingStatus: 'archived'
+      });
       const completedChunks = await DocumentChunk.countDocuments({ 
         schemeId: schemeId, 
         processingStatus: 'completed' 
@@ -271,6 +576,7 @@ class EmbeddingService {
           completedChunks: completedChunks,
           pendingChunks: pendingChunks,
           failedChunks: failedChunks,
+          archivedChunks: archivedChunks,
           completionPercentage: totalChunks > 0 ? Math.round((completedChunks / totalChunks) * 100) : 0
         }
       };
@@ -284,17 +590,6 @@ class EmbeddingService {
     }
   }
 
-  // Helper method to extract page number from section or chunk index
-  extractPageNumber(section, chunkIndex) {
-    // Simple heuristic: assume each chunk represents roughly one page
-    // In a real implementation, you might want to parse the PDF more carefully
-    if (section && section.match(/\d+/)) {
-      const match = section.match(/(\d+)/);
-      return match ? parseInt(match[1]) : Math.floor(chunkIndex / 2) + 1;
-    }
-    return Math.floor(chunkIndex / 2) + 1;
-  }
-
   // Helper method to get language distribution
   getLanguageDistribution(chunks) {
     const distribution = {};
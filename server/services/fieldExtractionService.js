@@ -0,0 +1,342 @@
+const DocumentChunk = require('../models/DocumentChunk');
+const Scheme = require('../models/Scheme');
+const SchemeDocument = require('../models/SchemeDocument');
+const SchemeFieldExtraction = require('../models/SchemeFieldExtraction');
+const aiProviderService = require('./aiProviderService');
+const schemePublishingService = require('./schemePublishingService');
+const { normalizeDevanagari } = require('../utils/marathiText');
+
+const { FIELD_NAMES, APPLICATION_MODES } = SchemeFieldExtraction;
+
+/**
+ * Field Extraction Service
+ * Runs after a scheme's documents are chunked: the chat model reads the chunks
+ * most likely to hold scheme details and returns eligibility rules, benefit
+ * amounts, the document checklist, how to apply, deadlines and contact details
+ * as JSON. Every item must cite the numbered chunk it was read from; items
+ * without a valid citation are dropped. An extraction waits for an admin to
+ * review it, and only the items the admin accepts are saved onto the scheme.
+ * Saving them onto a published or scheduled scheme sends it back to review.
+ */
+class FieldExtractionService {
+  constructor() {
+    this.enabled = process.env.FIELD_EXTRACTION_ENABLED !== 'false';
+    this.maxChunks = parseInt(process.env.FIELD_EXTRACTION_MAX_CHUNKS) || 30;
+    this.maxChunkChars = 1500;
+    this.maxItemsPerField = 15;
+    this.excerptLength = 200;
+
+    // Words that mark chunks likely to hold each field (English and Marathi, matched on normalized text)
+    this.fieldCues = {
+      eligibility: ['eligib', 'criteria', 'applicant', 'age', 'income', 'resident', 'domicile', 'पात्र', 'निकष', 'लाभार्थी', 'वय', 'उत्पन्न', 'रहिवासी', 'अधिवास'],
+      benefits: ['benefit', 'assistance', 'amount', 'subsidy', 'grant', 'rs.', '₹', 'rupees', 'लाभ', 'अनुदान', 'रक्कम', 'रुपये', 'रु.', 'अर्थसहाय्य', 'मदत'],
+      documents: ['document', 'certificate', 'proof', 'aadhaar', 'ration card', 'कागदपत्र', 'दाखला', 'प्रमाणपत्र', 'पुरावा', 'आधार', 'शिधापत्रिका'],
+      applicationMode: ['apply', 'application', 'online', 'offline', 'portal', 'website', 'अर्ज', 'ऑनलाईन', 'ऑफलाईन', 'संकेतस्थळ', 'पोर्टल'],
+      deadlines: ['deadline', 'last date', 'closing date', 'till', 'until', 'अंतिम', 'मुदत', 'दिनांक', 'कालावधी'],
+      contacts: ['contact', 'helpline', 'phone', 'email', 'e-mail', 'toll free', 'office', 'संपर्क', 'हेल्पलाईन', 'कार्यालय', 'दूरध्वनी', 'ई-मेल']
+    };
+  }
+
+  /**
+   * Extract structured fields from the scheme's processed chunks and store them for review
+   * @param {string} schemeId - Scheme ID
+   * @param {Object} options - { trigger: 'processing'|'manual', jobId, requestedBy }
+   * @returns {Promise<Object>} { success, extraction } or { success: false, reason, error }
+   */
+  async extractForScheme(schemeId, { trigger = 'processing', jobId = null, requestedBy = null } = {}) {
+    try {
+      const scheme = await Scheme.findById(schemeId).select('title');
+      if (!scheme) {
+        return { success: false, reason: 'not_found', error: 'Scheme not found' };
+      }
+
+      const chunks = await this.selectChunks(schemeId);
+      if (chunks.length === 0) {
+        return { success: false, reason: 'no_chunks', error: 'The scheme has no processed document chunks yet' };
+      }
+
+      console.log(`🗂️ Extracting scheme fields for "${scheme.title}" from ${chunks.length} chunks`);
+
+      const context = chunks.map(chunk => ({
+        text: chunk.content.substring(0, this.maxChunkChars),
+        source: 'pdf_chunk',
+        documentTitle: chunk.metadata?.documentTitle,
+        pageNumber: chunk.metadata?.pageNumber
+      }));
+      const { text, provider, model } = await aiProviderService.generate(this.buildPrompt(scheme.title, context), {
+        operation: 'extract_fields',
+        context,
+        fieldCues: this.fieldCues
+      });
+
+      const { fields, droppedItems } = this.normalizeFields(this.parseResponse(text), chunks);
+
+      // Only the newest extraction waits for review
+      await SchemeFieldExtraction.updateMany(
+        { schemeId, status: 'pending_review' },
+        { $set: { status: 'superseded' } }
+      );
+
+      const extraction = await SchemeFieldExtraction.create({
+        schemeId,
+        fields,
+        trigger,
+        jobId,
+        requestedBy,
+        provider,
+        model,
+        chunksUsed: chunks.length,
+        droppedItems
+      });
+
+      console.log(`✅ Extracted ${extraction.countItems()} scheme fields (${droppedItems} uncited items dropped) with ${provider}`);
+      return { success: true, extraction };
+    } catch (error) {
+      console.error(`❌ Field extraction failed for scheme ${schemeId}:`, error.message);
+      return { success: false, reason: 'failed', error: error.message };
+    }
+  }
+
+  /**
+   * Completed chunks of the scheme (and of documents it links to), the ones
+   * mentioning the most fields first, returned in document order
+   * @param {string} schemeId - Scheme ID
+   * @returns {Promise<Array>} Chunks
+   */
+  async selectChunks(schemeId) {
+    const linkedDocuments = await SchemeDocument.find({ schemeId, linkedDocumentId: { $ne: null } })
+      .select('linkedDocumentId')
+      .lean();
+
+    const chunks = await DocumentChunk.find({
+      processingStatus: 'completed',
+      $or: [
+        { schemeId },
+        { documentId: { $in: linkedDocuments.map(document => document.linkedDocumentId) } }
+      ]
+    })
+      .select('chunkId documentId content metadata.pageNumber metadata.documentTitle metadata.chunkIndex')
+      .lean();
+
+    return chunks
+      .map((chunk, position) => ({ chunk, position, score: this.scoreChunk(chunk.content) }))
+      .sort((a, b) => b.score - a.score || a.position - b.position)
+      .slice(0, this.maxChunks)
+      .sort((a, b) => String(a.chunk.documentId).localeCompare(String(b.chunk.documentId)) ||
+        (a.chunk.metadata?.chunkIndex || 0) - (b.chunk.metadata?.chunkIndex || 0))
+      .map(({ chunk }) => chunk);
+  }
+
+  // Number of fields the text has cue words for, plus a small bonus per cue found
+  scoreChunk(content) {
+    const text = normalizeDevanagari(content).toLowerCase();
+
+    return Object.values(this.fieldCues).reduce((score, cues) => {
+      const hits = cues.filter(cue => text.includes(normalizeDevanagari(cue))).length;
+      return score + (hits > 0 ? 1 + hits * 0.1 : 0);
+    }, 0);
+  }
+
+  buildPrompt(schemeTitle, context) {
+    const excerpts = context
+      .map((ctx, index) => {
+        const location = [ctx.documentTitle, ctx.pageNumber ? `page ${ctx.pageNumber}` : null].filter(Boolean).join(', ');
+        return `[${index + 1}]${location ? ` (${location})` : ''}\n${ctx.text}`;
+      })
+      .join('\n\n');
+
+    return `
+You extract structured details of a government scheme from excerpts of its official documents.
+Scheme: ${schemeTitle}
+
+Excerpts (each starts with its number):
+${excerpts}
+
+Return only a JSON object with these keys, each an array of items:
+- "eligibility": who can apply (age, income, residence, category, ...). Item: {"text": "...", "source": n}
+- "benefits": what a beneficiary receives. Item: {"text": "...", "amount": amount in rupees as a number or null, "source": n}
+- "documents": documents the applicant must submit. Item: {"text": "...", "source": n}
+- "applicationMode": how and where to apply. Item: {"text": "...", "mode": "online" | "offline" | "both", "source": n}
+- "deadlines": last dates and application periods. Item: {"text": "...", "date": "YYYY-MM-DD" or null, "source": n}
+- "contacts": helplines, offices, email addresses and websites. Item: {"text": "...", "source": n}
+
+Rules:
+- Use only the excerpts, never general knowledge.
+- "source" is the number of the excerpt the item was read from. Leave out anything you cannot cite.
+- One rule, benefit, document, deadline or contact per item, in one short sentence.
+- Write each item in the language of its excerpt and keep names, amounts and dates exactly as written.
+- Use an empty array when the excerpts say nothing about a field.
+
+JSON:`;
+  }
+
+  /**
+   * Read the JSON object out of the model's answer (models often wrap it in a code fence)
+   * @param {string} text - Model output
+   * @returns {Object} Parsed object
+   */
+  parseResponse(text) {
+    const cleaned = String(text || '').replace(/```(?:json)?/gi, '');
+    const start = cleaned.indexOf('{');
+    const end = cleaned.lastIndexOf('}');
+
+    if (start === -1 || end <= start) {
+      throw new Error('The model did not return a JSON object');
+    }
+
+    return JSON.parse(cleaned.slice(start, end + 1));
+  }
+
+  /**
+   * Keep well-formed, cited items and attach their source chunk
+   * @param {Object} parsed - Parsed model output
+   * @param {Array} chunks - Chunks in prompt order
+   * @returns {Object} { fields, droppedItems }
+   */
+  normalizeFields(parsed, chunks) {
+    const fields = {};
+    let droppedItems = 0;
+
+    for (const name of FIELD_NAMES) {
+      const raw = parsed && parsed[name];
+      const items = Array.isArray(raw) ? raw : (raw ? [raw] : []);
+      const seen = new Set();
+      fields[name] = [];
+
+      for (const item of items) {
+        const text = typeof item?.text === 'string' ? item.text.replace(/\s+/g, ' ').trim().substring(0, 500) : '';
+        const chunk = chunks[this.parseSource(item?.source) - 1];
+
+        if (!text || !chunk) {
+          droppedItems++;
+          continue;
+        }
+
+        const key = normalizeDevanagari(text).toLowerCase();
+        if (seen.has(key) || fields[name].length >= this.maxItemsPerField) continue;
+        seen.add(key);
+
+        fields[name].push({
+          text,
+          ...(name === 'benefits' && { amount: this.parseAmount(item.amount) }),
+          ...(name === 'deadlines' && { date: this.parseDate(item.date) }),
+          ...(name === 'applicationMode' && { mode: APPLICATION_MODES.includes(item.mode) ? item.mode : undefined }),
+          source: this.describeSource(chunk)
+        });
+      }
+    }
+
+    return { fields, droppedItems };
+  }
+
+  // Citation as a number, "3", "[3]" or a list of those (the first one is used)
+  parseSource(source) {
+    const value = Array.isArray(source) ? source[0] : source;
+    return parseInt(String(value ?? '').replace(/[[\]\s]/g, '')) || 0;
+  }
+
+  // Rupees in a number or a text such as "Rs. 6,000", "₹ 1.5 lakh" or "रु. ६०००"; undefined
+  // when the text has no amount or several (a range or a per-instalment breakdown is left to the reviewer)
+  parseAmount(amount) {
+    if (typeof amount === 'number') return Number.isFinite(amount) && amount >= 0 ? amount : undefined;
+    if (typeof amount !== 'string') return undefined;
+
+    // The currency goes first, so the dot of "Rs." is not read as a decimal point
+    const text = normalizeDevanagari(amount).toLowerCase().replace(/\b(?:rs|inr)\b\.?|₹|रु\.?|रू\.?/g, ' ');
+    const matches = [...text.matchAll(/(\d[\d,]*(?:\.\d+)?)\s*(lakhs?|lacs?|crores?|लाख|कोटी)?/g)];
+    if (matches.length !== 1) return undefined;
+
+    const [, number, unit = ''] = matches[0];
+    const value = parseFloat(number.replace(/,/g, ''));
+    if (!Number.isFinite(value)) return undefined;
+
+    if (unit.startsWith('la') || unit === 'लाख') return Math.round(value * 100000);
+    if (unit.startsWith('crore') || unit === 'कोटी') return Math.round(value * 10000000);
+    return value;
+  }
+
+  parseDate(date) {
+    if (typeof date !== 'string' || !/^\d{4}-\d{2}-\d{2}/.test(date)) return undefined;
+
+    const value = new Date(date);
+    return Number.isNaN(value.getTime()) ? undefined : value;
+  }
+
+  describeSource(chunk) {
+    return {
+      chunkId: chunk.chunkId,
+      documentId: chunk.documentId,
+      documentTitle: chunk.metadata?.documentTitle,
+      pageNumber: chunk.metadata?.pageNumber,
+      excerpt: chunk.content.replace(/\s+/g, ' ').trim().substring(0, this.excerptLength)
+    };
+  }
+
+  /**
+   * Save the accepted items of a pending extraction onto its scheme. Items are
+   * picked by their index in the extraction, so each keeps its source; the
+   * reviewer may correct the text, amount, date or mode.
+   * @param {Object} extraction - Pending SchemeFieldExtraction document
+   * @param {Object} selection - { [field]: [{ index, text, amount, date, mode }] }
+   * @param {Object} review - { reviewedBy, comment }
+   * @returns {Promise<Object>} { scheme, accepted, sentToReview } where accepted is the number of
+   *   saved items and scheme is null when the scheme was deleted or its status changed meanwhile
+   */
+  async acceptExtraction(extraction, selection, { reviewedBy, comment } = {}) {
+    const details = { extractionId: extraction._id, reviewedBy, reviewedAt: new Date() };
+    let accepted = 0;
+
+    for (const name of FIELD_NAMES) {
+      const items = extraction.fields[name] || [];
+
+      details[name] = (Array.isArray(selection?.[name]) ? selection[name] : [])
+        .filter(choice => Number.isInteger(choice?.index) && items[choice.index])
+        .map(choice => {
+          const item = items[choice.index].toObject();
+          const text = typeof choice.text === 'string' && choice.text.trim() ? choice.text.trim().substring(0, 500) : item.text;
+
+          return {
+            ...item,
+            text,
+            ...(choice.amount !== undefined && name === 'benefits' && { amount: this.parseAmount(choice.amount) }),
+            ...(choice.date !== undefined && name === 'deadlines' && { date: this.parseDate(choice.date) }),
+            ...(choice.mode !== undefined && name === 'applicationMode' && { mode: APPLICATION_MODES.includes(choice.mode) ? choice.mode : undefined })
+          };
+        });
+
+      accepted += details[name].length;
+    }
+
+    // Saving the fields is a content edit: a published or scheduled scheme goes back to review
+    const current = await Scheme.findById(extraction.schemeId).select('status');
+    if (!current) return { scheme: null, accepted: 0, sentToReview: false };
+    const editUpdate = schemePublishingService.getEditUpdate(current, reviewedBy, ['details']);
+
+    const scheme = await Scheme.findOneAndUpdate(
+      { _id: extraction.schemeId, status: current.status },
+      { details, updatedBy: reviewedBy, ...editUpdate },
+      { new: true, runValidators: true }
+    );
+    // The scheme's status changed meanwhile; the extraction stays pending
+    if (!scheme) return { scheme: null, accepted: 0, sentToReview: false };
+
+    extraction.status = 'accepted';
+    extraction.reviewedBy = reviewedBy;
+    extraction.reviewedAt = details.reviewedAt;
+    extraction.reviewComment = comment;
+    await extraction.save();
+
+    console.log(`✅ Saved ${accepted} reviewed fields onto scheme ${extraction.schemeId}`);
+    return { scheme, accepted, sentToReview: scheme.status !== current.status };
+  }
+
+  async rejectExtraction(extraction, { reviewedBy, comment } = {}) {
+    extraction.status = 'rejected';
+    extraction.reviewedBy = reviewedBy;
+    extraction.reviewedAt = new Date();
+    extraction.reviewComment = comment;
+    return extraction.save();
+  }
+}
+
+module.exports = new FieldExtractionService();
@@ -0,0 +1,241 @@
+const natural = require('natural');
+const textPreprocessingService = require('./textPreprocessingService');
+
+class GroundingService {
+  constructor() {
+    // flag: mark unsupported statements, remove: drop them, off: skip verification
+    this.modes = ['flag', 'remove', 'off'];
+    this.mode = this.modes.includes(process.env.GROUNDING_MODE) ? process.env.GROUNDING_MODE : 'flag';
+
+    // Share of a claim's content words that must appear in one source chunk
+    this.supportThreshold = parseFloat(process.env.GROUNDING_SUPPORT_THRESHOLD) || 0.5;
+    this.unverifiedNote = ' _(⚠️ not found in the scheme documents — please verify)_';
+    this.removedNotice = 'Some details could not be verified against the scheme documents and were left out. Please check the official scheme document for complete information.';
+
+    this.stopWords = new Set([
+      ...textPreprocessingService.getStopWords('en'),
+      'also', 'any', 'all', 'each', 'if', 'not', 'no', 'so', 'such', 'than', 'then', 'there',
+      'their', 'your', 'which', 'who', 'what', 'when', 'where', 'how', 'as', 'from', 'into',
+      'about', 'under', 'per', 'more', 'other', 'scheme', 'schemes', 'government'
+    ]);
+
+    // Abbreviations whose full stop does not end a sentence ("Rs. 5000", "GR No. 12", "Dr. Ambedkar"),
+    // and single initials ("A. P. J. Abdul Kalam")
+    this.abbreviationPattern = /\b(Rs|No|Nos|Sr|Dr|Mr|Mrs|Ms|Smt|Shri|Km|Kum|Govt|Dept|Ltd|Pvt|Sec|Art|Ref|Vol|Fig|Approx|Max|Min|Ch|Cl|[A-Z])\.(?=\s)/g;
+
+    // Statements that describe missing information rather than asserting a fact
+    this.hedgePatterns = [
+      /\b(don't|do not|does not|doesn't) (have|contain|mention|specify)\b/i,
+      /\bnot (available|mentioned|specified|provided)\b/i,
+      /\b(no|any) (specific )?information\b/i,
+      /\bcontact the (relevant|concerned|nearest)\b/i
+    ];
+  }
+
+  /**
+   * Check every claim in an answer against the retrieved context
+   * @param {string} answer - Generated answer (English, before translation)
+   * @param {Array} context - Context entries ({ text, score, source, metadata })
+   * @param {Object} options - { mode }
+   * @returns {Object} { answer, claims, groundingScore, supportedClaims, unsupportedClaims, mode }
+   */
+  verifyAnswer(answer, context = [], options = {}) {
+    const mode = this.modes.includes(options.mode) ? options.mode : this.mode;
+
+    if (mode === 'off' || !answer || context.length === 0) {
+      return {
+        answer,
+        claims: [],
+        groundingScore: context.length === 0 ? 0 : 1,
+        supportedClaims: 0,
+        unsupportedClaims: 0,
+        mode
+      };
+    }
+
+    const sources = this.buildSources(context);
+    const claims = [];
+    const lines = answer.split('\n').map(line => this.verifyLine(line, sources, mode, claims));
+
+    const unsupportedClaims = claims.filter(claim => !claim.supported).length;
+    let verifiedAnswer = lines.filter(line => line !== null).join('\n').replace(/\n{3,}/g, '\n\n').trim();
+
+    if (mode === 'remove' && unsupportedClaims > 0) {
+      verifiedAnswer = verifiedAnswer
+        ? `${verifiedAnswer}\n\n${this.removedNotice}`
+        : this.removedNotice;
+    }
+
+    // Average support across claims; unsupported figures count as zero
+    const groundingScore = claims.length === 0
+      ? 1
+      : claims.reduce((sum, claim) => sum + (claim.supported ? claim.score : 0), 0) / claims.length;
+
+    if (unsupportedClaims > 0) {
+      console.log(`⚠️ Grounding: ${unsupportedClaims} of ${claims.length} claims not supported by context (${mode})`);
+    } else {
+      console.log(`✅ Grounding: all ${claims.length} claims supported by context`);
+    }
+
+    return {
+      answer: verifiedAnswer,
+      claims,
+      groundingScore: Math.round(groundingScore * 100) / 100,
+      supportedClaims: claims.length - unsupportedClaims,
+      unsupportedClaims,
+      mode
+    };
+  }
+
+  /**
+   * Verifier for an answer that arrives in pieces: each call takes text ending on a
+   * sentence boundary and returns it with unsupported statements flagged or dropped,
+   * as verifyAnswer would, so a streamed answer is checked before the citizen sees it
+   * @param {Array} context - Context entries ({ text, score, source, metadata })
+   * @param {Object} options - { mode }
+   * @returns {Function} (segment) => verified segment
+   */
+  createSegmentVerifier(context = [], options = {}) {
+    const mode = this.modes.includes(options.mode) ? options.mode : this.mode;
+    if (mode === 'off' || context.length === 0) return segment => segment;
+
+    const sources = this.buildSources(context);
+    return segment => segment
+      .split('\n')
+      .map(line => (line.trim() ? this.verifyLine(line, sources, mode, []) ?? '' : line))
+      .join('\n');
+  }
+
+  // Content words and figures of each context entry, in context order
+  buildSources(context) {
+    return context.map(ctx => ({
+      terms: new Set(this.extractTerms(ctx.text)),
+      numbers: this.extractNumbers(ctx.text).flat()
+    }));
+  }
+
+  /**
+   * Check the sentences of one answer line, keeping its bullet or number prefix
+   * @param {string} line - Answer line
+   * @param {Array} sources - Pre-processed context entries
+   * @param {string} mode - flag or remove
+   * @param {Array} claims - Receives the result of every checkable sentence
+   * @returns {string|null} Line with unsupported sentences flagged or dropped, null when nothing is left
+   */
+  verifyLine(line, sources, mode, claims) {
+    const prefix = (line.match(/^\s*(?:[-•*]|\d+[.)])\s+/) || [''])[0];
+    const sentences = this.splitSentences(line.slice(prefix.length));
+
+    const kept = sentences.map(sentence => {
+      const claim = this.checkClaim(sentence, sources);
+      if (!claim) return sentence;
+
+      claims.push(claim);
+      if (claim.supported) return sentence;
+
+      return mode === 'remove' ? null : `${sentence}${this.unverifiedNote}`;
+    }).filter(sentence => sentence !== null);
+
+    if (kept.length === 0 || kept.join('').trim().length === 0) return null;
+    return `${prefix}${kept.join(' ')}`;
+  }
+
+  /**
+   * Split a line into sentences on full stops, question and exclamation marks and the
+   * Devanagari danda, without breaking after abbreviations such as "Rs." or "No."
+   * @param {string} text - Line of the answer
+   * @returns {Array<string>} Sentences
+   */
+  splitSentences(text) {
+    const placeholder = '\u0000';
+    return text
+      .replace(this.abbreviationPattern, `$1${placeholder}`)
+      .split(/(?<=[.!?।])\s+/)
+      .map(sentence => sentence.replace(/\u0000/g, '.'));
+  }
+
+  /**
+   * Check one sentence against the sources
+   * @param {string} sentence - Sentence from the answer
+   * @param {Array} sources - Pre-processed context entries
+   * @returns {Object|null} Claim result, or null when the sentence asserts nothing checkable
+   */
+  checkClaim(sentence, sources) {
+    const citedMarkers = [...sentence.matchAll(/\[(\d+)\]/g)].map(match => parseInt(match[1], 10));
+    const text = sentence.replace(/\[\d+\]/g, '').replace(/\*\*/g, '').trim();
+    const terms = this.extractTerms(text);
+    const numbers = this.extractNumbers(text);
+
+    if (numbers.length === 0 && (terms.length < 4 || text.endsWith(':'))) return null;
+    if (numbers.length === 0 && this.hedgePatterns.some(pattern => pattern.test(text))) return null;
+
+    // Prefer the chunks the model cited; fall back to all context
+    const cited = citedMarkers.map(marker => sources[marker - 1]).filter(Boolean);
+    const candidates = cited.length > 0 ? cited : sources;
+    const contextNumbers = new Set(sources.flatMap(source => source.numbers));
+
+    let bestOverlap = 0;
+    let bestSource = null;
+    candidates.forEach(source => {
+      const overlap = terms.length === 0
+        ? 1
+        : terms.filter(term => source.terms.has(term)).length / terms.length;
+      if (overlap > bestOverlap) {
+        bestOverlap = overlap;
+        bestSource = sources.indexOf(source) + 1;
+      }
+    });
+
+    // Figures (amounts, dates, ages, percentages) must appear verbatim somewhere in the context
+    const unsupportedNumbers = numbers
+      .filter(alternatives => !alternatives.some(number => contextNumbers.has(number)))
+      .map(alternatives => alternatives[0]);
+    const supported = unsupportedNumbers.length === 0 && bestOverlap >= this.supportThreshold;
+
+    return {
+      text,
+      supported,
+      score: Math.round(bestOverlap * 100) / 100,
+      unsupportedNumbers,
+      bestSource
+    };
+  }
+
+  /**
+   * Stemmed content words of a text
+   * @param {string} text - Input text
+   * @returns {Array<string>} Terms
+   */
+  extractTerms(text) {
+    return (text.toLowerCase().match(/[a-z]+/g) || [])
+      .filter(word => word.length > 2 && !this.stopWords.has(word))
+      .map(word => natural.PorterStemmer.stem(word));
+  }
+
+  /**
+   * Numbers in a text, normalised so "5,000", "5000" and "0.05 lakh" compare equal
+   * @param {string} text - Input text
+   * @returns {Array<Array<string>>} Accepted forms for each number mentioned
+   */
+  extractNumbers(text) {
+    const numbers = [];
+    const pattern = /(\d[\d,]*(?:\.\d+)?)\s*(lakh|lakhs|lac|crore|crores)?/gi;
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+      const value = parseFloat(match[1].replace(/,/g, ''));
+      if (isNaN(value)) continue;
+
+      const alternatives = [String(value)];
+      const unit = (match[2] || '').toLowerCase();
+      if (unit.startsWith('la')) alternatives.push(String(Math.round(value * 100000)));
+      if (unit.startsWith('crore')) alternatives.push(String(Math.round(value * 10000000)));
+
+      numbers.push(alternatives);
+    }
+
+    return numbers;
+  }
+}
+
+module.exports = new GroundingService();
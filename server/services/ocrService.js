@@ -0,0 +1,347 @@
+const { createWorker } = require('tesseract.js');
+
+// pdf.js ImageKind values (not exported by the pdf-parse build)
+const IMAGE_KIND = {
+  GRAYSCALE_1BPP: 1,
+  RGB_24BPP: 2,
+  RGBA_32BPP: 3
+};
+
+const IDENTITY_MATRIX = [1, 0, 0, 1, 0, 0];
+
+// Product of two PDF matrices [a, b, c, d, e, f] (m2 applied first, as in canvas transform())
+const multiplyMatrices = (m1, m2) => [
+  m1[0] * m2[0] + m1[2] * m2[1],
+  m1[1] * m2[0] + m1[3] * m2[1],
+  m1[0] * m2[2] + m1[2] * m2[3],
+  m1[1] * m2[2] + m1[3] * m2[3],
+  m1[0] * m2[4] + m1[2] * m2[5] + m1[4],
+  m1[1] * m2[4] + m1[3] * m2[5] + m1[5]
+];
+
+const invertMatrix = (m) => {
+  const determinant = m[0] * m[3] - m[1] * m[2];
+  return [
+    m[3] / determinant,
+    -m[1] / determinant,
+    -m[2] / determinant,
+    m[0] / determinant,
+    (m[2] * m[5] - m[3] * m[4]) / determinant,
+    (m[1] * m[4] - m[0] * m[5]) / determinant
+  ];
+};
+
+/**
+ * OCR Service
+ * Reads scanned PDF pages (pages without a text layer) with tesseract.js.
+ * Scanners store a page as one image, as strips or tiles, or as 1-bit image
+ * masks, so every image drawn on the page is composited onto a greyscale page
+ * raster (pdf.js from pdf-parse decodes the images; there is no canvas in Node),
+ * which is recognised with the English and Marathi traineddata.
+ */
+class OCRService {
+  constructor() {
+    this.enabled = process.env.OCR_ENABLED !== 'false';
+    this.languages = process.env.OCR_LANGUAGES || 'eng+mar';
+    this.maxPages = parseInt(process.env.OCR_MAX_PAGES) || 50;
+
+    // Pages with less text than this are treated as scanned
+    this.minPageTextLength = parseInt(process.env.OCR_MIN_PAGE_TEXT_LENGTH) || 20;
+
+    // Pages recognised below this confidence (0-100) are left out of the text
+    this.minConfidence = parseInt(process.env.OCR_MIN_CONFIDENCE) || 40;
+
+    // Pages whose images hold fewer pixels than a square of this side are logos or stamps, not scans
+    this.minImageSize = 300;
+
+    // Highest rendering resolution (pixels per PDF point); 300 dpi is enough for Tesseract
+    this.maxRenderScale = 300 / 72;
+
+    // Traineddata is downloaded from the tesseract.js CDN unless a local folder is given
+    this.langPath = process.env.OCR_LANG_PATH || null;
+    this.cachePath = process.env.OCR_CACHE_PATH || null;
+
+    this.pdfjs = null;
+  }
+
+  isEnabled() {
+    return this.enabled;
+  }
+
+  /**
+   * Check whether a page's text layer is too small to be the real content
+   * @param {string} pageText - Text extracted from the page's text layer
+   * @returns {boolean} True if the page should be OCRed
+   */
+  needsOCR(pageText) {
+    return !pageText || pageText.replace(/\s+/g, '').length < this.minPageTextLength;
+  }
+
+  getPdfjs() {
+    if (!this.pdfjs) {
+      this.pdfjs = require('pdf-parse/lib/pdf.js/v1.10.100/build/pdf.js');
+      this.pdfjs.disableWorker = true;
+    }
+    return this.pdfjs;
+  }
+
+  /**
+   * OCR the given pages of a PDF
+   * @param {Buffer} pdfBuffer - PDF file contents
+   * @param {Array<number>} pageNumbers - 1-based page numbers to OCR
+   * @returns {Promise<Object>} { pages: [{ pageNumber, text, confidence, words, accepted, error }], languages, truncated }
+   */
+  async recognizePages(pdfBuffer, pageNumbers) {
+    const selected = pageNumbers.slice(0, this.maxPages);
+    const truncated = pageNumbers.length > selected.length;
+    const pages = [];
+
+    if (truncated) {
+      console.warn(`⚠️ OCR limited to ${this.maxPages} of ${pageNumbers.length} scanned pages`);
+    }
+
+    console.log(`🔍 Running OCR (${this.languages}) on ${selected.length} scanned pages`);
+
+    const pdfjs = this.getPdfjs();
+    const doc = await pdfjs.getDocument({
+      data: new Uint8Array(pdfBuffer),
+      // Decode JPEG scans in pdf.js itself; there is no DOM image decoder in Node
+      nativeImageDecoderSupport: 'none'
+    });
+    let worker = null;
+
+    try {
+      // A worker that cannot load its languages fails the whole run, not each page
+      worker = await this.createWorker();
+
+      for (const pageNumber of selected) {
+        const startTime = Date.now();
+
+        try {
+          const image = await this.rasterizePage(doc, pageNumber);
+          if (!image) {
+            pages.push({ pageNumber, text: '', confidence: 0, words: 0, accepted: false, error: 'No page image found' });
+            continue;
+          }
+
+          const { data } = await worker.recognize(image);
+          const text = (data.text || '').trim();
+          const confidence = Math.round(data.confidence || 0);
+          const accepted = text.length > 0 && confidence >= this.minConfidence;
+
+          pages.push({
+            pageNumber,
+            text,
+            confidence,
+            words: (data.words || []).length,
+            accepted,
+            processingTime: Date.now() - startTime
+          });
+
+          console.log(`${accepted ? '✅' : '⚠️'} OCR page ${pageNumber}: ${text.length} chars, confidence ${confidence}%`);
+        } catch (error) {
+          console.warn(`⚠️ OCR failed for page ${pageNumber}:`, error.message || error);
+          pages.push({ pageNumber, text: '', confidence: 0, words: 0, accepted: false, error: error.message || String(error) });
+        }
+      }
+    } finally {
+      if (worker) {
+        await worker.terminate().catch(() => {});
+      }
+      doc.destroy();
+    }
+
+    return { pages, languages: this.languages, truncated };
+  }
+
+  async createWorker() {
+    const worker = await createWorker({
+      // An undefined path would override the tesseract.js default
+      ...(this.langPath && { langPath: this.langPath }),
+      ...(this.cachePath && { cachePath: this.cachePath }),
+      // Without a handler, worker errors are rethrown outside the calling promise
+      errorHandler: error => console.warn('⚠️ OCR worker error:', error)
+    });
+
+    try {
+      await worker.loadLanguage(this.languages);
+      await worker.initialize(this.languages);
+    } catch (error) {
+      await worker.terminate().catch(() => {});
+      throw error;
+    }
+
+    return worker;
+  }
+
+  /**
+   * Render the images drawn on a page into a greyscale PGM image
+   * @param {Object} doc - pdf.js document
+   * @param {number} pageNumber - 1-based page number
+   * @returns {Promise<Buffer|null>} PGM image, or null when the page has no scan images
+   */
+  async rasterizePage(doc, pageNumber) {
+    const page = await doc.getPage(pageNumber);
+
+    try {
+      const draws = this.collectImageDraws(page, await page.getOperatorList());
+      const imagePixels = draws.reduce((total, { image }) => total + image.width * image.height, 0);
+
+      if (imagePixels < this.minImageSize * this.minImageSize) {
+        return null;
+      }
+
+      return this.renderDraws(page, draws);
+    } finally {
+      page.cleanup();
+    }
+  }
+
+  /**
+   * Follow a page's operators and list every image it paints with the transform it is painted with
+   * @param {Object} page - pdf.js page
+   * @param {Object} operatorList - { fnArray, argsArray }
+   * @returns {Array<Object>} Draws: { image, transform, mask, fill }; a mask paints its 0 bits in the fill grey
+   */
+  collectImageDraws(page, { fnArray, argsArray }) {
+    const { OPS } = this.getPdfjs();
+    const draws = [];
+    const stack = [];
+    let state = { transform: IDENTITY_MATRIX, fill: 0 };
+
+    const draw = (image, transform, mask = false) => {
+      if (image && image.data && image.width > 0 && image.height > 0) {
+        draws.push({ image, transform, mask, fill: state.fill });
+      }
+    };
+    // Repeated images are painted at each position, scaled from the current transform
+    const drawRepeated = (image, scaleX, scaleY, positions, mask) => {
+      for (let i = 0; i < positions.length; i += 2) {
+        draw(image, multiplyMatrices(state.transform, [scaleX, 0, 0, scaleY, positions[i], positions[i + 1]]), mask);
+      }
+    };
+
+    for (let i = 0; i < fnArray.length; i++) {
+      const args = argsArray[i];
+
+      switch (fnArray[i]) {
+        case OPS.save:
+          stack.push(state);
+          break;
+        case OPS.restore:
+          state = stack.pop() || state;
+          break;
+        case OPS.transform:
+          state = { ...state, transform: multiplyMatrices(state.transform, args) };
+          break;
+        case OPS.paintFormXObjectBegin:
+          stack.push(state);
+          if (Array.isArray(args[0]) && args[0].length === 6) {
+            state = { ...state, transform: multiplyMatrices(state.transform, args[0]) };
+          }
+          break;
+        case OPS.paintFormXObjectEnd:
+          state = stack.pop() || state;
+          break;
+        case OPS.setFillRGBColor:
+          state = { ...state, fill: Math.round(0.299 * args[0] + 0.587 * args[1] + 0.114 * args[2]) };
+          break;
+        case OPS.paintImageXObject:
+          draw(page.objs.get(args[0]), state.transform);
+          break;
+        case OPS.paintInlineImageXObject:
+          draw(args[0], state.transform);
+          break;
+        case OPS.paintImageXObjectRepeat:
+          drawRepeated(page.objs.get(args[0]), args[1], args[2], args[3], false);
+          break;
+        case OPS.paintImageMaskXObject:
+          draw(args[0], state.transform, true);
+          break;
+        case OPS.paintImageMaskXObjectRepeat:
+          drawRepeated(args[0], args[1], args[2], args[3], true);
+          break;
+        case OPS.paintImageMaskXObjectGroup:
+          args[0].forEach(image => draw(image, multiplyMatrices(state.transform, image.transform), true));
+          break;
+        default:
+          break;
+      }
+    }
+
+    return draws;
+  }
+
+  /**
+   * Composite image draws onto a white page raster at about the resolution of the scan
+   * @param {Object} page - pdf.js page
+   * @param {Array<Object>} draws - Output of collectImageDraws
+   * @returns {Buffer} PGM image
+   */
+  renderDraws(page, draws) {
+    // Pixels per point of the densest image, so the scan is neither blurred nor needlessly enlarged
+    const density = Math.max(...draws.map(({ image, transform }) => Math.max(
+      image.width / (Math.hypot(transform[0], transform[1]) || 1),
+      image.height / (Math.hypot(transform[2], transform[3]) || 1)
+    )));
+    const viewport = page.getViewport(Math.min(Math.max(density, 1), this.maxRenderScale));
+    const width = Math.ceil(viewport.width);
+    const height = Math.ceil(viewport.height);
+    const pixels = Buffer.alloc(width * height, 255);
+
+    for (const { image, transform, mask, fill } of draws) {
+      // Image space is the unit square with the first image row at the top
+      const toDevice = multiplyMatrices(viewport.transform, transform);
+      if (toDevice[0] * toDevice[3] - toDevice[1] * toDevice[2] === 0) continue;
+      const toImage = invertMatrix(toDevice);
+
+      const corners = [[0, 0], [1, 0], [0, 1], [1, 1]].map(([u, v]) => [
+        toDevice[0] * u + toDevice[2] * v + toDevice[4],
+        toDevice[1] * u + toDevice[3] * v + toDevice[5]
+      ]);
+      const minX = Math.max(0, Math.floor(Math.min(...corners.map(corner => corner[0]))));
+      const maxX = Math.min(width, Math.ceil(Math.max(...corners.map(corner => corner[0]))));
+      const minY = Math.max(0, Math.floor(Math.min(...corners.map(corner => corner[1]))));
+      const maxY = Math.min(height, Math.ceil(Math.max(...corners.map(corner => corner[1]))));
+      const rowBytes = (image.width + 7) >> 3;
+
+      for (let y = minY; y < maxY; y++) {
+        for (let x = minX; x < maxX; x++) {
+          const u = toImage[0] * (x + 0.5) + toImage[2] * (y + 0.5) + toImage[4];
+          const v = toImage[1] * (x + 0.5) + toImage[3] * (y + 0.5) + toImage[5];
+          if (u < 0 || u >= 1 || v <= 0 || v > 1) continue;
+
+          const column = Math.min(Math.floor(u * image.width), image.width - 1);
+          const row = Math.min(Math.floor((1 - v) * image.height), image.height - 1);
+
+          if (mask) {
+            if (!((image.data[row * rowBytes + (column >> 3)] >> (7 - (column & 7))) & 1)) {
+              pixels[y * width + x] = fill;
+            }
+          } else {
+            pixels[y * width + x] = this.getGrey(image, column, row);
+          }
+        }
+      }
+    }
+
+    return Buffer.concat([Buffer.from(`P5\n${width} ${height}\n255\n`), pixels]);
+  }
+
+  /**
+   * Grey value of one pixel of pdf.js image data (1-bit, RGB or RGBA)
+   * @param {Object} image - { width, kind, data }
+   * @returns {number} Grey value (0-255)
+   */
+  getGrey({ width, kind, data }, column, row) {
+    if (kind === IMAGE_KIND.GRAYSCALE_1BPP) {
+      const bit = (data[row * ((width + 7) >> 3) + (column >> 3)] >> (7 - (column & 7))) & 1;
+      return bit ? 255 : 0;
+    }
+
+    const offset = (row * width + column) * (kind === IMAGE_KIND.RGBA_32BPP ? 4 : 3);
+    return Math.round(0.299 * data[offset] + 0.587 * data[offset + 1] + 0.114 * data[offset + 2]);
+  }
+}
+
+module.exports = new OCRService();
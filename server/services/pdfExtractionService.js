@@ -3,6 +3,9 @@ const fs = require('fs').promises;
 const path = require('path');
 const axios = require('axios');
 const translationService = require('./translationService');
+const ocrService = require('./ocrService');
+const tableExtractionService = require('./tableExtractionService');
+const { getLocalPath } = require('./cloudStorage');
 
 class PDFExtractionService {
   constructor() {
@@ -21,9 +24,15 @@ class PDFExtractionService {
       console.log(`📄 Starting PDF text extraction for: ${filePath}`);
       
       let pdfBuffer;
-      
-      // Check if it's a cloud URL or local file path
-      if (filePath.startsWith('http://') || filePath.startsWith('https://')) {
+      const reportProgress = options.onProgress || (() => {});
+      reportProgress('download', 'running');
+      
+      // Check if it's a cloud URL or local file path (files in local storage are read from disk)
+      const localStoragePath = getLocalPath(filePath);
+      if (localStoragePath) {
+        await this.validateFile(localStoragePath);
+        pdfBuffer = await fs.readFile(localStoragePath);
+      } else if (filePath.startsWith('http://') || filePath.startsWith('https://')) {
         // It's a cloud URL - fetch from cloud storage
         console.log(`☁️ Fetching PDF from cloud storage: ${filePath}`);
         pdfBuffer = await this.fetchPDFFromCloud(filePath);
@@ -33,6 +42,14 @@ class PDFExtractionService {
         pdfBuffer = await fs.readFile(filePath);
       }
       
+      reportProgress('download', 'completed', { bytes: pdfBuffer.length });
+      reportProgress('extract', 'running');
+      
+      // Text layer of each page (used to find scanned pages that need OCR) and its tables
+      const pageTexts = new Map();
+      const pageTables = new Map();
+      const pagerender = pageData => this.renderPageText(pageData, pageTexts, pageTables);
+
       // Configure extraction options
       const extractOptions = {
         // Maximum number of pages to extract (0 = all pages)
@@ -51,7 +68,10 @@ class PDFExtractionService {
         disableFontFace: options.disableFontFace !== false,
         
         // Custom text extraction
-        customTextExtractor: options.customTextExtractor || null
+        customTextExtractor: options.customTextExtractor || null,
+
+        // Record each page's text layer
+        pagerender
       };
 
       // Extract text from PDF with enhanced error handling
@@ -79,7 +99,8 @@ class PDFExtractionService {
           // Try with minimal options
           const minimalOptions = {
             max: 0,
-            version: 'v1.10.100'
+            version: 'v1.10.100',
+            pagerender
           };
           
           try {
@@ -93,35 +114,75 @@ class PDFExtractionService {
       
       console.log(`✅ PDF extraction completed. Pages: ${pdfData.numpages}, Text length: ${pdfData.text.length}`);
       
+      // Read scanned pages (no text layer) with OCR
+      const ocrResult = await this.extractScannedPages(pdfBuffer, pdfData, pageTexts, pageTables);
+      
+      // Text of each page, with OCR text in place of missing text layers
+      const rawPages = [];
+      for (let pageNumber = 1; pageNumber <= (pdfData.numrender || 0); pageNumber++) {
+        rawPages.push({
+          pageNumber,
+          text: ocrResult?.ocrTexts?.get(pageNumber) || pageTexts.get(pageNumber) || ''
+        });
+      }
+      pdfData.text = rawPages.map(page => page.text).join('\n\n');
+      
       // Check if we got any text
-      if (!pdfData.text || pdfData.text.trim().length === 0) {
+      if ((!pdfData.text || pdfData.text.trim().length === 0) && pageTables.size === 0) {
         console.warn(`⚠️ PDF extraction succeeded but no text content found`);
         return {
           success: true,
           text: '',
-          metadata: this.extractMetadata(pdfData, filePath),
+          metadata: {
+            ...this.extractMetadata(pdfData, filePath),
+            extractionMethod: ocrResult ? ocrResult.method : 'text',
+            ocr: ocrResult ? ocrResult.summary : null
+          },
           rawData: {
             numpages: pdfData.numpages,
             info: pdfData.info,
             version: pdfData.version
           },
-          warning: 'PDF processed but no text content could be extracted. This might be an image-based PDF or scanned document.'
+          warning: this.getNoTextWarning(ocrResult)
         };
       }
       
-      // Process and clean the extracted text
-      const processedText = this.processExtractedText(pdfData.text);
+      // Clean and translate page by page so chunks keep their page numbers
+      const pages = [];
+      for (const page of rawPages) {
+        const processedText = this.processExtractedText(page.text);
+        if (processedText.length === 0) continue;
+        
+        pages.push({
+          pageNumber: page.pageNumber,
+          text: await this.translateToEnglish(processedText),
+          originalText: processedText
+        });
+      }
       
-      // Translate to English for better processing
-      const translatedText = await this.translateToEnglish(processedText);
+      // Tables are kept out of the page text and returned with their rows
+      const tables = [];
+      for (const [pageNumber, pageTableList] of pageTables) {
+        for (const table of pageTableList) {
+          tables.push({ pageNumber, ...(await this.translateTable(table)) });
+        }
+      }
+      if (tables.length > 0) {
+        console.log(`📊 Found ${tables.length} tables on ${pageTables.size} pages`);
+      }
       
       // Extract metadata
       const metadata = this.extractMetadata(pdfData, filePath);
+      metadata.extractionMethod = ocrResult ? ocrResult.method : 'text';
+      metadata.ocr = ocrResult ? ocrResult.summary : null;
+      metadata.tableCount = tables.length;
       
       return {
         success: true,
-        text: translatedText, // Return translated text for processing
-        originalText: processedText, // Keep original for reference
+        text: pages.map(page => page.text).join('\n\n'), // Return translated text for processing
+        originalText: pages.map(page => page.originalText).join('\n\n'), // Keep original for reference
+        pages: pages, // Translated and original text per page
+        tables: tables, // Translated tables: [{ pageNumber, caption, rows }]
         metadata: metadata,
         rawData: {
           numpages: pdfData.numpages,
@@ -146,6 +207,154 @@ class PDFExtractionService {
     }
   }
 
+  /**
+   * Read only the text layer of a PDF (no OCR or translation), e.g. to fingerprint an upload
+   * @param {Buffer} pdfBuffer - PDF file contents
+   * @returns {Promise<string>} Cleaned text of the pages that have a text layer
+   */
+  async extractTextLayer(pdfBuffer) {
+    const pageTexts = new Map();
+    const pageTables = new Map();
+
+    await pdfParse(pdfBuffer, {
+      max: 0,
+      version: 'v1.10.100',
+      pagerender: pageData => this.renderPageText(pageData, pageTexts, pageTables)
+    });
+
+    return [...pageTexts.keys()]
+      .sort((a, b) => a - b)
+      .map(pageNumber => this.processExtractedText(pageTexts.get(pageNumber)))
+      .filter(text => text.length > 0)
+      .join('\n\n');
+  }
+
+  /**
+   * Extract a page's text layer line by line, separating out its tables
+   * @param {Object} pageData - pdf.js page
+   * @param {Map<number, string>} pageTexts - Page number to text outside tables
+   * @param {Map<number, Array>} pageTables - Page number to tables, for pages that have any
+   * @returns {Promise<string>} Page text
+   */
+  async renderPageText(pageData, pageTexts, pageTables) {
+    const textContent = await pageData.getTextContent({
+      normalizeWhitespace: false,
+      disableCombineTextItems: false
+    });
+
+    const { lines, tables } = tableExtractionService.extractFromItems(textContent.items);
+    const text = lines
+      .filter(line => line.tableIndex === null)
+      .map(line => line.text)
+      .join('\n');
+
+    pageTexts.set(pageData.pageNumber, text);
+    if (tables.length > 0) {
+      pageTables.set(pageData.pageNumber, tables);
+    } else {
+      pageTables.delete(pageData.pageNumber);
+    }
+
+    return lines.map(line => line.text).join('\n');
+  }
+
+  /**
+   * Translate a table's caption and cells to English, keeping its rows and columns
+   * @param {Object} table - { caption, rows }
+   * @returns {Promise<Object>} Translated table, or the original when the translation lost its line structure
+   */
+  async translateTable(table) {
+    const cells = [table.caption || '', ...table.rows.flat()];
+
+    // One cell per line: blank cells get a placeholder so the translator does not drop them
+    const translated = (await this.translateToEnglish(cells.map(cell => cell || '-').join('\n'))).split('\n');
+    if (translated.length !== cells.length) {
+      console.warn('⚠️ Table translation changed its line structure, keeping the original table');
+      return table;
+    }
+
+    const values = translated.map((value, index) => (cells[index] ? value.trim() : ''));
+    const columnCount = table.rows[0].length;
+    const rows = table.rows.map((row, rowIndex) => values.slice(1 + rowIndex * columnCount, 1 + (rowIndex + 1) * columnCount));
+
+    return { caption: values[0] || null, rows };
+  }
+
+  /**
+   * OCR the pages whose text layer is missing
+   * @param {Buffer} pdfBuffer - PDF file contents
+   * @param {Object} pdfData - pdf-parse result
+   * @param {Map<number, string>} pageTexts - Text layer per page
+   * @param {Map<number, Array>} pageTables - Tables per page
+   * @returns {Promise<Object|null>} { ocrTexts, method, summary }, or null when no page needed OCR
+   *   (summary.error is set when the OCR engine could not run)
+   */
+  async extractScannedPages(pdfBuffer, pdfData, pageTexts, pageTables) {
+    if (!ocrService.isEnabled()) {
+      return null;
+    }
+
+    const pageCount = pdfData.numrender || 0;
+    const scannedPages = [];
+    for (let pageNumber = 1; pageNumber <= pageCount; pageNumber++) {
+      if (ocrService.needsOCR(pageTexts.get(pageNumber)) && !pageTables.has(pageNumber)) {
+        scannedPages.push(pageNumber);
+      }
+    }
+
+    if (scannedPages.length === 0) {
+      return null;
+    }
+
+    try {
+      const { pages, languages, truncated } = await ocrService.recognizePages(pdfBuffer, scannedPages);
+      const accepted = pages.filter(page => page.accepted);
+      const summary = {
+        languages,
+        scannedPages: scannedPages.length,
+        recognizedPages: accepted.length,
+        truncated,
+        averageConfidence: accepted.length > 0
+          ? Math.round(accepted.reduce((sum, page) => sum + page.confidence, 0) / accepted.length)
+          : 0,
+        pages: pages.map(({ pageNumber, confidence, words, accepted, error }) => ({
+          pageNumber,
+          confidence,
+          words,
+          accepted,
+          ...(error && { error })
+        }))
+      };
+
+      console.log(`🔍 OCR read ${accepted.length}/${scannedPages.length} scanned pages (average confidence ${summary.averageConfidence}%)`);
+
+      return {
+        ocrTexts: new Map(accepted.map(page => [page.pageNumber, page.text])),
+        method: scannedPages.length === pageCount ? 'ocr' : 'mixed',
+        summary
+      };
+    } catch (error) {
+      // tesseract.js rejects with plain strings
+      const message = error.message || String(error);
+      console.error('❌ OCR of scanned pages failed:', message);
+      return {
+        ocrTexts: new Map(),
+        method: 'text',
+        summary: { languages: ocrService.languages, scannedPages: scannedPages.length, recognizedPages: 0, error: message }
+      };
+    }
+  }
+
+  getNoTextWarning(ocrResult) {
+    if (!ocrResult) {
+      return 'PDF processed but no text content could be extracted. This might be an image-based PDF or scanned document.';
+    }
+    if (ocrResult.summary.error) {
+      return `PDF has no text layer and OCR of its scanned pages failed: ${ocrResult.summary.error}`;
+    }
+    return 'PDF processed but no readable text was found, including by OCR of its scanned pages.';
+  }
+
   /**
    * Fetch PDF from cloud storage (Cloudinary)
    * @param {string} cloudUrl - Cloud storage URL
@@ -454,81 +663,6 @@ class PDFExtractionService {
       return text;
     }
   }
-
-  /**
-   * Create a fallback text extraction for problematic PDFs
-   * @param {string} filePath - Path to the PDF file
-   * @param {Object} options - Extraction options
-   * @returns {Promise<Object>} Fallback extraction result
-   */
-  async createFallbackExtraction(filePath, options = {}) {
-    try {
-      console.log(`🔄 Creating fallback extraction for problematic PDF: ${filePath}`);
-      
-      let fileName, fileSize;
-      
-      // Handle cloud URLs vs local files
-      if (filePath.startsWith('http://') || filePath.startsWith('https://')) {
-        // Extract filename from URL
-        const urlParts = filePath.split('/');
-        fileName = urlParts[urlParts.length - 1] || 'cloud-document.pdf';
-        fileSize = 0; // Unknown size for cloud files
-      } else {
-        // Local file
-        const stats = await fs.stat(filePath);
-        fileName = path.basename(filePath);
-        fileSize = stats.size;
-      }
-      
-      // Create a basic fallback result
-      const fallbackResult = {
-        success: true,
-        text: `[PDF Document: ${fileName}]\n\nThis PDF document could not be processed for text extraction. The file may be corrupted, password-protected, or in an unsupported format.\n\nFile Information:\n- File Name: ${fileName}\n- File Size: ${fileSize} bytes\n- Upload Date: ${new Date().toISOString()}\n\nPlease contact the administrator if you need assistance with this document.`,
-        metadata: {
-          fileName: fileName,
-          filePath: filePath,
-          fileSize: fileSize,
-          numpages: 1,
-          version: 'unknown',
-          textLength: 0,
-          wordCount: 0,
-          lineCount: 0,
-          title: fileName.replace('.pdf', ''),
-          author: 'Unknown',
-          subject: 'Government Scheme Document',
-          creator: 'PDF Upload System',
-          producer: 'Unknown',
-          creationDate: new Date(),
-          modificationDate: new Date(),
-          extractionTime: 0,
-          processedAt: new Date(),
-          fallbackExtraction: true
-        },
-        rawData: {
-          numpages: 1,
-          info: {
-            Title: fileName.replace('.pdf', ''),
-            Author: 'Unknown',
-            Subject: 'Government Scheme Document'
-          },
-          version: 'unknown'
-        },
-        warning: 'This PDF could not be processed normally. A fallback extraction was created.'
-      };
-      
-      console.log(`✅ Fallback extraction created for ${fileName}`);
-      return fallbackResult;
-      
-    } catch (error) {
-      console.error(`❌ Fallback extraction failed for ${filePath}:`, error.message);
-      return {
-        success: false,
-        error: `Fallback extraction failed: ${error.message}`,
-        text: '',
-        metadata: {}
-      };
-    }
-  }
 }
 
 module.exports = new PDFExtractionService();
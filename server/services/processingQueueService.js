@@ -0,0 +1,429 @@
+const os = require('os');
+const ProcessingJob = require('../models/ProcessingJob');
+const Scheme = require('../models/Scheme');
+const SchemeDocument = require('../models/SchemeDocument');
+const embeddingService = require('./embeddingService');
+const fieldExtractionService = require('./fieldExtractionService');
+
+/**
+ * Processing Queue Service
+ * Runs scheme PDF processing as jobs stored in MongoDB instead of fire-and-forget
+ * promises, so a restart does not lose work. Each job records its state, the
+ * progress of every step (download, extract, chunk, embed, save) and the reason
+ * of each failed attempt; failed attempts are retried with exponential backoff.
+ * Jobs are claimed atomically, so several server instances can share the queue.
+ */
+class ProcessingQueueService {
+  constructor() {
+    this.pollIntervalMs = parseInt(process.env.PROCESSING_QUEUE_POLL_MS) || 5000;
+    this.maxAttempts = parseInt(process.env.PROCESSING_JOB_MAX_ATTEMPTS) || 3;
+    this.retryBaseDelayMs = parseInt(process.env.PROCESSING_RETRY_BASE_DELAY_MS) || 60000;
+
+    // A running job whose worker has not sent a heartbeat for this long is considered dead
+    this.lockTimeoutMs = parseInt(process.env.PROCESSING_JOB_LOCK_TIMEOUT_MS) || 2 * 60 * 1000;
+    // Running jobs refresh lockedAt this often, also during long steps that report no progress
+    this.heartbeatIntervalMs = Math.max(Math.floor(this.lockTimeoutMs / 4), 1000);
+
+    this.workerId = `${os.hostname()}:${process.pid}`;
+
+    this.timer = null;
+    this.polling = false;
+  }
+
+  /**
+   * Requeue jobs whose worker died and start polling for work
+   * @returns {Promise<Object>} Initialization result
+   */
+  async initialize() {
+    try {
+      const recovered = await this.recoverInterruptedJobs();
+      this.start();
+
+      console.log(`📬 Processing queue started (worker ${this.workerId}, ${recovered} interrupted jobs recovered)`);
+      return { success: true, recovered };
+    } catch (error) {
+      console.error('❌ Processing queue initialization failed:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.poll(), this.pollIntervalMs);
+    this.poll();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Queue a scheme document for processing, replacing jobs of the same document that have not started yet
+   * @param {string} schemeId - Scheme ID
+   * @param {string} pdfUrl - PDF URL or local path
+   * @param {Object} options - Chunking options for processPDFForScheme
+   * @param {Object} context - { reason, requestedBy, documentId, versionId }
+   * @returns {Promise<Object>} The queued job
+   */
+  async enqueue(schemeId, pdfUrl, options = {}, context = {}) {
+    const documentId = context.documentId || null;
+    await this.cancelQueuedJobs(schemeId, documentId, 'Superseded by a newer processing job');
+
+    const job = await ProcessingJob.create({
+      schemeId,
+      documentId,
+      versionId: context.versionId || null,
+      pdfUrl,
+      options,
+      reason: context.reason || 'reprocess',
+      requestedBy: context.requestedBy || null,
+      maxAttempts: this.maxAttempts,
+      steps: ProcessingJob.createSteps()
+    });
+
+    console.log(`📥 Queued PDF processing job ${job._id} for scheme ${schemeId} (${job.reason})`);
+
+    // Pick the job up straight away instead of waiting for the next poll
+    if (this.timer) {
+      setImmediate(() => this.poll());
+    }
+
+    return job;
+  }
+
+  /**
+   * Cancel a document's jobs that have not started yet
+   * @param {string} schemeId - Scheme ID
+   * @param {string|null} documentId - Document ID
+   * @param {string} reason - Stored as the jobs' lastError
+   * @returns {Promise<number>} Number of cancelled jobs
+   */
+  async cancelQueuedJobs(schemeId, documentId, reason) {
+    const cancelled = await ProcessingJob.updateMany(
+      { schemeId, documentId: documentId || null, status: 'queued' },
+      { $set: { status: 'cancelled', lastError: reason, finishedAt: new Date() } }
+    );
+
+    if (cancelled.modifiedCount > 0) {
+      console.log(`🚫 Cancelled ${cancelled.modifiedCount} queued processing jobs for scheme ${schemeId}`);
+    }
+
+    return cancelled.modifiedCount;
+  }
+
+  /**
+   * Claim and run queued jobs until none are due
+   */
+  async poll() {
+    if (this.polling) return;
+    this.polling = true;
+
+    try {
+      await this.recoverInterruptedJobs();
+
+      let job = await this.claimNextJob();
+      while (job) {
+        await this.runJob(job);
+        job = await this.claimNextJob();
+      }
+    } catch (error) {
+      console.error('❌ Processing queue poll failed:', error.message);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Atomically take the oldest due job
+   * @returns {Promise<Object|null>} Claimed job
+   */
+  claimNextJob() {
+    const now = new Date();
+
+    return ProcessingJob.findOneAndUpdate(
+      { status: 'queued', nextRunAt: { $lte: now } },
+      {
+        $set: {
+          status: 'running',
+          lockedBy: this.workerId,
+          lockedAt: now,
+          startedAt: now,
+          finishedAt: null,
+          currentStep: null,
+          steps: ProcessingJob.createSteps()
+        },
+        $inc: { attempts: 1 }
+      },
+      { sort: { nextRunAt: 1, createdAt: 1 }, new: true }
+    );
+  }
+
+  /**
+   * Requeue (or fail) jobs marked running whose worker stopped sending heartbeats,
+   * because its server stopped, restarted or hung. Works the same on any host.
+   * @returns {Promise<number>} Number of jobs requeued or failed
+   */
+  async recoverInterruptedJobs() {
+    const jobs = await ProcessingJob.find({
+      status: 'running',
+      lockedAt: { $lt: new Date(Date.now() - this.lockTimeoutMs) }
+    });
+
+    for (const job of jobs) {
+      console.warn(`⚠️ Processing job ${job._id} was interrupted during ${job.currentStep || 'startup'}`);
+      await this.handleFailure(job, 'Processing was interrupted (server restart or worker timeout)', job.currentStep);
+    }
+
+    return jobs.length;
+  }
+
+  /**
+   * Run one claimed job, recording step progress and the outcome
+   * @param {Object} job - Claimed ProcessingJob document
+   */
+  async runJob(job) {
+    console.log(`⚙️ Running processing job ${job._id} for scheme ${job.schemeId} (attempt ${job.attempts}/${job.maxAttempts})`);
+
+    let currentStep = null;
+    let progressWrites = Promise.resolve();
+
+    const onProgress = (step, status, details) => {
+      currentStep = step;
+      progressWrites = progressWrites
+        .then(() => this.recordProgress(job._id, step, status, details))
+        .catch(error => console.warn(`⚠️ Failed to record progress of job ${job._id}:`, error.message));
+    };
+
+    const heartbeat = setInterval(() => this.sendHeartbeat(job._id), this.heartbeatIntervalMs);
+
+    try {
+      const documentMissing = job.documentId && !(await SchemeDocument.exists({ _id: job.documentId }));
+      if (!(await Scheme.exists({ _id: job.schemeId })) || documentMissing) {
+        await this.finish(job._id, 'cancelled', { lastError: documentMissing ? 'Document no longer exists' : 'Scheme no longer exists' });
+        return;
+      }
+
+      await this.updateDocumentStatus(job, { processingStatus: 'processing' });
+
+      const result = await embeddingService.processPDFForScheme(job.schemeId, job.pdfUrl, {
+        ...job.options,
+        documentId: job.documentId,
+        versionId: job.versionId,
+        startTime: Date.now(),
+        onProgress
+      });
+      await progressWrites;
+
+      if (!result.success) {
+        await this.handleFailure(job, result.error, currentStep);
+        return;
+      }
+
+      await this.updateDocumentStatus(job, {
+        processingStatus: 'completed',
+        processingError: null,
+        chunkCount: result.chunksCreated,
+        lastProcessedAt: new Date()
+      });
+      if (job.documentId) {
+        await embeddingService.completeDocumentLinks(job.documentId);
+      }
+      const extraction = await this.extractFields(job);
+      await this.finish(job._id, 'completed', {
+        result: { ...result, fieldExtractionId: extraction ? extraction._id : null },
+        lastError: null
+      });
+      console.log(`✅ Processing job ${job._id} completed: ${result.chunksCreated} chunks created`);
+    } catch (error) {
+      await progressWrites;
+      await this.handleFailure(job, error.message, currentStep);
+    } finally {
+      clearInterval(heartbeat);
+    }
+  }
+
+  // Refresh the lock of a job this worker is running, so it is not recovered as dead
+  async sendHeartbeat(jobId) {
+    try {
+      await ProcessingJob.updateOne(
+        { _id: jobId, status: 'running', lockedBy: this.workerId },
+        { $set: { lockedAt: new Date() } }
+      );
+    } catch (error) {
+      console.warn(`⚠️ Failed to send heartbeat of job ${jobId}:`, error.message);
+    }
+  }
+
+  /**
+   * Extract structured scheme fields from the new chunks for admin review.
+   * A failed extraction is recorded on the step but does not fail the job.
+   * @param {Object} job - Running ProcessingJob document
+   * @returns {Promise<Object|null>} The pending SchemeFieldExtraction
+   */
+  async extractFields(job) {
+    if (!fieldExtractionService.enabled) {
+      await this.recordProgress(job._id, 'fields', 'skipped');
+      return null;
+    }
+
+    await this.recordProgress(job._id, 'fields', 'running');
+    const outcome = await fieldExtractionService.extractForScheme(job.schemeId, {
+      trigger: 'processing',
+      jobId: job._id,
+      requestedBy: job.requestedBy
+    });
+
+    if (!outcome.success) {
+      console.warn(`⚠️ Field extraction after job ${job._id} failed: ${outcome.error}`);
+      await this.recordProgress(job._id, 'fields', 'failed', { error: outcome.error });
+      return null;
+    }
+
+    await this.recordProgress(job._id, 'fields', 'completed', {
+      extractionId: outcome.extraction._id,
+      items: outcome.extraction.countItems()
+    });
+    return outcome.extraction;
+  }
+
+  async recordProgress(jobId, step, status, details) {
+    const now = new Date();
+    const update = {
+      currentStep: step,
+      // Progress doubles as the worker's heartbeat
+      lockedAt: now,
+      'steps.$.status': status
+    };
+
+    if (status === 'running') update['steps.$.startedAt'] = now;
+    if (status === 'completed') update['steps.$.finishedAt'] = now;
+    if (details) update['steps.$.details'] = details;
+
+    await ProcessingJob.updateOne({ _id: jobId, 'steps.name': step }, { $set: update });
+  }
+
+  finish(jobId, status, fields = {}) {
+    return ProcessingJob.updateOne({ _id: jobId }, {
+      $set: {
+        ...fields,
+        status,
+        currentStep: null,
+        lockedBy: null,
+        lockedAt: null,
+        finishedAt: new Date()
+      }
+    });
+  }
+
+  /**
+   * Record a failed attempt and either schedule a retry or mark the job failed
+   * @param {Object} job - ProcessingJob document
+   * @param {string} message - Failure reason
+   * @param {string|null} step - Step that was running when the attempt failed
+   */
+  async handleFailure(job, message, step) {
+    const reason = message || 'Unknown processing error';
+    const retry = job.attempts < job.maxAttempts;
+    const now = new Date();
+
+    const update = {
+      $push: { failures: { attempt: job.attempts, step: step || null, message: reason, at: now } },
+      $set: {
+        status: retry ? 'queued' : 'failed',
+        lastError: reason,
+        lockedBy: null,
+        lockedAt: null
+      }
+    };
+    const options = {};
+
+    if (step) {
+      update.$set['steps.$[failed].status'] = 'failed';
+      update.$set['steps.$[failed].finishedAt'] = now;
+      options.arrayFilters = [{ 'failed.name': step }];
+    }
+
+    if (retry) {
+      const delay = this.retryBaseDelayMs * Math.pow(2, job.attempts - 1);
+      update.$set.nextRunAt = new Date(now.getTime() + delay);
+      console.warn(`⚠️ Processing job ${job._id} failed (attempt ${job.attempts}/${job.maxAttempts}${step ? `, ${step}` : ''}): ${reason}. Retrying in ${Math.round(delay / 1000)}s`);
+    } else {
+      update.$set.finishedAt = now;
+      console.error(`❌ Processing job ${job._id} failed after ${job.attempts} attempts: ${reason}`);
+    }
+
+    await ProcessingJob.updateOne({ _id: job._id }, update, options);
+    await this.updateDocumentStatus(job, { processingStatus: retry ? 'queued' : 'failed', processingError: reason });
+  }
+
+  // Mirror the job state on the scheme document it processes
+  async updateDocumentStatus(job, fields) {
+    if (!job.documentId) return;
+
+    try {
+      await SchemeDocument.updateOne({ _id: job.documentId }, { $set: fields });
+    } catch (error) {
+      console.warn(`⚠️ Failed to update status of document ${job.documentId}:`, error.message);
+    }
+  }
+
+  /**
+   * Latest job of a scheme, with its progress
+   * @param {string} schemeId - Scheme ID
+   * @returns {Promise<Object|null>} Job summary
+   */
+  async getLatestJob(schemeId) {
+    const job = await ProcessingJob.getLatestForScheme(schemeId);
+    return job ? this.formatJob(job) : null;
+  }
+
+  /**
+   * Recent jobs, newest first
+   * @param {Object} filters - { status, limit }
+   * @returns {Promise<Array>} Job summaries
+   */
+  async listJobs({ status = null, limit = 50 } = {}) {
+    const filter = status ? { status } : {};
+    const jobs = await ProcessingJob.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(Math.min(parseInt(limit) || 50, 200))
+      .populate('schemeId', 'title')
+      .lean();
+
+    return jobs.map(job => this.formatJob(job));
+  }
+
+  formatJob(job) {
+    const steps = job.steps || [];
+    const completed = steps.filter(step => ['completed', 'skipped'].includes(step.status)).length;
+
+    return {
+      id: job._id,
+      schemeId: job.schemeId,
+      documentId: job.documentId || null,
+      versionId: job.versionId || null,
+      reason: job.reason,
+      status: job.status,
+      currentStep: job.currentStep,
+      // A completed job may have a failed 'fields' step, which does not hold back its progress
+      progress: job.status === 'completed' ? 100 : (steps.length > 0 ? Math.round((completed / steps.length) * 100) : 0),
+      steps,
+      attempts: job.attempts,
+      maxAttempts: job.maxAttempts,
+      nextRunAt: job.status === 'queued' ? job.nextRunAt : null,
+      lastError: job.lastError || null,
+      failures: job.failures || [],
+      // Added, updated and removed chunk counts of a completed job
+      changes: job.result ? job.result.changes || null : null,
+      result: job.result || null,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt || null,
+      finishedAt: job.finishedAt || null
+    };
+  }
+}
+
+module.exports = new ProcessingQueueService();
@@ -0,0 +1,33 @@
+const { AzureOpenAI } = require('openai');
+const OpenAICompatibleProvider = require('./openAICompatibleProvider');
+
+/**
+ * Azure OpenAI provider
+ * Chat and embeddings use separate deployments; either may be left unset.
+ */
+class AzureOpenAIProvider extends OpenAICompatibleProvider {
+  constructor() {
+    super('azureOpenAI', 'Azure OpenAI', 'AZURE_OPENAI');
+    this.chatModel = process.env.AZURE_OPENAI_CHAT_DEPLOYMENT || null;
+    this.embeddingModel = process.env.AZURE_OPENAI_EMBEDDING_DEPLOYMENT || null;
+  }
+
+  isConfigured() {
+    return Boolean(
+      process.env.AZURE_OPENAI_ENDPOINT &&
+      process.env.AZURE_OPENAI_API_KEY &&
+      process.env.AZURE_OPENAI_API_VERSION
+    );
+  }
+
+  createClient() {
+    return new AzureOpenAI({
+      endpoint: process.env.AZURE_OPENAI_ENDPOINT.replace(/\/+$/, ''),
+      apiKey: process.env.AZURE_OPENAI_API_KEY,
+      apiVersion: process.env.AZURE_OPENAI_API_VERSION,
+      timeout: this.timeoutMs
+    });
+  }
+}
+
+module.exports = AzureOpenAIProvider;
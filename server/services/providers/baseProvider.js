@@ -0,0 +1,75 @@
+/**
+ * Base class for AI providers
+ * A provider offers chat completion and/or embeddings behind one interface:
+ *   generate(prompt) -> { text, model }
+ *   generateStream(prompt) -> async iterable of text pieces
+ *   embed(texts, { model }) -> { embeddings, model }
+ */
+class BaseProvider {
+  /**
+   * @param {string} name - Provider name used in failover order settings
+   * @param {string} label - Human readable name
+   * @param {string} envPrefix - Prefix of the provider's environment variables
+   */
+  constructor(name, label, envPrefix) {
+    this.name = name;
+    this.label = label;
+    this.timeoutMs = parseInt(process.env[`${envPrefix}_TIMEOUT_MS`]) ||
+      parseInt(process.env.AI_PROVIDER_TIMEOUT_MS) ||
+      30000;
+  }
+
+  /**
+   * Check whether the provider is configured for a capability
+   * @param {string} capability - 'chat' or 'embedding'
+   * @returns {boolean} True if usable
+   */
+  supports(capability) {
+    return false;
+  }
+
+  /**
+   * Model used for a capability
+   * @param {string} capability - 'chat' or 'embedding'
+   * @returns {string|null} Model or deployment name
+   */
+  getModel(capability) {
+    return null;
+  }
+
+  /**
+   * Reject when a provider call takes longer than the provider timeout
+   * @param {Promise} promise - Provider call
+   * @param {string} operation - Operation name for the error message
+   * @returns {Promise} Result of the call
+   */
+  withTimeout(promise, operation) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(
+        () => reject(new Error(`${this.label} ${operation} timed out after ${this.timeoutMs}ms`)),
+        this.timeoutMs
+      );
+    });
+
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
+
+  /**
+   * Get provider configuration for status pages
+   * @returns {Object} Provider status
+   */
+  getStatus() {
+    return {
+      name: this.name,
+      label: this.label,
+      chat: this.supports('chat'),
+      embedding: this.supports('embedding'),
+      chatModel: this.getModel('chat'),
+      embeddingModel: this.getModel('embedding'),
+      timeoutMs: this.timeoutMs
+    };
+  }
+}
+
+module.exports = BaseProvider;
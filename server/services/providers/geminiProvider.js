@@ -0,0 +1,76 @@
+const { getGeminiModel } = require('../../config/googleApis');
+const BaseProvider = require('./baseProvider');
+
+/**
+ * Google Gemini provider
+ */
+class GeminiProvider extends BaseProvider {
+  constructor() {
+    super('gemini', 'Google Gemini', 'GEMINI');
+    this.chatModel = process.env.GEMINI_CHAT_MODEL || 'gemini-2.5-flash';
+    this.embeddingModel = process.env.GEMINI_EMBEDDING_MODEL || 'text-embedding-004';
+
+    // batchEmbedContents accepts at most 100 texts per request
+    this.embeddingBatchSize = 100;
+  }
+
+  supports(capability) {
+    return Boolean(process.env.GOOGLE_GEMINI_API_KEY) && ['chat', 'embedding'].includes(capability);
+  }
+
+  getModel(capability) {
+    return capability === 'embedding' ? this.embeddingModel : this.chatModel;
+  }
+
+  /**
+   * Generate a complete answer
+   * @param {string} prompt - Prompt text
+   * @returns {Promise<Object>} { text, model }
+   */
+  async generate(prompt) {
+    const model = getGeminiModel(this.chatModel);
+    const result = await this.withTimeout(model.generateContent(prompt), 'generation');
+
+    return { text: result.response.text(), model: this.chatModel };
+  }
+
+  /**
+   * Stream an answer as it is generated
+   * @param {string} prompt - Prompt text
+   * @returns {AsyncGenerator<string>} Text pieces
+   */
+  async *generateStream(prompt) {
+    const model = getGeminiModel(this.chatModel);
+    const result = await this.withTimeout(model.generateContentStream(prompt), 'streaming');
+
+    for await (const chunk of result.stream) {
+      const text = chunk.text();
+      if (text) yield text;
+    }
+  }
+
+  /**
+   * Embed texts in batches
+   * @param {Array<string>} texts - Texts to embed
+   * @param {Object} options - { model } to use a model other than the configured one
+   * @returns {Promise<Object>} { embeddings, model }
+   */
+  async embed(texts, options = {}) {
+    const modelName = options.model || this.embeddingModel;
+    const model = getGeminiModel(modelName);
+    const embeddings = [];
+
+    for (let i = 0; i < texts.length; i += this.embeddingBatchSize) {
+      const batch = texts.slice(i, i + this.embeddingBatchSize);
+      const result = await this.withTimeout(model.batchEmbedContents({
+        requests: batch.map(text => ({ content: { role: 'user', parts: [{ text }] } }))
+      }), 'embedding');
+
+      embeddings.push(...result.embeddings.map(embedding => embedding.values));
+    }
+
+    return { embeddings, model: modelName };
+  }
+}
+
+module.exports = GeminiProvider;
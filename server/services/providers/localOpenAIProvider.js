@@ -0,0 +1,28 @@
+const { OpenAI } = require('openai');
+const OpenAICompatibleProvider = require('./openAICompatibleProvider');
+
+/**
+ * Local OpenAI-compatible endpoint (Ollama, LM Studio, vLLM, llama.cpp server)
+ */
+class LocalOpenAIProvider extends OpenAICompatibleProvider {
+  constructor() {
+    super('localOpenAI', 'Local OpenAI-compatible', 'LOCAL_LLM');
+    this.chatModel = process.env.LOCAL_LLM_CHAT_MODEL || null;
+    this.embeddingModel = process.env.LOCAL_LLM_EMBEDDING_MODEL || null;
+  }
+
+  isConfigured() {
+    return Boolean(process.env.LOCAL_LLM_BASE_URL);
+  }
+
+  createClient() {
+    return new OpenAI({
+      baseURL: process.env.LOCAL_LLM_BASE_URL,
+      // Most local servers ignore the key, but the SDK requires one
+      apiKey: process.env.LOCAL_LLM_API_KEY || 'local',
+      timeout: this.timeoutMs
+    });
+  }
+}
+
+module.exports = LocalOpenAIProvider;
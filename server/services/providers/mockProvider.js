@@ -0,0 +1,174 @@
+const BaseProvider = require('./baseProvider');
+
+/**
+ * Offline mock provider for development and tests
+ * Embeddings are feature-hashed bags of words, so texts sharing words land close
+ * together and the same text always gets the same vector. Answers are built from
+ * the retrieved context with citation markers, so citations and grounding behave
+ * as they do with a real model.
+ */
+class MockProvider extends BaseProvider {
+  constructor() {
+    super('mock', 'Offline mock', 'MOCK');
+    this.dimensions = parseInt(process.env.MOCK_EMBEDDING_DIMENSIONS) || 1536;
+    this.maxAnswerPoints = 3;
+    this.maxExtractedItems = 5;
+  }
+
+  supports(capability) {
+    return ['chat', 'embedding'].includes(capability);
+  }
+
+  getModel(capability) {
+    return capability === 'embedding' ? `mock-hash-${this.dimensions}` : 'mock-template';
+  }
+
+  /**
+   * Build an answer from the context passed by aiService
+   * @param {string} prompt - Prompt text (unused beyond logging)
+   * @param {Object} options - { operation, question, context, history }
+   * @returns {Promise<Object>} { text, model }
+   */
+  async generate(prompt, options = {}) {
+    return { text: this.buildAnswer(options), model: this.getModel('chat') };
+  }
+
+  /**
+   * Stream the same answer word by word
+   * @param {string} prompt - Prompt text
+   * @param {Object} options - { operation, question, context, history }
+   * @returns {AsyncGenerator<string>} Text pieces
+   */
+  async *generateStream(prompt, options = {}) {
+    const pieces = this.buildAnswer(options).match(/\S+\s*/g) || [];
+    for (const piece of pieces) {
+      yield piece;
+    }
+  }
+
+  /**
+   * Hash-based embeddings of the configured dimension
+   * @param {Array<string>} texts - Texts to embed
+   * @param {Object} options - { model } such as "mock-hash-768" for another dimension
+   * @returns {Promise<Object>} { embeddings, model }
+   */
+  async embed(texts, options = {}) {
+    const dimensions = parseInt((options.model || '').replace('mock-hash-', '')) || this.dimensions;
+    return {
+      embeddings: texts.map(text => this.embedText(text, dimensions)),
+      model: `mock-hash-${dimensions}`
+    };
+  }
+
+  embedText(text, dimensions = this.dimensions) {
+    const vector = new Array(dimensions).fill(0);
+    const words = (String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || []);
+    const features = [...words, ...words.slice(1).map((word, i) => `${words[i]} ${word}`)];
+
+    features.forEach(feature => {
+      const hash = this.hash(feature);
+      const sign = this.hash(`#${feature}`) & 1 ? 1 : -1;
+      vector[hash % dimensions] += sign;
+    });
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    if (norm === 0) {
+      vector[this.hash(String(text)) % dimensions] = 1;
+      return vector;
+    }
+
+    return vector.map(value => value / norm);
+  }
+
+  // 32-bit FNV-1a
+  hash(value) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < value.length; i++) {
+      hash ^= value.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  buildAnswer({ operation, question = '', context = [], history = [], fieldCues = {} }) {
+    if (operation === 'rewrite') {
+      const previousQuestion = [...history].reverse().find(message => message.role === 'user');
+      return previousQuestion ? `${previousQuestion.content} ${question}` : question;
+    }
+
+    if (operation === 'extract_fields') {
+      return JSON.stringify(this.extractFields(context, fieldCues));
+    }
+
+    const notice = this.applicationNotice(context);
+
+    // Keep the context numbering from the prompt so [n] markers resolve to the right chunk
+    const points = context
+      .map((ctx, index) => ({ ctx, marker: index + 1 }))
+      .filter(({ ctx }) => ctx.text && ctx.source === 'pdf_chunk')
+      .sort((a, b) => (b.ctx.score || 0) - (a.ctx.score || 0))
+      .slice(0, this.maxAnswerPoints)
+      .map(({ ctx, marker }) => `- ${this.leadSentence(ctx.text)} [${marker}]`);
+
+    if (points.length === 0) {
+      const basicInfo = context.find(ctx => ctx.text);
+      return notice + (basicInfo
+        ? `The scheme documents do not contain details about this. Here is the scheme summary:\n\n${this.leadSentence(basicInfo.text)} [${context.indexOf(basicInfo) + 1}]`
+        : 'I do not have information about this in the scheme documents.');
+    }
+
+    return `${notice}Here is what the scheme documents say about "${question}":\n\n${points.join('\n')}`;
+  }
+
+  // Closed or not-yet-open application windows from the scheme summaries (see describeScheme in controllers/chat)
+  applicationNotice(context) {
+    const notices = context
+      .map((ctx, index) => ({ ctx, marker: index + 1 }))
+      .filter(({ ctx }) => ctx.source === 'scheme_basic_info' && ctx.text)
+      .map(({ ctx, marker }) => {
+        const status = ctx.text.match(/^Application Status: ((?:Closed|Not open yet).*)$/m);
+        const title = ctx.text.match(/^Scheme Title: (.*)$/m);
+        return status ? `Note: ${title ? `${title[1]}: ` : ''}${status[1]}. [${marker}]` : null;
+      })
+      .filter(Boolean);
+
+    return notices.length > 0 ? `${notices.join('\n')}\n\n` : '';
+  }
+
+  // Sort sentences into fields by the cue words fieldExtractionService passes along
+  extractFields(context, fieldCues) {
+    const fields = Object.fromEntries(Object.keys(fieldCues).map(name => [name, []]));
+
+    context.forEach((ctx, index) => {
+      // Abbreviations such as "Rs." and "रु." do not end a sentence
+      const sentences = (ctx.text || '').split(/(?<=[\p{L}\p{M}\p{N}]{3}[.!?]|।)\s+|\n+/u).map(sentence => sentence.trim()).filter(Boolean);
+
+      sentences.forEach(sentence => {
+        const lower = sentence.toLowerCase();
+        const name = Object.keys(fieldCues).find(field => fieldCues[field].some(cue => lower.includes(cue)));
+        if (!name || fields[name].length >= this.maxExtractedItems) return;
+
+        const amount = sentence.match(/(?:₹|rs\.?|रु\.?)\s*([\d\u0966-\u096F,]+)/i);
+        const date = sentence.match(/\b(\d{2})[./-](\d{2})[./-](\d{4})\b/);
+        fields[name].push({
+          text: sentence.substring(0, 300),
+          source: index + 1,
+          ...(name === 'benefits' && { amount: amount ? amount[1] : null }),
+          ...(name === 'deadlines' && { date: date ? `${date[3]}-${date[2]}-${date[1]}` : null }),
+          ...(name === 'applicationMode' && { mode: lower.includes('online') ? 'online' : 'offline' })
+        });
+      });
+    });
+
+    return fields;
+  }
+
+  leadSentence(text) {
+    const clean = text.replace(/\s+/g, ' ').trim();
+    // As in extractFields, "Rs." and other short abbreviations do not end the sentence
+    const sentence = (clean.match(/^.*?(?:[\p{L}\p{M}\p{N}]{3}[.!?]|।)(?=\s|$)/u) || [clean])[0];
+    return sentence.length > 300 ? `${sentence.substring(0, 300).trim()}...` : sentence;
+  }
+}
+
+module.exports = MockProvider;
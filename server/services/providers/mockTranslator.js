@@ -0,0 +1,66 @@
+/**
+ * Offline mock translator for development and tests
+ * Swaps a small dictionary of common scheme terms between English and Marathi and
+ * leaves every other word as it is, so output is deterministic and numbers,
+ * markdown and citation markers survive untouched.
+ */
+class MockTranslator {
+  constructor() {
+    this.englishToMarathi = {
+      scheme: 'योजना',
+      schemes: 'योजना',
+      farmer: 'शेतकरी',
+      farmers: 'शेतकरी',
+      eligibility: 'पात्रता',
+      eligible: 'पात्र',
+      benefit: 'लाभ',
+      benefits: 'लाभ',
+      application: 'अर्ज',
+      documents: 'कागदपत्रे',
+      document: 'कागदपत्र',
+      women: 'महिला',
+      student: 'विद्यार्थी',
+      students: 'विद्यार्थी',
+      income: 'उत्पन्न',
+      government: 'सरकार',
+      loan: 'कर्ज',
+      amount: 'रक्कम',
+      age: 'वय',
+      year: 'वर्ष',
+      district: 'जिल्हा',
+      village: 'गाव',
+      health: 'आरोग्य',
+      education: 'शिक्षण'
+    };
+
+    this.marathiToEnglish = Object.entries(this.englishToMarathi).reduce((map, [english, marathi]) => {
+      if (!map[marathi]) map[marathi] = english;
+      return map;
+    }, {});
+  }
+
+  /**
+   * Translate text word by word using the dictionary
+   * @param {string} text - Text to translate
+   * @param {string} fromLang - Source language code
+   * @param {string} toLang - Target language code
+   * @returns {string} Translated text
+   */
+  translate(text, fromLang, toLang) {
+    if (!text || typeof text !== 'string' || fromLang === toLang) {
+      return text;
+    }
+
+    if (toLang === 'mr') {
+      return text.replace(/[A-Za-z]+/g, word => this.englishToMarathi[word.toLowerCase()] || word);
+    }
+
+    if (toLang === 'en') {
+      return text.replace(/[\u0900-\u097F]+/g, word => this.marathiToEnglish[word] || word);
+    }
+
+    return text;
+  }
+}
+
+module.exports = new MockTranslator();
@@ -0,0 +1,100 @@
+const BaseProvider = require('./baseProvider');
+
+/**
+ * Shared chat and embedding calls for providers that speak the OpenAI API
+ * Subclasses implement createClient() and set chatModel / embeddingModel.
+ */
+class OpenAICompatibleProvider extends BaseProvider {
+  constructor(name, label, envPrefix) {
+    super(name, label, envPrefix);
+    this.client = null;
+    this.chatModel = null;
+    this.embeddingModel = null;
+    this.embeddingBatchSize = 100;
+  }
+
+  /**
+   * Check that the connection settings are present
+   * @returns {boolean} True if a client can be created
+   */
+  isConfigured() {
+    return false;
+  }
+
+  supports(capability) {
+    if (!this.isConfigured()) return false;
+    return Boolean(capability === 'embedding' ? this.embeddingModel : this.chatModel);
+  }
+
+  getModel(capability) {
+    return capability === 'embedding' ? this.embeddingModel : this.chatModel;
+  }
+
+  getClient() {
+    if (!this.client) {
+      this.client = this.createClient();
+    }
+    return this.client;
+  }
+
+  /**
+   * Generate a complete answer
+   * @param {string} prompt - Prompt text
+   * @returns {Promise<Object>} { text, model }
+   */
+  async generate(prompt) {
+    const completion = await this.withTimeout(this.getClient().chat.completions.create({
+      model: this.chatModel,
+      messages: [{ role: 'user', content: prompt }]
+    }), 'generation');
+
+    return { text: completion.choices[0]?.message?.content || '', model: this.chatModel };
+  }
+
+  /**
+   * Stream an answer as it is generated
+   * @param {string} prompt - Prompt text
+   * @returns {AsyncGenerator<string>} Text pieces
+   */
+  async *generateStream(prompt) {
+    const stream = await this.withTimeout(this.getClient().chat.completions.create({
+      model: this.chatModel,
+      messages: [{ role: 'user', content: prompt }],
+      stream: true
+    }), 'streaming');
+
+    for await (const chunk of stream) {
+      const text = chunk.choices[0]?.delta?.content;
+      if (text) yield text;
+    }
+  }
+
+  /**
+   * Embed texts in batches
+   * @param {Array<string>} texts - Texts to embed
+   * @param {Object} options - { model } to use a model other than the configured one
+   * @returns {Promise<Object>} { embeddings, model }
+   */
+  async embed(texts, options = {}) {
+    const model = options.model || this.embeddingModel;
+    const embeddings = [];
+
+    for (let i = 0; i < texts.length; i += this.embeddingBatchSize) {
+      const batch = texts.slice(i, i + this.embeddingBatchSize);
+      const response = await this.withTimeout(this.getClient().embeddings.create({
+        model: model,
+        input: batch
+      }), 'embedding');
+
+      if (!response.data || response.data.length !== batch.length) {
+        throw new Error(`Expected ${batch.length} embeddings, got ${response.data?.length || 0}`);
+      }
+
+      embeddings.push(...response.data.map(item => item.embedding));
+    }
+
+    return { embeddings, model };
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
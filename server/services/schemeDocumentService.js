@@ -0,0 +1,460 @@
+const DocumentChunk = require('../models/DocumentChunk');
+const DocumentVersion = require('../models/DocumentVersion');
+const Scheme = require('../models/Scheme');
+const SchemeDocument = require('../models/SchemeDocument');
+const aiProviderService = require('./aiProviderService');
+const embeddingService = require('./embeddingService');
+const processingQueueService = require('./processingQueueService');
+const textPreprocessingService = require('./textPreprocessingService');
+const vectorIndexService = require('./vectorIndexService');
+const { deleteFile } = require('./cloudStorage');
+const { diffLines, summarizeDiff } = require('../utils/textDiff');
+
+/**
+ * Scheme Document Service
+ * A scheme owns several documents (guidelines, application forms, GR amendments,
+ * FAQs). Each document is processed into its own chunks, tagged with the document
+ * so answers can cite which document they came from. The scheme's main PDF
+ * (Scheme.pdfFile) is mirrored as its primary document.
+ *
+ * Replacing a document's file adds a DocumentVersion instead of overwriting it:
+ * the old file is kept and the old version's chunks are archived, so admins can
+ * diff the extracted text of two versions and roll back to an earlier one.
+ *
+ * A document can be linked to a duplicate (the same PDF uploaded for another
+ * scheme): it keeps its record and versions, but has no live chunks of its own
+ * and searches of its scheme use the linked document's chunks.
+ */
+class SchemeDocumentService {
+  constructor() {
+    this.processingOptions = { chunkSize: 500, overlap: 50 };
+  }
+
+  /**
+   * Create or refresh the primary document that mirrors Scheme.pdfFile
+   * @param {Object} scheme - Scheme document
+   * @param {string} userId - User making the change
+   * @param {Object} upload - { checksum, minhash, size } of a newly uploaded file
+   * @returns {Promise<Object|null>} Primary SchemeDocument, or null when the scheme has no PDF
+   */
+  async syncPrimaryDocument(scheme, userId = null, upload = {}) {
+    if (!scheme.pdfFile || !scheme.pdfFile.url) return null;
+
+    const file = {
+      url: scheme.pdfFile.url,
+      publicId: scheme.pdfFile.publicId,
+      filename: scheme.pdfFile.filename,
+      size: upload.size,
+      mimetype: 'application/pdf'
+    };
+    const uploadedBy = userId || scheme.createdBy;
+
+    let document = await SchemeDocument.findOne({ schemeId: scheme._id, isPrimary: true });
+
+    if (!document) {
+      document = await SchemeDocument.create({
+        schemeId: scheme._id,
+        title: scheme.pdfFile.filename || scheme.title,
+        documentType: 'guidelines',
+        isPrimary: true,
+        file,
+        uploadedBy
+      });
+      // Schemes processed before documents existed already have chunks for this file
+      const version = await this.addVersion(document, { file, checksum: upload.checksum, minhash: upload.minhash, uploadedBy });
+      await this.adoptUnversionedChunks(document, version);
+    } else if (document.file.url !== file.url) {
+      // Record the file being replaced first, so it can be restored later
+      await this.ensureCurrentVersion(document);
+      document.title = scheme.pdfFile.filename || document.title;
+      await this.addVersion(document, { file, checksum: upload.checksum, minhash: upload.minhash, uploadedBy });
+    }
+
+    return document;
+  }
+
+  /**
+   * Attach an uploaded document to a scheme
+   * @param {string} schemeId - Scheme ID
+   * @param {Object} details - { title, documentType, language, file, checksum, minhash, uploadedBy }
+   * @returns {Promise<Object>} Created SchemeDocument
+   */
+  async createDocument(schemeId, { title, documentType, language, file, checksum, minhash, uploadedBy }) {
+    const document = await SchemeDocument.create({
+      schemeId,
+      title,
+      documentType,
+      language,
+      file,
+      uploadedBy
+    });
+
+    await this.addVersion(document, { file, checksum, minhash, uploadedBy });
+    return document;
+  }
+
+  /**
+   * Make a newly uploaded file the document's current version
+   * @param {Object} document - SchemeDocument
+   * @param {Object} details - { file, checksum, minhash, uploadedBy }
+   * @returns {Promise<Object>} Created DocumentVersion
+   */
+  async addVersion(document, { file, checksum = null, minhash = null, uploadedBy = null }) {
+    const version = await DocumentVersion.create({
+      documentId: document._id,
+      schemeId: document.schemeId,
+      versionNumber: await DocumentVersion.getNextVersionNumber(document._id),
+      file,
+      checksum,
+      minhash: minhash || undefined,
+      uploadedBy
+    });
+
+    document.file = file;
+    document.currentVersionId = version._id;
+    document.currentVersion = version.versionNumber;
+    if (uploadedBy) document.uploadedBy = uploadedBy;
+    await document.save();
+
+    console.log(`📑 Document "${document.title}" is now at version ${version.versionNumber}`);
+    return version;
+  }
+
+  /**
+   * Get the document's current version, recording documents created before
+   * versioning (and their chunks) as version 1
+   * @param {Object} document - SchemeDocument
+   * @returns {Promise<Object>} Current DocumentVersion
+   */
+  async ensureCurrentVersion(document) {
+    const current = document.currentVersionId && await DocumentVersion.findById(document.currentVersionId);
+    if (current) return current;
+
+    const version = await this.addVersion(document, {
+      file: document.toObject().file,
+      uploadedBy: document.uploadedBy
+    });
+    await this.adoptUnversionedChunks(document, version);
+
+    return version;
+  }
+
+  // Tag a document's chunks created before versioning with the given version
+  adoptUnversionedChunks(document, version) {
+    return DocumentChunk.updateMany(
+      { ...embeddingService.getDocumentChunkFilter(document.schemeId, document), versionId: null },
+      { $set: { versionId: version._id } }
+    );
+  }
+
+  /**
+   * Queue the document's current version for processing into chunks (a linked
+   * document gets its own chunks again)
+   * @param {Object} document - SchemeDocument
+   * @param {Object} context - { reason, requestedBy }
+   * @returns {Promise<Object>} The queued ProcessingJob
+   */
+  async queueProcessing(document, context = {}) {
+    document.linkedDocumentId = null;
+    const version = await this.ensureCurrentVersion(document);
+    const scheme = await Scheme.findById(document.schemeId).select('chunkingStrategy');
+    const options = { ...this.processingOptions, chunkingStrategy: scheme ? scheme.chunkingStrategy : undefined };
+    const job = await processingQueueService.enqueue(document.schemeId, version.file.url, options, {
+      ...context,
+      documentId: document._id,
+      versionId: version._id
+    });
+
+    document.processingStatus = 'queued';
+    document.processingError = undefined;
+    await document.save();
+
+    return job;
+  }
+
+  /**
+   * Queue every document of a scheme for processing, e.g. after its chunking strategy
+   * changed. Documents linked to a duplicate keep using the duplicate's chunks.
+   * @param {string} schemeId - Scheme ID
+   * @param {Object} context - { reason, requestedBy }
+   * @param {Array} excludeIds - Documents already queued
+   * @returns {Promise<Array>} The queued ProcessingJobs
+   */
+  async queueSchemeDocuments(schemeId, context = {}, excludeIds = []) {
+    const documents = await SchemeDocument.find({
+      schemeId,
+      linkedDocumentId: null,
+      _id: { $nin: excludeIds }
+    });
+
+    const jobs = [];
+    for (const document of documents) {
+      jobs.push(await this.queueProcessing(document, context));
+    }
+
+    return jobs;
+  }
+
+  /**
+   * Link a document to a duplicate of it. Its own chunks are archived as soon as the
+   * target has chunks (right away, or when the target's processing completes).
+   * @param {Object} document - SchemeDocument to link
+   * @param {Object} target - SchemeDocument holding the chunks
+   * @returns {Promise<Object>} The linked SchemeDocument
+   */
+  async linkDocument(document, target) {
+    // Link to the document that actually holds the chunks, never through a chain
+    let root = target;
+    const visited = new Set();
+    while (root.linkedDocumentId && !visited.has(String(root._id))) {
+      visited.add(String(root._id));
+      const next = await SchemeDocument.findById(root.linkedDocumentId);
+      if (!next) break;
+      root = next;
+    }
+
+    if (String(root._id) === String(document._id)) return document;
+
+    await processingQueueService.cancelQueuedJobs(document.schemeId, document._id, 'Document was linked to a duplicate');
+
+    document.linkedDocumentId = root._id;
+    await document.save();
+
+    // Documents linked to this one follow it to the new target
+    await SchemeDocument.updateMany({ linkedDocumentId: document._id }, { $set: { linkedDocumentId: root._id } });
+
+    console.log(`🔗 Linked document "${document.title}" to duplicate "${root.title}"`);
+
+    if (root.processingStatus === 'completed') {
+      await embeddingService.completeDocumentLinks(root._id);
+    }
+
+    return document;
+  }
+
+  /**
+   * Give documents linked to deleted documents their own chunks again
+   * @param {Array} documentIds - Deleted SchemeDocument IDs
+   * @returns {Promise<number>} Number of documents queued for processing
+   */
+  async releaseLinkedDocuments(documentIds) {
+    const dependents = await SchemeDocument.find({
+      linkedDocumentId: { $in: documentIds },
+      _id: { $nin: documentIds }
+    });
+
+    for (const dependent of dependents) {
+      await this.queueProcessing(dependent, { reason: 'link_removed' });
+    }
+
+    if (dependents.length > 0) {
+      console.log(`🔗 Queued ${dependents.length} linked documents for processing after their duplicate was deleted`);
+    }
+
+    return dependents.length;
+  }
+
+  /**
+   * Cloud files among publicIds that no other document still uses (linked duplicates share files)
+   * @param {Array<string>} publicIds - Candidate files
+   * @param {Object} ownVersionsFilter - DocumentVersion filter of the records being deleted
+   * @returns {Promise<Array<string>>} Files safe to delete
+   */
+  async getUnsharedFiles(publicIds, ownVersionsFilter) {
+    const candidates = [...new Set(publicIds.filter(Boolean))];
+    if (candidates.length === 0) return [];
+
+    const shared = await DocumentVersion.distinct('file.publicId', {
+      $nor: [ownVersionsFilter],
+      'file.publicId': { $in: candidates }
+    });
+
+    return candidates.filter(publicId => !shared.includes(publicId));
+  }
+
+  /**
+   * List a document's versions, newest first, with their live and archived chunk counts
+   * @param {Object} document - SchemeDocument
+   * @returns {Promise<Array>} Versions
+   */
+  async listVersions(document) {
+    const [versions, chunkCounts] = await Promise.all([
+      DocumentVersion.getForDocument(document._id)
+        .populate('uploadedBy', 'name email')
+        .populate('restoredBy', 'name email')
+        .lean(),
+      DocumentChunk.aggregate([
+        { $match: { documentId: document._id, versionId: { $ne: null } } },
+        { $group: { _id: { versionId: '$versionId', status: '$processingStatus' }, count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const countsByVersion = {};
+    chunkCounts.forEach(({ _id, count }) => {
+      const key = String(_id.versionId);
+      countsByVersion[key] = countsByVersion[key] || { active: 0, archived: 0 };
+      countsByVersion[key][_id.status === 'archived' ? 'archived' : 'active'] += count;
+    });
+
+    return versions.map(version => ({
+      ...version,
+      isCurrent: String(version._id) === String(document.currentVersionId),
+      hasText: Boolean(version.processedAt),
+      chunks: countsByVersion[String(version._id)] || { active: 0, archived: 0 }
+    }));
+  }
+
+  /**
+   * Diff the extracted text of two versions
+   * @param {Object} fromVersion - Older DocumentVersion, loaded with extractedText
+   * @param {Object} toVersion - Newer DocumentVersion, loaded with extractedText
+   * @returns {Object} { from, to, stats, hunks }
+   */
+  diffVersions(fromVersion, toVersion) {
+    const describe = version => ({
+      versionNumber: version.versionNumber,
+      filename: version.file.filename,
+      checksum: version.checksum,
+      processedAt: version.processedAt,
+      textTruncated: version.textTruncated
+    });
+
+    return {
+      from: describe(fromVersion),
+      to: describe(toVersion),
+      ...summarizeDiff(diffLines(fromVersion.extractedText, toVersion.extractedText))
+    };
+  }
+
+  /**
+   * Chunk a version's extracted text with every chunking strategy, to compare them
+   * before switching a scheme over
+   * @param {Object} version - DocumentVersion, loaded with extractedText
+   * @returns {Object} { versionNumber, textTruncated, clauses, strategies }
+   */
+  compareChunking(version) {
+    return {
+      versionNumber: version.versionNumber,
+      textTruncated: version.textTruncated,
+      ...textPreprocessingService.compareChunkingStrategies(version.extractedText, this.processingOptions)
+    };
+  }
+
+  /**
+   * Roll a document back to an earlier version. The version's archived chunks are
+   * re-activated when they are still usable; otherwise its file is reprocessed.
+   * @param {Object} document - SchemeDocument
+   * @param {Object} version - DocumentVersion to restore
+   * @param {string} userId - Admin restoring the version
+   * @returns {Promise<Object>} { mode: 'reactivated' | 'reprocessing', chunkCount, job }
+   */
+  async restoreVersion(document, version, userId) {
+    const archivedChunks = await DocumentChunk.find({
+      documentId: document._id,
+      versionId: version._id,
+      processingStatus: 'archived'
+    })
+      .select('_id embeddingModel')
+      .lean();
+
+    // Chunks embedded with another model than the current one cannot be searched as they are
+    const currentModel = aiProviderService.getCurrentEmbeddingModel();
+    const reusable = archivedChunks.length > 0 && archivedChunks.every(chunk => chunk.embeddingModel === currentModel);
+
+    await processingQueueService.cancelQueuedJobs(document.schemeId, document._id, `Version ${version.versionNumber} was restored`);
+
+    document.file = version.toObject().file;
+    document.currentVersionId = version._id;
+    document.currentVersion = version.versionNumber;
+    document.linkedDocumentId = null;
+    await document.save();
+
+    if (document.isPrimary) {
+      await Scheme.updateOne({ _id: document.schemeId }, {
+        $set: {
+          'pdfFile.url': version.file.url,
+          'pdfFile.publicId': version.file.publicId,
+          'pdfFile.filename': version.file.filename
+        }
+      });
+    }
+
+    version.restoredAt = new Date();
+    version.restoredBy = userId;
+    await version.save();
+
+    if (!reusable) {
+      const job = await this.queueProcessing(document, { reason: 'restore', requestedBy: userId });
+      console.log(`⏪ Restored version ${version.versionNumber} of "${document.title}", reprocessing its file`);
+      return { mode: 'reprocessing', chunkCount: 0, job };
+    }
+
+    // One update archives the current chunks and re-activates the version's, so searches never see both
+    const processedAt = new Date();
+    const restoredIds = archivedChunks.map(chunk => chunk._id);
+    await DocumentChunk.updateMany(
+      {
+        ...embeddingService.getDocumentChunkFilter(document.schemeId, document),
+        $or: [
+          { versionId: { $ne: version._id }, processingStatus: { $ne: 'archived' } },
+          { _id: { $in: restoredIds } }
+        ]
+      },
+      [{
+        $set: {
+          processingStatus: { $cond: [{ $in: ['$_id', restoredIds] }, 'completed', 'archived'] },
+          processedAt
+        }
+      }]
+    );
+    await embeddingService.syncSchemeIndex(document.schemeId);
+
+    await SchemeDocument.updateOne({ _id: document._id }, {
+      $set: {
+        processingStatus: 'completed',
+        processingError: null,
+        chunkCount: archivedChunks.length,
+        lastProcessedAt: processedAt
+      }
+    });
+
+    console.log(`⏪ Restored version ${version.versionNumber} of "${document.title}" (${archivedChunks.length} chunks re-activated)`);
+    return { mode: 'reactivated', chunkCount: archivedChunks.length, job: null };
+  }
+
+  /**
+   * Delete a document, its chunks, its versions and their stored files
+   * @param {Object} document - SchemeDocument
+   * @returns {Promise<Object>} { deletedChunks, deletedVersions, deletedFiles }
+   */
+  async deleteDocument(document) {
+    const chunks = await DocumentChunk.find({ documentId: document._id }).select('_id').lean();
+    await DocumentChunk.deleteMany({ documentId: document._id });
+    vectorIndexService.removeChunks(chunks.map(chunk => chunk._id));
+
+    const versions = await DocumentVersion.find({ documentId: document._id }).select('file').lean();
+    const publicIds = await this.getUnsharedFiles(
+      [document.file, ...versions.map(version => version.file)].map(file => file && file.publicId),
+      { documentId: document._id }
+    );
+
+    const deletedFiles = [];
+    for (const publicId of publicIds) {
+      try {
+        await deleteFile(publicId);
+        deletedFiles.push(publicId);
+      } catch (fileError) {
+        console.warn(`⚠️ Failed to delete document file from cloud storage ${publicId}:`, fileError.message);
+      }
+    }
+
+    await DocumentVersion.deleteMany({ documentId: document._id });
+    await SchemeDocument.deleteOne({ _id: document._id });
+    await this.releaseLinkedDocuments([document._id]);
+    console.log(`🗑️ Deleted document "${document.title}" (${versions.length} versions, ${chunks.length} chunks) from scheme ${document.schemeId}`);
+
+    return { deletedChunks: chunks.length, deletedVersions: versions.length, deletedFiles };
+  }
+}
+
+module.exports = new SchemeDocumentService();
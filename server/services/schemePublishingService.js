@@ -0,0 +1,272 @@
+const { Scheme } = require('../models');
+
+/**
+ * Scheme Publishing Service
+ * Moves schemes through the publishing workflow. New schemes start as drafts; an
+ * admin submits a draft for review and a reviewer or super admin approves it
+ * (published, or scheduled until its publishAt) or rejects it with a comment
+ * (back to draft). Any scheme can be archived and an archived scheme reopened as
+ * a draft. Only published schemes are shown to citizens and searched by chat
+ * (Scheme.PUBLIC_FILTER). Editing the content of a published or scheduled scheme,
+ * or uploading, restoring, reprocessing or deleting one of its documents, sends it
+ * back to review.
+ *
+ * A scheduler publishes scheduled schemes once their publishAt has passed and
+ * archives schemes whose expireAt has passed. Changes are conditional updates, so
+ * several server instances can run it.
+ */
+class SchemePublishingService {
+  constructor() {
+    // Action → states it starts from, resulting state and the history entry it records
+    this.transitions = {
+      submit: { from: ['draft'], to: 'in_review', event: 'submitted' },
+      approve: { from: ['in_review'], to: 'published', event: 'approved' },
+      reject: { from: ['in_review'], to: 'draft', event: 'rejected' },
+      archive: { from: ['draft', 'in_review', 'scheduled', 'published'], to: 'archived', event: 'archived' },
+      reopen: { from: ['archived'], to: 'draft', event: 'reopened' }
+    };
+
+    // Actions only reviewers and super admins may take
+    this.reviewActions = ['approve', 'reject'];
+
+    // States in which a content edit sends the scheme (back) to review
+    this.reviewOnEditStatuses = ['in_review', 'scheduled', 'published'];
+
+    this.schedulerIntervalMs = parseInt(process.env.SCHEME_SCHEDULER_INTERVAL_MS) || 60000;
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Publish schemes created before the workflow existed (they were already live)
+   * and start the publish/expiry scheduler
+   * @returns {Promise<Object>} Initialization result
+   */
+  async initialize() {
+    try {
+      const result = await Scheme.updateMany(
+        { status: { $exists: false } },
+        [{ $set: { status: 'published', publishedAt: '$createdAt' } }]
+      );
+
+      if (result.modifiedCount > 0) {
+        console.log(`📋 Marked ${result.modifiedCount} existing schemes as published`);
+      }
+
+      this.start();
+      return { success: true, migrated: result.modifiedCount };
+    } catch (error) {
+      console.error('❌ Failed to initialize scheme publishing:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.runScheduledChanges(), this.schedulerIntervalMs);
+    this.runScheduledChanges();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Archive schemes past their expireAt, then publish scheduled schemes whose publishAt has passed
+   * @param {Date} now - Reference time
+   * @returns {Promise<Object>} Number of schemes expired and published
+   */
+  async runScheduledChanges(now = new Date()) {
+    const counts = { expired: 0, published: 0 };
+    if (this.running) return counts;
+    this.running = true;
+
+    const changes = [
+      { event: 'expired', to: 'archived', filter: { status: { $in: ['scheduled', 'published'] }, expireAt: { $lte: now } } },
+      { event: 'published', to: 'published', filter: { status: 'scheduled', publishAt: { $lte: now } } }
+    ];
+
+    try {
+      for (const change of changes) {
+        const schemes = await Scheme.find({ isActive: true, ...change.filter }).select('_id title publishAt');
+
+        for (const scheme of schemes) {
+          const update = {
+            status: change.to,
+            $push: { reviewHistory: { action: change.event, at: now } }
+          };
+          if (change.to === 'published') update.publishedAt = scheme.publishAt;
+
+          // The filter is repeated so a scheme changed meanwhile (or by another instance) is left alone
+          const updatedScheme = await Scheme.findOneAndUpdate({ _id: scheme._id, ...change.filter }, update);
+          if (updatedScheme) {
+            counts[change.event]++;
+            console.log(`⏰ Scheme "${scheme.title}" ${change.event}`);
+          }
+        }
+      }
+    } catch (error) {
+      console.error('❌ Scheduled scheme changes failed:', error.message);
+    } finally {
+      this.running = false;
+    }
+
+    return counts;
+  }
+
+  /**
+   * Whether a user may take an action (reviewers approve and reject, admins do the rest)
+   * @param {string} action - Workflow action
+   * @param {Object} user - Acting user
+   * @returns {boolean} Allowed
+   */
+  canPerform(action, user) {
+    if (!this.reviewActions.includes(action)) return true;
+    return user.role === 'reviewer' || user.role === 'super_admin';
+  }
+
+  /**
+   * Update fields recording a content edit. A published or scheduled scheme goes
+   * back to review so the change is not shown to citizens before a reviewer
+   * approves it; the editor becomes the submitter, so they cannot approve it themselves.
+   * @param {Object} scheme - Scheme document before the edit
+   * @param {Object} userId - Editing user's id
+   * @param {Array<string>} changedFields - Names of the changed fields
+   * @returns {Object|null} Update to merge into the edit, or null when nothing changed
+   */
+  getEditUpdate(scheme, userId, changedFields) {
+    if (changedFields.length === 0) return null;
+
+    const now = new Date();
+    const update = {
+      $push: {
+        reviewHistory: { action: 'edited', by: userId, at: now, comment: `Changed ${changedFields.join(', ')}`.substring(0, 500) }
+      }
+    };
+
+    if (this.reviewOnEditStatuses.includes(scheme.status)) {
+      Object.assign(update, {
+        status: 'in_review',
+        submittedBy: userId,
+        submittedAt: now,
+        reviewedBy: null,
+        reviewedAt: null,
+        reviewComment: null
+      });
+    }
+
+    return update;
+  }
+
+  /**
+   * Record a change to a scheme's documents (upload, restore, reprocess, delete). It changes
+   * what chat answers from, so it goes through getEditUpdate like an edit of the scheme; call
+   * it before the new chunks can go live.
+   * @param {string} schemeId - Scheme ID
+   * @param {Object} userId - Acting user's id
+   * @param {string} change - Description for the review history, e.g. 'documents ("GR.pdf" uploaded)'
+   * @returns {Promise<Object>} { success, scheme, sentToReview } or { success: false, reason, error }
+   */
+  async recordDocumentChange(schemeId, userId, change) {
+    const scheme = await Scheme.findById(schemeId).select('status');
+    if (!scheme) {
+      return { success: false, reason: 'not_found', error: 'Scheme not found' };
+    }
+
+    const updatedScheme = await Scheme.findOneAndUpdate(
+      { _id: schemeId, status: scheme.status },
+      this.getEditUpdate(scheme, userId, [change]),
+      { new: true }
+    );
+
+    if (!updatedScheme) {
+      return { success: false, reason: 'conflict', error: 'The scheme was changed by someone else, reload it and try again' };
+    }
+
+    const sentToReview = updatedScheme.status !== scheme.status;
+    if (sentToReview) {
+      console.log(`📋 Scheme "${updatedScheme.title}" sent back to review: ${change}`);
+    }
+    return { success: true, scheme: updatedScheme, sentToReview };
+  }
+
+  /**
+   * Apply a workflow action to a scheme
+   * @param {Object} scheme - Scheme document
+   * @param {string} action - submit, approve, reject, archive or reopen
+   * @param {Object} options - { user, comment }
+   * @returns {Promise<Object>} { success, scheme } or { success: false, reason, error }
+   */
+  async transition(scheme, action, { user, comment = '' }) {
+    const transition = this.transitions[action];
+    const currentStatus = scheme.status;
+
+    if (!this.canPerform(action, user)) {
+      return { success: false, reason: 'not_allowed', error: 'Only a reviewer or super admin can approve or reject schemes' };
+    }
+
+    if (!transition.from.includes(currentStatus)) {
+      return {
+        success: false,
+        reason: 'invalid_status',
+        error: `Cannot ${action} a scheme that is ${currentStatus.replace('_', ' ')}`
+      };
+    }
+
+    if (action === 'reject' && !comment) {
+      return { success: false, reason: 'comment_required', error: 'A comment explaining the rejection is required' };
+    }
+
+    if (action === 'approve' && scheme.expireAt && scheme.expireAt <= new Date()) {
+      return { success: false, reason: 'invalid_status', error: 'The scheme has already expired; change its expiry time before approving it' };
+    }
+
+    // A reviewer cannot approve their own submission; super admins can
+    if (action === 'approve' && user.role !== 'super_admin' && scheme.submittedBy && scheme.submittedBy.equals(user._id)) {
+      return { success: false, reason: 'not_allowed', error: 'A scheme must be approved by someone other than the person who submitted it' };
+    }
+
+    const now = new Date();
+    // An approved scheme with a future publish time waits for the scheduler
+    const nextStatus = action === 'approve' && scheme.publishAt && scheme.publishAt > now ? 'scheduled' : transition.to;
+    const update = {
+      status: nextStatus,
+      updatedBy: user._id,
+      $push: { reviewHistory: { action: transition.event, by: user._id, at: now, comment: comment || undefined } }
+    };
+
+    if (action === 'submit') {
+      update.submittedBy = user._id;
+      update.submittedAt = now;
+    }
+
+    if (this.reviewActions.includes(action)) {
+      update.reviewedBy = user._id;
+      update.reviewedAt = now;
+      update.reviewComment = comment || null;
+    }
+
+    if (nextStatus === 'published') {
+      update.publishedAt = now;
+    }
+
+    // Matching the current status stops two reviewers acting on the same scheme at once
+    const updatedScheme = await Scheme.findOneAndUpdate(
+      { _id: scheme._id, status: currentStatus },
+      update,
+      { new: true, runValidators: true }
+    );
+
+    if (!updatedScheme) {
+      return { success: false, reason: 'conflict', error: 'The scheme was changed by someone else, reload it and try again' };
+    }
+
+    console.log(`📋 Scheme "${updatedScheme.title}": ${currentStatus} → ${updatedScheme.status} (${action} by ${user.email})`);
+    return { success: true, scheme: updatedScheme };
+  }
+}
+
+module.exports = new SchemePublishingService();
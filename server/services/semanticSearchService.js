@@ -1,12 +1,31 @@
 const DocumentChunk = require('../models/DocumentChunk');
+const SchemeDocument = require('../models/SchemeDocument');
 const aiService = require('./aiService');
 const translationService = require('./translationService');
+const vectorIndexService = require('./vectorIndexService');
 
 class SemanticSearchService {
   constructor() {
     this.defaultTopK = 5;
     this.minSimilarityScore = 0.3;
     this.maxResults = 10;
+
+    // Hybrid retrieval (vector + MongoDB text index) merged with reciprocal rank fusion
+    this.searchModes = ['vector', 'hybrid'];
+    this.defaultSearchMode = this.searchModes.includes(process.env.SEARCH_MODE) ? process.env.SEARCH_MODE : 'vector';
+    this.hybridWeights = {
+      vector: parseFloat(process.env.HYBRID_VECTOR_WEIGHT) || 1.0,
+      lexical: parseFloat(process.env.HYBRID_LEXICAL_WEIGHT) || 1.0
+    };
+    this.rrfK = parseInt(process.env.HYBRID_RRF_K) || 60;
+    this.hybridCandidateMultiplier = 4;
+
+    // Fee, benefit and eligibility answers are usually in tables: for these questions the
+    // candidate pool is deepened and table chunks move up by tableRankBoost positions
+    this.tableQuestionTypes = ['benefits', 'eligibility', 'fees'];
+    this.tableQueryPattern = /\b(amount|how much|income|limit|slab|subsidy|rate|premium|stipend|installment)s?\b/i;
+    this.tableCandidateMultiplier = 2;
+    this.tableRankBoost = parseInt(process.env.TABLE_RANK_BOOST) || 3;
   }
 
   /**
@@ -36,43 +55,23 @@ class SemanticSearchService {
         includeMetadata = true
       } = options;
 
-      // Step 1: Translate query to English for better search
-      const translatedQuery = await this.translateQueryToEnglish(query);
-      console.log(`🔍 Original query: "${query}" → Translated: "${translatedQuery}"`);
-
-      // Step 2: Generate embedding for the translated query
-      const queryEmbedding = await this.generateQueryEmbedding(translatedQuery);
-      if (!queryEmbedding) {
-        throw new Error('Failed to generate query embedding');
-      }
-
-      console.log(`🧠 Generated query embedding with ${queryEmbedding.length} dimensions`);
-
-      // Step 3: Build search filter
-      const filter = {
-        processingStatus: 'completed',
-        'metadata.qualityScore': { $gte: 0.5 } // Only high-quality chunks
-      };
-
-      if (schemeId) {
-        filter.schemeId = schemeId;
-      }
-
-      if (language) {
-        filter['metadata.language'] = language;
-      }
+      const searchMode = this.resolveSearchMode(options.searchMode);
 
-      if (contentType) {
-        filter['metadata.contentType'] = contentType;
-      }
+      // Steps 1-2: Translate and embed the query
+      const preparedQuery = await this.prepareQuery(query);
 
-      // Step 4: Get all relevant chunks from database
-      const chunks = await DocumentChunk.find(filter)
-        .select('content metadata embedding schemeId chunkId')
-        .lean();
+      // Steps 3-6: Score and rank chunks
+      const { rankedChunks, totalChunks } = await this.rankChunks(preparedQuery, {
+        schemeIds: schemeId ? [schemeId] : null,
+        language,
+        contentType,
+        minSimilarityScore,
+        searchMode,
+        weights: options.weights,
+        candidateCount: this.getCandidateCount(topK, searchMode)
+      });
 
-      if (!chunks || chunks.length === 0) {
-        console.log('📭 No chunks found matching the filter criteria');
+      if (totalChunks === 0) {
         return {
           success: true,
           query: query,
@@ -82,16 +81,7 @@ class SemanticSearchService {
         };
       }
 
-      console.log(`📊 Found ${chunks.length} chunks to evaluate`);
-
-      // Step 5: Calculate similarity scores
-      const chunksWithScores = await this.calculateSimilarityScores(chunks, queryEmbedding);
-
-      // Step 6: Filter and sort results
-      const filteredResults = chunksWithScores
-        .filter(chunk => chunk.similarityScore >= minSimilarityScore)
-        .sort((a, b) => b.similarityScore - a.similarityScore)
-        .slice(0, topK);
+      const filteredResults = rankedChunks.slice(0, topK);
 
       console.log(`✅ Found ${filteredResults.length} relevant chunks above similarity threshold`);
 
@@ -99,25 +89,18 @@ class SemanticSearchService {
       await this.updateUsageStatistics(filteredResults);
 
       // Step 8: Format results
-      const formattedResults = filteredResults.map(chunk => ({
-        chunkId: chunk.chunkId,
-        content: chunk.content,
-        similarityScore: chunk.similarityScore,
-        metadata: includeMetadata ? {
-          ...chunk.metadata,
-          schemeId: chunk.schemeId
-        } : undefined
-      }));
+      const formattedResults = filteredResults.map(chunk => this.formatResult(chunk, searchMode, includeMetadata));
 
       return {
         success: true,
         query: query,
         results: formattedResults,
-        totalChunks: chunks.length,
+        totalChunks: totalChunks,
         relevantChunks: filteredResults.length,
         searchTime: Date.now() - (options.startTime || Date.now()),
         searchParams: {
           schemeId: schemeId,
+          searchMode: searchMode,
           topK: topK,
           minSimilarityScore: minSimilarityScore,
           language: language,
@@ -136,6 +119,453 @@ class SemanticSearchService {
     }
   }
 
+  /**
+   * Translate and embed a query once so it can be reused across searches
+   * @param {string} query - User's search query
+   * @returns {Promise<Object>} { query, translatedQuery, queryEmbedding, embeddingModel, queryEmbeddings }
+   */
+  async prepareQuery(query) {
+    // Step 1: Translate query to English for better search
+    const translatedQuery = await this.translateQueryToEnglish(query);
+    console.log(`🔍 Original query: "${query}" → Translated: "${translatedQuery}"`);
+
+    // Step 2: Generate embedding for the translated query
+    const { embedding: queryEmbedding, embeddingModel } = await this.generateQueryEmbedding(translatedQuery);
+    if (!queryEmbedding) {
+      throw new Error('Failed to generate query embedding');
+    }
+
+    console.log(`🧠 Generated query embedding with ${queryEmbedding.length} dimensions (${embeddingModel})`);
+
+    return {
+      query,
+      translatedQuery,
+      queryEmbedding,
+      embeddingModel,
+      // Query vectors from other models, filled in lazily for chunks that still await re-embedding
+      queryEmbeddings: new Map([[embeddingModel, queryEmbedding]])
+    };
+  }
+
+  /**
+   * Get the query vector to compare with chunks from a given embedding model
+   * @param {Object} preparedQuery - Output of prepareQuery()
+   * @param {string|null} embeddingModel - Chunk model, or null for chunks with no recorded model
+   * @param {number} dimensions - Chunk dimension, used for chunks with no recorded model
+   * @returns {Promise<Array|null>} Query embedding, or null when no matching model is available
+   */
+  async getQueryEmbeddingForModel(preparedQuery, embeddingModel, dimensions) {
+    if (!embeddingModel) {
+      return preparedQuery.queryEmbedding.length === dimensions ? preparedQuery.queryEmbedding : null;
+    }
+
+    if (!preparedQuery.queryEmbeddings.has(embeddingModel)) {
+      try {
+        const { embedding } = await this.generateQueryEmbedding(preparedQuery.translatedQuery, embeddingModel);
+        preparedQuery.queryEmbeddings.set(embeddingModel, embedding);
+      } catch (error) {
+        console.warn(`⚠️ Cannot embed query with ${embeddingModel}; its chunks are skipped until re-embedded:`, error.message);
+        preparedQuery.queryEmbeddings.set(embeddingModel, null);
+      }
+    }
+
+    return preparedQuery.queryEmbeddings.get(embeddingModel);
+  }
+
+  /**
+   * Number of candidates to pull from each ranking before trimming to topK
+   * @param {number} topK - Number of results wanted
+   * @param {string} searchMode - Retrieval mode
+   * @returns {number} Candidate pool size
+   */
+  getCandidateCount(topK, searchMode) {
+    // Hybrid mode fuses two ranked lists, so each list needs a deeper candidate pool
+    return searchMode === 'hybrid' ? topK * this.hybridCandidateMultiplier : topK;
+  }
+
+  /**
+   * Score and rank chunks for a prepared query in a single pass
+   * @param {Object} preparedQuery - Output of prepareQuery()
+   * @param {Object} options - Ranking options
+   * @param {Array} options.schemeIds - Optional scheme IDs to limit the search
+   * @param {number} options.candidateCount - Maximum chunks to return
+   * @returns {Promise<Object>} { rankedChunks, totalChunks }
+   */
+  async rankChunks(preparedQuery, options = {}) {
+    const {
+      schemeIds = null,
+      language = null,
+      contentType = null,
+      minSimilarityScore = this.minSimilarityScore,
+      searchMode = this.defaultSearchMode,
+      weights = this.hybridWeights,
+      candidateCount = this.defaultTopK
+    } = options;
+    const { query, translatedQuery } = preparedQuery;
+
+    const preferTables = this.prefersTables(translatedQuery || query);
+    const poolSize = preferTables ? candidateCount * this.tableCandidateMultiplier : candidateCount;
+
+    // Step 3: Build search filter
+    const filter = {
+      processingStatus: 'completed',
+      'metadata.qualityScore': { $gte: 0.5 } // Only high-quality chunks
+    };
+
+    // Documents linked to a duplicate are searched through the duplicate's chunks
+    const links = schemeIds ? await this.resolveLinkedDocuments(schemeIds) : null;
+
+    if (links) {
+      filter.$or = [
+        { schemeId: { $in: schemeIds } },
+        { documentId: { $in: links.linkedDocumentIds } }
+      ];
+    } else if (schemeIds && schemeIds.length === 1) {
+      filter.schemeId = schemeIds[0];
+    } else if (schemeIds) {
+      filter.schemeId = { $in: schemeIds };
+    }
+
+    // Chunks mixing English and Marathi match either language
+    if (language) {
+      filter['metadata.language'] = { $in: [language, 'mixed'] };
+    }
+
+    if (contentType) {
+      filter['metadata.contentType'] = contentType;
+    }
+
+    // Step 4: Score candidate chunks - through the ANN index when it is ready,
+    // otherwise by loading every matching chunk and comparing in memory
+    let chunksWithScores = await this.searchVectorIndex(preparedQuery, {
+      schemeIds: links ? links.schemeIds : schemeIds,
+      language,
+      contentType,
+      topK: poolSize
+    });
+    if (chunksWithScores && links) {
+      chunksWithScores = chunksWithScores.filter(chunk => this.isInSchemeScope(chunk, schemeIds, links));
+    }
+    let totalChunks = chunksWithScores ? chunksWithScores.length : 0;
+
+    if (!chunksWithScores) {
+      const chunks = await DocumentChunk.find(filter)
+        .select('content metadata embedding embeddingModel schemeId documentId chunkId usageStats')
+        .lean();
+
+      if (!chunks || chunks.length === 0) {
+        console.log('📭 No chunks found matching the filter criteria');
+        return { rankedChunks: [], totalChunks: 0 };
+      }
+
+      console.log(`📊 Found ${chunks.length} chunks to evaluate`);
+
+      // Step 5: Calculate similarity scores
+      chunksWithScores = await this.scoreChunksByModel(chunks, preparedQuery);
+      totalChunks = chunks.length;
+    }
+
+    // Step 6: Filter and sort results
+    const vectorResults = chunksWithScores
+      .filter(chunk => chunk.similarityScore >= minSimilarityScore)
+      .sort((a, b) => b.similarityScore - a.similarityScore)
+      .slice(0, poolSize);
+
+    if (links) {
+      vectorResults.forEach(chunk => this.tagLinkedChunk(chunk, schemeIds, links));
+    }
+
+    if (searchMode !== 'hybrid') {
+      return { rankedChunks: this.applyTablePreference(vectorResults, preferTables, candidateCount), totalChunks };
+    }
+
+    // Step 6b: In hybrid mode, merge with the text-index ranking
+    const lexicalResults = await this.searchLexical(query, translatedQuery, filter, poolSize);
+    if (links) {
+      lexicalResults.forEach(chunk => this.tagLinkedChunk(chunk, schemeIds, links));
+    }
+    console.log(`🔤 Text index returned ${lexicalResults.length} candidate chunks`);
+
+    // Lexical-only matches still need a cosine score for downstream relevance
+    const vectorIds = new Set(vectorResults.map(chunk => chunk._id.toString()));
+    const lexicalOnly = lexicalResults.filter(chunk => !vectorIds.has(chunk._id.toString()));
+    const lexicalOnlyScored = await this.scoreChunksByModel(lexicalOnly, preparedQuery);
+    const similarityById = new Map(lexicalOnlyScored.map(chunk => [chunk._id.toString(), chunk.similarityScore]));
+
+    const rankedChunks = this.fuseRankings(
+      vectorResults,
+      lexicalResults.map(chunk => ({
+        ...chunk,
+        similarityScore: similarityById.get(chunk._id.toString()) ?? chunk.similarityScore ?? 0
+      })),
+      weights
+    );
+
+    return { rankedChunks: this.applyTablePreference(rankedChunks, preferTables, candidateCount), totalChunks };
+  }
+
+  /**
+   * Find the documents that documents of the given schemes are linked to as duplicates
+   * @param {Array} schemeIds - Schemes being searched
+   * @returns {Promise<Object|null>} { schemeIds (widened to the linked documents' schemes), linkedDocumentIds, linkedBy }, or null when nothing is linked
+   */
+  async resolveLinkedDocuments(schemeIds) {
+    const linkedDocuments = await SchemeDocument.find({
+      schemeId: { $in: schemeIds },
+      linkedDocumentId: { $ne: null }
+    })
+      .select('schemeId linkedDocumentId')
+      .lean();
+
+    if (linkedDocuments.length === 0) return null;
+
+    const targets = await SchemeDocument.find({ _id: { $in: linkedDocuments.map(document => document.linkedDocumentId) } })
+      .select('_id schemeId')
+      .lean();
+
+    // Target document -> the searched scheme its results are reported under
+    const linkedBy = new Map();
+    linkedDocuments.forEach(document => {
+      const key = String(document.linkedDocumentId);
+      if (!linkedBy.has(key)) linkedBy.set(key, document.schemeId);
+    });
+
+    return {
+      schemeIds: [...new Set([...schemeIds, ...targets.map(target => target.schemeId)].map(id => String(id)))],
+      linkedDocumentIds: targets.map(target => target._id),
+      linkedBy
+    };
+  }
+
+  isInSchemeScope(chunk, schemeIds, links) {
+    return schemeIds.some(id => String(id) === String(chunk.schemeId)) ||
+      links.linkedBy.has(String(chunk.documentId));
+  }
+
+  // Chunks reached through a link are reported under the searched scheme that links to them
+  tagLinkedChunk(chunk, schemeIds, links) {
+    if (!schemeIds.some(id => String(id) === String(chunk.schemeId))) {
+      chunk.linkedSchemeId = links.linkedBy.get(String(chunk.documentId)) || null;
+    }
+  }
+
+  /**
+   * Check whether a question is usually answered from a table (fees, benefit amounts, eligibility limits)
+   * @param {string} query - Query text, in English when available
+   * @returns {boolean} True if table chunks should be preferred
+   */
+  prefersTables(query) {
+    return this.tableQuestionTypes.includes(aiService.analyzeQuestionType(query)) ||
+      this.tableQueryPattern.test(query);
+  }
+
+  /**
+   * Move table chunks up the ranking for table questions
+   * @param {Array} rankedChunks - Chunks in ranked order
+   * @param {boolean} preferTables - Whether the question prefers tables
+   * @param {number} limit - Number of chunks to keep
+   * @returns {Array} Re-ranked chunks
+   */
+  applyTablePreference(rankedChunks, preferTables, limit) {
+    if (!preferTables) return rankedChunks;
+
+    const reranked = rankedChunks
+      .map((chunk, index) => ({
+        chunk,
+        position: chunk.metadata?.contentType === 'table' ? index - this.tableRankBoost - 0.5 : index
+      }))
+      .sort((a, b) => a.position - b.position)
+      .map(({ chunk }) => chunk);
+
+    const tables = reranked.slice(0, limit).filter(chunk => chunk.metadata?.contentType === 'table').length;
+    if (tables > 0) {
+      console.log(`📊 Table question: ${tables} table chunks in the top ${limit}`);
+    }
+
+    return reranked.slice(0, limit);
+  }
+
+  /**
+   * Shape a ranked chunk for API responses
+   * @param {Object} chunk - Ranked chunk
+   * @param {string} searchMode - Retrieval mode
+   * @param {boolean} includeMetadata - Whether to include chunk metadata
+   * @returns {Object} Formatted result
+   */
+  formatResult(chunk, searchMode, includeMetadata = true) {
+    return {
+      chunkId: chunk.chunkId,
+      content: chunk.content,
+      similarityScore: chunk.similarityScore,
+      ...(searchMode === 'hybrid' && {
+        fusionScore: chunk.fusionScore,
+        lexicalScore: chunk.lexicalScore,
+        matchedBy: chunk.matchedBy
+      }),
+      metadata: includeMetadata ? {
+        ...chunk.metadata,
+        schemeId: chunk.schemeId,
+        documentId: chunk.documentId || null
+      } : undefined
+    };
+  }
+
+  /**
+   * Find nearest chunks through the in-process vector index.
+   * Each embedding-model namespace is searched with a query vector from the same model.
+   * @param {Object} preparedQuery - Output of prepareQuery()
+   * @param {Object} filter - Scheme, language and content type filters
+   * @returns {Promise<Array|null>} Chunks with similarity scores, or null when the index cannot serve the query
+   */
+  async searchVectorIndex(preparedQuery, filter) {
+    if (!vectorIndexService.isReady()) {
+      return null;
+    }
+
+    const hits = [];
+    for (const namespace of vectorIndexService.getNamespaces()) {
+      const queryEmbedding = await this.getQueryEmbeddingForModel(preparedQuery, namespace.embeddingModel, namespace.dimensions);
+      if (!queryEmbedding) continue;
+
+      const namespaceHits = vectorIndexService.search(queryEmbedding, {
+        k: filter.topK,
+        namespace: namespace.key,
+        filter: {
+          schemeIds: filter.schemeIds,
+          language: filter.language,
+          contentType: filter.contentType,
+          minQualityScore: 0.5
+        }
+      });
+
+      if (namespaceHits) hits.push(...namespaceHits);
+    }
+
+    hits.sort((a, b) => b.score - a.score);
+    hits.splice(filter.topK);
+
+    console.log(`⚡ Vector index returned ${hits.length} candidate chunks`);
+
+    if (hits.length === 0) {
+      return [];
+    }
+
+    const chunks = await DocumentChunk.find({
+      _id: { $in: hits.map(hit => hit.id) },
+      processingStatus: 'completed'
+    })
+      .select('content metadata schemeId documentId chunkId usageStats')
+      .lean();
+
+    const chunksById = new Map(chunks.map(chunk => [chunk._id.toString(), chunk]));
+
+    return hits
+      .filter(hit => chunksById.has(hit.id))
+      .map(hit => ({
+        ...chunksById.get(hit.id),
+        similarityScore: hit.score
+      }));
+  }
+
+  /**
+   * Resolve the retrieval mode for a request
+   * @param {string} searchMode - Requested mode ('vector' or 'hybrid')
+   * @returns {string} Mode to use
+   */
+  resolveSearchMode(searchMode) {
+    return this.searchModes.includes(searchMode) ? searchMode : this.defaultSearchMode;
+  }
+
+  /**
+   * Rank chunks with the MongoDB text index (BM25-style term scoring)
+   * @param {string} query - Original query
+   * @param {string} translatedQuery - Query translated to English
+   * @param {Object} filter - Chunk filter shared with the vector search
+   * @param {number} limit - Maximum number of chunks to return
+   * @returns {Promise<Array>} Chunks sorted by text score
+   */
+  async searchLexical(query, translatedQuery, filter, limit) {
+    try {
+      // Search both forms so exact terms survive translation (GR numbers, amounts, Marathi names)
+      const searchText = translatedQuery && translatedQuery !== query
+        ? `${query} ${translatedQuery}`
+        : query;
+
+      const chunks = await DocumentChunk.find(
+        { ...filter, $text: { $search: searchText } },
+        { lexicalScore: { $meta: 'textScore' } }
+      )
+        .select('content metadata embedding embeddingModel schemeId documentId chunkId usageStats')
+        .sort({ lexicalScore: { $meta: 'textScore' } })
+        .limit(limit)
+        .lean();
+
+      return chunks;
+    } catch (error) {
+      console.warn('⚠️ Text index search failed, using vector results only:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Merge vector and lexical rankings with reciprocal rank fusion
+   * @param {Array} vectorResults - Chunks sorted by similarity
+   * @param {Array} lexicalResults - Chunks sorted by text score
+   * @param {Object} weights - { vector, lexical } weights
+   * @returns {Array} Chunks sorted by fused score
+   */
+  fuseRankings(vectorResults, lexicalResults, weights = this.hybridWeights) {
+    const fused = new Map();
+    const vectorWeight = weights.vector ?? this.hybridWeights.vector;
+    const lexicalWeight = weights.lexical ?? this.hybridWeights.lexical;
+
+    const addRanking = (results, weight, source) => {
+      results.forEach((chunk, rank) => {
+        const key = chunk._id.toString();
+        const entry = fused.get(key) || { ...chunk, fusionScore: 0, matchedBy: [] };
+
+        entry.fusionScore += weight / (this.rrfK + rank + 1);
+        entry.matchedBy.push(source);
+        if (source === 'lexical') {
+          entry.lexicalScore = chunk.lexicalScore;
+        }
+
+        fused.set(key, entry);
+      });
+    };
+
+    addRanking(vectorResults, vectorWeight, 'vector');
+    addRanking(lexicalResults, lexicalWeight, 'lexical');
+
+    return Array.from(fused.values()).sort((a, b) => b.fusionScore - a.fusionScore);
+  }
+
+  /**
+   * Rank chunks gathered by separate searches on one scale. Fusion scores depend on
+   * the lists they were fused from, so hybrid results are fused again from their
+   * similarity and text scores.
+   * @param {Array} chunks - Ranked chunks from several searches (without repeats)
+   * @param {Object} options - { searchMode, weights, preferTables }
+   * @returns {Array} Chunks in ranked order
+   */
+  mergeRankings(chunks, { searchMode, weights, preferTables }) {
+    let ranked;
+
+    if (searchMode === 'hybrid') {
+      const matchedBy = source => chunks
+        .filter(chunk => chunk.matchedBy && chunk.matchedBy.includes(source));
+      ranked = this.fuseRankings(
+        matchedBy('vector').sort((a, b) => b.similarityScore - a.similarityScore),
+        matchedBy('lexical').sort((a, b) => b.lexicalScore - a.lexicalScore),
+        weights
+      );
+    } else {
+      ranked = [...chunks].sort((a, b) => b.similarityScore - a.similarityScore);
+    }
+
+    return this.applyTablePreference(ranked, preferTables, ranked.length);
+  }
+
   /**
    * Translate query to English for better search
    * @param {string} query - Original query
@@ -165,24 +595,60 @@ class SemanticSearchService {
   /**
    * Generate embedding for a search query
    * @param {string} query - Search query
-   * @returns {Promise<Array>} Query embedding vector
+   * @param {string} embeddingModel - Optional model ("provider/model"); defaults to the current embedding provider
+   * @returns {Promise<Object>} { embedding, embeddingModel }
    */
-  async generateQueryEmbedding(query) {
+  async generateQueryEmbedding(query, embeddingModel = null) {
     try {
-      // Use the same embedding model as chunks
-      const embeddings = await aiService.generateEmbeddings([query]);
+      const embeddings = await aiService.generateEmbeddings([query], {
+        embeddingModel,
+        operation: 'query_embedding'
+      });
       
       if (!embeddings || embeddings.length === 0 || !embeddings[0].embedding) {
         throw new Error('Failed to generate query embedding');
       }
 
-      return embeddings[0].embedding;
+      return {
+        embedding: embeddings[0].embedding,
+        embeddingModel: embeddings[0].metadata.embeddingModel
+      };
     } catch (error) {
       console.error('❌ Error generating query embedding:', error.message);
       throw error;
     }
   }
 
+  /**
+   * Score chunks against the query vector from each chunk's own embedding model
+   * @param {Array} chunks - Chunks with embeddings and embeddingModel
+   * @param {Object} preparedQuery - Output of prepareQuery()
+   * @returns {Promise<Array>} Chunks with similarity scores
+   */
+  async scoreChunksByModel(chunks, preparedQuery) {
+    const groups = new Map();
+    for (const chunk of chunks) {
+      const key = chunk.embeddingModel || `dim_${chunk.embedding?.length || 0}`;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(chunk);
+    }
+
+    const chunksWithScores = [];
+    for (const group of groups.values()) {
+      const { embeddingModel, embedding } = group[0];
+      const queryEmbedding = await this.getQueryEmbeddingForModel(preparedQuery, embeddingModel || null, embedding?.length || 0);
+
+      if (!queryEmbedding) {
+        console.warn(`⚠️ Skipping ${group.length} chunks from ${embeddingModel || `${embedding?.length || 0}-dimension embeddings`} (no matching query model, run the embedding migration)`);
+        continue;
+      }
+
+      chunksWithScores.push(...await this.calculateSimilarityScores(group, queryEmbedding));
+    }
+
+    return chunksWithScores;
+  }
+
   /**
    * Calculate similarity scores between query and chunks
    * @param {Array} chunks - Array of chunks with embeddings
@@ -226,18 +692,10 @@ class SemanticSearchService {
       return 0;
     }
 
-    // Handle dimension mismatch by using fallback to Google embeddings for old chunks
+    // Vectors from different models cannot be compared; scoreChunksByModel() groups chunks
+    // by model first, so this only happens for chunks whose recorded model is wrong
     if (vectorA.length !== vectorB.length) {
       console.warn(`⚠️ Vector dimension mismatch: ${vectorA.length} vs ${vectorB.length}`);
-      
-      // If we have a new query (1536) vs old chunk (768), regenerate query with Google
-      if (vectorA.length === 1536 && vectorB.length === 768) {
-        console.log('🔄 Dimension mismatch detected - this chunk needs re-embedding with Azure');
-        // For now, skip this chunk (return 0) - we'll add a re-embedding strategy later
-        return 0;
-      }
-      
-      // If both are different unexpected dimensions, skip
       return 0;
     }
 
@@ -312,35 +770,131 @@ class SemanticSearchService {
   }
 
   /**
-   * Search for chunks across multiple schemes
+   * Search for chunks across multiple schemes.
+   * The query is translated and embedded once. Each scheme is searched on its own,
+   * so every scheme gets its own top-K however many schemes are searched, and a
+   * global search (bounded by globalTopK) supplies the global ranking. All candidates
+   * are then ranked together so their scores compare across schemes.
    * @param {string} query - Search query
    * @param {Array} schemeIds - Array of scheme IDs to search in
    * @param {Object} options - Search options
-   * @returns {Promise<Object>} Search results grouped by scheme
+   * @param {number} options.perSchemeTopK - Maximum results per scheme (defaults to topK)
+   * @param {number} options.globalTopK - Maximum results in the global ranking (defaults to topK)
+   * @returns {Promise<Object>} Search results grouped by scheme plus a global ranking
    */
   async searchAcrossSchemes(query, schemeIds, options = {}) {
     try {
       console.log(`🔍 Searching across ${schemeIds.length} schemes for: "${query}"`);
 
+      if (!query || typeof query !== 'string' || query.trim().length === 0) {
+        return {
+          success: false,
+          error: 'Query is required and must be a non-empty string',
+          query: query,
+          results: {}
+        };
+      }
+
+      const {
+        topK = this.defaultTopK,
+        perSchemeTopK = topK,
+        globalTopK = topK,
+        minSimilarityScore = this.minSimilarityScore,
+        language = null,
+        contentType = null,
+        includeMetadata = true
+      } = options;
+
+      const searchMode = this.resolveSearchMode(options.searchMode);
+      const preparedQuery = await this.prepareQuery(query);
+      const rankOptions = { language, contentType, minSimilarityScore, searchMode, weights: options.weights };
+
+      // Query vectors are cached on preparedQuery, so the per-scheme searches do not embed again
+      const schemeRankings = await Promise.all(schemeIds.map(schemeId => this.rankChunks(preparedQuery, {
+        ...rankOptions,
+        schemeIds: [schemeId],
+        candidateCount: this.getCandidateCount(perSchemeTopK, searchMode)
+      })));
+      const globalRanking = await this.rankChunks(preparedQuery, {
+        ...rankOptions,
+        schemeIds,
+        candidateCount: this.getCandidateCount(globalTopK, searchMode)
+      });
+
+      // A chunk found by several searches keeps every ranking it was matched by
+      const candidates = new Map();
+      [globalRanking, ...schemeRankings].forEach(({ rankedChunks }) => {
+        rankedChunks.forEach(chunk => {
+          const existing = candidates.get(chunk._id.toString());
+          if (!existing) {
+            candidates.set(chunk._id.toString(), { ...chunk });
+          } else if (chunk.matchedBy) {
+            existing.matchedBy = [...new Set([...(existing.matchedBy || []), ...chunk.matchedBy])];
+            existing.lexicalScore = existing.lexicalScore ?? chunk.lexicalScore;
+          }
+        });
+      });
+      const rankedChunks = this.mergeRankings(Array.from(candidates.values()), {
+        searchMode,
+        weights: options.weights,
+        preferTables: this.prefersTables(preparedQuery.translatedQuery || query)
+      });
+      const positions = new Map(rankedChunks.map((chunk, position) => [chunk._id.toString(), position]));
+
+      // Each scheme keeps its own candidates (including chunks reached through linked documents), in the merged order
+      const grouped = new Map();
+      schemeRankings.forEach(({ rankedChunks: schemeChunks }, index) => {
+        if (schemeChunks.length === 0) return;
+        const ids = schemeChunks
+          .map(chunk => chunk._id.toString())
+          .sort((a, b) => positions.get(a) - positions.get(b))
+          .slice(0, perSchemeTopK);
+        grouped.set(schemeIds[index].toString(), ids.map(id => rankedChunks[positions.get(id)]));
+      });
+
+      const globalResults = rankedChunks.slice(0, globalTopK);
+      const totalChunks = schemeRankings.reduce((total, ranking) => total + ranking.totalChunks, 0);
+
+      const retrieved = new Map();
+      [...globalResults, ...Array.from(grouped.values()).flat()].forEach(chunk => {
+        retrieved.set(chunk._id.toString(), chunk);
+      });
+      await this.updateUsageStatistics(Array.from(retrieved.values()));
+
+      const searchTime = Date.now() - (options.startTime || Date.now());
       const results = {};
       let totalResults = 0;
 
-      for (const schemeId of schemeIds) {
-        const schemeResults = await this.searchRelevantChunks(query, schemeId, options);
-        
-        if (schemeResults.success && schemeResults.results.length > 0) {
-          results[schemeId] = schemeResults;
-          totalResults += schemeResults.results.length;
-        }
+      for (const [schemeKey, schemeChunks] of grouped) {
+        results[schemeKey] = {
+          success: true,
+          query: query,
+          results: schemeChunks.map(chunk => this.formatResult(chunk, searchMode, includeMetadata)),
+          relevantChunks: schemeChunks.length,
+          searchParams: {
+            schemeId: schemeKey,
+            searchMode: searchMode,
+            topK: perSchemeTopK,
+            minSimilarityScore: minSimilarityScore,
+            language: language,
+            contentType: contentType
+          }
+        };
+        totalResults += schemeChunks.length;
       }
 
+      console.log(`✅ Cross-scheme search found results in ${grouped.size} of ${schemeIds.length} schemes`);
+
       return {
         success: true,
         query: query,
         results: results,
+        globalResults: globalResults.map(chunk => this.formatResult(chunk, searchMode, includeMetadata)),
         totalResults: totalResults,
+        totalChunks: totalChunks,
         schemesSearched: schemeIds.length,
-        schemesWithResults: Object.keys(results).length
+        schemesWithResults: Object.keys(results).length,
+        searchTime: searchTime
       };
 
     } catch (error) {
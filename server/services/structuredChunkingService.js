@@ -0,0 +1,417 @@
+/**
+ * Structured Chunking Service
+ * Chunks document text along its structure instead of at fixed word counts.
+ * Lines are classified as headings, numbered or lettered clauses ("1.", "2.3",
+ * "(a)", "iv)", "(१)", "अ)"), bullets and paragraph text. Clauses nest by
+ * marker style, and chunks are packed from whole clauses and paragraphs inside
+ * one section, so an eligibility condition is never cut in half. Each chunk
+ * records the path of headings above it.
+ *
+ * Only a single clause or paragraph longer than the maximum chunk size is
+ * split, at sentence ends.
+ */
+
+const DIGIT = '[0-9\\u0966-\\u096F]';
+
+// Marker patterns, tried in order; each yields the marker format and its label
+const MARKER_PATTERNS = [
+  // 1.2, 1.2.3, 1.2. or 1.2) text
+  { format: 'decimal', pattern: new RegExp(`^(${DIGIT}{1,3}(?:\\.${DIGIT}{1,3})+)[.)]?\\s+(.+)$`) },
+  // (1) text
+  { format: 'number-wrapped', pattern: new RegExp(`^\\((${DIGIT}{1,3})\\)\\s*(.+)$`) },
+  // 1) text
+  { format: 'number-paren', pattern: new RegExp(`^(${DIGIT}{1,3})\\)\\s+(.+)$`) },
+  // 1. text
+  { format: 'number-dot', pattern: new RegExp(`^(${DIGIT}{1,3})\\.\\s+(.+)$`) },
+  // (iv) or iv) text
+  { format: 'roman', pattern: /^\(?((?=[ivx])x{0,3}(?:ix|iv|v?i{0,3})|(?=[IVX])X{0,3}(?:IX|IV|V?I{0,3}))\)\s*(.+)$/ },
+  // (a), a), (अ) or अ) text
+  { format: 'letter', pattern: /^\(?([a-zA-Z]|[अ-ह])\)\s*(.+)$/ },
+  // • text
+  { format: 'bullet', pattern: /^([•●▪◦‣*-])\s+(.+)$/ }
+];
+
+// Words that open a heading line in government resolutions
+const HEADING_PREFIX = /^(chapter|section|part|annexure|appendix|schedule|प्रकरण|भाग|परिशिष्ट|जोडपत्र)\b/i;
+const SENTENCE_END = /[.;,?!।|]$/;
+const HEADING_COLON = /\s*:-?$/;
+
+class StructuredChunkingService {
+  constructor() {
+    this.maxHeadingWords = 10;
+    this.maxHeadingChars = 80;
+    this.maxPathEntryChars = 200;
+  }
+
+  /**
+   * Chunk cleaned text lines along their structure
+   * @param {Array<string>} lines - Cleaned lines of the document (empty strings mark blank lines)
+   * @param {Object} options - { chunkSize, maxChunkSize, maxChunkChars }
+   * @returns {Array} [{ content, headingPath, contentType, startLine, endLine, oversized }]
+   */
+  chunkLines(lines, options = {}) {
+    const sections = this.parse(lines);
+    const chunks = [];
+
+    for (const section of sections) {
+      chunks.push(...this.packUnits(section.units, section.headingPath, options));
+    }
+
+    return chunks;
+  }
+
+  /**
+   * Parse lines into sections of paragraphs and clause trees
+   * @param {Array<string>} lines - Cleaned lines
+   * @returns {Array} [{ headingPath, units }] in document order
+   */
+  parse(lines) {
+    const sections = [];
+    const headings = [];
+    let section = null;
+    // Open clauses from the outermost to the innermost list
+    let clauseStack = [];
+    // Block that continuation lines are appended to
+    let openBlock = null;
+    let blankBefore = true;
+
+    const startSection = () => {
+      section = { headingPath: headings.map(heading => heading.text), units: [] };
+      sections.push(section);
+      clauseStack = [];
+      openBlock = null;
+    };
+
+    for (let index = 0; index < lines.length; index++) {
+      const line = (lines[index] || '').trim();
+      if (!line) {
+        blankBefore = true;
+        continue;
+      }
+
+      const marker = this.matchMarker(line, clauseStack);
+      const heading = this.matchHeading(line, marker, {
+        previous: this.previousLine(lines, index),
+        next: this.nextLine(lines, index),
+        blankBefore,
+        clauseStack
+      });
+
+      if (heading) {
+        while (headings.length > 0 && headings[headings.length - 1].level >= heading.level) headings.pop();
+        headings.push(heading);
+        startSection();
+        // The line after a heading starts fresh, like after a blank line
+        blankBefore = true;
+        continue;
+      } else if (marker) {
+        if (!section) startSection();
+        const clause = {
+          type: 'clause',
+          style: marker.style,
+          label: marker.label,
+          lines: [line],
+          children: [],
+          startLine: index,
+          endLine: index
+        };
+
+        // A style already open closes the deeper lists; a new style opens a nested list
+        const level = clauseStack.findIndex(open => open.style === marker.style);
+        if (level >= 0) clauseStack = clauseStack.slice(0, level);
+
+        const parent = clauseStack[clauseStack.length - 1];
+        if (parent) {
+          parent.children.push(clause);
+          this.extendClauseRange(clauseStack, index);
+        } else {
+          section.units.push(clause);
+        }
+        clauseStack.push(clause);
+        openBlock = clause;
+      } else {
+        if (!section) startSection();
+        // A blank line after a finished sentence starts a new paragraph (and ends open lists)
+        const previous = openBlock && openBlock.lines[openBlock.lines.length - 1];
+        const continues = openBlock && !(blankBefore && SENTENCE_END.test(previous));
+
+        if (continues) {
+          openBlock.lines.push(line);
+          openBlock.endLine = index;
+          if (openBlock.type === 'clause') this.extendClauseRange(clauseStack, index);
+        } else {
+          openBlock = { type: 'paragraph', lines: [line], startLine: index, endLine: index };
+          section.units.push(openBlock);
+          clauseStack = [];
+        }
+      }
+
+      blankBefore = false;
+    }
+
+    return sections.filter(({ units }) => units.length > 0);
+  }
+
+  /**
+   * Recognise a clause or bullet marker at the start of a line
+   * @param {string} line - Line text
+   * @param {Array} clauseStack - Currently open clauses, used to tell letter "i" from roman "i"
+   * @returns {Object|null} { style, label } or null
+   */
+  matchMarker(line, clauseStack = []) {
+    for (const { format, pattern } of MARKER_PATTERNS) {
+      const match = line.match(pattern);
+      if (!match || !match[1]) continue;
+
+      const label = match[1];
+      const wrapped = line.startsWith('(') ? '()' : ')';
+
+      if (format === 'roman' && label.length === 1 && this.continuesLetterList(label, clauseStack)) {
+        return { style: `letter${wrapped}:${this.letterCase(label)}`, label };
+      }
+      if (format === 'roman') return { style: `roman${wrapped}:${this.letterCase(label)}`, label };
+      if (format === 'letter') return { style: `letter${wrapped}:${this.letterCase(label)}`, label };
+      if (format === 'decimal') return { style: `decimal:${label.split('.').length}`, label };
+      if (format === 'bullet') return { style: `bullet:${label}`, label };
+      return { style: format, label };
+    }
+
+    return null;
+  }
+
+  /**
+   * Recognise a heading line
+   * @param {string} line - Line text
+   * @param {Object|null} marker - Marker found at the start of the line
+   * @param {Object} context - { previous, next, blankBefore, clauseStack }
+   * @returns {Object|null} { text, level } or null
+   */
+  matchHeading(line, marker, { previous, next, blankBefore, clauseStack }) {
+    const text = marker ? line.replace(/^\S+\s*/, '') : line;
+    const words = text.split(/\s+/).length;
+    if (words > this.maxHeadingWords || line.length > this.maxHeadingChars) return null;
+
+    const endsWithColon = HEADING_COLON.test(text);
+    if (SENTENCE_END.test(text) && !endsWithColon) return null;
+
+    // A wrapped sentence continues on the next line; headings follow a finished line
+    const afterBreak = blankBefore || !previous || SENTENCE_END.test(previous) || HEADING_COLON.test(previous) ||
+      this.isShortListItem(previous, clauseStack);
+    if (!afterBreak && !marker) return null;
+
+    const style = this.headingStyle(text, words, endsWithColon);
+    if (!style) return null;
+
+    if (marker) {
+      // Only numbered lines can be section headings, and not when the next line is their sibling item
+      if (!/^(decimal|number-dot)/.test(marker.style)) return null;
+      const nextMarker = next ? this.matchMarker(next, clauseStack) : null;
+      if (nextMarker && nextMarker.style === marker.style) return null;
+      if (!next) return null;
+
+      const depth = marker.style.startsWith('decimal') ? marker.label.split('.').length : 1;
+      return { text: this.truncate(line), level: depth };
+    }
+
+    if (!next) return null;
+    return { text: this.truncate(line.replace(HEADING_COLON, '')), level: style.level };
+  }
+
+  // Heading look of a line: capitals, title case, a colon, a known prefix or short Devanagari text
+  headingStyle(text, words, endsWithColon) {
+    const latin = text.replace(/[^a-zA-Z]/g, '');
+    const devanagari = /[ऀ-ॿ]/.test(text);
+
+    if (HEADING_PREFIX.test(text)) return { level: 1 };
+    if (latin.length >= 3 && latin === latin.toUpperCase()) return { level: 1 };
+
+    const titleCase = text.split(/\s+/)
+      .filter(word => /^[a-zA-Z]{4,}/.test(word))
+      .every(word => /^[A-Z]/.test(word));
+    if (latin.length >= 3 && titleCase && /^[A-Z0-9(]/.test(text) && (words <= 6 || endsWithColon)) {
+      return { level: 2 };
+    }
+    if (devanagari && latin.length === 0 && (endsWithColon || words <= 4)) return { level: 2 };
+
+    return null;
+  }
+
+  // Whether a letter that is also a roman numeral ("i", "v", "x") continues a lettered list
+  continuesLetterList(label, clauseStack) {
+    const previousLetter = String.fromCharCode(label.charCodeAt(0) - 1);
+    return clauseStack.some(open => open.style.startsWith('letter') && open.label === previousLetter);
+  }
+
+  // A list item of a few words ends on its own line, so the next line is not its continuation
+  isShortListItem(line, clauseStack) {
+    return this.countWords(line) <= 8 && this.matchMarker(line, clauseStack) !== null;
+  }
+
+  letterCase(label) {
+    if (/[ऀ-ॿ]/.test(label)) return 'devanagari';
+    return label === label.toUpperCase() ? 'upper' : 'lower';
+  }
+
+  // Clauses that contain a continuation line or a sub-clause grow to cover it
+  extendClauseRange(clauseStack, index) {
+    clauseStack.forEach(clause => { clause.endLine = index; });
+  }
+
+  previousLine(lines, index) {
+    for (let i = index - 1; i >= 0; i--) {
+      if (lines[i] && lines[i].trim()) return lines[i].trim();
+    }
+    return null;
+  }
+
+  nextLine(lines, index) {
+    for (let i = index + 1; i < lines.length; i++) {
+      if (lines[i] && lines[i].trim()) return lines[i].trim();
+    }
+    return null;
+  }
+
+  truncate(text) {
+    return text.length > this.maxPathEntryChars ? `${text.substring(0, this.maxPathEntryChars - 3)}...` : text;
+  }
+
+  /**
+   * Pack paragraphs and clause trees of a section into chunks
+   * Units are never split unless a single one is longer than the maximum size; a
+   * clause whose sub-clauses do not fit in one chunk is split between sub-clauses,
+   * and its own text is added to the heading path of the chunks holding them.
+   * @param {Array} units - Section units from parse()
+   * @param {Array<string>} headingPath - Headings above the section
+   * @param {Object} options - { chunkSize, maxChunkSize, maxChunkChars }
+   * @returns {Array} Chunks
+   */
+  packUnits(units, headingPath, options = {}) {
+    const { chunkSize = 500, maxChunkSize = 1000, maxChunkChars = 4000 } = options;
+    const chunks = [];
+    let buffer = [];
+    let bufferWords = 0;
+    let bufferChars = 0;
+
+    const flush = () => {
+      if (buffer.length === 0) return;
+      chunks.push(this.buildChunk(buffer.map(unit => this.renderUnit(unit)).join('\n'), buffer, headingPath));
+      buffer = [];
+      bufferWords = 0;
+      bufferChars = 0;
+    };
+
+    for (const unit of units) {
+      const text = this.renderUnit(unit);
+      const words = this.countWords(text);
+
+      if (buffer.length > 0 && (bufferWords + words > chunkSize || bufferChars + text.length > maxChunkChars)) {
+        flush();
+      }
+
+      if (words > maxChunkSize || text.length > maxChunkChars) {
+        flush();
+        if (unit.type === 'clause' && unit.children.length > 0) {
+          const lead = { type: 'paragraph', lines: unit.lines, startLine: unit.startLine, endLine: unit.startLine };
+          chunks.push(...this.packUnits([lead, ...unit.children], [...headingPath, this.truncate(unit.lines.join(' '))], options));
+        } else {
+          chunks.push(...this.splitOversizedUnit(unit, headingPath, options));
+        }
+        continue;
+      }
+
+      buffer.push(unit);
+      bufferWords += words;
+      bufferChars += text.length + 1;
+    }
+
+    flush();
+    return chunks;
+  }
+
+  // Split a clause or paragraph that alone exceeds the maximum chunk size at sentence ends
+  splitOversizedUnit(unit, headingPath, { chunkSize = 500, maxChunkChars = 4000 } = {}) {
+    const sentences = unit.lines.join(' ').split(/(?<=[.?!।])\s+/);
+    const parts = [];
+    let current = '';
+
+    for (const sentence of sentences) {
+      const candidate = current ? `${current} ${sentence}` : sentence;
+      if (current && (this.countWords(candidate) > chunkSize || candidate.length > maxChunkChars)) {
+        parts.push(current);
+        current = sentence;
+      } else {
+        current = candidate;
+      }
+    }
+    if (current) parts.push(current);
+
+    // A single sentence longer than a chunk is cut by words
+    return parts
+      .flatMap(part => this.splitLongSentence(part, { chunkSize, maxChunkChars }))
+      .map(part => ({ ...this.buildChunk(part, [unit], headingPath), oversized: true }));
+  }
+
+  splitLongSentence(text, { chunkSize, maxChunkChars }) {
+    const words = text.split(' ');
+    if (words.length <= chunkSize && text.length <= maxChunkChars) return [text];
+
+    const parts = [];
+    let current = [];
+    let chars = 0;
+    for (const word of words) {
+      if (current.length > 0 && (current.length >= chunkSize || chars + word.length + 1 > maxChunkChars)) {
+        parts.push(current.join(' '));
+        current = [];
+        chars = 0;
+      }
+      current.push(word);
+      chars += word.length + 1;
+    }
+    if (current.length > 0) parts.push(current.join(' '));
+    return parts;
+  }
+
+  buildChunk(content, units, headingPath) {
+    const types = new Set(units.map(unit => unit.type));
+
+    return {
+      content,
+      headingPath,
+      contentType: types.size > 1 ? 'mixed' : types.has('clause') ? 'list' : 'paragraph',
+      startLine: units[0].startLine,
+      endLine: units[units.length - 1].endLine,
+      oversized: false
+    };
+  }
+
+  // Text of a unit, each clause and sub-clause on its own line
+  renderUnit(unit) {
+    const own = unit.lines.join(' ');
+    if (unit.type !== 'clause' || unit.children.length === 0) return own;
+    return [own, ...unit.children.map(child => this.renderUnit(child))].join('\n');
+  }
+
+  /**
+   * List every clause with its own text (without sub-clauses)
+   * @param {Array<string>} lines - Cleaned lines
+   * @returns {Array<string>} Clause texts in document order
+   */
+  listClauses(lines) {
+    const clauses = [];
+    const collect = unit => {
+      if (unit.type !== 'clause') return;
+      clauses.push(unit.lines.join(' '));
+      unit.children.forEach(collect);
+    };
+
+    this.parse(lines).forEach(section => section.units.forEach(collect));
+    return clauses;
+  }
+
+  // Whitespace-separated words (counts Devanagari words, which the English tokenizer drops)
+  countWords(text) {
+    return (text.match(/\S+/g) || []).length;
+  }
+}
+
+module.exports = new StructuredChunkingService();
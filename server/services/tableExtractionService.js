@@ -0,0 +1,247 @@
+/**
+ * Table Extraction Service
+ * Finds tables in a PDF page's text layer. Text items are grouped into lines, and
+ * lines into cells wherever the horizontal gap is wider than normal word spacing.
+ * Runs of lines whose cells line up in the same columns are returned as tables
+ * and serialized as markdown, so benefit slabs and fee schedules keep their rows
+ * and columns instead of being flattened into running text.
+ */
+class TableExtractionService {
+  constructor() {
+    this.minRows = 3;     // header + at least two data rows
+    this.minColumns = 2;
+
+    // Gap between text items, relative to the font size, that separates two cells
+    this.cellGapRatio = 1.2;
+
+    // Gap below which two items belong to the same word
+    this.wordGapRatio = 0.15;
+
+    // Tables longer than this are split into several chunks, each repeating the header
+    this.maxRowsPerChunk = parseInt(process.env.TABLE_MAX_ROWS_PER_CHUNK) || 20;
+    this.maxCharsPerChunk = 3000;
+
+    // Left columns like "1." or "(a)" mean a numbered list, not a table
+    this.listMarkerPattern = /^(\(?[0-9ivxa-z]{1,3}[.)]|[•\-*])$/i;
+  }
+
+  /**
+   * Split a page's text items into lines and tables
+   * @param {Array} items - pdf.js text content items
+   * @returns {Object} { lines: [{ text, tableIndex }], tables: [{ caption, rows }] }
+   */
+  extractFromItems(items) {
+    const lines = this.groupLines(items);
+    const tables = [];
+    let start = 0;
+
+    while (start < lines.length) {
+      const end = this.findTableEnd(lines, start);
+
+      if (end - start >= this.minRows && !this.isNumberedList(lines.slice(start, end))) {
+        const caption = this.findCaption(lines, start);
+        tables.push({ caption, rows: this.buildRows(lines.slice(start, end)) });
+        for (let i = start; i < end; i++) {
+          lines[i].tableIndex = tables.length - 1;
+        }
+        start = end;
+      } else {
+        start++;
+      }
+    }
+
+    return {
+      lines: lines.map(line => ({ text: line.text, tableIndex: line.tableIndex ?? null })),
+      tables
+    };
+  }
+
+  /**
+   * Group text items into lines (in content order) and each line into cells
+   * @param {Array} items - pdf.js text content items
+   * @returns {Array} [{ y, text, cells: [{ text, x0, x1 }] }]
+   */
+  groupLines(items) {
+    const lines = [];
+    let current = null;
+
+    for (const item of items) {
+      if (!item.str || item.str.trim().length === 0) continue;
+
+      const fontSize = Math.hypot(item.transform[2], item.transform[3]) || item.height || 10;
+      const y = item.transform[5];
+
+      if (!current || Math.abs(current.y - y) > fontSize * 0.5) {
+        current = { y, fontSize, items: [] };
+        lines.push(current);
+      }
+
+      current.items.push({
+        str: item.str,
+        x0: item.transform[4],
+        x1: item.transform[4] + (item.width || 0),
+        fontSize
+      });
+    }
+
+    return lines.map(line => {
+      const sorted = line.items.sort((a, b) => a.x0 - b.x0);
+      const cells = [];
+
+      for (const item of sorted) {
+        const last = cells[cells.length - 1];
+        const gap = last ? item.x0 - last.x1 : Infinity;
+
+        if (last && gap < item.fontSize * this.cellGapRatio) {
+          last.text += gap > item.fontSize * this.wordGapRatio ? ` ${item.str}` : item.str;
+          last.x1 = Math.max(last.x1, item.x1);
+        } else {
+          cells.push({ text: item.str, x0: item.x0, x1: item.x1 });
+        }
+      }
+
+      cells.forEach(cell => { cell.text = cell.text.replace(/\s+/g, ' ').trim(); });
+
+      return {
+        y: line.y,
+        text: cells.map(cell => cell.text).join(' '),
+        cells
+      };
+    });
+  }
+
+  /**
+   * Find where a table starting at a line ends
+   * @param {Array} lines - Grouped lines
+   * @param {number} start - Index of the candidate header line
+   * @returns {number} Index after the last table line (start when no table starts here)
+   */
+  findTableEnd(lines, start) {
+    const header = lines[start];
+    if (header.cells.length < this.minColumns) return start;
+
+    header.continuation = false;
+    const columns = header.cells.map(cell => ({ x0: cell.x0, x1: cell.x1 }));
+    let end = start + 1;
+
+    while (end < lines.length) {
+      const line = lines[end];
+      const matched = line.cells.map(cell => this.findColumn(cell, columns));
+
+      // Every cell must sit in a known column
+      if (matched.some(index => index === -1)) break;
+
+      // Rows with fewer cells are wrapped text of the previous row
+      const isRow = line.cells.length >= this.minColumns;
+      if (!isRow && end === start + 1) break;
+
+      line.cells.forEach((cell, i) => {
+        const column = columns[matched[i]];
+        column.x0 = Math.min(column.x0, cell.x0);
+        column.x1 = Math.max(column.x1, cell.x1);
+      });
+      line.continuation = !isRow;
+      line.columns = matched;
+      end++;
+    }
+
+    // Count real rows only
+    const rows = lines.slice(start, end).filter(line => !line.continuation).length;
+    return rows >= this.minRows ? end : start;
+  }
+
+  // Column a cell falls in, or -1 when it falls in none or spans several (like a paragraph line)
+  findColumn(cell, columns) {
+    const overlapping = columns
+      .map((column, index) => (cell.x0 < column.x1 && cell.x1 > column.x0 ? index : -1))
+      .filter(index => index !== -1);
+    return overlapping.length === 1 ? overlapping[0] : -1;
+  }
+
+  isNumberedList(lines) {
+    const rows = lines.filter(line => !line.continuation);
+    return rows.every(line => line.cells.length === 2 && this.listMarkerPattern.test(line.cells[0].text));
+  }
+
+  findCaption(lines, start) {
+    const previous = lines[start - 1];
+    if (!previous || previous.tableIndex !== undefined) return null;
+    return previous.text.length <= 120 ? previous.text : null;
+  }
+
+  /**
+   * Turn table lines into rows of cell text, merging wrapped lines into their row
+   * @param {Array} lines - Lines of one table
+   * @returns {Array<Array<string>>} Rows of cells
+   */
+  buildRows(lines) {
+    const columnCount = lines[0].cells.length;
+    const rows = [];
+
+    lines.forEach((line, index) => {
+      const columns = index === 0 ? line.cells.map((cell, i) => i) : line.columns;
+
+      if (line.continuation && rows.length > 0) {
+        const row = rows[rows.length - 1];
+        line.cells.forEach((cell, i) => {
+          row[columns[i]] = `${row[columns[i]]} ${cell.text}`.trim();
+        });
+        return;
+      }
+
+      const row = new Array(columnCount).fill('');
+      line.cells.forEach((cell, i) => {
+        row[columns[i]] = `${row[columns[i]]} ${cell.text}`.trim();
+      });
+      rows.push(row);
+    });
+
+    return rows;
+  }
+
+  /**
+   * Serialize rows as a markdown table
+   * @param {Array<Array<string>>} rows - Header row followed by data rows
+   * @returns {string} Markdown table
+   */
+  toMarkdown(rows) {
+    const escape = value => String(value).replace(/\|/g, '\\|');
+    const formatRow = row => `| ${row.map(escape).join(' | ')} |`;
+    const [header, ...body] = rows;
+
+    return [
+      formatRow(header),
+      formatRow(header.map(() => '---')),
+      ...body.map(formatRow)
+    ].join('\n');
+  }
+
+  /**
+   * Split a table into chunk-sized markdown parts, each with the caption and header row
+   * @param {Object} table - { caption, rows }
+   * @returns {Array<string>} Markdown parts
+   */
+  toMarkdownParts(table) {
+    const [header, ...body] = table.rows;
+    const prefix = table.caption ? `${table.caption}\n` : '';
+    const parts = [];
+    let current = [];
+
+    for (const row of body) {
+      const candidate = [...current, row];
+      const tooLong = `${prefix}${this.toMarkdown([header, ...candidate])}`.length > this.maxCharsPerChunk;
+
+      if (current.length > 0 && (current.length >= this.maxRowsPerChunk || tooLong)) {
+        parts.push(`${prefix}${this.toMarkdown([header, ...current])}`);
+        current = [row];
+      } else {
+        current = candidate;
+      }
+    }
+
+    parts.push(`${prefix}${this.toMarkdown([header, ...current])}`);
+    return parts;
+  }
+}
+
+module.exports = new TableExtractionService();
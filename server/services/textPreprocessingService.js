@@ -1,9 +1,17 @@
 const natural = require('natural');
+const tableExtractionService = require('./tableExtractionService');
+const structuredChunkingService = require('./structuredChunkingService');
+const {
+  MARATHI_STOPWORDS,
+  INVISIBLE_CHARACTERS,
+  normalizeDevanagari,
+  stemMarathi,
+  countLetters
+} = require('../utils/marathiText');
 
 class TextPreprocessingService {
   constructor() {
-    // Initialize tokenizers
-    this.wordTokenizer = new natural.WordTokenizer();
+    // Initialize tokenizers (words are split by tokenize(), which keeps Devanagari)
     this.sentenceTokenizer = new natural.SentenceTokenizer();
     
     // Default chunking parameters
@@ -11,31 +19,36 @@ class TextPreprocessingService {
     this.defaultOverlap = 50;    // words overlap between chunks
     this.minChunkSize = 50;      // minimum words per chunk
     this.maxChunkSize = 1000;    // maximum words per chunk
+    this.maxChunkChars = 4000;   // structured chunks stay below the 5000 character limit of a stored chunk
     
-    // Language detection patterns
-    this.marathiPatterns = [
-      /[\u0900-\u097F]/g,  // Devanagari script
-      /[अ-ह]/g,            // Hindi/Marathi characters
-    ];
+    // 'fixed' cuts sections into word windows, 'structured' keeps clauses and headings intact
+    this.chunkingStrategies = ['fixed', 'structured'];
+    this.defaultChunkingStrategy = 'fixed';
     
-    this.englishPatterns = [
-      /[a-zA-Z]/g,         // English letters
-    ];
+    // Language detection: letters of each script (Devanagari digits and dandas are not counted)
+    this.devanagariLetters = /[\u0900-\u0963\u0971-\u097F]/g;
+    this.latinLetters = /[a-zA-Z]/g;
+    // A chunk is 'mixed' when the less used script makes up at least this share of its letters
+    this.mixedScriptShare = 0.2;
   }
 
   /**
    * Preprocess and chunk text content
    * @param {string} text - Raw text content
-   * @param {Object} options - Preprocessing options
+   * @param {Object} options - Preprocessing options; pass pages ([{ pageNumber, text }] making up
+   *   the text) to give chunks their start and end page, tables ([{ pageNumber, caption, rows }])
+   *   to add table chunks, and chunkingStrategy ('fixed' or 'structured')
    * @returns {Promise<Array>} Array of processed chunks
    */
   async preprocessAndChunk(text, options = {}) {
     try {
-      console.log(`📝 Starting text preprocessing. Input length: ${text.length}`);
+      const tables = options.tables || [];
+      console.log(`📝 Starting text preprocessing. Input length: ${text ? text.length : 0}, tables: ${tables.length}`);
       
-      if (!text || typeof text !== 'string' || text.trim().length === 0) {
+      if ((!text || typeof text !== 'string' || text.trim().length === 0) && tables.length === 0) {
         return [];
       }
+      text = text || '';
 
       // Step 1: Clean and normalize text
       const cleanedText = this.cleanText(text);
@@ -43,21 +56,23 @@ class TextPreprocessingService {
       // Step 2: Detect language
       const language = this.detectLanguage(cleanedText);
       
-      // Step 3: Extract sections and structure
-      const sections = this.extractSections(cleanedText);
-      
-      // Step 4: Create chunks
-      const chunks = this.createChunks(sections, {
-        chunkSize: options.chunkSize || this.defaultChunkSize,
-        overlap: options.overlap || this.defaultOverlap,
-        minChunkSize: options.minChunkSize || this.minChunkSize,
-        maxChunkSize: options.maxChunkSize || this.maxChunkSize,
-        language: language
+      // Step 3-4: Extract the structure and create chunks with the scheme's strategy
+      const chunkingStrategy = this.getChunkingStrategy(options.chunkingStrategy);
+      const chunks = this.chunkText(text, chunkingStrategy, {
+        ...options,
+        language: language,
+        pageBoundaries: options.pages ? this.getPageBoundaries(options.pages) : null
       });
       
-      // Step 5: Enhance chunks with metadata
-      const enhancedChunks = await this.enhanceChunks(chunks, {
+      // Step 4b: Tables become their own chunks with rows and columns kept
+      chunks.push(...this.createTableChunks(tables, {
         language: language,
+        baseIndex: chunks.length
+      }));
+      chunks.forEach(chunk => { chunk.metadata.chunkingStrategy = chunkingStrategy; });
+      
+      // Step 5: Enhance chunks with metadata (language is detected per chunk)
+      const enhancedChunks = await this.enhanceChunks(chunks, {
         extractKeywords: options.extractKeywords !== false,
         calculateQualityScore: options.calculateQualityScore !== false
       });
@@ -72,6 +87,52 @@ class TextPreprocessingService {
     }
   }
 
+  /**
+   * Chunking strategy to use, falling back to the default for unknown values
+   * @param {string} strategy - Requested strategy
+   * @returns {string} 'fixed' or 'structured'
+   */
+  getChunkingStrategy(strategy) {
+    return this.chunkingStrategies.includes(strategy) ? strategy : this.defaultChunkingStrategy;
+  }
+
+  /**
+   * Split text into chunks (without table chunks or keyword metadata)
+   * @param {string} text - Raw text
+   * @param {string} strategy - 'fixed' or 'structured'
+   * @param {Object} options - Chunk sizes, language and pageBoundaries
+   * @returns {Array} Array of chunks
+   */
+  chunkText(text, strategy, options = {}) {
+    const chunkOptions = {
+      chunkSize: options.chunkSize || this.defaultChunkSize,
+      overlap: options.overlap || this.defaultOverlap,
+      minChunkSize: options.minChunkSize || this.minChunkSize,
+      maxChunkSize: options.maxChunkSize || this.maxChunkSize,
+      maxChunkChars: options.maxChunkChars || this.maxChunkChars,
+      language: options.language || 'en',
+      pageBoundaries: options.pageBoundaries || null
+    };
+    
+    if (strategy === 'structured') {
+      return this.createStructuredChunks(text, chunkOptions);
+    }
+    
+    return this.createChunks(this.extractSections(this.cleanText(text)), chunkOptions);
+  }
+
+  /**
+   * Clean text line by line, keeping the line breaks that structured chunking needs
+   * @param {string} text - Raw text
+   * @returns {Array<string>} Cleaned lines (empty strings for blank lines)
+   */
+  cleanLines(text) {
+    return (text || '')
+      .replace(/\r\n?/g, '\n')
+      .split('\n')
+      .map(line => this.cleanText(line));
+  }
+
   /**
    * Clean and normalize text
    * @param {string} text - Raw text
@@ -80,7 +141,8 @@ class TextPreprocessingService {
   cleanText(text) {
     if (!text || typeof text !== 'string') return '';
     
-    let cleaned = text;
+    // Composed Unicode form, without the joiners PDF fonts leave inside Devanagari words
+    let cleaned = text.normalize('NFC').replace(INVISIBLE_CHARACTERS, '');
     
     // Remove excessive whitespace
     cleaned = cleaned
@@ -115,27 +177,32 @@ class TextPreprocessingService {
   detectLanguage(text) {
     if (!text || typeof text !== 'string') return 'en';
     
-    const marathiMatches = this.marathiPatterns.reduce((count, pattern) => {
-      const matches = text.match(pattern);
-      return count + (matches ? matches.length : 0);
-    }, 0);
-    
-    const englishMatches = this.englishPatterns.reduce((count, pattern) => {
-      const matches = text.match(pattern);
-      return count + (matches ? matches.length : 0);
-    }, 0);
-    
-    const totalChars = text.length;
-    const marathiRatio = marathiMatches / totalChars;
-    const englishRatio = englishMatches / totalChars;
-    
-    if (marathiRatio > 0.3 && englishRatio > 0.3) {
-      return 'mixed';
-    } else if (marathiRatio > 0.1) {
-      return 'en'; // Force English for processing since we translate everything to English
-    } else {
-      return 'en';
-    }
+    const marathiLetters = (text.match(this.devanagariLetters) || []).length;
+    const englishLetters = (text.match(this.latinLetters) || []).length;
+    const totalLetters = marathiLetters + englishLetters;
+    
+    if (totalLetters === 0) return 'en';
+    
+    const marathiShare = marathiLetters / totalLetters;
+    if (marathiShare >= 1 - this.mixedScriptShare) return 'mr';
+    if (marathiShare > this.mixedScriptShare) return 'mixed';
+    return 'en';
+  }
+
+  /**
+   * Split text into words
+   * Unlike natural's WordTokenizer, Devanagari letters and vowel signs are kept.
+   * @param {string} text - Text to split
+   * @returns {Array<string>} Words
+   */
+  tokenize(text) {
+    if (!text || typeof text !== 'string') return [];
+    
+    return text
+      .normalize('NFC')
+      .replace(INVISIBLE_CHARACTERS, '')
+      .split(/[^\p{L}\p{M}\p{N}_]+/u)
+      .filter(Boolean);
   }
 
   /**
@@ -245,12 +312,17 @@ class TextPreprocessingService {
       overlap = this.defaultOverlap,
       minChunkSize = this.minChunkSize,
       maxChunkSize = this.maxChunkSize,
-      language = 'en'
+      language = 'en',
+      pageBoundaries = null
     } = options;
     
+    // Position of the current section's first word in the whole text
+    let wordOffset = 0;
+    
     for (let i = 0; i < sections.length; i++) {
       const section = sections[i];
-      const words = this.wordTokenizer.tokenize(section.content);
+      const words = this.tokenize(section.content);
+      wordOffset += this.tokenize(section.title).length;
       
       if (words.length <= maxChunkSize) {
         // Section fits in one chunk
@@ -263,7 +335,8 @@ class TextPreprocessingService {
             charCount: section.content.length,
             language: language,
             contentType: section.type,
-            level: section.level
+            level: section.level,
+            ...this.getPageRange(wordOffset, wordOffset + words.length, pageBoundaries)
           }
         });
       } else {
@@ -280,17 +353,164 @@ class TextPreprocessingService {
             sectionType: section.type,
             sectionLevel: section.level,
             language,
-            baseIndex: chunks.length
+            baseIndex: chunks.length,
+            wordOffset,
+            pageBoundaries
           }
         );
         
         chunks.push(...sectionChunks);
       }
+      
+      wordOffset += words.length;
+    }
+    
+    return chunks;
+  }
+
+  /**
+   * Create chunks along numbered clauses, lists and headings
+   * Clauses are never split across chunks (unless one alone exceeds maxChunkSize),
+   * and each chunk records the headings above it.
+   * @param {string} text - Raw text with its line breaks
+   * @param {Object} options - Chunking options
+   * @returns {Array} Array of chunks
+   */
+  createStructuredChunks(text, options = {}) {
+    const { language = 'en', pageBoundaries = null } = options;
+    const lines = this.cleanLines(text);
+    
+    // Word position of each line, counted like getPageBoundaries so page ranges line up
+    const lineOffsets = [];
+    let wordOffset = 0;
+    for (const line of lines) {
+      lineOffsets.push(wordOffset);
+      wordOffset += line ? this.tokenize(line).length : 0;
+    }
+    lineOffsets.push(wordOffset);
+    
+    return structuredChunkingService.chunkLines(lines, options).map((chunk, i) => ({
+      content: chunk.content,
+      metadata: {
+        section: chunk.headingPath.length > 0 ? chunk.headingPath[chunk.headingPath.length - 1] : '',
+        headingPath: chunk.headingPath,
+        chunkIndex: i,
+        wordCount: Math.max(1, structuredChunkingService.countWords(chunk.content)),
+        charCount: chunk.content.length,
+        language: language,
+        contentType: chunk.contentType,
+        level: chunk.headingPath.length,
+        ...this.getPageRange(lineOffsets[chunk.startLine], lineOffsets[chunk.endLine + 1], pageBoundaries)
+      }
+    }));
+  }
+
+  /**
+   * Chunk a text with every strategy and compare the results
+   * A clause counts as split when no chunk contains its whole text.
+   * @param {string} text - Raw text with its line breaks
+   * @param {Object} options - Chunking options
+   * @returns {Object} { clauses, strategies: { [strategy]: stats } }
+   */
+  compareChunkingStrategies(text, options = {}) {
+    const normalize = value => value.toLowerCase().replace(/[^\p{L}\p{M}\p{N}]+/gu, ' ').trim();
+    const clauses = structuredChunkingService.listClauses(this.cleanLines(text))
+      .map(normalize)
+      .filter(clause => clause.length > 0);
+    
+    const strategies = {};
+    for (const strategy of this.chunkingStrategies) {
+      const chunks = this.chunkText(text, strategy, options);
+      const contents = chunks.map(chunk => normalize(chunk.content));
+      const wordCounts = chunks.map(chunk => chunk.metadata.wordCount);
+      const stats = this.getPreprocessingStats(chunks);
+      
+      strategies[strategy] = {
+        chunks: stats.totalChunks,
+        avgWords: stats.avgChunkSize,
+        minWords: wordCounts.length > 0 ? Math.min(...wordCounts) : 0,
+        maxWords: wordCounts.length > 0 ? Math.max(...wordCounts) : 0,
+        chunksWithHeadings: chunks.filter(chunk => (chunk.metadata.headingPath || [chunk.metadata.section]).some(Boolean)).length,
+        splitClauses: clauses.filter(clause => !contents.some(content => content.includes(clause))).length,
+        contentTypes: stats.contentTypeDistribution,
+        samples: chunks.slice(0, 5).map(chunk => ({
+          headingPath: chunk.metadata.headingPath || (chunk.metadata.section ? [chunk.metadata.section] : []),
+          wordCount: chunk.metadata.wordCount,
+          preview: chunk.content.substring(0, 200)
+        }))
+      };
+    }
+    
+    return { clauses: clauses.length, strategies };
+  }
+
+  /**
+   * Create chunks from extracted tables, serialized as markdown
+   * Long tables are split into several chunks that each repeat the header row.
+   * @param {Array} tables - [{ pageNumber, caption, rows }]
+   * @param {Object} options - { language, baseIndex }
+   * @returns {Array} Array of table chunks
+   */
+  createTableChunks(tables, options = {}) {
+    const { language = 'en', baseIndex = 0 } = options;
+    const chunks = [];
+    
+    for (const table of tables) {
+      for (const content of tableExtractionService.toMarkdownParts(table)) {
+        chunks.push({
+          content,
+          metadata: {
+            section: table.caption || `Table on page ${table.pageNumber}`,
+            chunkIndex: baseIndex + chunks.length,
+            wordCount: Math.max(1, this.tokenize(content).length),
+            charCount: content.length,
+            language: language,
+            contentType: 'table',
+            level: 0,
+            pageNumber: table.pageNumber,
+            endPage: table.pageNumber
+          }
+        });
+      }
     }
     
     return chunks;
   }
 
+  /**
+   * Find the word position where each page ends
+   * @param {Array} pages - [{ pageNumber, text }] in document order
+   * @returns {Array} [{ pageNumber, endWord }]
+   */
+  getPageBoundaries(pages) {
+    let totalWords = 0;
+    
+    return pages.map(page => {
+      totalWords += this.tokenize(this.cleanText(page.text)).length;
+      return { pageNumber: page.pageNumber, endWord: totalWords };
+    });
+  }
+
+  /**
+   * Pages covered by a range of words
+   * @param {number} startWord - Position of the first word
+   * @param {number} endWord - Position after the last word
+   * @param {Array|null} pageBoundaries - Result of getPageBoundaries
+   * @returns {Object} { pageNumber, endPage }, or {} when pages are unknown
+   */
+  getPageRange(startWord, endWord, pageBoundaries) {
+    if (!pageBoundaries || pageBoundaries.length === 0) return {};
+    
+    const pageAt = word => (
+      pageBoundaries.find(boundary => word < boundary.endWord) || pageBoundaries[pageBoundaries.length - 1]
+    ).pageNumber;
+    
+    return {
+      pageNumber: pageAt(startWord),
+      endPage: pageAt(Math.max(startWord, endWord - 1))
+    };
+  }
+
   /**
    * Split large text into overlapping chunks
    * @param {string} text - Text to split
@@ -308,7 +528,9 @@ class TextPreprocessingService {
       sectionType = 'paragraph',
       sectionLevel = 0,
       language = 'en',
-      baseIndex = 0
+      baseIndex = 0,
+      wordOffset = 0,
+      pageBoundaries = null
     } = options;
     
     const chunks = [];
@@ -326,7 +548,7 @@ class TextPreprocessingService {
       const lastSentenceEnd = chunkText.lastIndexOf('.');
       if (lastSentenceEnd > chunkText.length * 0.7) {
         const adjustedText = chunkText.substring(0, lastSentenceEnd + 1);
-        const adjustedWords = this.wordTokenizer.tokenize(adjustedText);
+        const adjustedWords = this.tokenize(adjustedText);
         if (adjustedWords.length >= minChunkSize) {
           endIndex = startIndex + adjustedWords.length;
         }
@@ -346,7 +568,8 @@ class TextPreprocessingService {
             charCount: finalChunkText.length,
             language: language,
             contentType: sectionType,
-            level: sectionLevel
+            level: sectionLevel,
+            ...this.getPageRange(wordOffset + startIndex, wordOffset + endIndex, pageBoundaries)
           }
         });
       }
@@ -369,7 +592,6 @@ class TextPreprocessingService {
    */
   async enhanceChunks(chunks, options = {}) {
     const {
-      language = 'en',
       extractKeywords = true,
       calculateQualityScore = true
     } = options;
@@ -380,9 +602,12 @@ class TextPreprocessingService {
       const chunk = chunks[i];
       const enhanced = { ...chunk };
       
+      // A document mixes English and Marathi pages, so each chunk gets its own language
+      enhanced.metadata.language = this.detectLanguage(chunk.content);
+      
       // Extract keywords
       if (extractKeywords) {
-        enhanced.metadata.keywords = this.extractKeywords(chunk.content, language);
+        enhanced.metadata.keywords = this.extractKeywords(chunk.content, enhanced.metadata.language);
       }
       
       // Calculate quality score
@@ -398,23 +623,28 @@ class TextPreprocessingService {
 
   /**
    * Extract keywords from text
+   * Marathi words are normalized and stemmed, so inflections of a word count together.
    * @param {string} text - Text to extract keywords from
-   * @param {string} language - Language of the text
+   * @param {string} language - Language of the text ('en', 'mr' or 'mixed')
    * @returns {Array} Array of keywords
    */
   extractKeywords(text, language = 'en') {
     if (!text || typeof text !== 'string') return [];
     
     // Simple keyword extraction based on word frequency
-    const words = this.wordTokenizer.tokenize(text.toLowerCase());
-    const stopWords = this.getStopWords(language);
-    
-    // Filter out stop words and short words
-    const filteredWords = words.filter(word => 
-      word.length > 3 && 
-      !stopWords.includes(word) &&
-      !word.match(/^\d+$/) // Remove pure numbers
-    );
+    const words = this.tokenize(text.toLowerCase());
+    const stopWords = new Set(this.getStopWords(language).map(word => normalizeDevanagari(word)));
+    
+    // Filter out stop words and short words (Devanagari words are counted in letters, without vowel signs)
+    const filteredWords = words
+      .map(word => normalizeDevanagari(word))
+      .filter(word => !stopWords.has(word))
+      .map(word => stemMarathi(word))
+      .filter(word => 
+        (/[\u0900-\u097F]/.test(word) ? countLetters(word) >= 2 : word.length > 3) &&
+        !stopWords.has(word) &&
+        !word.match(/^\d+$/) // Remove pure numbers
+      );
     
     // Count word frequency
     const wordCount = {};
@@ -433,14 +663,15 @@ class TextPreprocessingService {
 
   /**
    * Get stop words for a language
-   * @param {string} language - Language code
+   * @param {string} language - Language code ('mixed' gives both lists)
    * @returns {Array} Array of stop words
    */
   getStopWords(language) {
     const stopWords = {
       en: ['the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'of', 'with', 'by', 'is', 'are', 'was', 'were', 'be', 'been', 'have', 'has', 'had', 'do', 'does', 'did', 'will', 'would', 'could', 'should', 'may', 'might', 'must', 'can', 'this', 'that', 'these', 'those', 'i', 'you', 'he', 'she', 'it', 'we', 'they', 'me', 'him', 'her', 'us', 'them'],
-      mr: ['आणि', 'किंवा', 'पण', 'मध्ये', 'वर', 'खाली', 'साठी', 'च्या', 'ने', 'ला', 'होते', 'होतो', 'होती', 'आहे', 'आहेत', 'होईल', 'होतील', 'होतो', 'होतात', 'मी', 'तू', 'तो', 'ती', 'आम्ही', 'तुम्ही', 'ते', 'त्या', 'मला', 'तुला', 'त्याला', 'तिला', 'आम्हाला', 'तुम्हाला', 'त्यांना', 'हा', 'ही', 'हे', 'तो', 'ती', 'ते', 'या', 'त्या']
+      mr: MARATHI_STOPWORDS
     };
+    stopWords.mixed = [...stopWords.en, ...stopWords.mr];
     
     return stopWords[language] || stopWords.en;
   }
@@ -465,7 +696,7 @@ class TextPreprocessingService {
     }
     
     // Content type score
-    if (metadata.contentType === 'heading') {
+    if (metadata.contentType === 'heading' || metadata.contentType === 'table') {
       score += 0.1;
     }
     
@@ -1,4 +1,5 @@
 const axios = require('axios');
+const mockTranslator = require('./providers/mockTranslator');
 
 class TranslationService {
   constructor() {
@@ -7,8 +8,12 @@ class TranslationService {
     this.region = process.env.AZURE_TRANSLATOR_REGION || 'eastus';
     this.maxTextLength = 50000; // Azure Translator limit
     
+    // Offline dictionary translator instead of Azure (TRANSLATION_PROVIDER=mock or AI_MOCK_MODE=true)
+    this.useMock = process.env.TRANSLATION_PROVIDER === 'mock' || process.env.AI_MOCK_MODE === 'true';
+    
     // Debug logging
     console.log('🔧 Translation Service initialized:');
+    console.log(`   - Provider: ${this.useMock ? 'mock' : 'azure'}`);
     console.log(`   - API Key present: ${!!this.apiKey}`);
     console.log(`   - Region: ${this.region}`);
     console.log(`   - Endpoint: ${this.azureEndpoint}`);
@@ -23,6 +28,10 @@ class TranslationService {
    */
   async translateText(text, fromLang, toLang) {
     try {
+      if (this.useMock) {
+        return mockTranslator.translate(text, fromLang, toLang);
+      }
+
       if (!this.apiKey) {
         console.warn('⚠️ Azure Translator API key not found, returning original text');
         return text;
@@ -89,6 +98,10 @@ class TranslationService {
    */
   async translateBatch(texts, fromLang, toLang) {
     try {
+      if (this.useMock && Array.isArray(texts)) {
+        return texts.map(text => mockTranslator.translate(text, fromLang, toLang));
+      }
+
       if (!this.apiKey) {
         console.warn('⚠️ Azure Translator API key not found, returning original texts');
         return texts;
@@ -153,6 +166,10 @@ class TranslationService {
    */
   async detectLanguage(text) {
     try {
+      if (this.useMock) {
+        return this.fallbackLanguageDetection(text);
+      }
+
       if (!this.apiKey) {
         console.warn('⚠️ Azure Translator API key not found, using fallback detection');
         return this.fallbackLanguageDetection(text);
@@ -236,7 +253,7 @@ class TranslationService {
       }
 
       // If no API key, use fallback detection and return original content
-      if (!this.apiKey) {
+      if (!this.isAvailable()) {
         console.log('⚠️ No Azure API key found, using fallback language detection');
         const detectedLang = this.fallbackLanguageDetection(content);
         console.log(`📄 PDF content detected as ${detectedLang}, no translation performed`);
@@ -272,7 +289,7 @@ class TranslationService {
       }
 
       // If no API key, use fallback detection
-      if (!this.apiKey) {
+      if (!this.isAvailable()) {
         console.log('⚠️ No Azure API key found, using fallback language detection');
         const detectedLang = this.fallbackLanguageDetection(query);
         if (detectedLang === 'en') {
@@ -350,7 +367,7 @@ class TranslationService {
    * @returns {boolean} True if service is available
    */
   isAvailable() {
-    return !!this.apiKey;
+    return this.useMock || !!this.apiKey;
   }
 
   /**
@@ -360,6 +377,7 @@ class TranslationService {
   getStats() {
     return {
       available: this.isAvailable(),
+      provider: this.useMock ? 'mock' : 'azure',
       endpoint: this.azureEndpoint,
       region: this.region,
       maxTextLength: this.maxTextLength,
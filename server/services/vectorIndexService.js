@@ -0,0 +1,551 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const DocumentChunk = require('../models/DocumentChunk');
+const HNSWIndex = require('../utils/hnswIndex');
+
+// 64-bit digest of one indexed chunk version; XOR-ing them gives an order-independent digest of a chunk set
+const chunkDigest = (id, processedAt) => crypto.createHash('sha1')
+  .update(`${id}:${processedAt ?? ''}`)
+  .digest()
+  .readBigUInt64BE(0);
+
+// Chunks the index holds, as stored in MongoDB
+const INDEXED_CHUNK_FILTER = { processingStatus: 'completed', 'embedding.0': { $exists: true } };
+
+/**
+ * In-process approximate-nearest-neighbour index over DocumentChunk embeddings.
+ *
+ * One HNSW graph is kept per embedding model (or per dimension for chunks with
+ * no recorded model) so chunks embedded by different models never get compared
+ * with each other. The index is
+ * rebuilt from MongoDB when the persisted snapshot is missing or stale, and
+ * kept up to date incrementally as chunks are inserted or deleted. A snapshot
+ * records a digest of the ids and processedAt of the chunks it holds, so it is
+ * reused only when MongoDB has exactly those chunk versions.
+ */
+class VectorIndexService {
+  constructor() {
+    this.enabled = process.env.VECTOR_INDEX_ENABLED !== 'false';
+    this.indexPath = process.env.VECTOR_INDEX_PATH || path.join(__dirname, '../data/vector-index.json');
+    this.M = parseInt(process.env.VECTOR_INDEX_M) || 16;
+    this.efConstruction = parseInt(process.env.VECTOR_INDEX_EF_CONSTRUCTION) || 200;
+    this.efSearch = parseInt(process.env.VECTOR_INDEX_EF_SEARCH) || 64;
+    // Filters narrower than this many chunks are scored exactly instead of walking the graph
+    this.exactSearchThreshold = parseInt(process.env.VECTOR_INDEX_EXACT_THRESHOLD) || 2000;
+    this.compactionRatio = 0.3;
+    this.persistDelay = 5000;
+    this.snapshotVersion = 3;
+
+    this.namespaces = new Map(); // namespace -> { index, embeddingModel, schemeMembers: Map<schemeId, Set<chunkId>> }
+    this.ready = false;
+    this.building = false;
+    this.pendingOperations = [];
+    this.persistTimer = null;
+    this.lastBuiltAt = null;
+  }
+
+  /**
+   * Whether searches can be served from the index
+   * @returns {boolean} Ready state
+   */
+  isReady() {
+    return this.enabled && this.ready;
+  }
+
+  /**
+   * Load the persisted index or rebuild it from MongoDB
+   * @returns {Promise<Object>} Initialization result
+   */
+  async initialize() {
+    if (!this.enabled) {
+      console.log('⚠️ Vector index disabled, semantic search will use brute-force similarity');
+      return { success: true, enabled: false };
+    }
+
+    try {
+      const loaded = await this.loadSnapshot();
+
+      if (loaded && await this.isSnapshotCurrent(loaded)) {
+        this.restoreSnapshot(loaded);
+        this.ready = true;
+        console.log(`✅ Vector index loaded from ${this.indexPath} (${this.getTotalSize()} vectors)`);
+        return { success: true, source: 'snapshot', vectors: this.getTotalSize() };
+      }
+
+      return await this.rebuild();
+    } catch (error) {
+      console.error('❌ Vector index initialization failed:', error.message);
+      this.ready = false;
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Rebuild every namespace from the completed chunks in MongoDB
+   * @returns {Promise<Object>} Rebuild result
+   */
+  async rebuild() {
+    if (!this.enabled) {
+      return { success: false, error: 'Vector index is disabled' };
+    }
+
+    if (this.building) {
+      return { success: false, error: 'Vector index rebuild already in progress' };
+    }
+
+    const startTime = Date.now();
+    this.building = true;
+
+    try {
+      console.log('🔧 Building vector index from document chunks...');
+
+      const namespaces = new Map();
+      const cursor = DocumentChunk.find({ processingStatus: 'completed' })
+        .select('_id schemeId embedding embeddingModel processedAt metadata.language metadata.contentType metadata.qualityScore')
+        .lean()
+        .cursor();
+
+      for await (const chunk of cursor) {
+        this.insertIntoNamespaces(namespaces, chunk);
+      }
+
+      this.namespaces = namespaces;
+      this.lastBuiltAt = new Date();
+      this.ready = true;
+
+      // Apply inserts and deletes that arrived while the build was running
+      const pending = this.pendingOperations.splice(0);
+      pending.forEach(operation => operation());
+
+      this.schedulePersist();
+
+      const buildTime = Date.now() - startTime;
+      console.log(`✅ Vector index built with ${this.getTotalSize()} vectors in ${buildTime}ms`);
+
+      return {
+        success: true,
+        source: 'database',
+        vectors: this.getTotalSize(),
+        buildTime
+      };
+    } catch (error) {
+      console.error('❌ Vector index rebuild failed:', error.message);
+      return { success: false, error: error.message };
+    } finally {
+      this.building = false;
+    }
+  }
+
+  /**
+   * Add or replace chunks in the index
+   * @param {Array} chunks - DocumentChunk documents (must include _id and embedding, and processedAt for the snapshot digest)
+   */
+  addChunks(chunks) {
+    if (!this.enabled || !chunks || chunks.length === 0) return;
+
+    if (this.building) {
+      this.pendingOperations.push(() => this.addChunks(chunks));
+      return;
+    }
+
+    if (!this.ready) return;
+
+    let added = 0;
+    for (const chunk of chunks) {
+      if (chunk.processingStatus && chunk.processingStatus !== 'completed') continue;
+      if (this.insertIntoNamespaces(this.namespaces, chunk)) added++;
+    }
+
+    if (added > 0) {
+      console.log(`📊 Added ${added} chunks to vector index`);
+      this.schedulePersist();
+    }
+  }
+
+  /**
+   * Remove chunks by their MongoDB ids
+   * @param {Array<string>} chunkIds - DocumentChunk _id values
+   */
+  removeChunks(chunkIds) {
+    if (!this.enabled || !chunkIds || chunkIds.length === 0) return;
+
+    if (this.building) {
+      this.pendingOperations.push(() => this.removeChunks(chunkIds));
+      return;
+    }
+
+    const ids = new Set(chunkIds.map(id => String(id)));
+    this.removeWhere((metadata, id) => ids.has(id));
+  }
+
+  /**
+   * Remove every chunk that belongs to a scheme
+   * @param {string} schemeId - Scheme ID
+   */
+  removeScheme(schemeId) {
+    if (!this.enabled || !schemeId) return;
+
+    if (this.building) {
+      this.pendingOperations.push(() => this.removeScheme(schemeId));
+      return;
+    }
+
+    const key = String(schemeId);
+    this.removeWhere(metadata => metadata.schemeId === key);
+  }
+
+  /**
+   * Remove every chunk whose scheme is not in the given list
+   * @param {Array<string>} schemeIds - Scheme IDs to keep
+   */
+  retainSchemes(schemeIds) {
+    if (!this.enabled) return;
+
+    if (this.building) {
+      this.pendingOperations.push(() => this.retainSchemes(schemeIds));
+      return;
+    }
+
+    const keep = new Set(schemeIds.map(id => String(id)));
+    this.removeWhere(metadata => !keep.has(metadata.schemeId));
+  }
+
+  /**
+   * Search the index for nearest chunks
+   * @param {Array<number>} queryEmbedding - Query vector
+   * @param {Object} options - Search options
+   * @param {number} options.k - Number of results
+   * @param {Object} options.filter - { schemeId, schemeIds, language, contentType, minQualityScore }
+   * @param {string} options.namespace - Namespace to search (defaults to the one matching the query dimension)
+   * @returns {Array<{id: string, score: number, metadata: Object}>|null} Hits, or null when the index cannot serve the query
+   */
+  search(queryEmbedding, options = {}) {
+    if (!this.isReady() || !Array.isArray(queryEmbedding)) return null;
+
+    const key = options.namespace || this.getNamespaceKey(null, queryEmbedding.length);
+    const namespace = this.namespaces.get(key);
+    if (!namespace) {
+      console.warn(`⚠️ No vector index namespace ${key}`);
+      return null;
+    }
+
+    if (namespace.index.dimensions !== queryEmbedding.length) {
+      console.warn(`⚠️ Query has ${queryEmbedding.length} dimensions but namespace ${key} has ${namespace.index.dimensions}`);
+      return null;
+    }
+
+    const { k = 5, filter = {} } = options;
+    const predicate = this.buildPredicate(filter);
+    const schemeIds = this.getFilterSchemeIds(filter);
+
+    if (schemeIds) {
+      const candidateIds = [];
+      for (const schemeId of schemeIds) {
+        const members = namespace.schemeMembers.get(schemeId);
+        if (members) candidateIds.push(...members);
+      }
+
+      if (candidateIds.length <= this.exactSearchThreshold) {
+        return namespace.index
+          .scoreIds(queryEmbedding, candidateIds)
+          .filter(hit => predicate(hit.metadata))
+          .slice(0, k);
+      }
+    }
+
+    return namespace.index.search(queryEmbedding, k, {
+      filter: predicate,
+      ef: this.efSearch
+    });
+  }
+
+  /**
+   * Get index statistics
+   * @returns {Object} Index statistics
+   */
+  getStats() {
+    const namespaces = [];
+
+    for (const [key, namespace] of this.namespaces) {
+      namespaces.push({
+        namespace: key,
+        embeddingModel: namespace.embeddingModel,
+        dimensions: namespace.index.dimensions,
+        vectors: namespace.index.size,
+        schemes: namespace.schemeMembers.size,
+        deletedRatio: Number(namespace.index.deletedRatio.toFixed(3))
+      });
+    }
+
+    return {
+      enabled: this.enabled,
+      ready: this.ready,
+      building: this.building,
+      totalVectors: this.getTotalSize(),
+      lastBuiltAt: this.lastBuiltAt,
+      indexPath: this.indexPath,
+      namespaces
+    };
+  }
+
+  /**
+   * List the namespaces so searches can embed the query once per model
+   * @returns {Array<{key: string, embeddingModel: string|null, dimensions: number, vectors: number}>} Namespaces
+   */
+  getNamespaces() {
+    return Array.from(this.namespaces.entries()).map(([key, namespace]) => ({
+      key,
+      embeddingModel: namespace.embeddingModel,
+      dimensions: namespace.index.dimensions,
+      vectors: namespace.index.size
+    }));
+  }
+
+  getNamespaceKey(embeddingModel, dimensions) {
+    return embeddingModel ? `model:${embeddingModel}` : `dim_${dimensions}`;
+  }
+
+  getNamespaceModel(key) {
+    return key.startsWith('model:') ? key.substring('model:'.length) : null;
+  }
+
+  getTotalSize() {
+    let total = 0;
+    for (const namespace of this.namespaces.values()) {
+      total += namespace.index.size;
+    }
+    return total;
+  }
+
+  getFilterSchemeIds(filter) {
+    if (filter.schemeIds && filter.schemeIds.length > 0) {
+      return filter.schemeIds.map(id => String(id));
+    }
+    if (filter.schemeId) {
+      return [String(filter.schemeId)];
+    }
+    return null;
+  }
+
+  buildPredicate(filter) {
+    const schemeIds = this.getFilterSchemeIds(filter);
+    const schemeSet = schemeIds ? new Set(schemeIds) : null;
+    const minQualityScore = filter.minQualityScore ?? 0;
+
+    return metadata => {
+      if (schemeSet && !schemeSet.has(metadata.schemeId)) return false;
+      if (filter.language && metadata.language !== filter.language && metadata.language !== 'mixed') return false;
+      if (filter.contentType && metadata.contentType !== filter.contentType) return false;
+      if ((metadata.qualityScore ?? 0) < minQualityScore) return false;
+      return true;
+    };
+  }
+
+  /**
+   * Insert a chunk into the namespace that matches its embedding model
+   * @returns {boolean} True if the chunk was indexed
+   */
+  insertIntoNamespaces(namespaces, chunk) {
+    if (!chunk || !chunk._id || !Array.isArray(chunk.embedding) || chunk.embedding.length === 0) {
+      return false;
+    }
+
+    const key = this.getNamespaceKey(chunk.embeddingModel, chunk.embedding.length);
+    let namespace = namespaces.get(key);
+
+    if (namespace && namespace.index.dimensions !== chunk.embedding.length) {
+      console.warn(`⚠️ Chunk ${chunk._id} has ${chunk.embedding.length} dimensions, expected ${namespace.index.dimensions} for ${key}; not indexed`);
+      return false;
+    }
+
+    if (!namespace) {
+      namespace = {
+        index: new HNSWIndex({
+          dimensions: chunk.embedding.length,
+          M: this.M,
+          efConstruction: this.efConstruction,
+          efSearch: this.efSearch
+        }),
+        embeddingModel: chunk.embeddingModel || null,
+        schemeMembers: new Map()
+      };
+      namespaces.set(key, namespace);
+    }
+
+    const id = String(chunk._id);
+    const schemeId = String(chunk.schemeId);
+    const metadata = {
+      schemeId,
+      language: chunk.metadata?.language || 'en',
+      contentType: chunk.metadata?.contentType || 'paragraph',
+      qualityScore: chunk.metadata?.qualityScore ?? 0.8,
+      processedAt: chunk.processedAt ? new Date(chunk.processedAt).getTime() : null
+    };
+
+    namespace.index.add(id, chunk.embedding, metadata);
+
+    if (!namespace.schemeMembers.has(schemeId)) {
+      namespace.schemeMembers.set(schemeId, new Set());
+    }
+    namespace.schemeMembers.get(schemeId).add(id);
+
+    return true;
+  }
+
+  removeWhere(predicate) {
+    if (!this.ready) return;
+
+    let removedCount = 0;
+
+    for (const [key, namespace] of this.namespaces) {
+      const removed = namespace.index.removeWhere(predicate);
+      if (removed.length === 0) continue;
+
+      removedCount += removed.length;
+      const removedSet = new Set(removed);
+
+      for (const [schemeId, members] of namespace.schemeMembers) {
+        for (const id of members) {
+          if (removedSet.has(id)) members.delete(id);
+        }
+        if (members.size === 0) namespace.schemeMembers.delete(schemeId);
+      }
+
+      if (namespace.index.size === 0) {
+        this.namespaces.delete(key);
+      } else if (namespace.index.deletedRatio > this.compactionRatio) {
+        console.log(`🔧 Compacting vector index namespace ${key}`);
+        namespace.index = namespace.index.compact();
+      }
+    }
+
+    if (removedCount > 0) {
+      console.log(`🗑️ Removed ${removedCount} chunks from vector index`);
+      this.schedulePersist();
+    }
+  }
+
+  /**
+   * Compare a snapshot against MongoDB to decide whether it can be reused
+   */
+  async isSnapshotCurrent(snapshot) {
+    if (snapshot.version !== this.snapshotVersion || !snapshot.fingerprint) return false;
+
+    const fingerprint = await this.getDatabaseFingerprint();
+    return fingerprint.count === snapshot.fingerprint.count &&
+      fingerprint.digest === snapshot.fingerprint.digest;
+  }
+
+  /**
+   * Fingerprint of the chunks in the index: their count and the digest of their ids and processedAt
+   * @returns {Object} { count, digest }
+   */
+  getIndexFingerprint() {
+    let count = 0;
+    let digest = 0n;
+
+    for (const namespace of this.namespaces.values()) {
+      for (const [id, label] of namespace.index.labelById) {
+        count++;
+        digest ^= chunkDigest(id, namespace.index.metadata[label].processedAt);
+      }
+    }
+
+    return { count, digest: digest.toString(16) };
+  }
+
+  /**
+   * Fingerprint of the chunks MongoDB says the index should hold, comparable with getIndexFingerprint
+   * @returns {Promise<Object>} { count, digest }
+   */
+  async getDatabaseFingerprint() {
+    let count = 0;
+    let digest = 0n;
+
+    const cursor = DocumentChunk.find(INDEXED_CHUNK_FILTER).select('_id processedAt').lean().cursor();
+    for await (const chunk of cursor) {
+      count++;
+      digest ^= chunkDigest(String(chunk._id), chunk.processedAt ? new Date(chunk.processedAt).getTime() : null);
+    }
+
+    return { count, digest: digest.toString(16) };
+  }
+
+  async loadSnapshot() {
+    try {
+      const raw = await fs.promises.readFile(this.indexPath, 'utf8');
+      return JSON.parse(raw);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn('⚠️ Could not read vector index snapshot:', error.message);
+      }
+      return null;
+    }
+  }
+
+  restoreSnapshot(snapshot) {
+    const namespaces = new Map();
+
+    for (const entry of snapshot.namespaces || []) {
+      const index = HNSWIndex.fromJSON(entry.index);
+      const schemeMembers = new Map();
+
+      for (const [id, label] of index.labelById) {
+        const schemeId = index.metadata[label].schemeId;
+        if (!schemeMembers.has(schemeId)) schemeMembers.set(schemeId, new Set());
+        schemeMembers.get(schemeId).add(id);
+      }
+
+      namespaces.set(entry.key, { index, embeddingModel: this.getNamespaceModel(entry.key), schemeMembers });
+    }
+
+    this.namespaces = namespaces;
+    this.lastBuiltAt = snapshot.builtAt ? new Date(snapshot.builtAt) : null;
+  }
+
+  schedulePersist() {
+    if (this.persistTimer) return;
+
+    this.persistTimer = setTimeout(() => {
+      this.persistTimer = null;
+      this.persist().catch(error => {
+        console.warn('⚠️ Failed to persist vector index:', error.message);
+      });
+    }, this.persistDelay);
+
+    // Do not keep the process alive just to write the snapshot
+    if (this.persistTimer.unref) this.persistTimer.unref();
+  }
+
+  /**
+   * Write the index snapshot to disk
+   * @returns {Promise<void>}
+   */
+  async persist() {
+    if (!this.ready) return;
+
+    const snapshot = {
+      version: this.snapshotVersion,
+      builtAt: this.lastBuiltAt,
+      savedAt: new Date(),
+      // What the index holds now, not what MongoDB holds when the write happens
+      fingerprint: this.getIndexFingerprint(),
+      namespaces: Array.from(this.namespaces.entries()).map(([key, namespace]) => ({
+        key,
+        index: namespace.index.toJSON()
+      }))
+    };
+
+    await fs.promises.mkdir(path.dirname(this.indexPath), { recursive: true });
+
+    // Write to a temporary file first so a crash never leaves a truncated snapshot
+    const tempPath = `${this.indexPath}.tmp`;
+    await fs.promises.writeFile(tempPath, JSON.stringify(snapshot));
+    await fs.promises.rename(tempPath, this.indexPath);
+
+    console.log(`💾 Vector index persisted (${this.getTotalSize()} vectors)`);
+  }
+}
+
+module.exports = new VectorIndexService();
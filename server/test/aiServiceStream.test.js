@@ -0,0 +1,103 @@
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const aiService = require('../services/aiService');
+const aiProviderService = require('../services/aiProviderService');
+const groundingService = require('../services/groundingService');
+const translationService = require('../services/translationService');
+
+const context = [
+  {
+    text: 'Small farmers receive Rs. 6000 per year in three equal instalments paid to their bank accounts.',
+    source: 'pdf_chunk',
+    score: 0.9,
+    metadata: { chunkId: 'chunk-1', pageNumber: 2 }
+  }
+];
+
+// The second sentence makes up an amount the context does not contain
+const tokens = [
+  'Small farmers receive Rs.',
+  ' 6000 per year in three equal instalments [1]. Farmers also',
+  ' receive a bonus of Rs. 9000 every month from the district office.'
+];
+
+// Stream the tokens through generateResponseStream; returns the deltas sent and the final result
+const runStream = async (t, language = 'en', streamTokens = tokens) => {
+  t.mock.method(aiProviderService, 'generateStream', async () => ({
+    provider: 'mock',
+    model: 'mock-template',
+    stream: (async function* () {
+      yield* streamTokens;
+    })()
+  }));
+
+  const deltas = [];
+  const result = await aiService.generateResponseStream('How much do small farmers get?', context, language, text => deltas.push(text));
+  return { deltas, result };
+};
+
+// Grounding mode for one test
+const useGroundingMode = (t, mode) => {
+  const originalMode = groundingService.mode;
+  groundingService.mode = mode;
+  t.after(() => {
+    groundingService.mode = originalMode;
+  });
+};
+
+before(() => {
+  mock.method(console, 'log', () => {});
+});
+
+after(() => {
+  mock.restoreAll();
+});
+
+test('splitCompleteSentences does not end a sentence at "Rs."', () => {
+  const { complete, remainder } = aiService.splitCompleteSentences('Farmers get Rs. 6000 per year. They also', 0);
+  assert.strictEqual(complete, 'Farmers get Rs. 6000 per year. ');
+  assert.strictEqual(remainder, 'They also');
+
+  const unfinished = aiService.splitCompleteSentences('Farmers get Rs. 6000', 0);
+  assert.strictEqual(unfinished.complete, '');
+  assert.strictEqual(unfinished.remainder, 'Farmers get Rs. 6000');
+});
+
+test('an unsupported sentence is flagged before it is streamed', async (t) => {
+  useGroundingMode(t, 'flag');
+  const { deltas, result } = await runStream(t);
+
+  const bonusDeltas = deltas.filter(delta => delta.includes('9000'));
+  assert.ok(bonusDeltas.length > 0);
+  bonusDeltas.forEach(delta => assert.ok(delta.includes(groundingService.unverifiedNote), delta));
+  assert.ok(deltas.join('').includes('Rs. 6000 per year'));
+
+  assert.strictEqual(result.grounding.unsupportedClaims, 1);
+});
+
+test('in remove mode an unsupported sentence is never streamed', async (t) => {
+  useGroundingMode(t, 'remove');
+  const { deltas, result } = await runStream(t);
+
+  assert.ok(!deltas.join('').includes('9000'));
+  assert.ok(deltas.join('').includes('6000'));
+  assert.ok(!result.answer.includes('9000'));
+  assert.ok(result.answer.includes(groundingService.removedNotice));
+});
+
+test('a translated answer is built from the verified text its citations come from', async (t) => {
+  useGroundingMode(t, 'flag');
+  t.mock.method(translationService, 'translateResponseToLanguage', async (text) => `<mr>${text}</mr>`);
+
+  // Every statement is supported, so nothing in the answer changes during verification
+  const { deltas, result } = await runStream(t, 'mr', tokens.slice(0, 2).concat(' paid to their bank accounts [1].'));
+
+  deltas.filter(delta => delta.trim()).forEach(delta => assert.match(delta, /<mr>/));
+  assert.strictEqual(result.grounding.unsupportedClaims, 0);
+
+  // One translation of the whole verified answer, not the streamed pieces joined together
+  assert.strictEqual(result.answer.match(/<mr>/g).length, 1);
+  const englishAnswer = result.answer.replace(/^<mr>|<\/mr>$/g, '');
+  const markers = [...new Set([...englishAnswer.matchAll(/\[(\d+)\]/g)].map(match => parseInt(match[1], 10)))];
+  assert.deepStrictEqual(markers, result.citations.map(citation => citation.marker));
+});
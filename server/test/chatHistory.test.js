@@ -0,0 +1,107 @@
+const { test, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const mongoose = require('mongoose');
+const Conversation = require('../models/Conversation');
+const conversationService = require('../services/conversationService');
+const chatRoutes = require('../routes/chat');
+
+// Filters the history routes queried the database with
+let filters = [];
+
+// Mongoose query stand-in: every chain method returns itself, awaiting it gives the result
+const fakeQuery = (result) => {
+  const query = {
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  ['select', 'populate', 'sort', 'skip', 'limit', 'lean'].forEach(method => {
+    query[method] = () => query;
+  });
+  return query;
+};
+
+let server;
+let baseUrl;
+
+before(async () => {
+  mock.method(console, 'log', () => {});
+  mock.method(Conversation, 'find', (filter) => {
+    filters.push(filter);
+    return fakeQuery([]);
+  });
+  mock.method(Conversation, 'findOne', (filter) => {
+    filters.push(filter);
+    return fakeQuery(null);
+  });
+  mock.method(Conversation, 'countDocuments', async () => 0);
+
+  // The real router, so query strings go through Express's parser as in production
+  const app = express();
+  app.use(express.json());
+  app.use('/api/chat', chatRoutes);
+
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/chat`;
+});
+
+beforeEach(() => {
+  filters = [];
+});
+
+after(() => {
+  mock.restoreAll();
+  server.close();
+});
+
+test('refuses a session id sent as a query operator', async () => {
+  const chatId = new mongoose.Types.ObjectId();
+  const urls = [
+    `${baseUrl}/history?sessionId[$ne]=x`,
+    `${baseUrl}/${chatId}?sessionId[$ne]=x`,
+    `${baseUrl}/search/query?query=pension&sessionId[$regex]=.*`
+  ];
+
+  for (const url of urls) {
+    const response = await fetch(url);
+    assert.strictEqual(response.status, 400, url);
+    assert.strictEqual((await response.json()).message, 'Invalid session ID');
+  }
+
+  assert.deepStrictEqual(filters, []);
+});
+
+test('refuses session ids the server did not issue', async () => {
+  const issued = conversationService.createSessionId();
+  const forged = `${issued.split('.')[0]}.${'A'.repeat(43)}`;
+
+  for (const sessionId of ['abcdefgh', '123e4567-e89b-12d3-a456-426614174000', forged]) {
+    const response = await fetch(`${baseUrl}/history`, { headers: { 'X-Session-Id': sessionId } });
+    assert.strictEqual(response.status, 400, sessionId);
+  }
+
+  assert.deepStrictEqual(filters, []);
+});
+
+test('lists the conversations of an issued session id', async () => {
+  const sessionId = conversationService.createSessionId();
+
+  const response = await fetch(`${baseUrl}/history?sessionId=${encodeURIComponent(sessionId)}`);
+
+  assert.strictEqual(response.status, 200);
+  assert.deepStrictEqual(filters, [{ sessionId }]);
+});
+
+test('requires a session id or a logged-in user', async () => {
+  const response = await fetch(`${baseUrl}/history`);
+
+  assert.strictEqual(response.status, 400);
+  assert.strictEqual((await response.json()).message, 'Session ID is required');
+});
+
+test('the owner filter ignores anything but a string session id', () => {
+  assert.strictEqual(Conversation.ownerFilter({ $ne: 'x' }, null), null);
+
+  const userId = new mongoose.Types.ObjectId();
+  assert.deepStrictEqual(Conversation.ownerFilter({ $ne: 'x' }, userId), { userId });
+});
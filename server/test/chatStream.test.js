@@ -0,0 +1,98 @@
+process.env.AI_MOCK_MODE = 'true';
+
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const mongoose = require('mongoose');
+const Scheme = require('../models/Scheme');
+const chatController = require('../controllers/chat');
+const conversationService = require('../services/conversationService');
+const semanticSearchService = require('../services/semanticSearchService');
+
+const scheme = {
+  _id: new mongoose.Types.ObjectId(),
+  title: 'Farmer Support Scheme',
+  category: 'Agriculture',
+  description: 'Financial support for small farmers'
+};
+
+// Parse a Server-Sent Events body into [{ event, data }]
+const parseEvents = (body) => body
+  .split('\n\n')
+  .filter(block => block.trim())
+  .map(block => {
+    const lines = block.split('\n');
+    return {
+      event: lines.find(line => line.startsWith('event: ')).slice(7),
+      data: JSON.parse(lines.find(line => line.startsWith('data: ')).slice(6))
+    };
+  });
+
+let server;
+let baseUrl;
+
+before(async () => {
+  // Keep the services' progress logging out of the test report
+  mock.method(console, 'log', () => {});
+  mock.method(Scheme, 'findOne', () => ({ lean: async () => scheme }));
+  mock.method(semanticSearchService, 'searchRelevantChunks', async () => ({
+    success: true,
+    results: [{
+      chunkId: 'chunk-1',
+      content: 'Small farmers receive Rs. 6000 per year in three instalments.',
+      similarityScore: 0.9,
+      metadata: { pageNumber: 2 }
+    }]
+  }));
+  mock.method(conversationService, 'recordTurn', async () => true);
+
+  const app = express();
+  app.use(express.json());
+  app.post('/ask/stream', chatController.askQuestionStream);
+
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  mock.restoreAll();
+  server.close();
+});
+
+test('streams context, tokens and the final answer', async () => {
+  const response = await fetch(`${baseUrl}/ask/stream`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ message: 'How much money do small farmers get?', schemeId: scheme._id.toString() })
+  });
+
+  assert.strictEqual(response.status, 200);
+  assert.match(response.headers.get('content-type'), /text\/event-stream/);
+
+  const events = parseEvents(await response.text());
+  const names = events.map(event => event.event);
+
+  assert.strictEqual(names[0], 'context');
+  assert.ok(names.includes('token'), 'no token events were sent');
+  assert.strictEqual(names[names.length - 1], 'done');
+
+  const streamed = events.filter(event => event.event === 'token').map(event => event.data.text).join('');
+  const done = events[events.length - 1].data;
+  assert.strictEqual(done.success, true);
+  assert.ok(streamed.length > 0);
+  assert.ok(done.response.length > 0);
+  assert.strictEqual(done.scheme.title, scheme.title);
+  assert.strictEqual(done.sources.length, 1);
+});
+
+test('rejects an empty question before streaming', async () => {
+  const response = await fetch(`${baseUrl}/ask/stream`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ message: '  ' })
+  });
+
+  assert.strictEqual(response.status, 400);
+  assert.strictEqual((await response.json()).message, 'Question is required');
+});
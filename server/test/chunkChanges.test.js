@@ -0,0 +1,138 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const DocumentChunk = require('../models/DocumentChunk');
+const embeddingService = require('../services/embeddingService');
+const aiProviderService = require('../services/aiProviderService');
+const MockProvider = require('../services/providers/mockProvider');
+
+// Model keys in the "provider/model" form stored on chunks
+const mockProvider = new MockProvider();
+const MODEL = aiProviderService.getEmbeddingModelKey(mockProvider.name, mockProvider.getModel('embedding'));
+const OTHER_MODEL = aiProviderService.getEmbeddingModelKey('azureOpenAI', 'text-embedding-ada-002');
+
+const newChunk = (content, chunkIndex) => ({
+  chunkId: `doc_chunk_${chunkIndex}`,
+  content,
+  contentHash: embeddingService.hashContent(content),
+  metadata: { chunkIndex }
+});
+
+const storedChunk = (content, chunkIndex, extra = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  content,
+  contentHash: embeddingService.hashContent(content),
+  embedding: [chunkIndex, 1],
+  embeddingModel: MODEL,
+  metadata: { chunkIndex },
+  ...extra
+});
+
+test('keeps unchanged chunks and reuses their embeddings', () => {
+  const existing = [storedChunk('Eligibility: small farmers', 0), storedChunk('Benefit: Rs. 6000', 1)];
+  const plan = embeddingService.planChunkChanges(
+    existing,
+    [newChunk('Benefit: Rs. 6000', 0), newChunk('Eligibility: small farmers', 1)],
+    MODEL
+  );
+
+  assert.strictEqual(plan.kept.length, 2);
+  assert.strictEqual(plan.toEmbed.length, 0);
+  assert.deepStrictEqual(plan.kept[0].chunk.embedding, existing[1].embedding);
+  assert.strictEqual(plan.kept[0].existing, existing[1]);
+});
+
+test('reuses the slots of changed chunks and adds or removes the rest', () => {
+  const existing = [storedChunk('Eligibility: small farmers', 0), storedChunk('Benefit: Rs. 6000', 1), storedChunk('Helpline: 155261', 2)];
+
+  const changed = embeddingService.planChunkChanges(
+    existing,
+    [newChunk('Eligibility: small farmers', 0), newChunk('Benefit: Rs. 8000', 1), newChunk('Apply at the CSC', 2), newChunk('Deadline: 31 March', 3)],
+    MODEL
+  );
+  assert.deepStrictEqual(changed.kept.map(({ existing }) => existing.metadata.chunkIndex), [0]);
+  assert.deepStrictEqual(changed.updated.map(({ existing }) => existing.metadata.chunkIndex), [1, 2]);
+  assert.deepStrictEqual(changed.added.map(chunk => chunk.content), ['Deadline: 31 March']);
+  assert.deepStrictEqual(changed.removed, []);
+  assert.strictEqual(changed.toEmbed.length, 3);
+
+  const shorter = embeddingService.planChunkChanges(existing, [newChunk('Helpline: 155261', 0)], MODEL);
+  assert.strictEqual(shorter.kept.length, 1);
+  assert.deepStrictEqual(shorter.removed.map(chunk => chunk.metadata.chunkIndex), [0, 1]);
+});
+
+test('matches duplicate content once per stored chunk', () => {
+  const existing = [storedChunk('Same paragraph', 0)];
+  const plan = embeddingService.planChunkChanges(existing, [newChunk('Same paragraph', 0), newChunk('Same paragraph', 1)], MODEL);
+
+  assert.strictEqual(plan.kept.length, 1);
+  assert.strictEqual(plan.added.length, 1);
+});
+
+test('re-embeds kept chunks created with another model', () => {
+  const existing = [storedChunk('Eligibility: small farmers', 0, { embeddingModel: OTHER_MODEL })];
+  const plan = embeddingService.planChunkChanges(existing, [newChunk('Eligibility: small farmers', 0)], MODEL);
+
+  assert.strictEqual(plan.kept.length, 1);
+  assert.strictEqual(plan.toEmbed.length, 1);
+  assert.strictEqual(plan.toEmbed[0].embedding, undefined);
+});
+
+test('hashes legacy chunks stored without a content hash', () => {
+  const existing = [storedChunk('Eligibility: small farmers', 0, { contentHash: undefined })];
+  const plan = embeddingService.planChunkChanges(existing, [newChunk('Eligibility: small farmers', 0)], MODEL);
+
+  assert.strictEqual(plan.kept.length, 1);
+});
+
+// Without a replica set the new chunks are staged as pending and switched live in one update
+test('stages chunk changes when MongoDB has no transactions', async (t) => {
+  const writes = [];
+  t.mock.method(console, 'warn', () => {});
+  t.mock.method(mongoose, 'startSession', async () => ({
+    withTransaction: async () => {
+      const error = new Error('Transaction numbers are only allowed on a replica set member or mongos');
+      error.code = 20;
+      throw error;
+    },
+    endSession: async () => {}
+  }));
+  t.mock.method(DocumentChunk, 'insertMany', async (docs) => writes.push({ insertMany: docs }));
+  t.mock.method(DocumentChunk, 'updateMany', async (filter, update) => writes.push({ updateMany: { filter, update } }));
+  t.mock.method(DocumentChunk, 'deleteMany', async (filter) => writes.push({ deleteMany: filter }));
+  t.after(() => { embeddingService.transactionsSupported = true; });
+
+  const schemeId = new mongoose.Types.ObjectId();
+  const existing = [storedChunk('Eligibility: small farmers', 0, { usageStats: { retrievalCount: 4 } }), storedChunk('Benefit: Rs. 6000', 1)];
+  const plan = embeddingService.planChunkChanges(existing, [newChunk('Eligibility: small farmers', 0)], MODEL);
+
+  await embeddingService.applyChunkChanges(schemeId, plan);
+
+  assert.strictEqual(embeddingService.transactionsSupported, false);
+  assert.deepStrictEqual(writes.map(write => Object.keys(write)[0]), ['insertMany', 'updateMany', 'deleteMany']);
+
+  const [staged] = writes[0].insertMany;
+  assert.strictEqual(staged.processingStatus, 'pending');
+  assert.strictEqual(staged.usageStats.retrievalCount, 4);
+
+  const switchIds = writes[1].updateMany.filter._id.$in.map(String);
+  assert.deepStrictEqual(switchIds.sort(), [staged._id, ...existing.map(chunk => chunk._id)].map(String).sort());
+  assert.deepStrictEqual(writes[2].deleteMany._id.$in, existing.map(chunk => chunk._id));
+});
+
+test('removes staged chunks when staging fails', async (t) => {
+  embeddingService.transactionsSupported = false;
+  t.after(() => { embeddingService.transactionsSupported = true; });
+
+  const deleted = [];
+  t.mock.method(DocumentChunk, 'insertMany', async () => { throw new Error('write failed'); });
+  t.mock.method(DocumentChunk, 'updateMany', async () => assert.fail('previous chunks must stay live'));
+  t.mock.method(DocumentChunk, 'deleteMany', async (filter) => deleted.push(filter));
+
+  const plan = embeddingService.planChunkChanges([], [newChunk('Benefit: Rs. 8000', 0)], MODEL);
+  plan.toEmbed[0].embedding = [1, 0];
+  plan.toEmbed[0].embeddingModel = MODEL;
+
+  await assert.rejects(embeddingService.applyChunkChanges(new mongoose.Types.ObjectId(), plan), /write failed/);
+  assert.strictEqual(deleted.length, 1);
+});
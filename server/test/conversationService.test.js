@@ -0,0 +1,25 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const conversationService = require('../services/conversationService');
+
+test('treats short questions as follow-ups', () => {
+  assert.ok(conversationService.isLikelyFollowUp('What about widows?'));
+});
+
+test('detects English follow-up words', () => {
+  assert.ok(conversationService.isLikelyFollowUp('What documents do I need to apply for it online?'));
+  assert.ok(!conversationService.isLikelyFollowUp('What documents do I need for the farmer pension scheme?'));
+});
+
+test('detects Marathi follow-up words', () => {
+  assert.ok(conversationService.isLikelyFollowUp('त्यासाठी कोणती कागदपत्रे लागतात ते सांगा'));
+  assert.ok(conversationService.isLikelyFollowUp('या योजनेसाठी अर्ज कसा करायचा, हे सांगा'));
+  assert.ok(conversationService.isLikelyFollowUp('शेतकऱ्यांना किती पैसे मिळतात आणि त्याची मुदत?'));
+});
+
+test('does not match Marathi follow-up words inside other words', () => {
+  // हे inside आहे, ते inside मिळते and होते
+  assert.ok(!conversationService.isLikelyFollowUp('प्रधानमंत्री किसान योजनेसाठी पात्रता काय आहे?'));
+  assert.ok(!conversationService.isLikelyFollowUp('शेतकरी कुटुंबाला दरवर्षी किती रक्कम मिळते?'));
+  assert.ok(!conversationService.isLikelyFollowUp('मागील वर्षी अर्जाची शेवटची तारीख कधी होते।'));
+});
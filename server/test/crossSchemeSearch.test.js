@@ -0,0 +1,122 @@
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { DocumentChunk, SchemeDocument } = require('../models');
+const semanticSearchService = require('../services/semanticSearchService');
+const vectorIndexService = require('../services/vectorIndexService');
+
+const MODEL = 'mock/mock-hash-3';
+const queryEmbedding = [1, 0, 0];
+
+// Mongoose query stand-in: every chain method returns itself, awaiting it gives the result
+const fakeQuery = (result) => {
+  const query = {
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  ['select', 'populate', 'sort', 'skip', 'limit', 'lean'].forEach(method => {
+    query[method] = () => query;
+  });
+  return query;
+};
+
+// Chunk of a scheme whose similarity to the query is about `similarity`
+const buildChunk = (schemeId, similarity, index) => ({
+  _id: new mongoose.Types.ObjectId(),
+  schemeId,
+  chunkId: `${schemeId}_chunk_${index}`,
+  content: `Chunk ${index}`,
+  embedding: [similarity, Math.sqrt(1 - similarity * similarity), 0],
+  embeddingModel: MODEL,
+  processingStatus: 'completed',
+  metadata: { language: 'en', contentType: 'paragraph', qualityScore: 0.9 }
+});
+
+const popular = new mongoose.Types.ObjectId();
+const niche = new mongoose.Types.ObjectId();
+// Every chunk of the popular scheme is closer to the query than the niche scheme's chunks
+const chunks = [
+  ...Array.from({ length: 20 }, (_, index) => buildChunk(popular, 0.99 - index * 0.001, index)),
+  buildChunk(niche, 0.8, 0),
+  buildChunk(niche, 0.75, 1)
+];
+
+let embeddingCalls = 0;
+let searchSizes = [];
+
+before(() => {
+  mock.method(console, 'log', () => {});
+  mock.method(semanticSearchService, 'translateQueryToEnglish', async (query) => query);
+  mock.method(semanticSearchService, 'generateQueryEmbedding', async () => {
+    embeddingCalls++;
+    return { embedding: queryEmbedding, embeddingModel: MODEL };
+  });
+  mock.method(semanticSearchService, 'updateUsageStatistics', async () => {});
+  mock.method(SchemeDocument, 'find', () => fakeQuery([]));
+  mock.method(DocumentChunk, 'find', (filter) => {
+    const ids = filter._id.$in.map(String);
+    return fakeQuery(chunks.filter(chunk => ids.includes(String(chunk._id))));
+  });
+
+  // The index holds the chunks; record how many results each search asks for
+  vectorIndexService.namespaces = new Map();
+  chunks.forEach(chunk => vectorIndexService.insertIntoNamespaces(vectorIndexService.namespaces, chunk));
+  vectorIndexService.ready = true;
+  const search = vectorIndexService.search.bind(vectorIndexService);
+  mock.method(vectorIndexService, 'search', (embedding, options) => {
+    searchSizes.push(options.k);
+    return search(embedding, options);
+  });
+});
+
+after(() => {
+  mock.restoreAll();
+  vectorIndexService.ready = false;
+  vectorIndexService.namespaces = new Map();
+});
+
+const search = (schemeIds) => {
+  embeddingCalls = 0;
+  searchSizes = [];
+  return semanticSearchService.searchAcrossSchemes('How much support do farmers get?', schemeIds, {
+    perSchemeTopK: 2,
+    globalTopK: 3,
+    minSimilarityScore: 0.3,
+    searchMode: 'vector'
+  });
+};
+
+test('every scheme gets its own top-K even when another scheme fills the global ranking', async () => {
+  const result = await search([popular, niche]);
+
+  assert.strictEqual(result.success, true);
+  assert.deepStrictEqual(result.results[popular.toString()].results.map(chunk => chunk.chunkId), [`${popular}_chunk_0`, `${popular}_chunk_1`]);
+  assert.deepStrictEqual(result.results[niche.toString()].results.map(chunk => chunk.chunkId), [`${niche}_chunk_0`, `${niche}_chunk_1`]);
+  assert.deepStrictEqual(result.globalResults.map(chunk => chunk.metadata.schemeId), [popular, popular, popular]);
+});
+
+test('the query is embedded once and no search grows with the number of schemes', async () => {
+  await search([popular, niche]);
+  const twoSchemeSize = Math.max(...searchSizes);
+
+  const schemeIds = [popular, niche, ...Array.from({ length: 20 }, () => new mongoose.Types.ObjectId())];
+  const result = await search(schemeIds);
+
+  assert.strictEqual(embeddingCalls, 1);
+  assert.strictEqual(searchSizes.length, schemeIds.length + 1);
+  assert.strictEqual(Math.max(...searchSizes), twoSchemeSize);
+  assert.deepStrictEqual(Object.keys(result.results).sort(), [popular.toString(), niche.toString()].sort());
+});
+
+test('hybrid scores are fused again so they compare across schemes', () => {
+  const chunk = (id, similarityScore, matchedBy, lexicalScore) => ({ _id: id, similarityScore, matchedBy, lexicalScore, fusionScore: 1 });
+
+  // Each chunk was the top hit of its own scheme's search, so both arrive with the same fusion score
+  const ranked = semanticSearchService.mergeRankings(
+    [chunk('a', 0.6, ['vector']), chunk('b', 0.9, ['vector', 'lexical'], 3.2)],
+    { searchMode: 'hybrid', weights: { vector: 1, lexical: 1 }, preferTables: false }
+  );
+
+  assert.deepStrictEqual(ranked.map(item => item._id), ['b', 'a']);
+  assert.ok(ranked[0].fusionScore > ranked[1].fusionScore);
+  assert.ok(ranked[1].fusionScore < 1);
+});
@@ -0,0 +1,111 @@
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { Scheme, SchemeDocument, DocumentVersion } = require('../models');
+const uploadController = require('../controllers/upload');
+const schemeDocumentService = require('../services/schemeDocumentService');
+const schemePublishingService = require('../services/schemePublishingService');
+
+const editor = { _id: new mongoose.Types.ObjectId(), role: 'admin', email: 'editor@example.gov.in' };
+
+// Stored scheme in a status; findOneAndUpdate applies the update while the filter's status
+// still matches (a different currentStatus simulates a change made meanwhile)
+const mockScheme = (t, status, currentStatus = status) => {
+  const scheme = { _id: new mongoose.Types.ObjectId(), title: 'Farmer Support Scheme', status };
+  const calls = [];
+  t.mock.method(Scheme, 'findById', () => ({ select: async () => scheme }));
+  t.mock.method(Scheme, 'findOneAndUpdate', async (filter, update) => {
+    calls.push({ filter, update });
+    if (filter.status !== currentStatus) return null;
+    const { $push, ...fields } = update;
+    return { ...scheme, ...fields };
+  });
+  return { scheme, calls };
+};
+
+// Minimal Express response that records the status and JSON body
+const createResponse = () => ({
+  statusCode: 200,
+  body: null,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  }
+});
+
+// Restore version 1 of a document of the scheme; returns the response and the restoreVersion calls
+const runRestore = async (t, scheme) => {
+  const document = { _id: new mongoose.Types.ObjectId(), schemeId: scheme._id, title: 'GR 2024', currentVersionId: new mongoose.Types.ObjectId() };
+  const version = { _id: new mongoose.Types.ObjectId(), versionNumber: 1 };
+  const restores = [];
+  t.mock.method(SchemeDocument, 'findById', async () => document);
+  t.mock.method(DocumentVersion, 'findOne', async () => version);
+  t.mock.method(schemeDocumentService, 'restoreVersion', async (...args) => {
+    restores.push(args);
+    return { job: null, mode: 'reactivated', chunkCount: 12 };
+  });
+
+  const res = createResponse();
+  await uploadController.restoreDocumentVersion({
+    params: { documentId: document._id.toString(), versionNumber: '1' },
+    user: editor
+  }, res);
+  return { res, restores };
+};
+
+before(() => {
+  // Keep the controller's logging out of the test report
+  mock.method(console, 'log', () => {});
+});
+
+after(() => {
+  mock.restoreAll();
+});
+
+test('a document change on a published scheme sends it back to review', async (t) => {
+  const { scheme, calls } = mockScheme(t, 'published');
+
+  const result = await schemePublishingService.recordDocumentChange(scheme._id, editor._id, 'documents ("GR 2024" uploaded)');
+
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.sentToReview, true);
+  assert.deepStrictEqual(calls[0].filter, { _id: scheme._id, status: 'published' });
+  assert.strictEqual(calls[0].update.status, 'in_review');
+  assert.strictEqual(calls[0].update.submittedBy, editor._id);
+  assert.strictEqual(calls[0].update.$push.reviewHistory.comment, 'Changed documents ("GR 2024" uploaded)');
+});
+
+test('a document change on a draft is recorded and keeps it a draft', async (t) => {
+  const { scheme, calls } = mockScheme(t, 'draft');
+
+  const result = await schemePublishingService.recordDocumentChange(scheme._id, editor._id, 'documents ("GR 2024" deleted)');
+
+  assert.strictEqual(result.sentToReview, false);
+  assert.strictEqual(calls[0].update.status, undefined);
+  assert.strictEqual(calls[0].update.$push.reviewHistory.action, 'edited');
+});
+
+test('restoring a version of a published scheme\'s document sends the scheme to review first', async (t) => {
+  const { scheme, calls } = mockScheme(t, 'published');
+
+  const { res, restores } = await runRestore(t, scheme);
+
+  assert.strictEqual(calls[0].update.status, 'in_review');
+  assert.strictEqual(restores.length, 1);
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(res.body.sentToReview, true);
+  assert.match(res.body.message, /sent back for review/);
+});
+
+test('a restore racing a status change is refused before any chunk changes', async (t) => {
+  const { scheme } = mockScheme(t, 'published', 'in_review');
+
+  const { res, restores } = await runRestore(t, scheme);
+
+  assert.strictEqual(res.statusCode, 409);
+  assert.strictEqual(restores.length, 0);
+});
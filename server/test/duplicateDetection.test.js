@@ -0,0 +1,121 @@
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { Scheme, SchemeDocument, DocumentVersion } = require('../models');
+const schemeController = require('../controllers/scheme');
+const duplicateDetectionService = require('../services/duplicateDetectionService');
+const schemeDocumentService = require('../services/schemeDocumentService');
+const { computeMinHash } = require('../utils/textFingerprint');
+
+const editor = { _id: new mongoose.Types.ObjectId(), role: 'admin', email: 'editor@example.gov.in' };
+
+const grText = 'Government Resolution: small and marginal farmers owning up to two hectares of land receive ' +
+  'six thousand rupees per year in three equal instalments paid directly to their bank accounts through the portal. ' +
+  'Applications are verified by the taluka agriculture officer, and the list of eligible farmers is published in ' +
+  'every village before the first instalment is paid. Complaints can be made to the district office within thirty days.';
+// The same GR with its complaint period changed
+const revisedText = grText.replace('thirty days', 'sixty days');
+
+// Mongoose query stand-in: every chain method returns itself, awaiting it gives the result
+const fakeQuery = (result) => {
+  const query = {
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  ['select', 'populate', 'sort', 'skip', 'limit', 'lean'].forEach(method => {
+    query[method] = () => query;
+  });
+  return query;
+};
+
+// Live document of a scheme whose current version has the given fingerprint
+const buildDocument = (schemeId, title, { checksum, text }) => {
+  const versionId = new mongoose.Types.ObjectId();
+  return {
+    document: { _id: new mongoose.Types.ObjectId(), schemeId, title, isPrimary: true, currentVersionId: versionId, currentVersion: 1 },
+    version: { _id: versionId, checksum, minhash: text ? computeMinHash(text) : null }
+  };
+};
+
+// Stored documents; the finds apply the filters' $nin and $in like MongoDB would
+const mockDocuments = (t, stored) => {
+  t.mock.method(SchemeDocument, 'find', (filter) => {
+    const excluded = filter._id.$nin.map(String);
+    return fakeQuery(stored.map(({ document }) => document).filter(document => !excluded.includes(String(document._id))));
+  });
+  t.mock.method(DocumentVersion, 'find', (filter) => {
+    const versionIds = filter._id.$in.map(String);
+    return fakeQuery(stored.map(({ version }) => version).filter(version => versionIds.includes(String(version._id))));
+  });
+  t.mock.method(Scheme, 'find', () => fakeQuery([]));
+};
+
+before(() => {
+  // Keep the controller's request logging out of the test report
+  mock.method(console, 'log', () => {});
+});
+
+after(() => {
+  mock.restoreAll();
+});
+
+test('a revision of a document is not reported as a duplicate of the document it replaces', async (t) => {
+  const own = buildDocument(new mongoose.Types.ObjectId(), 'GR 2024', { checksum: 'a', text: grText });
+  mockDocuments(t, [own]);
+  const fingerprint = { checksum: 'b', minhash: computeMinHash(revisedText) };
+
+  const withoutExclusion = await duplicateDetectionService.findDuplicates(fingerprint);
+  const excluded = await duplicateDetectionService.findDuplicates(fingerprint, { excludeDocumentIds: [own.document._id] });
+
+  assert.strictEqual(withoutExclusion[0].match, 'near');
+  assert.deepStrictEqual(excluded, []);
+});
+
+test('a scanned PDF only matches exact copies of the same file', async (t) => {
+  const scanned = buildDocument(new mongoose.Types.ObjectId(), 'Scanned GR', { checksum: 'scan-1', text: null });
+  const other = buildDocument(new mongoose.Types.ObjectId(), 'GR 2024', { checksum: 'a', text: grText });
+  mockDocuments(t, [scanned, other]);
+
+  const rescan = await duplicateDetectionService.findDuplicates({ checksum: 'scan-2', minhash: null });
+  const copy = await duplicateDetectionService.findDuplicates({ checksum: 'scan-1', minhash: null });
+
+  assert.deepStrictEqual(rescan, []);
+  assert.deepStrictEqual(copy.map(match => [match.documentTitle, match.match]), [['Scanned GR', 'exact']]);
+});
+
+test('updating a scheme with a revised PDF only reports other schemes\' documents', async (t) => {
+  const scheme = Scheme.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    title: 'Farmer Support Scheme',
+    description: 'Financial support for small farmers',
+    category: 'Agriculture',
+    status: 'draft',
+    pdfFile: { url: 'https://files.example.gov.in/gr-2024.pdf', filename: 'gr-2024.pdf' }
+  });
+  const own = buildDocument(scheme._id, 'gr-2024.pdf', { checksum: 'a', text: grText });
+  const copy = buildDocument(new mongoose.Types.ObjectId(), 'GR copy', { checksum: 'a', text: grText });
+  mockDocuments(t, [own, copy]);
+
+  t.mock.method(Scheme, 'findById', async () => scheme);
+  t.mock.method(schemeDocumentService, 'syncPrimaryDocument', async () => own.document);
+  t.mock.method(duplicateDetectionService, 'fingerprint', async () => ({ checksum: 'b', minhash: computeMinHash(revisedText) }));
+
+  const res = {
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+  await schemeController.updateScheme({
+    params: { id: scheme._id.toString() },
+    body: {},
+    file: { buffer: Buffer.from('%PDF-1.4'), originalname: 'gr-2024-revised.pdf', size: 8 },
+    user: editor
+  }, res);
+
+  assert.strictEqual(res.statusCode, 409);
+  assert.deepStrictEqual(res.body.duplicates.map(duplicate => duplicate.documentTitle), ['GR copy']);
+});
@@ -0,0 +1,108 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fieldExtractionService = require('../services/fieldExtractionService');
+
+const chunks = [
+  {
+    chunkId: 'gr_chunk_0',
+    documentId: 'doc-1',
+    content: 'Eligibility: small and marginal farmers owning up to 2 hectares.',
+    metadata: { documentTitle: 'GR 2024', pageNumber: 1 }
+  },
+  {
+    chunkId: 'gr_chunk_1',
+    documentId: 'doc-1',
+    content: 'Benefit: Rs. 6,000 per year. Apply online at the portal before 31 March 2025.',
+    metadata: { documentTitle: 'GR 2024', pageNumber: 2 }
+  }
+];
+
+test('parseAmount reads rupee amounts after the currency', () => {
+  assert.strictEqual(fieldExtractionService.parseAmount('Rs. 6,000'), 6000);
+  assert.strictEqual(fieldExtractionService.parseAmount('Rs.6000 per year'), 6000);
+  assert.strictEqual(fieldExtractionService.parseAmount('₹ 1,50,000/-'), 150000);
+  assert.strictEqual(fieldExtractionService.parseAmount('रु. ६०००'), 6000);
+  assert.strictEqual(fieldExtractionService.parseAmount(2500), 2500);
+});
+
+test('parseAmount expands lakh and crore', () => {
+  assert.strictEqual(fieldExtractionService.parseAmount('₹ 1.5 lakh'), 150000);
+  assert.strictEqual(fieldExtractionService.parseAmount('Rs. 2 Lakhs'), 200000);
+  assert.strictEqual(fieldExtractionService.parseAmount('INR 1 crore'), 10000000);
+  assert.strictEqual(fieldExtractionService.parseAmount('रु. १.५ लाख'), 150000);
+  assert.strictEqual(fieldExtractionService.parseAmount('२ कोटी रुपये'), 20000000);
+});
+
+test('parseAmount leaves unclear amounts empty', () => {
+  assert.strictEqual(fieldExtractionService.parseAmount('Rs. 6,000 - 12,000'), undefined);
+  assert.strictEqual(fieldExtractionService.parseAmount('As per the applicable norms'), undefined);
+  assert.strictEqual(fieldExtractionService.parseAmount('Rs.'), undefined);
+  assert.strictEqual(fieldExtractionService.parseAmount(-500), undefined);
+  assert.strictEqual(fieldExtractionService.parseAmount(null), undefined);
+});
+
+test('parseSource reads the first citation in any common form', () => {
+  assert.strictEqual(fieldExtractionService.parseSource(2), 2);
+  assert.strictEqual(fieldExtractionService.parseSource('2'), 2);
+  assert.strictEqual(fieldExtractionService.parseSource('[2]'), 2);
+  assert.strictEqual(fieldExtractionService.parseSource([3, 1]), 3);
+  assert.strictEqual(fieldExtractionService.parseSource(['[1]']), 1);
+  assert.strictEqual(fieldExtractionService.parseSource(undefined), 0);
+  assert.strictEqual(fieldExtractionService.parseSource('page two'), 0);
+});
+
+test('normalizeFields keeps cited items with their source chunk', () => {
+  const { fields, droppedItems } = fieldExtractionService.normalizeFields({
+    eligibility: [{ text: '  Small and marginal farmers\n owning up to 2 hectares ', source: 1 }],
+    benefits: [{ text: 'Rs. 6,000 per year', amount: 'Rs. 6,000', source: '[2]' }],
+    applicationMode: [{ text: 'Apply online at the portal', mode: 'online', source: 2 }],
+    deadlines: [{ text: 'Apply before 31 March 2025', date: '2025-03-31', source: 2 }]
+  }, chunks);
+
+  assert.strictEqual(droppedItems, 0);
+  assert.strictEqual(fields.eligibility[0].text, 'Small and marginal farmers owning up to 2 hectares');
+  assert.strictEqual(fields.eligibility[0].source.chunkId, 'gr_chunk_0');
+  assert.strictEqual(fields.eligibility[0].source.pageNumber, 1);
+
+  assert.strictEqual(fields.benefits[0].amount, 6000);
+  assert.strictEqual(fields.benefits[0].source.chunkId, 'gr_chunk_1');
+  assert.strictEqual(fields.applicationMode[0].mode, 'online');
+  assert.strictEqual(fields.deadlines[0].date.toISOString().slice(0, 10), '2025-03-31');
+
+  assert.deepStrictEqual(fields.documents, []);
+  assert.deepStrictEqual(fields.contacts, []);
+});
+
+test('normalizeFields drops uncited and empty items and repeats', () => {
+  const { fields, droppedItems } = fieldExtractionService.normalizeFields({
+    eligibility: [
+      { text: 'Resident of Maharashtra' },
+      { text: 'Resident of Maharashtra', source: 9 },
+      { text: '   ', source: 1 },
+      { text: 'Farmers owning land', source: 1 },
+      { text: 'farmers  owning land', source: 1 }
+    ]
+  }, chunks);
+
+  assert.strictEqual(droppedItems, 3);
+  assert.deepStrictEqual(fields.eligibility.map(item => item.text), ['Farmers owning land']);
+});
+
+test('normalizeFields accepts a single item and ignores unknown values', () => {
+  const { fields } = fieldExtractionService.normalizeFields({
+    contacts: { text: 'Helpline 1800-123-4567', source: 1 },
+    applicationMode: [{ text: 'Apply at the taluka office', mode: 'by post', source: 2 }],
+    deadlines: [{ text: 'Before the end of March', date: 'March 2025', source: 2 }]
+  }, chunks);
+
+  assert.strictEqual(fields.contacts.length, 1);
+  assert.strictEqual(fields.applicationMode[0].mode, undefined);
+  assert.strictEqual(fields.deadlines[0].date, undefined);
+});
+
+test('normalizeFields caps the items per field', () => {
+  const eligibility = Array.from({ length: 20 }, (_, index) => ({ text: `Rule ${index + 1}`, source: 1 }));
+  const { fields } = fieldExtractionService.normalizeFields({ eligibility }, chunks);
+
+  assert.strictEqual(fields.eligibility.length, fieldExtractionService.maxItemsPerField);
+});
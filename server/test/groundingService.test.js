@@ -0,0 +1,50 @@
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const groundingService = require('../services/groundingService');
+
+const context = [{
+  text: 'Eligible farmers receive Rs. 5000 per year under GR No. 12 issued by the agriculture department. Applications are verified by the district agriculture officer.',
+  score: 0.9,
+  source: 'pdf_chunk'
+}];
+
+before(() => mock.method(console, 'log', () => {}));
+after(() => mock.restoreAll());
+
+test('does not split sentences after abbreviations', () => {
+  assert.deepStrictEqual(
+    groundingService.splitSentences('Farmers receive Rs. 5000 under GR No. 12. Dr. Patil verifies it.'),
+    ['Farmers receive Rs. 5000 under GR No. 12.', 'Dr. Patil verifies it.']
+  );
+});
+
+test('splits Marathi sentences on the danda', () => {
+  assert.deepStrictEqual(
+    groundingService.splitSentences('शेतकऱ्यांना दरवर्षी ५००० रुपये मिळतात। अर्ज ऑनलाइन करता येतो।'),
+    ['शेतकऱ्यांना दरवर्षी ५००० रुपये मिळतात।', 'अर्ज ऑनलाइन करता येतो।']
+  );
+});
+
+test('keeps a supported sentence with an amount intact', () => {
+  const result = groundingService.verifyAnswer(
+    'Eligible farmers receive Rs. 5000 per year under GR No. 12 from the agriculture department.',
+    context,
+    { mode: 'remove' }
+  );
+
+  assert.strictEqual(result.unsupportedClaims, 0);
+  assert.strictEqual(result.claims.length, 1);
+  assert.strictEqual(result.answer, 'Eligible farmers receive Rs. 5000 per year under GR No. 12 from the agriculture department.');
+});
+
+test('flags a sentence with a figure missing from the context', () => {
+  const result = groundingService.verifyAnswer(
+    'Eligible farmers receive Rs. 9000 per year from the agriculture department.',
+    context,
+    { mode: 'flag' }
+  );
+
+  assert.strictEqual(result.unsupportedClaims, 1);
+  assert.deepStrictEqual(result.claims[0].unsupportedNumbers, ['9000']);
+  assert.ok(result.answer.endsWith(groundingService.unverifiedNote));
+});
@@ -0,0 +1,105 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const HNSWIndex = require('../utils/hnswIndex');
+
+const DIMENSIONS = 32;
+
+// Small deterministic PRNG so every run builds the same vectors
+const createRandom = (seed) => () => {
+  seed = (seed * 1664525 + 1013904223) % 4294967296;
+  return seed / 4294967296 - 0.5;
+};
+
+const randomVectors = (count, seed) => {
+  const random = createRandom(seed);
+  return Array.from({ length: count }, () => Array.from({ length: DIMENSIONS }, random));
+};
+
+const buildIndex = (vectors) => {
+  const index = new HNSWIndex({ dimensions: DIMENSIONS, M: 8, efConstruction: 100, efSearch: 50 });
+  vectors.forEach((vector, i) => index.add(`chunk-${i}`, vector, { schemeId: i % 2 === 0 ? 'even' : 'odd' }));
+  return index;
+};
+
+// Exact top-k by cosine similarity
+const bruteForce = (index, vectors, query, k, filter = () => true) => {
+  const normalizedQuery = index.normalize(query);
+  return vectors
+    .map((vector, i) => ({ id: `chunk-${i}`, i, score: index.similarity(normalizedQuery, index.normalize(vector)) }))
+    .filter(item => filter(item))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, k)
+    .map(item => item.id);
+};
+
+const vectors = randomVectors(1000, 7);
+const queries = randomVectors(20, 99);
+
+test('finds most of the exact nearest neighbours', () => {
+  const index = buildIndex(vectors);
+  const k = 10;
+  let found = 0;
+
+  queries.forEach(query => {
+    const expected = new Set(bruteForce(index, vectors, query, k));
+    index.search(query, k).forEach(result => {
+      if (expected.has(result.id)) found++;
+    });
+  });
+
+  const recall = found / (queries.length * k);
+  assert.ok(recall >= 0.9, `recall@${k} was ${recall}`);
+});
+
+test('returns results sorted by score with metadata', () => {
+  const index = buildIndex(vectors);
+  const results = index.search(queries[0], 5);
+
+  assert.strictEqual(results.length, 5);
+  results.slice(1).forEach((result, i) => assert.ok(results[i].score >= result.score));
+  assert.ok(['even', 'odd'].includes(results[0].metadata.schemeId));
+});
+
+test('applies the metadata filter', () => {
+  const index = buildIndex(vectors);
+  const results = index.search(queries[0], 10, { filter: metadata => metadata.schemeId === 'odd' });
+
+  assert.strictEqual(results.length, 10);
+  results.forEach(result => assert.strictEqual(result.metadata.schemeId, 'odd'));
+});
+
+test('never returns removed items', () => {
+  const index = buildIndex(vectors);
+  const [nearest] = index.search(queries[0], 1);
+
+  assert.ok(index.remove(nearest.id));
+  assert.strictEqual(index.size, vectors.length - 1);
+  assert.ok(!index.search(queries[0], 10).some(result => result.id === nearest.id));
+
+  const compacted = index.compact();
+  assert.strictEqual(compacted.size, vectors.length - 1);
+  assert.strictEqual(compacted.deletedCount, 0);
+  assert.ok(!compacted.has(nearest.id));
+});
+
+test('rejects vectors of the wrong dimension', () => {
+  const index = new HNSWIndex({ dimensions: DIMENSIONS });
+  assert.throws(() => index.add('short', [1, 2, 3]), /does not match index dimension/);
+  assert.deepStrictEqual(index.search([1, 2, 3], 5), []);
+});
+
+test('serialises and restores the same graph', () => {
+  const index = buildIndex(vectors);
+  index.remove('chunk-3');
+
+  const restored = HNSWIndex.fromJSON(JSON.parse(JSON.stringify(index.toJSON())));
+
+  assert.strictEqual(restored.size, index.size);
+  assert.strictEqual(restored.deletedCount, 1);
+  assert.ok(!restored.has('chunk-3'));
+  assert.deepStrictEqual(restored.search(queries[1], 10), index.search(queries[1], 10));
+  assert.deepStrictEqual(
+    restored.scoreIds(queries[2], ['chunk-4', 'chunk-5']),
+    index.scoreIds(queries[2], ['chunk-4', 'chunk-5'])
+  );
+});
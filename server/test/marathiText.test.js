@@ -0,0 +1,58 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { normalizeDevanagari, stemMarathi, countLetters } = require('../utils/marathiText');
+const textPreprocessingService = require('../services/textPreprocessingService');
+
+test('normalises Devanagari spelling variants', () => {
+  // Half nasal consonant → anusvara, chandrabindu → anusvara, nukta removed
+  assert.strictEqual(normalizeDevanagari('सम्बन्ध'), normalizeDevanagari('संबंध'));
+  assert.strictEqual(normalizeDevanagari('अँगणवाडी'), 'अंगणवाडी');
+  assert.strictEqual(normalizeDevanagari('ड़'), 'ड');
+  // Joiners from PDF fonts are dropped and Devanagari digits become ASCII
+  assert.strictEqual(normalizeDevanagari('यो‍जना'), 'योजना');
+  assert.strictEqual(normalizeDevanagari('₹ ६०००'), '₹ 6000');
+});
+
+test('removes one case suffix and restores the oblique vowel', () => {
+  assert.strictEqual(stemMarathi('योजनेच्या'), 'योजना');
+  assert.strictEqual(stemMarathi('योजनेत'), 'योजना');
+  assert.strictEqual(stemMarathi('शाळेत'), 'शाळा');
+  assert.strictEqual(stemMarathi('पत्नीस'), 'पत्नी');
+});
+
+test('keeps short word endings that are not suffixes', () => {
+  assert.strictEqual(stemMarathi('योजना'), 'योजना');
+  assert.strictEqual(stemMarathi('दिवस'), 'दिवस');
+  assert.strictEqual(stemMarathi('scheme'), 'scheme');
+});
+
+test('counts letters without vowel signs', () => {
+  assert.strictEqual(countLetters('योजना'), 3);
+  assert.strictEqual(countLetters('लाभ'), 2);
+});
+
+test('tokenizes Devanagari words with their vowel signs', () => {
+  assert.deepStrictEqual(
+    textPreprocessingService.tokenize('प्रधानमंत्री किसान योजनेच्या लाभार्थ्यांना ₹6,000 मिळतात. (PM-KISAN)'),
+    ['प्रधानमंत्री', 'किसान', 'योजनेच्या', 'लाभार्थ्यांना', '6', '000', 'मिळतात', 'PM', 'KISAN']
+  );
+  assert.deepStrictEqual(textPreprocessingService.tokenize('यो‍जना आणि'), ['योजना', 'आणि']);
+});
+
+test('counts inflected Marathi keywords together and drops stop words', () => {
+  const keywords = textPreprocessingService.extractKeywords(
+    'योजनेच्या अटी आणि योजनेत सहभागी होण्यासाठी अर्ज करावा. ही योजना ग्रामीण भागासाठी आहे.',
+    'mr'
+  );
+
+  assert.strictEqual(keywords[0], 'योजना');
+  assert.ok(keywords.includes('अर्ज'));
+  ['आणि', 'ही', 'आहे', 'करावा'].forEach(stopWord => assert.ok(!keywords.includes(stopWord), stopWord));
+});
+
+test('detects the language of each chunk', () => {
+  assert.strictEqual(textPreprocessingService.detectLanguage('ही योजना शेतकऱ्यांसाठी आहे'), 'mr');
+  assert.strictEqual(textPreprocessingService.detectLanguage('This scheme is for farmers'), 'en');
+  assert.strictEqual(textPreprocessingService.detectLanguage('योजना scheme for farmers and शेतकरी'), 'mixed');
+  assert.strictEqual(textPreprocessingService.detectLanguage('12345'), 'en');
+});
@@ -0,0 +1,179 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Offline mode: mock AI providers and translator, files on the local disk, no OCR downloads
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'scheme-files-'));
+Object.assign(process.env, {
+  AI_MOCK_MODE: 'true',
+  FILE_STORAGE: 'local',
+  LOCAL_STORAGE_PATH: storageDir,
+  OCR_ENABLED: 'false',
+  VECTOR_INDEX_ENABLED: 'false',
+  SEARCH_MODE: 'vector'
+});
+
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const mongoose = require('mongoose');
+const { Scheme, SchemeDocument, DocumentChunk } = require('../models');
+const { uploadPDF, getLocalPath, LOCAL_FILE_ROUTE, LOCAL_STORAGE_DIR } = require('../services/cloudStorage');
+const embeddingService = require('../services/embeddingService');
+const conversationService = require('../services/conversationService');
+const chatController = require('../controllers/chat');
+
+// One-page PDF with a line of text per entry
+const buildPdf = (lines) => {
+  const escape = text => text.replace(/[\\()]/g, match => `\\${match}`);
+  const content = ['BT', '/F1 12 Tf', '16 TL', '72 760 Td', ...lines.map(line => `(${escape(line)}) Tj T*`), 'ET'].join('\n');
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /Font << /F1 4 0 R >> >> /Contents 5 0 R >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>',
+    `<< /Length ${Buffer.byteLength(content)} >>\nstream\n${content}\nendstream`
+  ];
+
+  // pdf.js misreads buffers Node allocates from its shared pool (files under 4 KB), so pad the file
+  let pdf = `%PDF-1.4\n%${'-'.repeat(5000)}\n`;
+  const offsets = objects.map((object, i) => {
+    const offset = Buffer.byteLength(pdf);
+    pdf += `${i + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+  const xrefOffset = Buffer.byteLength(pdf);
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+  return Buffer.from(pdf);
+};
+
+// Thenable stand-in for a Mongoose query
+const query = result => {
+  const chain = {
+    select: () => chain,
+    sort: () => chain,
+    limit: () => chain,
+    lean: () => chain,
+    populate: () => chain,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return chain;
+};
+
+const scheme = {
+  _id: new mongoose.Types.ObjectId(),
+  title: 'Farmer Income Support Scheme',
+  category: 'Agriculture',
+  description: 'Income support for small and marginal farmers',
+  status: 'published',
+  isActive: true
+};
+
+// Chunks written by processing, searched by chat
+let storedChunks = [];
+let server;
+let baseUrl;
+
+before(async () => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'warn', () => {});
+
+  mock.method(Scheme, 'findById', () => query(scheme));
+  mock.method(Scheme, 'findOne', () => query(scheme));
+  mock.method(SchemeDocument, 'find', () => query([]));
+  mock.method(DocumentChunk, 'find', () => query(storedChunks.filter(chunk => chunk.processingStatus === 'completed')));
+  mock.method(DocumentChunk, 'findByIdAndUpdate', () => query(null));
+  mock.method(DocumentChunk, 'insertMany', async (docs) => { storedChunks.push(...docs.map(doc => ({ ...doc }))); });
+  mock.method(DocumentChunk, 'updateMany', async (filter, [{ $set }]) => {
+    const liveIds = $set.processingStatus.$cond[0].$in[1].map(String);
+    storedChunks.forEach(chunk => {
+      if (filter._id.$in.some(id => String(id) === String(chunk._id))) {
+        chunk.processingStatus = liveIds.includes(String(chunk._id)) ? 'completed' : 'archived';
+      }
+    });
+  });
+  mock.method(DocumentChunk, 'deleteMany', async (filter) => {
+    const ids = filter._id.$in.map(String);
+    storedChunks = storedChunks.filter(chunk => !ids.includes(String(chunk._id)));
+  });
+  mock.method(conversationService, 'recordTurn', async () => true);
+  // No replica set here: chunk changes take the staged path
+  embeddingService.transactionsSupported = false;
+
+  const app = express();
+  app.use(express.json());
+  app.use(LOCAL_FILE_ROUTE, express.static(LOCAL_STORAGE_DIR));
+  app.post('/api/chat/ask', chatController.askQuestion);
+
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  mock.restoreAll();
+  embeddingService.transactionsSupported = true;
+  server.close();
+  fs.rmSync(storageDir, { recursive: true, force: true });
+});
+
+test('uploads, processes and answers from a PDF without network access', async () => {
+  const pdf = buildPdf([
+    'Benefit: each eligible farmer receives Rs. 6000 per year in three equal instalments.',
+    'Eligibility: small and marginal farmers owning up to two hectares of land are eligible.',
+    'Documents: Aadhaar card, land records and a bank account passbook are required.'
+  ]);
+
+  // Upload: the file is stored on the local disk and served by the file route
+  const uploadResult = await uploadPDF(pdf);
+  assert.match(uploadResult.public_id, /^local\/govt-schemes\/.+\.pdf$/);
+  assert.ok(getLocalPath(uploadResult.secure_url).startsWith(storageDir));
+
+  const download = await fetch(`${baseUrl}${new URL(uploadResult.secure_url).pathname}`);
+  assert.strictEqual(download.status, 200);
+  assert.deepStrictEqual(Buffer.from(await download.arrayBuffer()), pdf);
+
+  scheme.pdfFile = { url: uploadResult.secure_url, publicId: uploadResult.public_id, filename: 'guidelines.pdf' };
+
+  // Processing: read from disk, chunked and embedded by the mock provider
+  const processing = await embeddingService.processPDFForScheme(scheme._id, uploadResult.secure_url);
+  assert.strictEqual(processing.success, true, processing.error);
+  assert.ok(processing.chunksCreated > 0);
+  assert.ok(storedChunks.length > 0);
+  storedChunks.forEach(chunk => {
+    assert.strictEqual(chunk.processingStatus, 'completed');
+    assert.match(chunk.embeddingModel, /^mock/);
+  });
+
+  // Ask: retrieval over the stored chunks and a mock answer citing them
+  const response = await fetch(`${baseUrl}/api/chat/ask`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ message: 'What benefit does each eligible farmer receive per year, and in how many instalments?', schemeId: scheme._id.toString() })
+  });
+  const answer = await response.json();
+
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(answer.success, true);
+  assert.strictEqual(answer.provider.name, 'mock');
+  // The mock answer quotes the lead sentence of each retrieved chunk
+  assert.match(answer.response, /receives Rs\. 6000 per year in three equal instalments\. \[\d\]/);
+  assert.ok(answer.sources.length > 0);
+  assert.strictEqual(answer.sources[0].metadata.url, uploadResult.secure_url);
+});
+
+test('deletes locally stored files', async () => {
+  const { public_id: publicId } = await uploadPDF(buildPdf(['Short notice']));
+  const filePath = getLocalPath(publicId);
+  assert.ok(fs.existsSync(filePath));
+
+  await require('../services/cloudStorage').deleteFile(publicId);
+  assert.ok(!fs.existsSync(filePath));
+});
+
+test('does not resolve paths outside the storage folder', () => {
+  assert.strictEqual(getLocalPath('local/../../etc/passwd'), null);
+  assert.strictEqual(getLocalPath('https://res.cloudinary.com/demo/raw/upload/govt-schemes/file.pdf'), null);
+});
@@ -0,0 +1,113 @@
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const ocrService = require('../services/ocrService');
+const pdfExtractionService = require('../services/pdfExtractionService');
+
+// Minimal PDF with uncompressed objects; streams are { dict, data } and get their /Length filled in
+const buildPdf = (objects) => {
+  const chunks = ['%PDF-1.4\n'];
+  const offsets = [];
+  let length = Buffer.byteLength(chunks[0], 'latin1');
+
+  objects.forEach((object, index) => {
+    const body = typeof object === 'string'
+      ? `${object}\n`
+      : `<< ${object.dict} /Length ${object.data.length} >>\nstream\n${object.data.toString('latin1')}\nendstream\n`;
+    const text = `${index + 1} 0 obj\n${body}endobj\n`;
+    offsets.push(length);
+    chunks.push(text);
+    length += Buffer.byteLength(text, 'latin1');
+  });
+
+  const xref = [`xref\n0 ${objects.length + 1}\n`, '0000000000 65535 f \n']
+    .concat(offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`))
+    .join('');
+  chunks.push(`${xref}trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${length}\n%%EOF\n`);
+
+  return Buffer.from(chunks.join(''), 'latin1');
+};
+
+// 8-bit greyscale image whose pixels come from a function of (column, row)
+const greyImage = (width, height, grey) => {
+  const data = Buffer.alloc(width * height);
+  for (let row = 0; row < height; row++) {
+    for (let column = 0; column < width; column++) data[row * width + column] = grey(column, row);
+  }
+  return { dict: `/Type /XObject /Subtype /Image /Width ${width} /Height ${height} /ColorSpace /DeviceGray /BitsPerComponent 8`, data };
+};
+
+// A 400 x 300 pt page scanned as two strips (the top one half black, the bottom one grey) and
+// a black 1-bit image mask stamped on the bottom strip
+const scannedPdf = buildPdf([
+  '<< /Type /Catalog /Pages 2 0 R >>',
+  '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+  '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 400 300] /Resources << /XObject << /Top 5 0 R /Bottom 6 0 R /Stamp 7 0 R >> >> /Contents 4 0 R >>',
+  { dict: '', data: Buffer.from('q 400 0 0 150 0 150 cm /Top Do Q q 400 0 0 150 0 0 cm /Bottom Do Q 0 g q 40 0 0 40 300 20 cm /Stamp Do Q') },
+  greyImage(300, 150, column => (column < 150 ? 0 : 255)),
+  greyImage(300, 150, () => 128),
+  { dict: '/Type /XObject /Subtype /Image /Width 80 /Height 80 /ImageMask true /BitsPerComponent 1', data: Buffer.alloc(10 * 80, 0) }
+]);
+
+// Parse a binary PGM into { width, height, at(x, y) }
+const readPGM = (image) => {
+  const [, width, height] = image.toString('latin1', 0, 20).match(/^P5\n(\d+) (\d+)\n255\n/).map(Number);
+  const pixels = image.subarray(image.length - width * height);
+  return { width, height, at: (x, y) => pixels[y * width + x] };
+};
+
+let recognized = [];
+
+before(() => {
+  mock.method(console, 'log', () => {});
+  // Tesseract is not run; the test checks the page image it would read
+  mock.method(ocrService, 'createWorker', async () => ({
+    recognize: async (image) => {
+      recognized.push(image);
+      return { data: { text: 'Pradhan Mantri Kisan Samman Nidhi', confidence: 91, words: [{}, {}, {}, {}, {}] } };
+    },
+    terminate: async () => {}
+  }));
+});
+
+after(() => {
+  mock.restoreAll();
+});
+
+test('a scanned page is rendered from all of its image strips and masks before OCR', async () => {
+  recognized = [];
+
+  const result = await pdfExtractionService.extractScannedPages(scannedPdf, { numrender: 1 }, new Map(), new Map());
+
+  assert.strictEqual(result.method, 'ocr');
+  assert.strictEqual(result.ocrTexts.get(1), 'Pradhan Mantri Kisan Samman Nidhi');
+  assert.strictEqual(result.summary.recognizedPages, 1);
+
+  assert.strictEqual(recognized.length, 1);
+  // The densest image (the stamp, 2 pixels per point) sets the resolution of the whole page
+  const page = readPGM(recognized[0]);
+  assert.deepStrictEqual([page.width, page.height], [800, 600]);
+
+  // Top strip: black left half, white right half
+  assert.strictEqual(page.at(100, 100), 0);
+  assert.strictEqual(page.at(700, 100), 255);
+  // Bottom strip is grey, with the black stamp painted through the mask
+  assert.strictEqual(page.at(100, 500), 128);
+  assert.strictEqual(page.at(640, 520), 0);
+  assert.strictEqual(page.at(560, 520), 128);
+});
+
+test('a page with only a small logo is not sent to OCR', async () => {
+  const logoPdf = buildPdf([
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 400 300] /Resources << /XObject << /Logo 5 0 R >> >> /Contents 4 0 R >>',
+    { dict: '', data: Buffer.from('q 60 0 0 60 20 220 cm /Logo Do Q') },
+    greyImage(64, 64, () => 0)
+  ]);
+  recognized = [];
+
+  const result = await pdfExtractionService.extractScannedPages(logoPdf, { numrender: 1 }, new Map(), new Map());
+
+  assert.strictEqual(recognized.length, 0);
+  assert.strictEqual(result.summary.pages[0].error, 'No page image found');
+});
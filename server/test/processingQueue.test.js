@@ -0,0 +1,81 @@
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const { setTimeout: delay } = require('node:timers/promises');
+const mongoose = require('mongoose');
+const { Scheme, SchemeDocument, ProcessingJob } = require('../models');
+const processingQueueService = require('../services/processingQueueService');
+const embeddingService = require('../services/embeddingService');
+
+const buildJob = (fields) => ({
+  _id: new mongoose.Types.ObjectId(),
+  schemeId: new mongoose.Types.ObjectId(),
+  documentId: null,
+  pdfUrl: 'https://files.example.gov.in/gr.pdf',
+  options: {},
+  attempts: 1,
+  maxAttempts: 3,
+  ...fields
+});
+
+before(() => {
+  // Keep the queue's logging out of the test report
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'warn', () => {});
+});
+
+after(() => {
+  mock.restoreAll();
+});
+
+test('jobs are recovered by a stale heartbeat, whatever host ran them', async (t) => {
+  const stale = buildJob({ status: 'running', lockedBy: 'other-host:4242', currentStep: 'embed' });
+  const filters = [];
+  const failures = [];
+  t.mock.method(ProcessingJob, 'find', async (filter) => {
+    filters.push(filter);
+    return [stale];
+  });
+  t.mock.method(processingQueueService, 'handleFailure', async (job, message, step) => {
+    failures.push({ job, step });
+  });
+
+  const startedAt = Date.now();
+  const recovered = await processingQueueService.recoverInterruptedJobs();
+
+  assert.strictEqual(recovered, 1);
+  assert.deepStrictEqual(Object.keys(filters[0]), ['status', 'lockedAt']);
+  const cutoff = filters[0].lockedAt.$lt.getTime();
+  assert.ok(cutoff >= startedAt - processingQueueService.lockTimeoutMs && cutoff <= Date.now() - processingQueueService.lockTimeoutMs);
+  assert.deepStrictEqual(failures, [{ job: stale, step: 'embed' }]);
+});
+
+test('a running job sends heartbeats during a step that reports no progress', async (t) => {
+  const job = buildJob({ status: 'running', lockedBy: processingQueueService.workerId });
+  const heartbeats = [];
+  const { heartbeatIntervalMs } = processingQueueService;
+  processingQueueService.heartbeatIntervalMs = 5;
+  t.after(() => {
+    processingQueueService.heartbeatIntervalMs = heartbeatIntervalMs;
+  });
+  t.mock.method(Scheme, 'exists', async () => true);
+  t.mock.method(SchemeDocument, 'exists', async () => true);
+  t.mock.method(processingQueueService, 'handleFailure', async () => {});
+  t.mock.method(ProcessingJob, 'updateOne', async (filter, update) => {
+    heartbeats.push({ filter, update });
+  });
+  // A long embedding step
+  t.mock.method(embeddingService, 'processPDFForScheme', async () => {
+    await delay(60);
+    return { success: false, error: 'Embedding provider unavailable' };
+  });
+
+  await processingQueueService.runJob(job);
+  const sent = heartbeats.length;
+  await delay(30);
+
+  assert.ok(sent >= 2, `${sent} heartbeats`);
+  assert.deepStrictEqual(heartbeats[0].filter, { _id: job._id, status: 'running', lockedBy: processingQueueService.workerId });
+  assert.ok(heartbeats[0].update.$set.lockedAt instanceof Date);
+  // The heartbeat stops with the job
+  assert.strictEqual(heartbeats.length, sent);
+});
@@ -0,0 +1,49 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const semanticSearchService = require('../services/semanticSearchService');
+
+const chunk = (id, extra = {}) => ({ _id: id, content: `Chunk ${id}`, ...extra });
+const rrf = (rank) => 1 / (semanticSearchService.rrfK + rank + 1);
+
+test('adds the reciprocal ranks of a chunk found by both searches', () => {
+  const fused = semanticSearchService.fuseRankings(
+    [chunk('a'), chunk('b')],
+    [chunk('b', { lexicalScore: 2.5 }), chunk('c', { lexicalScore: 1.1 })],
+    { vector: 1, lexical: 1 }
+  );
+
+  assert.deepStrictEqual(fused.map(item => item._id), ['b', 'a', 'c']);
+
+  const [b, a, c] = fused;
+  assert.strictEqual(b.fusionScore, rrf(1) + rrf(0));
+  assert.deepStrictEqual(b.matchedBy, ['vector', 'lexical']);
+  assert.strictEqual(b.lexicalScore, 2.5);
+  assert.strictEqual(a.fusionScore, rrf(0));
+  assert.deepStrictEqual(a.matchedBy, ['vector']);
+  assert.strictEqual(c.fusionScore, rrf(1));
+  assert.deepStrictEqual(c.matchedBy, ['lexical']);
+});
+
+test('weights each ranking', () => {
+  const fused = semanticSearchService.fuseRankings(
+    [chunk('a')],
+    [chunk('b')],
+    { vector: 1, lexical: 3 }
+  );
+
+  assert.deepStrictEqual(fused.map(item => item._id), ['b', 'a']);
+  assert.strictEqual(fused[0].fusionScore, 3 * rrf(0));
+});
+
+test('matches chunks by id across ObjectId-like values', () => {
+  const id = { toString: () => '64f000000000000000000001' };
+  const fused = semanticSearchService.fuseRankings([chunk(id)], [chunk('64f000000000000000000001')], { vector: 1, lexical: 1 });
+
+  assert.strictEqual(fused.length, 1);
+  assert.strictEqual(fused[0].fusionScore, 2 * rrf(0));
+});
+
+test('keeps a single ranking when the other is empty', () => {
+  const fused = semanticSearchService.fuseRankings([chunk('a'), chunk('b'), chunk('c')], [], { vector: 1, lexical: 1 });
+  assert.deepStrictEqual(fused.map(item => item._id), ['a', 'b', 'c']);
+});
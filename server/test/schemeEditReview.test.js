@@ -0,0 +1,161 @@
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Scheme = require('../models/Scheme');
+const schemeController = require('../controllers/scheme');
+const fieldExtractionService = require('../services/fieldExtractionService');
+
+const editor = { _id: new mongoose.Types.ObjectId(), role: 'admin', email: 'editor@example.gov.in' };
+
+const buildScheme = (status) => Scheme.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  title: 'Farmer Support Scheme',
+  description: 'Financial support for small farmers',
+  category: 'Agriculture',
+  status,
+  chunkingStrategy: 'fixed',
+  minAge: 18,
+  states: ['Maharashtra'],
+  applicationClosesAt: new Date('2026-03-31T00:00:00.000Z'),
+  sourceLinks: [{ _id: new mongoose.Types.ObjectId(), title: 'GR', url: 'https://agri.maharashtra.gov.in/gr.pdf' }]
+});
+
+// Minimal Express response that records the status and JSON body
+const createResponse = () => ({
+  statusCode: 200,
+  body: null,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  }
+});
+
+// Run updateScheme against a stored scheme with a body as the route's validators leave it
+// (numbers and dates converted); returns the response and the conditional update it made
+const runUpdate = async (t, scheme, body, updatedScheme = { _id: scheme._id }) => {
+  const calls = [];
+  t.mock.method(Scheme, 'findById', async () => scheme);
+  t.mock.method(Scheme, 'findOneAndUpdate', (filter, update) => {
+    calls.push({ filter, update });
+    return { populate: async () => updatedScheme };
+  });
+
+  const res = createResponse();
+  await schemeController.updateScheme({ params: { id: scheme._id.toString() }, body, user: editor }, res);
+  return { res, call: calls[0] };
+};
+
+before(() => {
+  // Keep the controller's request logging out of the test report
+  mock.method(console, 'log', () => {});
+});
+
+after(() => {
+  mock.restoreAll();
+});
+
+test('editing a published scheme sends it back to review and records the edit', async (t) => {
+  const scheme = buildScheme('published');
+  const { res, call } = await runUpdate(t, scheme, { title: 'Farmer Support Scheme 2026', benefitAmount: 6000 });
+
+  assert.deepStrictEqual(call.filter, { _id: scheme._id.toString(), status: 'published' });
+  assert.strictEqual(call.update.status, 'in_review');
+  assert.strictEqual(call.update.submittedBy, editor._id);
+  assert.strictEqual(call.update.reviewedBy, null);
+
+  const event = call.update.$push.reviewHistory;
+  assert.strictEqual(event.action, 'edited');
+  assert.strictEqual(event.by, editor._id);
+  assert.strictEqual(event.comment, 'Changed title, benefitAmount');
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.match(res.body.message, /sent back for review/);
+});
+
+test('a scheduled scheme also goes back to review', async (t) => {
+  const { call } = await runUpdate(t, buildScheme('scheduled'), { description: 'Support for small and marginal farmers' });
+  assert.strictEqual(call.update.status, 'in_review');
+});
+
+test('resending unchanged values is not an edit', async (t) => {
+  const scheme = buildScheme('published');
+  const { res, call } = await runUpdate(t, scheme, {
+    title: 'Farmer Support Scheme',
+    category: 'Agriculture',
+    chunkingStrategy: 'fixed',
+    minAge: 18,
+    states: ['Maharashtra'],
+    applicationClosesAt: new Date('2026-03-31T00:00:00.000Z'),
+    sourceLinks: [{ title: 'GR', url: 'https://agri.maharashtra.gov.in/gr.pdf' }],
+    helpline: ''
+  });
+
+  assert.strictEqual(call.update.status, undefined);
+  assert.strictEqual(call.update.$push, undefined);
+  assert.strictEqual(call.update.chunkingStrategy, 'fixed');
+  assert.strictEqual(res.body.message, 'Scheme updated successfully');
+});
+
+test('editing a draft records the edit and keeps it a draft', async (t) => {
+  const { res, call } = await runUpdate(t, buildScheme('draft'), { states: ['Maharashtra', 'Goa'] });
+
+  assert.strictEqual(call.update.status, undefined);
+  assert.strictEqual(call.update.$push.reviewHistory.comment, 'Changed states');
+  assert.strictEqual(res.body.message, 'Scheme updated successfully');
+});
+
+test('an edit racing a status change is refused', async (t) => {
+  const { res } = await runUpdate(t, buildScheme('in_review'), { title: 'Farmer Support Scheme 2026' }, null);
+
+  assert.strictEqual(res.statusCode, 409);
+  assert.strictEqual(res.body.success, false);
+});
+
+// Pending extraction with no items; the test only follows the scheme update
+const buildExtraction = (schemeId) => ({
+  _id: new mongoose.Types.ObjectId(),
+  schemeId,
+  status: 'pending_review',
+  fields: {},
+  saved: false,
+  async save() {
+    this.saved = true;
+  }
+});
+
+test('accepting extracted fields on a published scheme sends it back to review', async (t) => {
+  const schemeId = new mongoose.Types.ObjectId();
+  const extraction = buildExtraction(schemeId);
+  const calls = [];
+  t.mock.method(Scheme, 'findById', () => ({ select: async () => ({ _id: schemeId, status: 'published' }) }));
+  t.mock.method(Scheme, 'findOneAndUpdate', async (filter, update) => {
+    calls.push({ filter, update });
+    return { _id: schemeId, status: update.status || 'published', details: update.details };
+  });
+
+  const result = await fieldExtractionService.acceptExtraction(extraction, {}, { reviewedBy: editor._id });
+
+  assert.deepStrictEqual(calls[0].filter, { _id: schemeId, status: 'published' });
+  assert.strictEqual(calls[0].update.status, 'in_review');
+  assert.strictEqual(calls[0].update.$push.reviewHistory.comment, 'Changed details');
+  assert.strictEqual(result.sentToReview, true);
+  assert.strictEqual(extraction.status, 'accepted');
+  assert.strictEqual(extraction.saved, true);
+});
+
+test('an extraction stays pending when the scheme changed meanwhile', async (t) => {
+  const schemeId = new mongoose.Types.ObjectId();
+  const extraction = buildExtraction(schemeId);
+  t.mock.method(Scheme, 'findById', () => ({ select: async () => ({ _id: schemeId, status: 'published' }) }));
+  t.mock.method(Scheme, 'findOneAndUpdate', async () => null);
+
+  const result = await fieldExtractionService.acceptExtraction(extraction, {}, { reviewedBy: editor._id });
+
+  assert.strictEqual(result.scheme, null);
+  assert.strictEqual(extraction.status, 'pending_review');
+  assert.strictEqual(extraction.saved, false);
+});
@@ -0,0 +1,193 @@
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Scheme = require('../models/Scheme');
+const schemePublishingService = require('../services/schemePublishingService');
+
+const admin = { _id: new mongoose.Types.ObjectId(), role: 'admin', email: 'admin@example.gov.in' };
+const reviewer = { _id: new mongoose.Types.ObjectId(), role: 'reviewer', email: 'reviewer@example.gov.in' };
+const superAdmin = { _id: new mongoose.Types.ObjectId(), role: 'super_admin', email: 'root@example.gov.in' };
+
+const buildScheme = (fields) => ({
+  _id: new mongoose.Types.ObjectId(),
+  title: 'Farmer Support Scheme',
+  submittedBy: admin._id,
+  ...fields
+});
+
+const HOUR = 60 * 60 * 1000;
+
+// Fake findOneAndUpdate applying the update to the scheme when the filter's status matches
+const mockStatusUpdate = (t, scheme) => {
+  const calls = [];
+  t.mock.method(Scheme, 'findOneAndUpdate', async (filter, update) => {
+    calls.push({ filter, update });
+    if (filter.status !== scheme.status) return null;
+    const { $push, ...fields } = update;
+    return { ...scheme, ...fields };
+  });
+  return calls;
+};
+
+before(() => {
+  // Keep the transition logging out of the test report
+  mock.method(console, 'log', () => {});
+});
+
+after(() => {
+  mock.restoreAll();
+});
+
+test('submitting a draft puts it in review and records the submitter', async (t) => {
+  const scheme = buildScheme({ status: 'draft', submittedBy: undefined });
+  const calls = mockStatusUpdate(t, scheme);
+
+  const result = await schemePublishingService.transition(scheme, 'submit', { user: admin });
+
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.scheme.status, 'in_review');
+  assert.deepStrictEqual(calls[0].filter, { _id: scheme._id, status: 'draft' });
+  assert.strictEqual(calls[0].update.submittedBy, admin._id);
+  assert.strictEqual(calls[0].update.$push.reviewHistory.action, 'submitted');
+});
+
+test('only reviewers and super admins approve or reject', async (t) => {
+  const scheme = buildScheme({ status: 'in_review' });
+  const calls = mockStatusUpdate(t, scheme);
+
+  const approve = await schemePublishingService.transition(scheme, 'approve', { user: admin });
+  const reject = await schemePublishingService.transition(scheme, 'reject', { user: admin, comment: 'Wrong amount' });
+
+  assert.strictEqual(approve.reason, 'not_allowed');
+  assert.strictEqual(reject.reason, 'not_allowed');
+  assert.strictEqual(calls.length, 0);
+});
+
+test('actions are refused from the wrong status', async (t) => {
+  const calls = mockStatusUpdate(t, buildScheme({ status: 'draft' }));
+
+  const approve = await schemePublishingService.transition(buildScheme({ status: 'draft' }), 'approve', { user: reviewer });
+  const reopen = await schemePublishingService.transition(buildScheme({ status: 'published' }), 'reopen', { user: admin });
+
+  assert.strictEqual(approve.reason, 'invalid_status');
+  assert.match(approve.error, /Cannot approve a scheme that is draft/);
+  assert.strictEqual(reopen.reason, 'invalid_status');
+  assert.strictEqual(calls.length, 0);
+});
+
+test('rejecting needs a comment and returns the scheme to draft', async (t) => {
+  const scheme = buildScheme({ status: 'in_review' });
+  const calls = mockStatusUpdate(t, scheme);
+
+  const withoutComment = await schemePublishingService.transition(scheme, 'reject', { user: reviewer });
+  assert.strictEqual(withoutComment.reason, 'comment_required');
+
+  const result = await schemePublishingService.transition(scheme, 'reject', { user: reviewer, comment: 'Benefit amount is wrong' });
+  assert.strictEqual(result.scheme.status, 'draft');
+  assert.strictEqual(calls[0].update.reviewComment, 'Benefit amount is wrong');
+  assert.strictEqual(calls[0].update.reviewedBy, reviewer._id);
+});
+
+test('a reviewer cannot approve their own submission, a super admin can', async (t) => {
+  const ownScheme = buildScheme({ status: 'in_review', submittedBy: reviewer._id });
+  const superAdminScheme = buildScheme({ status: 'in_review', submittedBy: superAdmin._id });
+  mockStatusUpdate(t, superAdminScheme);
+
+  const own = await schemePublishingService.transition(ownScheme, 'approve', { user: reviewer });
+  assert.strictEqual(own.reason, 'not_allowed');
+
+  const result = await schemePublishingService.transition(superAdminScheme, 'approve', { user: superAdmin });
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.scheme.status, 'published');
+  assert.ok(result.scheme.publishedAt instanceof Date);
+});
+
+test('approving a scheme with a future publish time schedules it', async (t) => {
+  const scheme = buildScheme({ status: 'in_review', publishAt: new Date(Date.now() + HOUR) });
+  mockStatusUpdate(t, scheme);
+
+  const result = await schemePublishingService.transition(scheme, 'approve', { user: reviewer });
+
+  assert.strictEqual(result.scheme.status, 'scheduled');
+  assert.strictEqual(result.scheme.publishedAt, undefined);
+});
+
+test('an expired scheme cannot be approved', async (t) => {
+  const scheme = buildScheme({ status: 'in_review', expireAt: new Date(Date.now() - HOUR) });
+  const calls = mockStatusUpdate(t, scheme);
+
+  const result = await schemePublishingService.transition(scheme, 'approve', { user: reviewer });
+
+  assert.strictEqual(result.reason, 'invalid_status');
+  assert.strictEqual(calls.length, 0);
+});
+
+test('a transition on a scheme changed meanwhile reports a conflict', async (t) => {
+  // Another reviewer already approved the scheme that was read as in review
+  mockStatusUpdate(t, buildScheme({ status: 'published' }));
+
+  const result = await schemePublishingService.transition(buildScheme({ status: 'in_review' }), 'approve', { user: reviewer });
+
+  assert.strictEqual(result.success, false);
+  assert.strictEqual(result.reason, 'conflict');
+});
+
+// Fake Scheme.find over the given schemes for the scheduler's status/date filters
+const matchesFilter = (scheme, filter) => {
+  const statuses = filter.status.$in || [filter.status];
+  const [field, condition] = Object.entries(filter).find(([key]) => key.endsWith('At'));
+  return scheme.isActive !== false && statuses.includes(scheme.status) && Boolean(scheme[field]) && scheme[field] <= condition.$lte;
+};
+
+const mockScheduler = (t, schemes) => {
+  t.mock.method(Scheme, 'find', (filter) => ({
+    select: async () => schemes.filter(scheme => matchesFilter(scheme, filter))
+  }));
+  t.mock.method(Scheme, 'findOneAndUpdate', async (filter, update) => {
+    const scheme = schemes.find(candidate => candidate._id === filter._id);
+    if (!scheme || !matchesFilter(scheme, filter)) return null;
+    scheme.status = update.status;
+    if (update.publishedAt) scheme.publishedAt = update.publishedAt;
+    scheme.reviewHistory = [...(scheme.reviewHistory || []), update.$push.reviewHistory];
+    return scheme;
+  });
+};
+
+test('the scheduler expires schemes, then publishes scheduled ones', async (t) => {
+  const now = new Date('2026-06-01T10:00:00.000Z');
+  const due = buildScheme({ status: 'scheduled', publishAt: new Date(now.getTime() - HOUR) });
+  const later = buildScheme({ status: 'scheduled', publishAt: new Date(now.getTime() + HOUR) });
+  const expired = buildScheme({ status: 'published', expireAt: new Date(now.getTime() - HOUR) });
+  // Due to publish but already past its expiry: archived, never published
+  const dueAndExpired = buildScheme({
+    status: 'scheduled',
+    publishAt: new Date(now.getTime() - 2 * HOUR),
+    expireAt: new Date(now.getTime() - HOUR)
+  });
+  const draft = buildScheme({ status: 'draft', expireAt: new Date(now.getTime() - HOUR) });
+  mockScheduler(t, [due, later, expired, dueAndExpired, draft]);
+
+  const counts = await schemePublishingService.runScheduledChanges(now);
+
+  assert.deepStrictEqual(counts, { expired: 2, published: 1 });
+  assert.strictEqual(due.status, 'published');
+  assert.strictEqual(due.publishedAt, due.publishAt);
+  assert.strictEqual(due.reviewHistory[0].action, 'published');
+  assert.strictEqual(later.status, 'scheduled');
+  assert.strictEqual(expired.status, 'archived');
+  assert.strictEqual(expired.reviewHistory[0].action, 'expired');
+  assert.deepStrictEqual(dueAndExpired.reviewHistory.map(event => event.action), ['expired']);
+  assert.strictEqual(draft.status, 'draft');
+});
+
+test('the scheduler leaves a scheme alone when it changed after being read', async (t) => {
+  const now = new Date('2026-06-01T10:00:00.000Z');
+  const scheme = buildScheme({ status: 'scheduled', publishAt: new Date(now.getTime() - HOUR) });
+  t.mock.method(Scheme, 'find', () => ({ select: async () => [scheme] }));
+  // An admin archived it between the scheduler's read and its update
+  t.mock.method(Scheme, 'findOneAndUpdate', async () => null);
+
+  const counts = await schemePublishingService.runScheduledChanges(now);
+
+  assert.deepStrictEqual(counts, { expired: 0, published: 0 });
+});
@@ -0,0 +1,148 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const structuredChunkingService = require('../services/structuredChunkingService');
+
+// English GR: a chapter heading, an eligibility section with a nested clause list, and a benefits paragraph
+const englishGR = [
+  'GOVERNMENT RESOLUTION',
+  '',
+  'Eligibility Criteria',
+  '1. The applicant must be a resident of Maharashtra for at least',
+  'fifteen years before the date of application.',
+  '2. The applicant must own agricultural land:',
+  '(a) up to two hectares in irrigated areas;',
+  '(b) up to four hectares in dry land areas.',
+  '3. The annual family income must not exceed Rs. 1,50,000.',
+  '',
+  'Benefits',
+  'Eligible farmers receive Rs. 6000 per year in three instalments.'
+];
+
+// Marathi GR: numbered clauses in Devanagari numerals with a Devanagari-lettered sub-list
+const marathiGR = [
+  'पात्रता निकष:',
+  '१. अर्जदार महाराष्ट्राचा रहिवासी असावा.',
+  '२. अर्जदाराकडे पुढीलपैकी एक ओळखपत्र असणे आवश्यक आहे.',
+  'अ) आधार कार्ड;',
+  'ब) मतदार ओळखपत्र.',
+  '३. कुटुंबाचे वार्षिक उत्पन्न दीड लाखांपेक्षा कमी असावे.'
+];
+
+// Sentence of `words` words ending in a full stop
+const sentence = (n, words) => [`Sentence ${n}`, ...Array.from({ length: words - 2 }, (_, i) => `word${i}`)].join(' ') + '.';
+
+// Clause tree as [label, style, children]
+const outline = (unit) => [unit.label, unit.style, (unit.children || []).map(outline)];
+
+test('clauses are never split across chunks, even when the chunk size is smaller than two of them', () => {
+  const chunks = structuredChunkingService.chunkLines(englishGR, { chunkSize: 25, maxChunkSize: 60 });
+
+  assert.deepStrictEqual(chunks.map(chunk => chunk.content), [
+    '1. The applicant must be a resident of Maharashtra for at least fifteen years before the date of application.',
+    '2. The applicant must own agricultural land:\n(a) up to two hectares in irrigated areas;\n(b) up to four hectares in dry land areas.',
+    '3. The annual family income must not exceed Rs. 1,50,000.',
+    'Eligible farmers receive Rs. 6000 per year in three instalments.'
+  ]);
+  assert.ok(chunks.every(chunk => !chunk.oversized));
+  assert.deepStrictEqual(chunks.map(chunk => [chunk.startLine, chunk.endLine]), [[3, 4], [5, 7], [8, 8], [11, 11]]);
+});
+
+test('each chunk records the path of headings above it', () => {
+  const chunks = structuredChunkingService.chunkLines(englishGR);
+
+  assert.deepStrictEqual(chunks.map(chunk => [chunk.headingPath, chunk.contentType]), [
+    [['GOVERNMENT RESOLUTION', 'Eligibility Criteria'], 'list'],
+    [['GOVERNMENT RESOLUTION', 'Benefits'], 'paragraph']
+  ]);
+});
+
+test('Devanagari numerals are recognised as clause markers', () => {
+  assert.deepStrictEqual(structuredChunkingService.matchMarker('१. अर्जदार महाराष्ट्राचा रहिवासी असावा.', []), { style: 'number-dot', label: '१' });
+  assert.deepStrictEqual(structuredChunkingService.matchMarker('(२) अर्जासोबत उत्पन्नाचा दाखला जोडावा.', []), { style: 'number-wrapped', label: '२' });
+  assert.deepStrictEqual(structuredChunkingService.matchMarker('२.१ अर्ज ऑनलाइन सादर करावा.', []), { style: 'decimal:2', label: '२.१' });
+});
+
+test('an oversized clause without sub-clauses falls back to sentence splits', () => {
+  const clause = `5. ${[1, 2, 3, 4].map(n => sentence(n, 12)).join(' ')}`;
+  const chunks = structuredChunkingService.chunkLines(['Scheme Details', clause, '6. Short clause.'], { chunkSize: 20, maxChunkSize: 30 });
+
+  assert.deepStrictEqual(chunks.map(chunk => [chunk.content, chunk.oversized]), [
+    [`5. ${sentence(1, 12)}`, true],
+    [sentence(2, 12), true],
+    [sentence(3, 12), true],
+    [sentence(4, 12), true],
+    ['6. Short clause.', false]
+  ]);
+  assert.ok(chunks.every(chunk => chunk.headingPath.join() === 'Scheme Details'));
+});
+
+test('an oversized clause with sub-clauses is split between them under its own heading', () => {
+  const lead = '7. Assistance is given for the following components:';
+  const subClauses = ['a', 'b', 'c'].map((letter, index) => `(${letter}) ${sentence(index + 1, 14)}`);
+  const chunks = structuredChunkingService.chunkLines([lead, ...subClauses], { chunkSize: 20, maxChunkSize: 30 });
+
+  assert.deepStrictEqual(chunks.map(chunk => chunk.content), [lead, ...subClauses]);
+  assert.ok(chunks.every(chunk => !chunk.oversized));
+  assert.ok(chunks.every(chunk => chunk.headingPath.join() === lead));
+});
+
+test('lettered, roman and numbered clause lists nest by marker style', () => {
+  const [section] = structuredChunkingService.parse([
+    '4. The following documents are required.',
+    '(a) Aadhaar card.',
+    '(b) Land records:',
+    '(i) 7/12 extract.',
+    '(ii) 8-A extract.',
+    '(c) Bank passbook.',
+    '(h) Ration card.',
+    '(i) Caste certificate.'
+  ]);
+
+  assert.deepStrictEqual(section.units.map(outline), [
+    ['4', 'number-dot', [
+      ['a', 'letter():lower', []],
+      ['b', 'letter():lower', [
+        ['i', 'roman():lower', []],
+        ['ii', 'roman():lower', []]
+      ]],
+      ['c', 'letter():lower', []],
+      ['h', 'letter():lower', []],
+      // (i) after (h) continues the letter list rather than starting a roman one
+      ['i', 'letter():lower', []]
+    ]]
+  ]);
+});
+
+test('Marathi numbered and lettered clause lists are parsed under their heading', () => {
+  const sections = structuredChunkingService.parse(marathiGR);
+
+  assert.strictEqual(sections.length, 1);
+  assert.deepStrictEqual(sections[0].headingPath, ['पात्रता निकष']);
+  assert.deepStrictEqual(sections[0].units.map(outline), [
+    ['१', 'number-dot', []],
+    ['२', 'number-dot', [
+      ['अ', 'letter):devanagari', []],
+      ['ब', 'letter):devanagari', []]
+    ]],
+    ['३', 'number-dot', []]
+  ]);
+
+  const chunks = structuredChunkingService.chunkLines(marathiGR, { chunkSize: 8, maxChunkSize: 20 });
+  assert.deepStrictEqual(chunks.map(chunk => chunk.content), [
+    '१. अर्जदार महाराष्ट्राचा रहिवासी असावा.',
+    '२. अर्जदाराकडे पुढीलपैकी एक ओळखपत्र असणे आवश्यक आहे.\nअ) आधार कार्ड;\nब) मतदार ओळखपत्र.',
+    '३. कुटुंबाचे वार्षिक उत्पन्न दीड लाखांपेक्षा कमी असावे.'
+  ]);
+});
+
+test('an oversized Marathi paragraph is split at the danda', () => {
+  const paragraph = 'ही योजना राज्यातील सर्व जिल्ह्यांमध्ये राबविण्यात येईल। लाभार्थ्यांची निवड ग्रामसभेमार्फत करण्यात येईल। अनुदान थेट बँक खात्यात जमा केले जाईल।';
+  const chunks = structuredChunkingService.chunkLines(['अंमलबजावणी', paragraph], { chunkSize: 8, maxChunkSize: 10 });
+
+  assert.deepStrictEqual(chunks.map(chunk => chunk.content), [
+    'ही योजना राज्यातील सर्व जिल्ह्यांमध्ये राबविण्यात येईल।',
+    'लाभार्थ्यांची निवड ग्रामसभेमार्फत करण्यात येईल।',
+    'अनुदान थेट बँक खात्यात जमा केले जाईल।'
+  ]);
+  assert.ok(chunks.every(chunk => chunk.oversized && chunk.headingPath.join() === 'अंमलबजावणी'));
+});
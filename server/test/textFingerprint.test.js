@@ -0,0 +1,52 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { computeMinHash, estimateSimilarity } = require('../utils/textFingerprint');
+
+const words = (count, offset = 0) => Array.from({ length: count }, (_, i) => `word${i + offset}`).join(' ');
+const guidelines = `${words(400)} farmers with less than two hectares of land receive Rs. 6000 every year in three instalments`;
+
+test('gives identical texts the same signature', () => {
+  const signature = computeMinHash(guidelines);
+
+  assert.strictEqual(signature.length, 128);
+  assert.deepStrictEqual(computeMinHash(guidelines), signature);
+  assert.strictEqual(estimateSimilarity(signature, computeMinHash(guidelines)), 1);
+});
+
+test('ignores case and punctuation', () => {
+  const reformatted = guidelines.toUpperCase().replace(/ /g, ', ');
+  assert.strictEqual(estimateSimilarity(computeMinHash(guidelines), computeMinHash(reformatted)), 1);
+});
+
+test('rates a lightly edited text as near-duplicate and unrelated text as different', () => {
+  const edited = guidelines.replace('Rs. 6000', 'Rs. 8000');
+  const unrelated = words(400, 10000);
+
+  const similarity = estimateSimilarity(computeMinHash(guidelines), computeMinHash(edited));
+  assert.ok(similarity > 0.9 && similarity < 1, `near-duplicate similarity was ${similarity}`);
+  assert.ok(estimateSimilarity(computeMinHash(guidelines), computeMinHash(unrelated)) < 0.1);
+});
+
+test('estimates the Jaccard similarity of the shingle sets', () => {
+  // Two texts sharing half of their shingles
+  const first = words(1000);
+  const second = words(1000, 500);
+  const shingles = 996;
+  const shared = 496;
+  const jaccard = shared / (2 * shingles - shared);
+
+  const similarity = estimateSimilarity(computeMinHash(first), computeMinHash(second));
+  assert.ok(Math.abs(similarity - jaccard) < 0.12, `estimated ${similarity}, expected about ${jaccard}`);
+});
+
+test('keeps Devanagari words', () => {
+  const marathi = Array.from({ length: 30 }, (_, i) => `योजना${i} शेतकरी`).join(' ');
+  assert.strictEqual(estimateSimilarity(computeMinHash(marathi), computeMinHash(marathi.replace(/योजना/g, 'अर्ज'))), 0);
+});
+
+test('does not sign texts too short to compare', () => {
+  assert.strictEqual(computeMinHash('Only a few words here'), null);
+  assert.strictEqual(computeMinHash(''), null);
+  assert.strictEqual(estimateSimilarity(null, computeMinHash(guidelines)), 0);
+  assert.strictEqual(estimateSimilarity([1, 2], [1, 2, 3]), 0);
+});
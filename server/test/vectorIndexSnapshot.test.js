@@ -0,0 +1,106 @@
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const DocumentChunk = require('../models/DocumentChunk');
+const vectorIndexService = require('../services/vectorIndexService');
+
+const schemeId = new mongoose.Types.ObjectId();
+const day = (n) => new Date(Date.UTC(2026, 0, n));
+
+const buildChunk = (processedAt, embedding = [1, 0, 0]) => ({
+  _id: new mongoose.Types.ObjectId(),
+  schemeId,
+  embedding,
+  embeddingModel: 'mock/mock-hash-3',
+  processingStatus: 'completed',
+  processedAt,
+  metadata: { language: 'en', contentType: 'paragraph', qualityScore: 0.9 }
+});
+
+// DocumentChunk.find stand-in streaming the stored chunks through a cursor
+const mockStoredChunks = (t, chunks) => {
+  t.mock.method(DocumentChunk, 'find', () => {
+    const query = {
+      select: () => query,
+      lean: () => query,
+      cursor: () => (async function* () {
+        yield* chunks;
+      })()
+    };
+    return query;
+  });
+};
+
+// Fresh index service holding the given chunks, persisting to a temporary file
+const buildIndex = (t, chunks) => {
+  const service = new vectorIndexService.constructor();
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'vector-index-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  service.indexPath = path.join(directory, 'vector-index.json');
+  service.ready = true;
+  chunks.forEach(chunk => service.insertIntoNamespaces(service.namespaces, chunk));
+  return service;
+};
+
+before(() => {
+  // Keep the index logging out of the test report
+  mock.method(console, 'log', () => {});
+});
+
+after(() => {
+  mock.restoreAll();
+});
+
+test('a snapshot is reused only while MongoDB holds the same chunk versions', async (t) => {
+  const chunks = [buildChunk(day(1)), buildChunk(day(2), [0, 1, 0]), buildChunk(day(3), [0, 0, 1])];
+  const service = buildIndex(t, chunks);
+  const snapshot = { version: service.snapshotVersion, fingerprint: service.getIndexFingerprint() };
+
+  mockStoredChunks(t, chunks);
+  assert.strictEqual(await service.isSnapshotCurrent(snapshot), true);
+
+  // Same count and same latest processedAt, but one chunk was replaced by another
+  const replaced = [chunks[0], buildChunk(day(2), [0, 1, 0]), chunks[2]];
+  mockStoredChunks(t, replaced);
+  assert.strictEqual(await service.isSnapshotCurrent(snapshot), false);
+
+  // An older chunk re-embedded without moving past the latest processedAt
+  const reembedded = [{ ...chunks[0], processedAt: day(2) }, chunks[1], chunks[2]];
+  mockStoredChunks(t, reembedded);
+  assert.strictEqual(await service.isSnapshotCurrent(snapshot), false);
+});
+
+test('persisting records the fingerprint of the indexed chunks without reading MongoDB', async (t) => {
+  const chunks = [buildChunk(day(1)), buildChunk(day(2), [0, 1, 0])];
+  const service = buildIndex(t, chunks);
+
+  // Chunks added to MongoDB after the index was built are not in the index
+  t.mock.method(DocumentChunk, 'find', () => {
+    throw new Error('persist must not query MongoDB');
+  });
+  await service.persist();
+
+  const snapshot = JSON.parse(fs.readFileSync(service.indexPath, 'utf8'));
+  assert.deepStrictEqual(snapshot.fingerprint, service.getIndexFingerprint());
+  assert.strictEqual(snapshot.fingerprint.count, 2);
+
+  mockStoredChunks(t, chunks.concat(buildChunk(day(3), [0, 0, 1])));
+  assert.strictEqual(await service.isSnapshotCurrent(snapshot), false);
+
+  mockStoredChunks(t, chunks);
+  assert.strictEqual(await service.isSnapshotCurrent(snapshot), true);
+});
+
+test('the fingerprint follows chunks removed from the index', (t) => {
+  const chunks = [buildChunk(day(1)), buildChunk(day(2), [0, 1, 0])];
+  const service = buildIndex(t, chunks);
+  const expected = buildIndex(t, [chunks[0]]).getIndexFingerprint();
+
+  service.removeChunks([chunks[1]._id]);
+
+  assert.deepStrictEqual(service.getIndexFingerprint(), expected);
+});
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const { Scheme, DocumentChunk, User } = require('../models');
+const vectorIndexService = require('../services/vectorIndexService');
 
 /**
  * Database utility functions for common operations
@@ -21,6 +22,7 @@ class DatabaseUtils {
       const orphanedChunks = await DocumentChunk.deleteMany({
         schemeId: { $nin: schemeIds }
       });
+      vectorIndexService.retainSchemes(schemeIds);
       
       console.log(`🗑️ Cleaned up ${orphanedChunks.deletedCount} orphaned chunks`);
       
@@ -132,11 +134,15 @@ class DatabaseUtils {
       await DocumentChunk.collection.createIndexes();
       await User.collection.createIndexes();
       
+      // Rebuild the in-process vector index as well
+      const vectorIndex = await vectorIndexService.rebuild();
+      
       console.log('✅ Indexes rebuilt successfully');
       
       return {
         success: true,
-        message: 'Indexes rebuilt successfully'
+        message: 'Indexes rebuilt successfully',
+        vectorIndex
       };
     } catch (error) {
       console.error('❌ Index rebuild failed:', error);
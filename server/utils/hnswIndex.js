@@ -0,0 +1,485 @@
+/**
+ * Hierarchical Navigable Small World (HNSW) graph for approximate
+ * nearest-neighbour search over cosine similarity.
+ *
+ * Vectors are L2-normalised on insert so similarity is a plain dot product.
+ * Removed items are tombstoned: they stay in the graph for navigation but are
+ * never returned from a search. Call compact() (or rebuild the index) once
+ * the tombstone ratio grows too large.
+ */
+
+/**
+ * Minimal binary heap used by the layer search
+ */
+class BinaryHeap {
+  constructor(compare) {
+    this.items = [];
+    this.compare = compare;
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  peek() {
+    return this.items[0];
+  }
+
+  push(item) {
+    this.items.push(item);
+    let index = this.items.length - 1;
+
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      if (this.compare(this.items[index], this.items[parent]) >= 0) break;
+      [this.items[index], this.items[parent]] = [this.items[parent], this.items[index]];
+      index = parent;
+    }
+  }
+
+  pop() {
+    const top = this.items[0];
+    const last = this.items.pop();
+
+    if (this.items.length > 0) {
+      this.items[0] = last;
+      let index = 0;
+
+      while (true) {
+        const left = index * 2 + 1;
+        const right = left + 1;
+        let smallest = index;
+
+        if (left < this.items.length && this.compare(this.items[left], this.items[smallest]) < 0) {
+          smallest = left;
+        }
+        if (right < this.items.length && this.compare(this.items[right], this.items[smallest]) < 0) {
+          smallest = right;
+        }
+        if (smallest === index) break;
+
+        [this.items[index], this.items[smallest]] = [this.items[smallest], this.items[index]];
+        index = smallest;
+      }
+    }
+
+    return top;
+  }
+}
+
+class HNSWIndex {
+  /**
+   * @param {Object} options - Index options
+   * @param {number} options.dimensions - Vector dimensions
+   * @param {number} options.M - Maximum neighbours per node on upper layers
+   * @param {number} options.efConstruction - Candidate list size while inserting
+   * @param {number} options.efSearch - Default candidate list size while searching
+   */
+  constructor(options = {}) {
+    const {
+      dimensions,
+      M = 16,
+      efConstruction = 200,
+      efSearch = 64
+    } = options;
+
+    if (!dimensions || dimensions <= 0) {
+      throw new Error('HNSW index requires positive vector dimensions');
+    }
+
+    this.dimensions = dimensions;
+    this.M = M;
+    this.maxM0 = M * 2;
+    this.efConstruction = efConstruction;
+    this.efSearch = efSearch;
+    this.levelMultiplier = 1 / Math.log(M);
+
+    this.vectors = [];       // label -> Float32Array
+    this.levels = [];        // label -> top level of the node
+    this.neighbors = [];     // label -> [level] -> neighbour labels
+    this.ids = [];           // label -> external id
+    this.metadata = [];      // label -> metadata object
+    this.deleted = [];       // label -> tombstone flag
+    this.labelById = new Map();
+
+    this.entryPoint = -1;
+    this.maxLevel = -1;
+    this.deletedCount = 0;
+  }
+
+  /**
+   * Number of live (non-deleted) items
+   * @returns {number} Live item count
+   */
+  get size() {
+    return this.ids.length - this.deletedCount;
+  }
+
+  /**
+   * Ratio of tombstoned nodes in the graph
+   * @returns {number} Value between 0 and 1
+   */
+  get deletedRatio() {
+    return this.ids.length === 0 ? 0 : this.deletedCount / this.ids.length;
+  }
+
+  /**
+   * Normalise a vector to unit length
+   * @param {Array<number>|Float32Array} vector - Input vector
+   * @returns {Float32Array} Normalised copy
+   */
+  normalize(vector) {
+    const normalized = Float32Array.from(vector);
+    let norm = 0;
+
+    for (let i = 0; i < normalized.length; i++) {
+      norm += normalized[i] * normalized[i];
+    }
+
+    norm = Math.sqrt(norm);
+    if (norm > 0) {
+      for (let i = 0; i < normalized.length; i++) {
+        normalized[i] /= norm;
+      }
+    }
+
+    return normalized;
+  }
+
+  similarity(a, b) {
+    let dot = 0;
+    for (let i = 0; i < a.length; i++) {
+      dot += a[i] * b[i];
+    }
+    return dot;
+  }
+
+  randomLevel() {
+    return Math.floor(-Math.log(Math.random() || Number.MIN_VALUE) * this.levelMultiplier);
+  }
+
+  has(id) {
+    return this.labelById.has(String(id));
+  }
+
+  /**
+   * Insert or replace an item
+   * @param {string} id - External identifier
+   * @param {Array<number>} vector - Embedding vector
+   * @param {Object} metadata - Metadata used for filtering
+   */
+  add(id, vector, metadata = {}) {
+    if (!vector || vector.length !== this.dimensions) {
+      throw new Error(`Vector dimension ${vector ? vector.length : 0} does not match index dimension ${this.dimensions}`);
+    }
+
+    const key = String(id);
+    if (this.labelById.has(key)) {
+      this.remove(key);
+    }
+
+    const label = this.ids.length;
+    const level = this.randomLevel();
+    const normalized = this.normalize(vector);
+
+    this.vectors.push(normalized);
+    this.levels.push(level);
+    this.neighbors.push(Array.from({ length: level + 1 }, () => []));
+    this.ids.push(key);
+    this.metadata.push(metadata);
+    this.deleted.push(false);
+    this.labelById.set(key, label);
+
+    if (this.entryPoint === -1) {
+      this.entryPoint = label;
+      this.maxLevel = level;
+      return;
+    }
+
+    let entry = this.entryPoint;
+
+    // Greedy descent through the layers above the new node's level
+    for (let lc = this.maxLevel; lc > level; lc--) {
+      entry = this.greedyClosest(normalized, entry, lc);
+    }
+
+    for (let lc = Math.min(level, this.maxLevel); lc >= 0; lc--) {
+      const candidates = this.searchLayer(normalized, [entry], this.efConstruction, lc);
+      const maxConnections = lc === 0 ? this.maxM0 : this.M;
+      const selected = candidates.slice(0, this.M).map(candidate => candidate.label);
+
+      this.neighbors[label][lc] = selected;
+
+      for (const neighbor of selected) {
+        const links = this.neighbors[neighbor][lc];
+        links.push(label);
+
+        if (links.length > maxConnections) {
+          this.neighbors[neighbor][lc] = this.shrinkConnections(neighbor, links, maxConnections);
+        }
+      }
+
+      if (candidates.length > 0) {
+        entry = candidates[0].label;
+      }
+    }
+
+    if (level > this.maxLevel) {
+      this.entryPoint = label;
+      this.maxLevel = level;
+    }
+  }
+
+  /**
+   * Keep only the closest connections of a node
+   */
+  shrinkConnections(label, links, maxConnections) {
+    const base = this.vectors[label];
+    return links
+      .map(link => ({ label: link, score: this.similarity(base, this.vectors[link]) }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, maxConnections)
+      .map(link => link.label);
+  }
+
+  greedyClosest(query, entry, level) {
+    let current = entry;
+    let currentScore = this.similarity(query, this.vectors[current]);
+    let improved = true;
+
+    while (improved) {
+      improved = false;
+      const links = this.neighbors[current][level] || [];
+
+      for (const link of links) {
+        const score = this.similarity(query, this.vectors[link]);
+        if (score > currentScore) {
+          current = link;
+          currentScore = score;
+          improved = true;
+        }
+      }
+    }
+
+    return current;
+  }
+
+  /**
+   * Best-first search within one layer
+   * @returns {Array<{label: number, score: number}>} Candidates sorted by score (desc)
+   */
+  searchLayer(query, entryPoints, ef, level) {
+    const visited = new Set(entryPoints);
+    const candidates = new BinaryHeap((a, b) => b.score - a.score); // max-heap
+    const results = new BinaryHeap((a, b) => a.score - b.score);    // min-heap
+
+    for (const entry of entryPoints) {
+      const item = { label: entry, score: this.similarity(query, this.vectors[entry]) };
+      candidates.push(item);
+      results.push(item);
+    }
+
+    while (candidates.size > 0) {
+      const current = candidates.pop();
+      if (results.size >= ef && current.score < results.peek().score) break;
+
+      const links = this.neighbors[current.label][level] || [];
+      for (const link of links) {
+        if (visited.has(link)) continue;
+        visited.add(link);
+
+        const score = this.similarity(query, this.vectors[link]);
+        if (results.size < ef || score > results.peek().score) {
+          const item = { label: link, score };
+          candidates.push(item);
+          results.push(item);
+          if (results.size > ef) results.pop();
+        }
+      }
+    }
+
+    return results.items.sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Approximate k-nearest-neighbour search
+   * @param {Array<number>} vector - Query vector
+   * @param {number} k - Number of results
+   * @param {Object} options - Search options
+   * @param {Function} options.filter - Predicate over item metadata
+   * @param {number} options.ef - Candidate list size
+   * @returns {Array<{id: string, score: number, metadata: Object}>} Results sorted by score
+   */
+  search(vector, k = 10, options = {}) {
+    if (this.entryPoint === -1 || this.size === 0) return [];
+    if (!vector || vector.length !== this.dimensions) return [];
+
+    const { filter = null } = options;
+    const query = this.normalize(vector);
+    let ef = Math.max(options.ef || this.efSearch, k);
+
+    let entry = this.entryPoint;
+    for (let lc = this.maxLevel; lc > 0; lc--) {
+      entry = this.greedyClosest(query, entry, lc);
+    }
+
+    // Widen the beam until enough items survive tombstones and the filter
+    while (true) {
+      const candidates = this.searchLayer(query, [entry], ef, 0);
+      const accepted = candidates.filter(candidate =>
+        !this.deleted[candidate.label] &&
+        (!filter || filter(this.metadata[candidate.label]))
+      );
+
+      if (accepted.length >= k || ef >= this.ids.length) {
+        return accepted.slice(0, k).map(candidate => ({
+          id: this.ids[candidate.label],
+          score: candidate.score,
+          metadata: this.metadata[candidate.label]
+        }));
+      }
+
+      ef = Math.min(ef * 2, this.ids.length);
+    }
+  }
+
+  /**
+   * Exact similarity for a known set of ids (used for highly selective filters)
+   * @param {Array<number>} vector - Query vector
+   * @param {Iterable<string>} ids - External ids to score
+   * @returns {Array<{id: string, score: number, metadata: Object}>} Results sorted by score
+   */
+  scoreIds(vector, ids) {
+    if (!vector || vector.length !== this.dimensions) return [];
+
+    const query = this.normalize(vector);
+    const results = [];
+
+    for (const id of ids) {
+      const label = this.labelById.get(String(id));
+      if (label === undefined || this.deleted[label]) continue;
+
+      results.push({
+        id: this.ids[label],
+        score: this.similarity(query, this.vectors[label]),
+        metadata: this.metadata[label]
+      });
+    }
+
+    return results.sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Tombstone an item
+   * @param {string} id - External identifier
+   * @returns {boolean} True if the item existed
+   */
+  remove(id) {
+    const key = String(id);
+    const label = this.labelById.get(key);
+    if (label === undefined) return false;
+
+    this.deleted[label] = true;
+    this.deletedCount++;
+    this.labelById.delete(key);
+    return true;
+  }
+
+  /**
+   * Tombstone every item whose metadata matches a predicate
+   * @param {Function} predicate - Predicate over (metadata, id)
+   * @returns {Array<string>} Removed ids
+   */
+  removeWhere(predicate) {
+    const removed = [];
+
+    for (const [id, label] of this.labelById) {
+      if (predicate(this.metadata[label], id)) {
+        removed.push(id);
+      }
+    }
+
+    removed.forEach(id => this.remove(id));
+    return removed;
+  }
+
+  /**
+   * Rebuild the graph without tombstoned nodes
+   * @returns {HNSWIndex} New compacted index
+   */
+  compact() {
+    const compacted = new HNSWIndex({
+      dimensions: this.dimensions,
+      M: this.M,
+      efConstruction: this.efConstruction,
+      efSearch: this.efSearch
+    });
+
+    for (const [id, label] of this.labelById) {
+      compacted.add(id, this.vectors[label], this.metadata[label]);
+    }
+
+    return compacted;
+  }
+
+  /**
+   * Serialise the index to a plain object
+   * @returns {Object} Serialisable representation
+   */
+  toJSON() {
+    return {
+      dimensions: this.dimensions,
+      M: this.M,
+      efConstruction: this.efConstruction,
+      efSearch: this.efSearch,
+      entryPoint: this.entryPoint,
+      maxLevel: this.maxLevel,
+      nodes: this.ids.map((id, label) => ({
+        id,
+        level: this.levels[label],
+        deleted: this.deleted[label],
+        metadata: this.metadata[label],
+        neighbors: this.neighbors[label],
+        vector: Buffer.from(this.vectors[label].buffer).toString('base64')
+      }))
+    };
+  }
+
+  /**
+   * Restore an index from its serialised form
+   * @param {Object} data - Output of toJSON()
+   * @returns {HNSWIndex} Restored index
+   */
+  static fromJSON(data) {
+    const index = new HNSWIndex({
+      dimensions: data.dimensions,
+      M: data.M,
+      efConstruction: data.efConstruction,
+      efSearch: data.efSearch
+    });
+
+    data.nodes.forEach((node, label) => {
+      const buffer = Buffer.from(node.vector, 'base64');
+      const vector = new Float32Array(buffer.buffer, buffer.byteOffset, buffer.length / 4);
+
+      index.vectors.push(Float32Array.from(vector));
+      index.levels.push(node.level);
+      index.neighbors.push(node.neighbors);
+      index.ids.push(node.id);
+      index.metadata.push(node.metadata || {});
+      index.deleted.push(!!node.deleted);
+
+      if (node.deleted) {
+        index.deletedCount++;
+      } else {
+        index.labelById.set(node.id, label);
+      }
+    });
+
+    index.entryPoint = data.entryPoint;
+    index.maxLevel = data.maxLevel;
+    return index;
+  }
+}
+
+module.exports = HNSWIndex;
@@ -0,0 +1,91 @@
+/**
+ * Marathi (Devanagari) text helpers for tokenization and keywords.
+ *
+ * Normalization folds spellings that differ only in encoding or typing habit:
+ * nukta forms, chandrabindu vs anusvara, and a half nasal consonant written
+ * instead of an anusvara (सम्बन्ध / संबंध). Stemming is deliberately light: it
+ * removes one attached postposition or case suffix, so योजनेच्या, योजनेत and
+ * योजना share the stem योजना.
+ */
+
+// Joiners and invisible characters left behind by PDF fonts and copy-paste
+const INVISIBLE_CHARACTERS = /[\u200B-\u200D\u2060\uFEFF\u00AD]/g;
+const NUKTA = /\u093C/g;
+const CHANDRABINDU = /\u0901/g;
+// A nasal consonant with virama before another consonant is written as an anusvara
+const HALF_NASAL = /[\u0919\u091E\u0923\u0928\u092E]\u094D(?=[\u0915-\u0939])/g;
+const DEVANAGARI_DIGITS = /[\u0966-\u096F]/g;
+const DEVANAGARI_LETTER = /[\u0900-\u097F]/;
+
+// Longest first, so "ांच्या" is removed before "च्या"
+const SUFFIXES = [
+  'ांच्यासाठी', 'च्यासाठी', 'ांच्या', 'ांमध्ये', 'मध्ये', 'पर्यंत', 'साठी', 'कडून', 'कडे', 'बरोबर',
+  'ांचा', 'ांची', 'ांचे', 'ांना', 'ांनी', 'ातील', 'च्या', 'ाच्या', 'तील', 'ाचा', 'ाची', 'ाचे',
+  'ाने', 'ाला', 'ांत', 'ांस', 'चा', 'ची', 'चे', 'ला', 'ना', 'ने', 'नी', 'ात', 'ास', 'त', 'स'
+];
+// Stems must keep at least this many letters (vowel signs not counted)
+const MIN_STEM_LETTERS = 2;
+// One- or two-character suffixes are also word endings (योजना, दिवस); they are only
+// removed after an oblique vowel sign other than "ा" (शाळेत, पत्नीस) or from a longer stem
+const MIN_STEM_LETTERS_SHORT_SUFFIX = 3;
+const ENDS_WITH_OBLIQUE_VOWEL = /[\u0902\u093F-\u094C]$/;
+
+const MARATHI_STOPWORDS = [
+  'आणि', 'व', 'किंवा', 'पण', 'परंतु', 'तसेच', 'मात्र', 'म्हणून', 'कारण', 'जर', 'तर', 'की', 'ही', 'हे', 'हा',
+  'ते', 'ती', 'तो', 'त्या', 'या', 'ह्या', 'जे', 'जी', 'जो', 'ज्या', 'जेथे', 'तेथे', 'येथे', 'कोणत्याही', 'कोणते',
+  'मी', 'तू', 'आम्ही', 'तुम्ही', 'आपण', 'मला', 'तुला', 'त्याला', 'तिला', 'आम्हाला', 'तुम्हाला', 'त्यांना', 'त्यांच्या',
+  'त्याच्या', 'तिच्या', 'त्यांचे', 'त्यांची', 'त्यांचा', 'आपल्या', 'स्वतः',
+  'आहे', 'आहेत', 'होते', 'होता', 'होती', 'होतो', 'होतात', 'होईल', 'होतील', 'असे', 'असा', 'अशी', 'असेल', 'असतील',
+  'असून', 'असल्यास', 'असलेल्या', 'असलेले', 'नाही', 'नसेल', 'नये', 'करणे', 'करावे', 'करावा', 'करावी', 'करण्यात',
+  'करण्यासाठी', 'केले', 'केला', 'केली', 'केलेल्या', 'येईल', 'येतील', 'यावे', 'यावा', 'यावी', 'आली', 'आले', 'आला',
+  'असावा', 'असावी', 'असावे', 'जाईल', 'जातील', 'दिला', 'दिली', 'दिले',
+  'मध्ये', 'वर', 'खाली', 'साठी', 'च्या', 'ने', 'ला', 'नी', 'ना', 'कडे', 'कडून', 'पर्यंत', 'पासून', 'बाबत',
+  'संदर्भात', 'नुसार', 'प्रमाणे', 'द्वारे', 'सोबत', 'बरोबर', 'विषयी', 'संबंधी',
+  'सर्व', 'प्रत्येक', 'काही', 'इतर', 'अन्य', 'एक', 'दोन', 'तीन', 'पहिला', 'दुसरा', 'वरील', 'खालील', 'उक्त',
+  'सदर', 'संबंधित', 'त्यानुसार', 'याबाबत', 'यासाठी', 'यांच्या', 'यांना', 'यांचे', 'यांची', 'यांचा'
+];
+
+/**
+ * Normalize Devanagari spelling for matching (not for display)
+ * @param {string} text - Text
+ * @returns {string} Text with joiners and nuktas removed, nasals written as anusvara and ASCII digits
+ */
+const normalizeDevanagari = text => (text || '')
+  .normalize('NFC')
+  .replace(INVISIBLE_CHARACTERS, '')
+  .replace(NUKTA, '')
+  .replace(CHANDRABINDU, '\u0902')
+  .replace(HALF_NASAL, '\u0902')
+  .replace(DEVANAGARI_DIGITS, digit => String(digit.charCodeAt(0) - 0x0966));
+
+const countLetters = word => word.replace(/\p{M}/gu, '').length;
+
+/**
+ * Remove one attached postposition or case suffix from a Marathi word
+ * An oblique "े" left by the suffix is turned back into "ा" (योजनेत → योजना).
+ * @param {string} word - Normalized word
+ * @returns {string} Stem
+ */
+const stemMarathi = (word) => {
+  if (!DEVANAGARI_LETTER.test(word)) return word;
+
+  for (const suffix of SUFFIXES) {
+    if (!word.endsWith(suffix)) continue;
+
+    let stem = word.slice(0, -suffix.length);
+    if (countLetters(stem) < MIN_STEM_LETTERS) continue;
+    if (suffix.length <= 2 && !ENDS_WITH_OBLIQUE_VOWEL.test(stem) && countLetters(stem) < MIN_STEM_LETTERS_SHORT_SUFFIX) continue;
+    if (stem.endsWith('े')) stem = `${stem.slice(0, -1)}ा`;
+    return stem;
+  }
+
+  return word;
+};
+
+module.exports = {
+  MARATHI_STOPWORDS,
+  INVISIBLE_CHARACTERS,
+  normalizeDevanagari,
+  stemMarathi,
+  countLetters
+};
@@ -0,0 +1,135 @@
+/**
+ * Line-based text diff (longest common subsequence) used to compare the extracted
+ * text of two document versions.
+ *
+ * Common leading and trailing lines are trimmed first, so a small edit in a long
+ * document only runs the LCS table on the changed middle. When that middle is
+ * still too large for the table, lines are compared as sets instead (the order
+ * of changes is then approximate).
+ */
+
+const MAX_LCS_CELLS = 4000000;
+
+const splitLines = text => (text || '')
+  .split(/\n+/)
+  .map(line => line.replace(/\s+/g, ' ').trim())
+  .filter(line => line.length > 0);
+
+/**
+ * Diff two texts line by line
+ * @param {string} before - Old text
+ * @param {string} after - New text
+ * @returns {Array} [{ type: 'unchanged' | 'added' | 'removed', line }]
+ */
+const diffLines = (before, after) => {
+  const a = splitLines(before);
+  const b = splitLines(after);
+
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const middleA = a.slice(start, endA);
+  const middleB = b.slice(start, endB);
+  const middle = middleA.length * middleB.length > MAX_LCS_CELLS
+    ? diffAsSets(middleA, middleB)
+    : diffLCS(middleA, middleB);
+
+  return [
+    ...a.slice(0, start).map(line => ({ type: 'unchanged', line })),
+    ...middle,
+    ...a.slice(endA).map(line => ({ type: 'unchanged', line }))
+  ];
+};
+
+const diffLCS = (a, b) => {
+  const n = a.length;
+  const m = b.length;
+  const width = m + 1;
+  const table = new Uint32Array((n + 1) * width);
+
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      table[i * width + j] = a[i] === b[j]
+        ? table[(i + 1) * width + j + 1] + 1
+        : Math.max(table[(i + 1) * width + j], table[i * width + j + 1]);
+    }
+  }
+
+  const result = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (a[i] === b[j]) {
+      result.push({ type: 'unchanged', line: a[i] });
+      i++;
+      j++;
+    } else if (table[(i + 1) * width + j] >= table[i * width + j + 1]) {
+      result.push({ type: 'removed', line: a[i++] });
+    } else {
+      result.push({ type: 'added', line: b[j++] });
+    }
+  }
+  while (i < n) result.push({ type: 'removed', line: a[i++] });
+  while (j < m) result.push({ type: 'added', line: b[j++] });
+
+  return result;
+};
+
+const diffAsSets = (a, b) => {
+  const inA = new Set(a);
+  const inB = new Set(b);
+
+  return [
+    ...a.map(line => ({ type: inB.has(line) ? 'unchanged' : 'removed', line })),
+    ...b.filter(line => !inA.has(line)).map(line => ({ type: 'added', line }))
+  ];
+};
+
+/**
+ * Group a line diff into hunks, collapsing long unchanged runs to their edges
+ * @param {Array} lines - Output of diffLines()
+ * @param {number} context - Unchanged lines kept around each change
+ * @returns {Object} { stats: { added, removed, unchanged }, hunks: [{ type, lines, skipped }] }
+ */
+const summarizeDiff = (lines, context = 2) => {
+  const stats = { added: 0, removed: 0, unchanged: 0 };
+  const hunks = [];
+
+  lines.forEach(({ type, line }) => {
+    stats[type]++;
+    const last = hunks[hunks.length - 1];
+    if (last && last.type === type) {
+      last.lines.push(line);
+    } else {
+      hunks.push({ type, lines: [line] });
+    }
+  });
+
+  hunks.forEach((hunk, index) => {
+    if (hunk.type !== 'unchanged') return;
+
+    const keepBefore = index > 0 ? context : 0;
+    const keepAfter = index < hunks.length - 1 ? context : 0;
+    const skipped = hunk.lines.length - keepBefore - keepAfter;
+
+    if (skipped > 0) {
+      hunk.lines = [...hunk.lines.slice(0, keepBefore), ...hunk.lines.slice(hunk.lines.length - keepAfter)];
+      hunk.skipped = skipped;
+      hunk.skippedAt = keepBefore;
+    }
+  });
+
+  return { stats, hunks };
+};
+
+module.exports = {
+  diffLines,
+  summarizeDiff
+};
@@ -0,0 +1,89 @@
+/**
+ * MinHash signatures of document text, used to spot near-duplicate uploads.
+ *
+ * The text is split into overlapping word shingles; the share of equal slots in
+ * two signatures estimates the Jaccard similarity of their shingle sets. Seeds
+ * are fixed so signatures stored in the database stay comparable across restarts.
+ */
+
+const SIGNATURE_SIZE = 128;
+const SHINGLE_SIZE = 5;
+// Shorter texts (cover pages, empty scans) give meaningless similarities
+const MIN_WORDS = 20;
+
+// FNV-1a hash of a string (32 bit)
+const hashString = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+// Final mix of MurmurHash3, turns hash ^ seed into an independent hash per slot
+const mix = (value) => {
+  let hash = value;
+  hash ^= hash >>> 16;
+  hash = Math.imul(hash, 0x85ebca6b);
+  hash ^= hash >>> 13;
+  hash = Math.imul(hash, 0xc2b2ae35);
+  hash ^= hash >>> 16;
+  return hash >>> 0;
+};
+
+const SEEDS = Array.from({ length: SIGNATURE_SIZE }, (_, i) => mix(0x9e3779b9 + i));
+
+// Lowercase words of the text; Devanagari letters and vowel signs are kept
+const tokenize = text => (text || '')
+  .toLowerCase()
+  .replace(/[^\p{L}\p{M}\p{N}]+/gu, ' ')
+  .split(' ')
+  .filter(Boolean);
+
+/**
+ * Compute the MinHash signature of a text
+ * @param {string} text - Document text
+ * @returns {Array<number>|null} Signature, or null when the text is too short to compare
+ */
+const computeMinHash = (text) => {
+  const words = tokenize(text);
+  if (words.length < MIN_WORDS) return null;
+
+  const signature = new Array(SIGNATURE_SIZE).fill(0xffffffff);
+  const seen = new Set();
+
+  for (let i = 0; i + SHINGLE_SIZE <= words.length; i++) {
+    const shingle = hashString(words.slice(i, i + SHINGLE_SIZE).join(' '));
+    if (seen.has(shingle)) continue;
+    seen.add(shingle);
+
+    for (let slot = 0; slot < SIGNATURE_SIZE; slot++) {
+      const value = mix(shingle ^ SEEDS[slot]);
+      if (value < signature[slot]) signature[slot] = value;
+    }
+  }
+
+  return signature;
+};
+
+/**
+ * Estimate the similarity (0-1) of two texts from their signatures
+ * @param {Array<number>} a - Signature
+ * @param {Array<number>} b - Signature
+ * @returns {number} Estimated Jaccard similarity, 0 when either signature is missing
+ */
+const estimateSimilarity = (a, b) => {
+  if (!a || !b || a.length !== b.length || a.length === 0) return 0;
+
+  let equal = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] === b[i]) equal++;
+  }
+  return equal / a.length;
+};
+
+module.exports = {
+  computeMinHash,
+  estimateSimilarity
+};